@@ -81,6 +81,14 @@
   var DISC_BG_GAP = '#16161a';
   var NS = 'http://www.w3.org/2000/svg';
   var HOLD_MS = 450;
+  /** Per-hit velocity (MIDI scale); VEL_DEFAULT plays at the sample's normal level. */
+  var VEL_DEFAULT = 100;
+  var VEL_MIN = 1;
+  var VEL_MAX = 127;
+  var ACCENT_GAIN = 1.35;
+  var GHOST_GAIN = 0.4;
+  /** Vertical drag px per velocity step when editing a painted segment. */
+  var VEL_DRAG_PX = 1.5;
   var sayTexts = {
     say1: '', say2: '', say3: '', say4: '', say5: '',
     say6: '', say7: '', say8: '', say9: ''
@@ -94,6 +102,15 @@
     sample1: '', sample2: '', sample3: '', sample4: '', sample5: '',
     sample6: '', sample7: '', sample8: '', sample9: ''
   };
+  /**
+   * Sample editor settings: trim (s, end 0 = file end), fades (ms), reverse, gain (dB),
+   * gate (cut at the step instead of one-shot) and choke group (0 = none).
+   */
+  var SAMPLE_EDIT_DEFAULTS = { start: 0, end: 0, fadeIn: 0, fadeOut: 0, reverse: false, gain: 0, gate: false, choke: 0 };
+  var CHOKE_GROUPS = 4;
+  /** Edits per sample id (only edited ids are stored) and the decoded files they apply to. */
+  var sampleEdits = {};
+  var sampleRaw = {};
   var MAKER_DEFAULTS = {
     kick: { f0: 150, f1: 42, pitchRampTime: 0.055, decayBase: 0.45, bodyLevel: 0.75, bodyPunchHold: 0.012, bodyPunchTime: 0.045, bodyTailLevel: 0.12, bodyHighpassHz: 32, bodyShape: 0.7, clickNoiseLevel: 0.3, clickOscLevel: 0.22, clickFreq: 3800, clickDecay: 0.005, clickFilterQ: 2, fmAmount: 0.35, fmDecay: 0.06, fmFreqMult: 1.6 },
     snare: { bodyF: 185, bodyFEnd: 95, decayT: 0.18, toneLevel: 0.72, fmAmount: 0.25, fmRatio: 2.2, decayN: 0.26, noiseLevel: 1.2, noiseFilterFreq: 2400, noiseFilterQ: 0.85, noiseFilterType: 'highpass', crackLevel: 1.4, crackDecay: 0.03, crackFreq: 6200, crackQ: 1.1 },
@@ -150,6 +167,9 @@
   var MAX_DELAY_FRAC = 0.10;
   /** Max offbeat delay as a fraction of the swing-note unit (1.0 ≈ full shuffle). */
   var SWING_MAX_DELAY_FRAC = 0.42;
+  var BAR_BEATS = 4;
+  /** Polymetric rings: longest ring in beats. */
+  var RING_MAX_BEATS = 16;
   var REVERB_HP_HZ = 267;
   var STEREO_CROSSOVER_HZ = 267;
   var MASTER_GAIN = 0.85;
@@ -177,10 +197,25 @@
   var punchBus = null;
   var duckGain = null;
   var mixBus = null;
+  /** Per-sample channel settings (only non-default ids are stored) and the live strip nodes. */
+  var mixer = {};
+  var mixStrips = null;
+  var reverbIn = null;
+  /** Reverb send bus for ducked strips; pumps with duckGain so the tail ducks like the dry signal. */
+  var duckSendGain = null;
+  /** Insert effects per slot ('master' or sample id); only slots with an effect on are stored. */
+  var inserts = {};
+  /** Live master insert point: mix bus → [effects] → stereo widener. */
+  var masterPoint = null;
+  var workletsLive = false;
   var analyser = null;
   var analyserData = null;
   var fftCanvas = document.getElementById('fftRing');
   var fftCtx2d = fftCanvas ? fftCanvas.getContext('2d') : null;
+  var loudMeterEl = document.getElementById('loudMeter');
+  var meterPeakEl = document.getElementById('meterPeak');
+  var meterRmsEl = document.getElementById('meterRms');
+  var meterReadEl = document.getElementById('meterRead');
   var fftSmooth = null;
   var fftParticles = [];
   var FFT_POINTS_MAX = 28;
@@ -220,12 +255,24 @@
   var PLATTER_MIN_RATE = -3.6;
   var PLATTER_DRAG_PX = 5;
   var playOriginLayer = 0;
+  /** Song arrangement: ordered { layer, repeat, bpm, mute } parts; drives playback when on. */
+  var arrangement = { on: false, entries: [] };
+  var ARRANGE_MAX_REPEAT = 16;
+  var ARRANGE_MAX_ENTRIES = 64;
+  var SAMPLE_GROUPS = ['words', 'drums', 'samples'];
+  /** Bars scheduled since play start while the arrangement drives playback. */
+  var songBar = 0;
+  /** Live Fill button: fill / nofill cells follow it while it is on. */
+  var fillHeld = false;
+  var shownSongEntry = -1;
   var transport = {
     free: false,
     rate: 1,
     target: 1,
     musicTime: 0,
     lastMusicTime: 0,
+    /** Bar index that music time 0 starts on (the song bar play began from). */
+    originBar: 0,
     lastCtx: 0,
     easing: false
   };
@@ -282,10 +329,25 @@
   var layerTrigger = document.getElementById('layerTrigger');
   var layerMenu = document.getElementById('layerMenu');
   var layerLab = document.getElementById('layerLab');
+  var songModeEl = document.getElementById('songMode');
+  var songStripEl = document.getElementById('songStrip');
+  var songEntriesEl = document.getElementById('songEntries');
+  var songAddBtn = document.getElementById('songAddBtn');
   var paintWordTrigger = document.getElementById('paintWordTrigger');
   var paintDrumTrigger = document.getElementById('paintDrumTrigger');
   var paintSampleTrigger = document.getElementById('paintSampleTrigger');
   var paintMirrorEl = document.getElementById('paintMirror');
+  var paintHitEl = document.getElementById('paintHit');
+  var paintChanceEl = document.getElementById('paintChance');
+  var paintCondEl = document.getElementById('paintCond');
+  var fillBtn = document.getElementById('fillBtn');
+  var undoBtn = document.getElementById('undoBtn');
+  var redoBtn = document.getElementById('redoBtn');
+  var historyBtn = document.getElementById('historyBtn');
+  var mixerBtn = document.getElementById('mixerBtn');
+  var autoBtn = document.getElementById('autoBtn');
+  var ringsBtn = document.getElementById('ringsBtn');
+  var masterBtn = document.getElementById('masterBtn');
   var paintWordDot = document.getElementById('paintWordDot');
   var paintDrumDot = document.getElementById('paintDrumDot');
   var paintSampleDot = document.getElementById('paintSampleDot');
@@ -309,6 +371,8 @@
   var randOptVoices = document.getElementById('randOptVoices');
   var randOptBpm = document.getElementById('randOptBpm');
   var randOptSpace = document.getElementById('randOptSpace');
+  var randPhraseBarsEl = document.getElementById('randPhraseBars');
+  var randPhraseShapeBtn = document.getElementById('randPhraseShape');
   var nudgeBtn = document.getElementById('nudgeBtn');
   var nudgeOptsBtn = document.getElementById('nudgeOptsBtn');
   var nudgeOptsMenu = document.getElementById('nudgeOptsMenu');
@@ -353,6 +417,7 @@
   var luckyProducerFaceImg = document.getElementById('luckyProducerFaceImg');
   var luckyProducerLab = document.getElementById('luckyProducerLab');
   var luckyProducerMenu = document.getElementById('luckyProducerMenu');
+  var luckyStyleEl = document.getElementById('luckyStyle');
   var appProducerFaceBtn = document.getElementById('appProducerFaceBtn');
   var appProducerFaceImg = document.getElementById('appProducerFaceImg');
   var currentProducerPickId = 'default';
@@ -375,12 +440,31 @@
   var codeCopyBtn = document.getElementById('codeCopyBtn');
   var codeActionBtn = document.getElementById('codeActionBtn');
   var codeSheetMode = 'load';
+  var exportSheet = document.getElementById('exportSheet');
+  var exportTitle = document.getElementById('exportTitle');
+  var exportHint = document.getElementById('exportHint');
+  var exportBarFill = document.getElementById('exportBarFill');
+  var exportCancelBtn = document.getElementById('exportCancelBtn');
   var wavInput = document.getElementById('wavInput');
+  var midiInput = document.getElementById('midiInput');
+  var bundleInput = document.getElementById('bundleInput');
+  var midiConnectBtn = document.getElementById('midiConnectBtn');
+  var midiInSelectEl = document.getElementById('midiInSelect');
+  var midiRecArmEl = document.getElementById('midiRecArm');
+  var midiRecModeEl = document.getElementById('midiRecMode');
+  var midiLearnBtn = document.getElementById('midiLearnBtn');
+  var midiStatusEl = document.getElementById('midiStatus');
+  var midiClockModeEl = document.getElementById('midiClockMode');
+  var midiOutSelectEl = document.getElementById('midiOutSelect');
   var playheadEl = null;
   var discGroupEl = null;
   var needleEl = null;
   var segEls = {};
+  /** Per-ring <g> inside the disc; polymetric rings turn on top of the disc spin. */
+  var ringGroupEls = {};
   var editMakerId = null;
+  /** What the sound sheet is showing: 'sound' (paint sample), 'song' (arrangement entry), 'history', 'library', 'mixer', 'inserts' or 'master'. */
+  var soundSheetMode = 'sound';
   var rebuildTimer = 0;
   var sayBusy = false;
 
@@ -400,13 +484,57 @@
 
   /** Lucky Roll producer presets. */
   var LUCKY_PRODUCERS = [
-    { id: 'default', name: 'Kim', emoji: '🤖', thumb: 'producer-thumbs/david.webp', blurb: 'Me artistic groover.', dens: 32, golden: 25, skip: 27, sounds: 7, reuse: 94, words: 34, humanity: 27, speed: 35 },
-    { id: 'jacky', name: 'Quinn', emoji: '🦊', thumb: 'producer-thumbs/jacky.webp', blurb: 'Something of a DJ myself.', dens: 36, golden: 32, skip: 42, sounds: 7, reuse: 90, words: 34, humanity: 27, speed: 35 },
-    { id: 'maisie', name: 'Ray', emoji: '🌸', thumb: 'producer-thumbs/maisie.webp', blurb: ' More yap!', dens: 28, golden: 55, skip: 45, sounds: 6, reuse: 20, words: 90, humanity: 95, speed: 32 },
-    { id: 'dense', name: 'Dee', emoji: '🤖', thumb: 'producer-thumbs/dense.webp', blurb: 'Some say I\'m dense. I don\'t deny it.', dens: 72, golden: 35, skip: 18, sounds: 8, reuse: 55, words: 85, humanity: 40, speed: 72 },
-    { id: 'ghost', name: 'Ash', emoji: '👻', thumb: 'producer-thumbs/ghost.webp', blurb: ' Hello  . . . ?  ', dens: 20, golden: 70, skip: 78, sounds: 6, reuse: 40, words: 19, humanity: 85, speed: 44 },
+    { id: 'default', name: 'Kim', emoji: '🤖', thumb: 'producer-thumbs/david.webp', blurb: 'Me artistic groover.', dens: 32, golden: 25, skip: 27, sounds: 7, reuse: 94, words: 34, humanity: 27, speed: 35, styles: { free: 2, boombap: 1, house: 1 } },
+    { id: 'jacky', name: 'Quinn', emoji: '🦊', thumb: 'producer-thumbs/jacky.webp', blurb: 'Something of a DJ myself.', dens: 36, golden: 32, skip: 42, sounds: 7, reuse: 90, words: 34, humanity: 27, speed: 35, styles: { house: 3, garage: 2, dnb: 1 } },
+    { id: 'maisie', name: 'Ray', emoji: '🌸', thumb: 'producer-thumbs/maisie.webp', blurb: ' More yap!', dens: 28, golden: 55, skip: 45, sounds: 6, reuse: 20, words: 90, humanity: 95, speed: 32, styles: { afrobeat: 2, boombap: 1, free: 1 } },
+    { id: 'dense', name: 'Dee', emoji: '🤖', thumb: 'producer-thumbs/dense.webp', blurb: 'Some say I\'m dense. I don\'t deny it.', dens: 72, golden: 35, skip: 18, sounds: 8, reuse: 55, words: 85, humanity: 40, speed: 72, styles: { dnb: 2, trap: 2, free: 1 } },
+    { id: 'ghost', name: 'Ash', emoji: '👻', thumb: 'producer-thumbs/ghost.webp', blurb: ' Hello  . . . ?  ', dens: 20, golden: 70, skip: 78, sounds: 6, reuse: 40, words: 19, humanity: 85, speed: 44, styles: { free: 3, trap: 1 } },
     { id: 'custom', name: 'Custom', emoji: '👾', thumb: 'producer-thumbs/custom.webp', blurb: 'Wait. This beat is yours. I\'m just watching.', dens: null, golden: null, skip: null, sounds: null, reuse: null, words: null, humanity: null, speed: null }
   ];
+  /**
+   * Lucky Roll styles. anchors: hit positions in 32nds of the wheel that always land;
+   * rings: which rings a sound may take; core: placed first (in order); drums: the only
+   * drum makers used (words and samples stay open); bpm: tempo band. DnB and trap use
+   * half-time tempos so they fit the BPM slider.
+   */
+  var LUCKY_STYLES = [
+    {
+      id: 'house', name: 'House', bpm: [118, 128],
+      core: ['kick', 'clap', 'hatOpen'], drums: ['kick', 'clap', 'hatOpen', 'hatClosed', 'ride', 'cowbell'],
+      anchors: { kick: [0, 8, 16, 24], clap: [8, 24], hatOpen: [4, 12, 20, 28] },
+      rings: { kick: ['r16a', 'r16b'], clap: ['r16a', 'r16b', 'r32a', 'r32b'], hatOpen: ['r16a', 'r16b', 'r32a', 'r32b'], hatClosed: ['r32a', 'r32b', 'r16a', 'r16b'] }
+    },
+    {
+      id: 'boombap', name: 'Boom bap', bpm: [84, 96],
+      core: ['kick', 'snare', 'hatClosed'], drums: ['kick', 'snare', 'hatClosed', 'hatOpen', 'ride', 'tom'],
+      anchors: { kick: [0, 14, 20], snare: [8, 24] },
+      rings: { kick: ['r16a', 'r16b', 'r32a'], snare: ['r16a', 'r16b'], hatClosed: ['r16a', 'r16b', 'r32a', 'r32b'] }
+    },
+    {
+      id: 'trap', name: 'Trap', bpm: [65, 75],
+      core: ['kick', 'snare', 'hatClosed'], drums: ['kick', 'snare', 'clap', 'hatClosed', 'hatOpen', 'cowbell'],
+      anchors: { kick: [0, 12, 22], snare: [8, 24], clap: [8, 24] },
+      rings: { kick: ['r32a', 'r32b', 'r16a'], snare: ['r16a', 'r16b'], clap: ['r16a', 'r16b'], hatClosed: ['r48a', 'r48b', 'r32a', 'r32b'] }
+    },
+    {
+      id: 'garage', name: 'UK garage', bpm: [126, 130],
+      core: ['kick', 'snare', 'hatClosed'], drums: ['kick', 'snare', 'clap', 'hatClosed', 'hatOpen', 'ride'],
+      anchors: { kick: [0, 18], snare: [8, 24] },
+      rings: { kick: ['r16a', 'r16b', 'r32a'], snare: ['r16a', 'r16b'], hatClosed: ['r24a', 'r24b', 'r48a'], hatOpen: ['r16a', 'r16b', 'r32a'] }
+    },
+    {
+      id: 'dnb', name: 'Drum & bass', bpm: [84, 88],
+      core: ['kick', 'snare', 'hatClosed'], drums: ['kick', 'snare', 'hatClosed', 'hatOpen', 'ride', 'tom'],
+      anchors: { kick: [0, 10, 16, 26], snare: [4, 12, 20, 28] },
+      rings: { kick: ['r32a', 'r32b'], snare: ['r32a', 'r32b', 'r16a', 'r16b'], hatClosed: ['r32a', 'r32b', 'r48a', 'r48b'] }
+    },
+    {
+      id: 'afrobeat', name: 'Afrobeat', bpm: [100, 115],
+      core: ['kick', 'snare', 'cowbell'], drums: ['kick', 'snare', 'cowbell', 'hatClosed', 'tom', 'ride'],
+      anchors: { kick: [0, 16], snare: [6, 12, 22, 28], cowbell: [0, 6, 12, 16, 22, 28] },
+      rings: { kick: ['r16a', 'r16b', 'r32a'], snare: ['r32a', 'r32b', 'r16a', 'r16b'], cowbell: ['r32a', 'r32b', 'r16a', 'r16b'] }
+    }
+  ];
   var CUSTOM_PRODUCER_EMOJI = '❓';
   var CUSTOM_PRODUCER_THUMB = 'producer-thumbs/custom.webp';
 
@@ -446,9 +574,48 @@
     speed: {
       title: 'Speed',
       body: 'How fast this producer usually goes when Lucky Roll sets BPM. Lower = slower tempos; higher = faster.'
+    },
+    style: {
+      title: 'Style',
+      body: 'Genre template for Lucky Roll: fixes kick / snare positions, which drums go on which rings and the BPM band. Producer mix picks one by the producer\'s taste; Free is the plain Euclidean roll.'
     }
   };
 
+  function luckyStyleById(id) {
+    for (var i = 0; i < LUCKY_STYLES.length; i++) {
+      if (LUCKY_STYLES[i].id === id) return LUCKY_STYLES[i];
+    }
+    return null;
+  }
+
+  /** Style for one Lucky Roll: the Style menu, else a weighted pick from the producer's styles (null = free). */
+  function pickLuckyStyle(rand) {
+    rand = rand || Math.random;
+    var choice = luckyStyleEl ? luckyStyleEl.value : 'mix';
+    if (choice !== 'mix') return luckyStyleById(choice);
+    var weights = producerById(currentProducerPickId).styles;
+    if (!weights) return null;
+    var ids = Object.keys(weights);
+    var total = ids.reduce(function (n, id) { return n + weights[id]; }, 0);
+    var r = rand() * total;
+    var i;
+    for (i = 0; i < ids.length; i++) {
+      r -= weights[ids[i]];
+      if (r < 0) return luckyStyleById(ids[i]);
+    }
+    return null;
+  }
+
+  function buildLuckyStyleSelect() {
+    if (!luckyStyleEl) return;
+    LUCKY_STYLES.forEach(function (style) {
+      var opt = document.createElement('option');
+      opt.value = style.id;
+      opt.textContent = style.name;
+      luckyStyleEl.appendChild(opt);
+    });
+  }
+
   function producerById(id) {
     for (var i = 0; i < LUCKY_PRODUCERS.length; i++) {
       if (LUCKY_PRODUCERS[i].id === id) return LUCKY_PRODUCERS[i];
@@ -882,8 +1049,13 @@
 
   /** True when this ring step lands on a swung offbeat of the chosen note grid. */
   function stepIsSwingOffbeat(stepIdx, ringSegments, swingDiv) {
-    if (!(ringSegments > 0) || !(swingDiv > 0)) return false;
-    var phase = stepIdx / ringSegments;
+    if (!(ringSegments > 0)) return false;
+    return phaseIsSwingOffbeat(stepIdx / ringSegments, swingDiv);
+  }
+
+  /** Bar position (0..1) lands on an offbeat of the swing note. */
+  function phaseIsSwingOffbeat(phase, swingDiv) {
+    if (!(swingDiv > 0)) return false;
     var slot = Math.floor(phase * swingDiv + 1e-9) % swingDiv;
     return (slot % 2) === 1;
   }
@@ -905,8 +1077,12 @@
   }
 
   function getStereoMidHighAmount() {
-    var pct = getStereo() / 100;
-    var db = -36 * pct;
+    return stereoAmountFor(getStereo());
+  }
+
+  /** Mid-high gain for a stereo width percentage (100 = mids pulled down 36 dB). */
+  function stereoAmountFor(pct) {
+    var db = -36 * pct / 100;
     return Math.pow(10, db / 20);
   }
 
@@ -937,6 +1113,58 @@
     if (stereoMidHighGain) stereoMidHighGain.gain.value = getStereoMidHighAmount();
   }
 
+  /**
+   * Mid/side widener: pulls the mid above the crossover down by the stereo amount.
+   * Same nodes live and offline; midHigh is the gain the Stereo slider and lanes drive.
+   */
+  function buildStereoWidener(context) {
+    var widthSplit = context.createChannelSplitter(2);
+    var midSum = context.createGain();
+    var sideSum = context.createGain();
+    var invGain = context.createGain();
+    invGain.gain.value = -1;
+    widthSplit.connect(midSum, 0);
+    widthSplit.connect(midSum, 1);
+    widthSplit.connect(sideSum, 0);
+    widthSplit.connect(invGain, 1);
+    invGain.connect(sideSum);
+
+    var midLowLP = context.createBiquadFilter();
+    midLowLP.type = 'lowpass';
+    midLowLP.frequency.value = STEREO_CROSSOVER_HZ;
+    midLowLP.Q.value = 0.7;
+    var midHighHP = context.createBiquadFilter();
+    midHighHP.type = 'highpass';
+    midHighHP.frequency.value = STEREO_CROSSOVER_HZ;
+    midHighHP.Q.value = 0.7;
+    var midLowGain = context.createGain();
+    midLowGain.gain.value = 1;
+    var midHighGain = context.createGain();
+    midHighGain.gain.value = getStereoMidHighAmount();
+    var midMerge = context.createGain();
+    midMerge.gain.value = 1;
+    midSum.connect(midLowLP);
+    midLowLP.connect(midLowGain);
+    midLowGain.connect(midMerge);
+    midSum.connect(midHighHP);
+    midHighHP.connect(midHighGain);
+    midHighGain.connect(midMerge);
+
+    var sideGain = context.createGain();
+    sideGain.gain.value = 1;
+    var sideGainInv = context.createGain();
+    sideGainInv.gain.value = -1;
+    sideSum.connect(sideGain);
+    sideSum.connect(sideGainInv);
+
+    var widthMerge = context.createChannelMerger(2);
+    midMerge.connect(widthMerge, 0, 0);
+    midMerge.connect(widthMerge, 0, 1);
+    sideGain.connect(widthMerge, 0, 0);
+    sideGainInv.connect(widthMerge, 0, 1);
+    return { input: widthSplit, output: widthMerge, midHigh: midHighGain };
+  }
+
   function buildAudioGraph() {
     master = ctx.createGain();
     master.gain.value = MASTER_GAIN;
@@ -953,11 +1181,18 @@
     mixBus.gain.value = 1;
     master.connect(mixBus);
 
+    // Reverb is fed by each channel strip's send rather than the whole master; ducked strips send through duckSendGain.
+    reverbIn = ctx.createGain();
+    reverbIn.gain.value = MASTER_GAIN;
     var reverbSend = ctx.createBiquadFilter();
     reverbSend.type = 'highpass';
     reverbSend.frequency.value = REVERB_HP_HZ;
     reverbSend.Q.value = 0.7;
-    master.connect(reverbSend);
+    reverbIn.connect(reverbSend);
+    duckSendGain = ctx.createGain();
+    duckSendGain.gain.value = 1;
+    duckSendGain.connect(reverbIn);
+    mixStrips = buildMixStrips(ctx, { punchBus: punchBus, duckGain: duckGain, duckSend: duckSendGain, reverbIn: reverbIn, worklet: workletsLive });
 
     reverbConvolver = ctx.createConvolver();
     reverbConvolver.normalize = true;
@@ -970,52 +1205,11 @@
     reverbConvolver.connect(reverbWetGain);
     reverbWetGain.connect(mixBus);
 
-    var widthSplit = ctx.createChannelSplitter(2);
-    var midSum = ctx.createGain();
-    var sideSum = ctx.createGain();
-    var invGain = ctx.createGain();
-    invGain.gain.value = -1;
-    widthSplit.connect(midSum, 0);
-    widthSplit.connect(midSum, 1);
-    widthSplit.connect(sideSum, 0);
-    widthSplit.connect(invGain, 1);
-    invGain.connect(sideSum);
-
-    var midLowLP = ctx.createBiquadFilter();
-    midLowLP.type = 'lowpass';
-    midLowLP.frequency.value = STEREO_CROSSOVER_HZ;
-    midLowLP.Q.value = 0.7;
-    var midHighHP = ctx.createBiquadFilter();
-    midHighHP.type = 'highpass';
-    midHighHP.frequency.value = STEREO_CROSSOVER_HZ;
-    midHighHP.Q.value = 0.7;
-    var midLowGain = ctx.createGain();
-    midLowGain.gain.value = 1;
-    stereoMidHighGain = ctx.createGain();
-    stereoMidHighGain.gain.value = getStereoMidHighAmount();
-    var midMerge = ctx.createGain();
-    midMerge.gain.value = 1;
-    midSum.connect(midLowLP);
-    midLowLP.connect(midLowGain);
-    midLowGain.connect(midMerge);
-    midSum.connect(midHighHP);
-    midHighHP.connect(stereoMidHighGain);
-    stereoMidHighGain.connect(midMerge);
-
-    var sideGain = ctx.createGain();
-    sideGain.gain.value = 1;
-    var sideGainInv = ctx.createGain();
-    sideGainInv.gain.value = -1;
-    sideSum.connect(sideGain);
-    sideSum.connect(sideGainInv);
-
-    var widthMerge = ctx.createChannelMerger(2);
-    midMerge.connect(widthMerge, 0, 0);
-    midMerge.connect(widthMerge, 0, 1);
-    sideGain.connect(widthMerge, 0, 0);
-    sideGainInv.connect(widthMerge, 0, 1);
+    var widener = buildStereoWidener(ctx);
+    stereoMidHighGain = widener.midHigh;
 
-    mixBus.connect(widthSplit);
+    masterPoint = { from: mixBus, to: widener.input, chain: null };
+    setInsertPoint(ctx, masterPoint, 'master', { worklet: workletsLive });
     analyser = ctx.createAnalyser();
     analyser.fftSize = 512;
     analyser.smoothingTimeConstant = 0.78;
@@ -1026,7 +1220,10 @@
     initFftParticles();
     initStarParticles();
     initGalaxyParticles();
-    widthMerge.connect(analyser);
+    masterChainLive = buildMasterChain(ctx, { worklet: workletsLive });
+    widener.output.connect(masterChainLive.input);
+    masterChainLive.output.connect(analyser);
+    meterTaps = buildMeterTaps(masterChainLive.output);
     analyser.connect(ctx.destination);
   }
 
@@ -1710,10 +1907,218 @@
     return p;
   }
 
+  function clampVelocity(v) {
+    v = Math.round(Number(v));
+    if (!Number.isFinite(v)) return VEL_DEFAULT;
+    return Math.max(VEL_MIN, Math.min(VEL_MAX, v));
+  }
+
+  /**
+   * Ring cell: sample id + velocity (1–127) + accent flag (1 accent, -1 ghost, 0 plain).
+   * extra: prob (1–100 %), cond ('' always, see cellCondOk), rat (1–4 strikes per step),
+   * flam, nudge (±50 % of a step), pitch (semitones) and len (steps, 0 = natural) for melodic rings,
+   * chop (vocal chop number of a word, 0 = next piece in order).
+   */
+  function makeCell(sampleId, vel, acc, extra) {
+    if (!sampleId) return null;
+    extra = extra || {};
+    var p = Math.round(Number(extra.prob));
+    var r = Math.round(Number(extra.rat));
+    var nudge = Math.round(Number(extra.nudge));
+    var pitch = Math.round(Number(extra.pitch));
+    var len = Math.round(Number(extra.len));
+    var chop = Math.round(Number(extra.chop));
+    return {
+      id: sampleId,
+      vel: clampVelocity(vel == null ? VEL_DEFAULT : vel),
+      acc: acc > 0 ? 1 : (acc < 0 ? -1 : 0),
+      prob: Number.isFinite(p) ? Math.max(1, Math.min(100, p)) : 100,
+      cond: isCellCond(extra.cond) ? extra.cond : '',
+      rat: Number.isFinite(r) ? Math.max(1, Math.min(RATCHET_MAX, r)) : 1,
+      flam: !!extra.flam,
+      nudge: Number.isFinite(nudge) ? Math.max(-NUDGE_MAX, Math.min(NUDGE_MAX, nudge)) : 0,
+      pitch: Number.isFinite(pitch) ? Math.max(-PITCH_MAX, Math.min(PITCH_MAX, pitch)) : 0,
+      len: Number.isFinite(len) ? Math.max(0, Math.min(NOTE_LEN_MAX, len)) : 0,
+      chop: Number.isFinite(chop) ? Math.max(0, Math.min(CHOP_MAX, chop)) : 0
+    };
+  }
+
+  /** Timing and pitch fields of a cell, kept when it is repainted. */
+  function cellTiming(cell) {
+    return cell ? { rat: cell.rat, flam: cell.flam, nudge: cell.nudge, pitch: cell.pitch, len: cell.len, chop: cell.chop } : {};
+  }
+
+  var RATCHET_MAX = 4;
+  /** Each ratchet repeat plays at this fraction of the one before. */
+  var RATCHET_DECAY = 0.7;
+  /** Flam grace note: this far ahead of the hit, at this level. */
+  var FLAM_SEC = 0.025;
+  var FLAM_LEVEL = 0.5;
+  /** Nudge limit, percent of a step either way. */
+  var NUDGE_MAX = 50;
+  /** Melodic rings: pitch range (semitones) and longest gated note (steps). */
+  var PITCH_MAX = 24;
+  var NOTE_LEN_MAX = 16;
+  /** Most vocal chops one word is cut into. */
+  var CHOP_MAX = 16;
+  /** MIDI note a melodic cell at pitch 0 exports as (middle C). */
+  var MELODIC_ROOT_NOTE = 60;
+  var NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  var SCALES = {
+    off: null,
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    pentatonic: [0, 2, 4, 7, 9],
+    minpent: [0, 3, 5, 7, 10],
+    blues: [0, 3, 5, 6, 7, 10]
+  };
+  /** Key lock for melodic rings; sample root is treated as C. */
+  var scaleLock = { root: 0, scale: 'off' };
+
+  function pitchInScale(semi) {
+    var steps = SCALES[scaleLock.scale];
+    if (!steps) return true;
+    return steps.indexOf(positiveMod(semi - scaleLock.root, 12)) !== -1;
+  }
+
+  /** Nearest in-scale pitch (ties go down). */
+  function snapPitch(semi) {
+    var d;
+    for (d = 0; d < 12; d++) {
+      if (pitchInScale(semi - d)) return Math.max(-PITCH_MAX, semi - d);
+      if (pitchInScale(semi + d)) return Math.min(PITCH_MAX, semi + d);
+    }
+    return semi;
+  }
+
+  function pitchName(semi) {
+    return NOTE_NAMES[positiveMod(semi, 12)] + (4 + Math.floor(semi / 12)) + ' (' + (semi > 0 ? '+' : '') + semi + ')';
+  }
+
+  function cellNudgeSec(cell, stepDur) {
+    return (cell.nudge || 0) / 100 * stepDur;
+  }
+
+  /** Strikes for one cell relative to its step: { dt, scale } with nudge, flam and ratchets. */
+  function cellStrikes(cell, stepDur) {
+    var base = cellNudgeSec(cell, stepDur);
+    var out = [];
+    if (cell.flam) out.push({ dt: base - FLAM_SEC, scale: FLAM_LEVEL });
+    var r = cell.rat || 1;
+    var k;
+    for (k = 0; k < r; k++) out.push({ dt: base + k * stepDur / r, scale: Math.pow(RATCHET_DECAY, k) });
+    return out;
+  }
+
+  /** Conditions: first / last pass of a song part, fill / nofill, nprev (previous hit on the ring did not fire), X:Y (pass X of every Y). */
+  var CELL_CONDS = ['first', 'last', 'fill', 'nofill', 'nprev'];
+
+  function isCellCond(cond) {
+    if (!cond) return false;
+    if (CELL_CONDS.indexOf(cond) !== -1) return true;
+    var m = /^(\d):(\d)$/.exec(cond);
+    return !!(m && +m[1] >= 1 && +m[1] <= +m[2]);
+  }
+
+  /** Bar context for conditions: pass within the song part (or loop), part length (0 = open loop), fill. */
+  var PASS_PLAIN = { pass: 0, passes: 0, fill: false, entry: -1 };
+
+  function cellCondOk(cond, pass, prevFired) {
+    if (!cond) return true;
+    if (cond === 'first') return pass.pass === 0;
+    if (cond === 'last') return pass.passes > 0 && pass.pass === pass.passes - 1;
+    if (cond === 'fill') return !!pass.fill;
+    if (cond === 'nofill') return !pass.fill;
+    if (cond === 'nprev') return !prevFired;
+    var xy = cond.split(':');
+    return pass.pass % (+xy[1]) === (+xy[0]) - 1;
+  }
+
+  /**
+   * Whether a painted cell fires this bar. Chance rolls hash the wheel, step,
+   * pass and song part, so live playback, scrubbing and export agree.
+   */
+  function cellFires(cell, layerIdx, ringId, i, pass, prevFired) {
+    pass = pass || PASS_PLAIN;
+    if (!cellCondOk(cell.cond, pass, prevFired)) return false;
+    if (!(cell.prob < 100)) return true;
+    return pseudo01(ringId, i + 97 * pass.pass, 53 + layerIdx * 7 + (pass.entry + 1) * 131) * 100 < cell.prob;
+  }
+
+  function cellId(cell) {
+    return cell ? cell.id : null;
+  }
+
+  /** Playback gain multiplier — exactly 1 at default velocity with no accent. */
+  function cellGain(cell) {
+    if (!cell) return 1;
+    var g = Math.pow(cell.vel / VEL_DEFAULT, 1.6);
+    if (cell.acc > 0) g *= ACCENT_GAIN;
+    else if (cell.acc < 0) g *= GHOST_GAIN;
+    return g;
+  }
+
+  /** Note-on velocity with accent / ghost folded in (MIDI export, wheel shading). */
+  function cellMidiVelocity(cell) {
+    if (!cell) return VEL_DEFAULT;
+    var v = cell.vel;
+    if (cell.acc > 0) v += 24;
+    else if (cell.acc < 0) v *= 0.45;
+    return clampVelocity(v);
+  }
+
+  function cellOpacity(cell) {
+    return 0.25 + 0.75 * Math.min(1, cellMidiVelocity(cell) / VEL_DEFAULT);
+  }
+
+  /**
+   * Code token: id, optional *vel, optional ! (accent) or ~ (ghost), optional #ratchet,
+   * optional & (flam), optional +/-nudge, optional =pitch, optional /length, optional ^chop,
+   * optional %chance, optional @condition. Plain ids stay plain.
+   */
+  function encodeCellToken(cell) {
+    if (!cell) return '_';
+    var out = cell.id;
+    if (cell.vel !== VEL_DEFAULT) out += '*' + cell.vel;
+    if (cell.acc > 0) out += '!';
+    else if (cell.acc < 0) out += '~';
+    if (cell.rat > 1) out += '#' + cell.rat;
+    if (cell.flam) out += '&';
+    if (cell.nudge) out += (cell.nudge > 0 ? '+' : '') + cell.nudge;
+    if (cell.pitch) out += '=' + cell.pitch;
+    if (cell.len) out += '/' + cell.len;
+    if (cell.chop) out += '^' + cell.chop;
+    if (cell.prob < 100) out += '%' + cell.prob;
+    if (cell.cond) out += '@' + cell.cond;
+    return out;
+  }
+
+  function parseCellToken(token) {
+    if (!token || token === '_') return null;
+    var m = /^([^*!~#&+\-=\/^%@]+)(?:\*(\d+))?([!~])?(?:#(\d))?(&)?([+-]\d+)?(?:=(-?\d+))?(?:\/(\d+))?(?:\^(\d+))?(?:%(\d+))?(?:@([\w:]+))?$/.exec(token);
+    if (!m) return makeCell(token);
+    return makeCell(
+      m[1],
+      m[2] != null ? parseInt(m[2], 10) : VEL_DEFAULT,
+      m[3] === '!' ? 1 : (m[3] === '~' ? -1 : 0),
+      {
+        rat: m[4] != null ? parseInt(m[4], 10) : 1,
+        flam: !!m[5],
+        nudge: m[6] != null ? parseInt(m[6], 10) : 0,
+        pitch: m[7] != null ? parseInt(m[7], 10) : 0,
+        len: m[8] != null ? parseInt(m[8], 10) : 0,
+        chop: m[9] != null ? parseInt(m[9], 10) : 0,
+        prob: m[10] != null ? parseInt(m[10], 10) : 100,
+        cond: m[11]
+      }
+    );
+  }
+
   function initLayers() {
     layers = [];
     for (var i = 0; i < MAX_CIRCLES; i++) {
-      layers.push({ enabled: i < 2, pattern: emptyPattern() });
+      layers.push({ enabled: i < 2, pattern: emptyPattern(), auto: {}, lengths: {}, melodic: {} });
     }
   }
 
@@ -1824,7 +2229,7 @@
   }
 
   function syncLayerUi() {
-    var on = !!(layers[viewLayer] && layers[viewLayer].enabled);
+    var on = layerInPlay(viewLayer);
     layerLab.textContent = layerLabel(viewLayer) + (on ? '' : ' · off');
     circleWrap.classList.toggle('disabled', !on);
     if (layerMenu.classList.contains('open')) buildLayerMenu();
@@ -1860,6 +2265,223 @@
     return nextEnabled(from);
   }
 
+  /** Sample group used by song mutes and stems: words / drums / samples. */
+  function sampleGroup(sampleId) {
+    var s = sampleById(sampleId);
+    if (!s) return null;
+    if (s.type === 'text') return 'words';
+    if (s.type === 'maker') return 'drums';
+    return 'samples';
+  }
+
+  function isMutedIn(mute, sampleId) {
+    return !!(mute && mute.length && mute.indexOf(sampleGroup(sampleId)) !== -1);
+  }
+
+  function makeArrangeEntry(layerIdx, repeat, bpm, mute, fill) {
+    var b = Number(bpm);
+    return {
+      layer: Math.max(0, Math.min(MAX_CIRCLES - 1, layerIdx | 0)),
+      repeat: Math.max(1, Math.min(ARRANGE_MAX_REPEAT, Math.round(Number(repeat)) || 1)),
+      bpm: Number.isFinite(b) && b > 0 ? Math.max(50, Math.min(130, Math.round(b))) : null,
+      mute: (mute || []).filter(function (g) { return SAMPLE_GROUPS.indexOf(g) !== -1; }),
+      fill: !!fill
+    };
+  }
+
+  function arrangementActive() {
+    return !!(arrangement.on && arrangement.entries.length);
+  }
+
+  /** Wheel is part of playback — the enabled chain, or a part of the active song. */
+  function layerInPlay(idx) {
+    if (arrangementActive()) {
+      return arrangement.entries.some(function (entry) { return entry.layer === idx; });
+    }
+    return !!(layers[idx] && layers[idx].enabled);
+  }
+
+  /** Song expanded to one slot per bar: { entry, pass, layer, bpm, mute }. */
+  function arrangementBars() {
+    var bars = [];
+    arrangement.entries.forEach(function (entry, idx) {
+      var r;
+      for (r = 0; r < entry.repeat; r++) {
+        bars.push({ entry: idx, pass: r, layer: entry.layer, bpm: entry.bpm, mute: entry.mute });
+      }
+    });
+    return bars;
+  }
+
+  function songSlotForBar(barIndex) {
+    var bars = arrangementBars();
+    if (!bars.length) return null;
+    var n = bars.length;
+    return bars[((barIndex % n) + n) % n];
+  }
+
+  function setArrangementOn(on) {
+    arrangement.on = !!on;
+    if (arrangement.on && !arrangement.entries.length) {
+      // Seed from the current chain so switching modes keeps what was playing.
+      layers.forEach(function (layer, idx) {
+        if (layer.enabled) arrangement.entries.push(makeArrangeEntry(idx, 1));
+      });
+      if (!arrangement.entries.length) arrangement.entries.push(makeArrangeEntry(viewLayer, 1));
+    }
+    songBar = 0;
+    songChanged();
+  }
+
+  function buildSongStrip() {
+    if (songModeEl) songModeEl.checked = arrangement.on;
+    if (!songStripEl || !songEntriesEl) return;
+    songStripEl.hidden = !arrangement.on;
+    songEntriesEl.innerHTML = '';
+    arrangement.entries.forEach(function (entry, idx) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'song-entry' + (idx === shownSongEntry ? ' active' : '');
+      btn.dataset.entry = String(idx);
+      var name = document.createElement('span');
+      name.className = 'song-entry-name';
+      name.textContent = 'W' + (entry.layer + 1) + (entry.repeat > 1 ? ' ×' + entry.repeat : '');
+      btn.appendChild(name);
+      var tags = [];
+      if (entry.bpm) tags.push(String(entry.bpm));
+      entry.mute.forEach(function (g) { tags.push('−' + g); });
+      if (entry.fill) tags.push('fill');
+      if (tags.length) {
+        var sub = document.createElement('span');
+        sub.className = 'song-entry-tags';
+        sub.textContent = tags.join(' ');
+        btn.appendChild(sub);
+      }
+      btn.title = layerLabel(entry.layer) + ' — ' + entry.repeat + ' bar' + (entry.repeat > 1 ? 's' : '');
+      btn.addEventListener('click', function () { openArrangeEntryEditor(idx); });
+      songEntriesEl.appendChild(btn);
+    });
+  }
+
+  function markSongEntry(idx) {
+    if (idx === shownSongEntry) return;
+    shownSongEntry = idx;
+    if (!songEntriesEl) return;
+    songEntriesEl.querySelectorAll('.song-entry').forEach(function (el) {
+      el.classList.toggle('active', +el.dataset.entry === idx);
+    });
+  }
+
+  function moveArrangeEntry(idx, dir) {
+    var to = idx + dir;
+    if (to < 0 || to >= arrangement.entries.length) return idx;
+    var item = arrangement.entries.splice(idx, 1)[0];
+    arrangement.entries.splice(to, 0, item);
+    return to;
+  }
+
+  function songChanged() {
+    clearScrubHitCache();
+    buildSongStrip();
+    syncLayerUi();
+  }
+
+  function openArrangeEntryEditor(idx) {
+    var entry = arrangement.entries[idx];
+    if (!entry) return;
+    openSheetFor('song', 'Song part ' + (idx + 1));
+
+    var wheelWrap = document.createElement('div');
+    wheelWrap.className = 'param';
+    wheelWrap.innerHTML = '<div class="row"><span>Wheel</span><span></span></div>';
+    var sel = document.createElement('select');
+    var i;
+    for (i = 0; i < MAX_CIRCLES; i++) {
+      var o = document.createElement('option');
+      o.value = String(i);
+      o.textContent = layerLabel(i) + (layerHasHits(i) ? '' : ' (empty)');
+      sel.appendChild(o);
+    }
+    sel.value = String(entry.layer);
+    sel.addEventListener('change', function () {
+      entry.layer = parseInt(sel.value, 10) || 0;
+      songChanged();
+    });
+    wheelWrap.appendChild(sel);
+    soundBody.appendChild(wheelWrap);
+
+    soundBody.appendChild(buildParamRange('Repeat', 1, ARRANGE_MAX_REPEAT, 1, entry.repeat, function (n) {
+      return '×' + n;
+    }, function (n) {
+      entry.repeat = n;
+      songChanged();
+    }));
+
+    var bpmRange = buildParamRange('Tempo', 50, 130, 1, entry.bpm || Math.round(getBpm()), function (n) {
+      return n + ' BPM';
+    }, function (n) {
+      entry.bpm = n;
+      songChanged();
+    });
+    bpmRange.hidden = !entry.bpm;
+    soundBody.appendChild(buildParamCheck('Own tempo', !!entry.bpm, function (on) {
+      entry.bpm = on ? Math.round(parseFloat(bpmRange.querySelector('input').value) || getBpm()) : null;
+      bpmRange.hidden = !on;
+      songChanged();
+    }));
+    soundBody.appendChild(bpmRange);
+
+    soundBody.appendChild(buildParamCheck('Fill on last pass', entry.fill, function (on) {
+      entry.fill = on;
+      songChanged();
+    }));
+
+    SAMPLE_GROUPS.forEach(function (g) {
+      soundBody.appendChild(buildParamCheck('Mute ' + g, entry.mute.indexOf(g) !== -1, function (on) {
+        entry.mute = entry.mute.filter(function (x) { return x !== g; });
+        if (on) entry.mute.push(g);
+        songChanged();
+      }));
+    });
+
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    [
+      { label: '◀', title: 'Move earlier', run: function () { return moveArrangeEntry(idx, -1); } },
+      { label: '▶', title: 'Move later', run: function () { return moveArrangeEntry(idx, 1); } },
+      {
+        label: 'Duplicate',
+        title: 'Copy this part after itself',
+        run: function () {
+          if (arrangement.entries.length >= ARRANGE_MAX_ENTRIES) return idx;
+          arrangement.entries.splice(idx + 1, 0, makeArrangeEntry(entry.layer, entry.repeat, entry.bpm, entry.mute, entry.fill));
+          return idx + 1;
+        }
+      },
+      {
+        label: 'Delete',
+        title: 'Remove this part',
+        run: function () {
+          arrangement.entries.splice(idx, 1);
+          return -1;
+        }
+      }
+    ].forEach(function (act) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = act.label;
+      btn.title = act.title;
+      btn.addEventListener('click', function () {
+        var next = act.run();
+        songChanged();
+        if (next >= 0) openArrangeEntryEditor(next);
+        else closeSoundEditor();
+      });
+      actions.appendChild(btn);
+    });
+    soundBody.appendChild(actions);
+  }
+
   function ringRadii(layerIndex) {
     var n = RINGS.length;
     var span = OUTER - INNER_HUB;
@@ -2411,7 +3033,7 @@
     RINGS.forEach(function (ring) {
       var steps = pat[ring.id] || [];
       for (var i = 0; i < steps.length; i++) {
-        var s = sampleById(steps[i]);
+        var s = sampleById(cellId(steps[i]));
         if (s && s.type === 'maker' && s.maker) used[s.maker] = true;
       }
     });
@@ -2628,9 +3250,7 @@
     var textIds = SAMPLES.filter(function (s) { return s.type === 'text'; }).map(function (s) { return s.id; });
     var i;
     for (i = 0; i < textIds.length; i++) {
-      var p = getSayVoiceParams(textIds[i]);
-      p.engine = 'sam';
-      p.voiceSeed = 'sam-' + Math.floor(Math.random() * 1e9);
+      reseedSayVoice(getSayVoiceParams(textIds[i]));
     }
     await ensureAudio();
     for (i = 0; i < textIds.length; i++) {
@@ -2643,19 +3263,19 @@
         console.error(e);
       }
     }
-    if (soundSheet.classList.contains('open')) {
+    if (soundEditorOpen()) {
       var cur = sampleById(paintSample);
       if (cur && cur.type === 'text') openSoundEditor();
     }
   }
 
-  function pickRandomBpm() {
-    // Producer Speed biases the usual tempo band (50–130 BPM).
+  function pickRandomBpm(style) {
+    // Producer Speed biases the usual tempo band (50–130 BPM), or the style's own band.
     var speed = getLuckySpeed();
-    var minBpm = 50;
-    var maxBpm = 130;
+    var minBpm = style ? style.bpm[0] : 50;
+    var maxBpm = style ? style.bpm[1] : 130;
     var target = minBpm + speed * (maxBpm - minBpm);
-    var spread = 16 + (1 - Math.abs(speed - 0.5) * 2) * 6;
+    var spread = style ? Math.max(1, (maxBpm - minBpm) / 4) : 16 + (1 - Math.abs(speed - 0.5) * 2) * 6;
     var lo = Math.max(minBpm, Math.round(target - spread));
     var hi = Math.min(maxBpm, Math.round(target + spread));
     if (hi < lo) hi = lo;
@@ -2666,10 +3286,11 @@
     bpmEl.value = String(v);
     bpmVal.textContent = String(v);
     updateReverbIR();
+    syncInsertTempo();
   }
 
-  function randomizeBpm() {
-    applyBpmValue(pickRandomBpm());
+  function randomizeBpm(style) {
+    applyBpmValue(pickRandomBpm(style));
   }
 
   /** Random in [min,max], biased toward lower values (power > 1). */
@@ -2864,19 +3485,27 @@
   }
 
   async function runRandomise() {
-    var indices = selectedRandLayers();
     var doProducer = !!(randOptProducer && randOptProducer.checked);
     var doPatterns = !!(randOptPatterns && randOptPatterns.checked);
+    var phrase = doPatterns && luckyPhrase.bars > 0;
+    var indices = phrase ? phraseLayers() : selectedRandLayers();
     var doSounds = !!(randOptSounds && randOptSounds.checked);
     var doWords = !!(randOptWords && randOptWords.checked);
     var doVoices = !!(randOptVoices && randOptVoices.checked);
     var doBpm = !!(randOptBpm && randOptBpm.checked);
     var doSpace = !!(randOptSpace && randOptSpace.checked);
     if (!doProducer && !doPatterns && !doSounds && !doWords && !doVoices && !doBpm && !doSpace) return;
+    recordHistory('Lucky Roll');
+    if (phrase) {
+      // The section plays through its wheels in order.
+      indices.forEach(function (idx) { layers[idx].enabled = true; });
+      syncLayerUi();
+    }
 
     // Optional: pick a named producer first so dens/skip/etc. feed the rest of the roll.
     if (doProducer) applyLuckyProducer(pickRandomNamedProducerId());
     unlockHubProducerFace();
+    var style = pickLuckyStyle();
 
     var wasPlaying = playing;
     var live = !!(randOptLive && randOptLive.checked);
@@ -2894,7 +3523,7 @@
         globalsApplied: false
       };
 
-      if (doBpm) roll.bpm = pickRandomBpm();
+      if (doBpm) roll.bpm = pickRandomBpm(style);
       if (doSpace) roll.space = pickRandomSpace();
 
       if (doWords) {
@@ -2914,10 +3543,13 @@
           if (s.type !== 'text') return;
           var prev = getSayVoiceParams(s.id);
           roll.sayVoices[s.id] = {
-            engine: 'sam',
+            engine: speechEngineName(prev),
             voiceSeed: 'sam-' + Math.floor(Math.random() * 1e9),
             pitchVar: prev.pitchVar || 0,
-            volVar: prev.volVar || 0
+            volVar: prev.volVar || 0,
+            phonetic: !!prev.phonetic,
+            split: !!prev.split,
+            chop: !!prev.chop
           };
         });
       }
@@ -2927,17 +3559,17 @@
         var baseSeed = (Date.now() ^ ((Math.random() * 0x100000000) >>> 0)) >>> 0;
         var consistency = getLuckyConsistency();
         var masterPlan = consistency > 0
-          ? buildLuckyFillPlan(createStructRng(baseSeed))
+          ? buildLuckyFillPlan(createStructRng(baseSeed), style)
           : null;
         roll.patterns = {};
-        indices.forEach(function (idx) {
+        indices.forEach(function (idx, k) {
           var plan;
           if (consistency >= 0.999 && masterPlan) {
             plan = masterPlan;
           } else if (consistency <= 0.001 || !masterPlan) {
-            plan = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed, idx + 1)));
+            plan = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed, idx + 1)), style);
           } else {
-            var alt = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed, idx + 1)));
+            var alt = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed, idx + 1)), style);
             plan = blendLuckyFillPlans(
               masterPlan,
               alt,
@@ -2945,6 +3577,7 @@
               createStructRng(hashSeed(baseSeed, idx + 99))
             );
           }
+          if (phrase) plan = shapePhrasePlan(plan, k, indices.length);
           var nextPat = emptyPattern();
           applyLuckyFillPlan(nextPat, plan);
           roll.patterns[idx] = nextPat;
@@ -2998,7 +3631,7 @@
       return;
     }
 
-    if (doBpm) randomizeBpm();
+    if (doBpm) randomizeBpm(style);
     if (doSpace) randomizeSpace();
 
     if (doWords) await randomizeWords();
@@ -3009,16 +3642,16 @@
       var baseSeed2 = (Date.now() ^ ((Math.random() * 0x100000000) >>> 0)) >>> 0;
       var consistency2 = getLuckyConsistency();
       var masterPlan2 = consistency2 > 0
-        ? buildLuckyFillPlan(createStructRng(baseSeed2))
+        ? buildLuckyFillPlan(createStructRng(baseSeed2), style)
         : null;
-      indices.forEach(function (idx) {
+      indices.forEach(function (idx, k) {
         var plan;
         if (consistency2 >= 0.999 && masterPlan2) {
           plan = masterPlan2;
         } else if (consistency2 <= 0.001 || !masterPlan2) {
-          plan = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed2, idx + 1)));
+          plan = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed2, idx + 1)), style);
         } else {
-          var alt2 = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed2, idx + 1)));
+          var alt2 = buildLuckyFillPlan(createStructRng(hashSeed(baseSeed2, idx + 1)), style);
           plan = blendLuckyFillPlans(
             masterPlan2,
             alt2,
@@ -3026,6 +3659,7 @@
             createStructRng(hashSeed(baseSeed2, idx + 99))
           );
         }
+        if (phrase) plan = shapePhrasePlan(plan, k, indices.length);
         applyLuckyFillPlan(layers[idx].pattern, plan);
       });
       pattern = layers[viewLayer].pattern;
@@ -3074,7 +3708,7 @@
       for (i = 0; i < arr.length; i++) {
         if (arr[i]) {
           hitIdx.push(i);
-          if (sounds.indexOf(arr[i]) === -1) sounds.push(arr[i]);
+          if (sounds.indexOf(arr[i].id) === -1) sounds.push(arr[i].id);
         }
       }
       if (!hitIdx.length) return;
@@ -3105,7 +3739,7 @@
           for (i = 0; i < arr.length; i++) if (!arr[i]) empty.push(i);
           if (empty.length) {
             var addAt = empty[Math.floor(Math.random() * empty.length)];
-            arr[addAt] = sounds[Math.floor(Math.random() * sounds.length)];
+            arr[addAt] = makeCell(sounds[Math.floor(Math.random() * sounds.length)]);
           }
         }
         hitIdx = [];
@@ -3200,9 +3834,7 @@
     shuffleInPlace(order);
     var i;
     for (i = 0; i < changeN; i++) {
-      var p = getSayVoiceParams(order[i]);
-      p.engine = 'sam';
-      p.voiceSeed = 'sam-' + Math.floor(Math.random() * 1e9);
+      reseedSayVoice(getSayVoiceParams(order[i]));
     }
     await ensureAudio();
     for (i = 0; i < changeN; i++) {
@@ -3215,7 +3847,7 @@
         console.error(e);
       }
     }
-    if (soundSheet.classList.contains('open')) {
+    if (soundEditorOpen()) {
       var cur = sampleById(paintSample);
       if (cur && cur.type === 'text') openSoundEditor();
     }
@@ -3255,6 +3887,7 @@
     var needLayer = doPatterns || doSounds;
     var layerIdx = needLayer ? takeNextNudgeLayer() : null;
     if (needLayer && layerIdx == null && !doWords && !doVoices && !doBpm && !doSpace) return;
+    recordHistory('Nudge');
 
     var wasPlaying = playing;
 
@@ -3296,9 +3929,14 @@
     return key.replace(/([A-Z])/g, ' $1').replace(/^./, function (c) { return c.toUpperCase(); });
   }
 
+  function soundEditorOpen() {
+    return soundSheet.classList.contains('open') && soundSheetMode === 'sound';
+  }
+
   function openSoundEditor() {
     var sample = sampleById(paintSample);
     if (!sample) return;
+    soundSheetMode = 'sound';
     soundTitle.textContent = sample.label;
     soundDot.style.background = cssSwatch(sample);
     soundBody.innerHTML = '';
@@ -3319,6 +3957,59 @@
     soundSheet.classList.remove('open');
     soundSheet.setAttribute('aria-hidden', 'true');
     editMakerId = null;
+    soundSheetMode = 'sound';
+  }
+
+  /** Open the sound sheet for a non-sample editor; caller fills soundBody. */
+  function openSheetFor(mode, title, color) {
+    soundSheetMode = mode;
+    editMakerId = null;
+    soundTitle.textContent = title;
+    soundDot.style.background = color || 'var(--play)';
+    soundBody.innerHTML = '';
+    soundSheet.classList.add('open');
+    soundSheet.setAttribute('aria-hidden', 'false');
+  }
+
+  /** Labeled range row (.param) for sheet editors; fmt formats the value label. */
+  function buildParamRange(label, min, max, step, value, fmt, onInput) {
+    var wrap = document.createElement('div');
+    wrap.className = 'param';
+    var row = document.createElement('div');
+    row.className = 'row';
+    var lab = document.createElement('span');
+    lab.textContent = label;
+    var val = document.createElement('span');
+    fmt = fmt || String;
+    val.textContent = fmt(value);
+    row.appendChild(lab);
+    row.appendChild(val);
+    var input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    input.value = String(value);
+    input.addEventListener('input', function () {
+      var n = parseFloat(input.value);
+      val.textContent = fmt(n);
+      onInput(n);
+    });
+    wrap.appendChild(row);
+    wrap.appendChild(input);
+    return wrap;
+  }
+
+  function buildParamCheck(label, checked, onChange) {
+    var row = document.createElement('label');
+    row.className = 'param-check';
+    var cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = !!checked;
+    cb.addEventListener('change', function () { onChange(cb.checked); });
+    row.appendChild(cb);
+    row.appendChild(document.createTextNode(label));
+    return row;
   }
 
   function buildSampleForm(sampleId) {
@@ -3340,9 +4031,102 @@
     previewBtn.addEventListener('click', function () {
       listenSample(sampleId).catch(function (e) { console.error(e); });
     });
+    var recBtn = document.createElement('button');
+    recBtn.type = 'button';
+    recBtn.id = 'micRecBtn';
+    recBtn.title = 'Record the microphone into this slot';
+    recBtn.addEventListener('click', function () {
+      if (micRecPending) return;
+      var job = micRec ? finishMicRecording() : startMicRecording(sampleId);
+      job.catch(function (e) { console.error(e); });
+    });
     actions.appendChild(loadBtn);
     actions.appendChild(previewBtn);
+    actions.appendChild(recBtn);
+    soundBody.appendChild(actions);
+    soundBody.appendChild(buildParamSelect('Record length', [
+      { value: '0', label: 'Free (until Stop)' },
+      { value: '1', label: '1 bar' },
+      { value: '2', label: '2 bars' },
+      { value: '4', label: '4 bars' }
+    ], String(micRecBars), function (v) { micRecBars = parseInt(v, 10); }));
+    syncMicRecUi();
+    buildSampleEditor(sampleId);
+  }
+
+  /** Waveform plus trim / fade / reverse / gain / playback / choke; edits never touch the file. */
+  function buildSampleEditor(sampleId) {
+    var raw = sampleRaw[sampleId];
+    if (!raw) return;
+    var edit = sampleEdit(sampleId);
+    var dur = Math.round(raw.duration * 1000) / 1000;
+    var canvas = document.createElement('canvas');
+    canvas.className = 'sample-wave';
+    canvas.width = 320;
+    canvas.height = 72;
+    canvas.title = 'Tap to move the nearest trim point';
+    canvas.addEventListener('click', function (e) {
+      var rect = canvas.getBoundingClientRect();
+      var t = Math.round((e.clientX - rect.left) / rect.width * dur * 1000) / 1000;
+      var cur = sampleEdit(sampleId);
+      var end = cur.end || dur;
+      if (Math.abs(t - cur.start) <= Math.abs(t - end)) setSampleEdit(sampleId, 'start', Math.min(t, end));
+      else setSampleEdit(sampleId, 'end', t >= dur ? 0 : Math.max(t, cur.start));
+      openSoundEditor();
+    });
+    soundBody.appendChild(canvas);
+    function redraw() { drawSampleWave(canvas, sampleId); }
+    function change(key) {
+      return function (v) {
+        setSampleEdit(sampleId, key, v);
+        redraw();
+      };
+    }
+    function sec(v) { return v.toFixed(3) + ' s'; }
+    function ms(v) { return v + ' ms'; }
+    soundBody.appendChild(buildParamRange('Start', 0, dur, 0.001, edit.start, sec, change('start')));
+    soundBody.appendChild(buildParamRange('End', 0, dur, 0.001, edit.end || dur, sec, function (v) {
+      change('end')(v >= dur ? 0 : v);
+    }));
+    soundBody.appendChild(buildParamRange('Fade in', 0, 500, 1, edit.fadeIn, ms, change('fadeIn')));
+    soundBody.appendChild(buildParamRange('Fade out', 0, 2000, 5, edit.fadeOut, ms, change('fadeOut')));
+    soundBody.appendChild(buildParamRange('Gain', -24, 12, 0.5, edit.gain, function (v) {
+      return (v > 0 ? '+' : '') + v + ' dB';
+    }, change('gain')));
+    soundBody.appendChild(buildParamCheck('Reverse', edit.reverse, change('reverse')));
+    soundBody.appendChild(buildParamSelect('Playback', [
+      { value: 'shot', label: 'One-shot (plays to the end)' },
+      { value: 'gate', label: 'Gated (stops at the next step)' }
+    ], edit.gate ? 'gate' : 'shot', function (v) { setSampleEdit(sampleId, 'gate', v === 'gate'); }));
+    var chokeOpts = [{ value: '0', label: 'None' }];
+    var c;
+    for (c = 1; c <= CHOKE_GROUPS; c++) chokeOpts.push({ value: String(c), label: 'Group ' + c });
+    soundBody.appendChild(buildParamSelect('Choke', chokeOpts, String(edit.choke), function (v) {
+      setSampleEdit(sampleId, 'choke', parseInt(v, 10));
+    }));
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    var trimBtn = document.createElement('button');
+    trimBtn.type = 'button';
+    trimBtn.textContent = 'Auto-trim';
+    trimBtn.title = 'Start at the first transient and cut the silent tail';
+    trimBtn.addEventListener('click', function () {
+      autoTrimSample(sampleId);
+      openSoundEditor();
+    });
+    var resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.textContent = 'Reset edits';
+    resetBtn.addEventListener('click', function () {
+      recordHistory('Reset sample edits');
+      var cur = sampleEdit(sampleId);
+      setSampleEditState(sampleId, { gate: cur.gate, choke: cur.choke });
+      openSoundEditor();
+    });
+    actions.appendChild(trimBtn);
+    actions.appendChild(resetBtn);
     soundBody.appendChild(actions);
+    redraw();
   }
 
   function defaultSayVoiceParams() {
@@ -3354,10 +4138,23 @@
     };
   }
 
+  /** Drop hand-set engine values so the voice seed decides them again. */
+  function clearSpeechEngineValues(p) {
+    Object.keys(SPEECH_ENGINES).forEach(function (name) {
+      Object.keys(SPEECH_ENGINES[name].ranges).forEach(function (key) { delete p[key]; });
+    });
+  }
+
+  /** New random voice colour on the same engine; hand-set values give way to the new seed. */
+  function reseedSayVoice(p) {
+    p.voiceSeed = 'sam-' + Math.floor(Math.random() * 1e9);
+    clearSpeechEngineValues(p);
+  }
+
   function getSayVoiceParams(sampleId) {
     if (!sayVoiceParams[sampleId]) sayVoiceParams[sampleId] = defaultSayVoiceParams();
     var p = sayVoiceParams[sampleId];
-    p.engine = 'sam';
+    p.engine = speechEngineName(p);
     if (!p.voiceSeed) p.voiceSeed = p.voiceURI || ('sam-' + sampleId);
     return p;
   }
@@ -3380,21 +4177,51 @@
     wordWrap.className = 'param';
     var wordRow = document.createElement('div');
     wordRow.className = 'row';
-    wordRow.innerHTML = '<span>Word</span><span>max 20</span>';
+    wordRow.innerHTML = '<span>Word</span><span>max ' + SAY_MAX_CHARS + '</span>';
     var input = document.createElement('input');
     input.type = 'text';
-    input.maxLength = 20;
-    input.placeholder = 'Type a word…';
+    input.maxLength = SAY_MAX_CHARS;
+    input.placeholder = 'Type a word or phrase…';
     input.value = word;
     input.setAttribute('aria-label', 'Word text');
     wordWrap.appendChild(wordRow);
     wordWrap.appendChild(input);
     soundBody.appendChild(wordWrap);
 
-    var styleHint = document.createElement('div');
-    styleHint.className = 'param';
-    styleHint.innerHTML = '<div class="row"><span>Style</span><span>SAM (robot)</span></div>';
-    soundBody.appendChild(styleHint);
+    var vp = getSayVoiceParams(sampleId);
+    var engine = SPEECH_ENGINES[vp.engine];
+    soundBody.appendChild(buildParamSelect('Engine', Object.keys(SPEECH_ENGINES).map(function (name) {
+      return { value: name, label: SPEECH_ENGINES[name].label };
+    }), vp.engine, function (v) {
+      recordHistory('Edit voice');
+      vp.engine = v;
+      clearSpeechEngineValues(vp);
+      rerenderSayVoice(sampleId, true);
+    }));
+    if (engine.phonemes) {
+      soundBody.appendChild(buildParamCheck('SAM phonemes (e.g. /HEH3LOW)', vp.phonetic, function (on) {
+        setSayVoice(sampleId, 'phonetic', on);
+      }));
+    }
+    soundBody.appendChild(buildParamSelect('Phrase', [
+      { value: 'whole', label: 'Whole phrase per hit' },
+      { value: 'split', label: 'One word per hit' },
+      { value: 'chop', label: 'Vocal chops' }
+    ], vp.chop ? 'chop' : vp.split ? 'split' : 'whole', function (v) {
+      recordHistory('Edit voice');
+      vp.split = v === 'split';
+      vp.chop = v === 'chop';
+      rerenderSayVoice(sampleId, true);
+    }));
+    var parts = wordParts.get(soundBank[sampleId]);
+    if (vp.chop && parts) buildChopControls(sampleId, parts);
+    var values = speechParamsForSample(sampleId);
+    Object.keys(engine.ranges).forEach(function (key) {
+      var range = engine.ranges[key];
+      soundBody.appendChild(buildParamRange(prettyKey(key), range[0], range[1], 1, values[key], String, function (v) {
+        setSayVoice(sampleId, key, v);
+      }));
+    });
 
     var actions = document.createElement('div');
     actions.className = 'param-actions';
@@ -3402,6 +4229,7 @@
     saveBtn.type = 'button';
     saveBtn.textContent = 'Save';
     function saveAndClose() {
+      if (String(input.value || '').trim() !== word) recordHistory('Edit word');
       applySayText(sampleId, input.value, { skipReopen: true })
         .then(function () { closeSoundEditor(); })
         .catch(function (e) { console.error(e); });
@@ -3426,10 +4254,123 @@
     setTimeout(function () { try { input.focus(); input.select(); } catch (e) { /* ignore */ } }, 0);
   }
 
-  function scheduleRebuild() {
-    clearTimeout(rebuildTimer);
-    rebuildTimer = setTimeout(function () {
-      ensureAudio().then(function () {
+  var sayVoiceTimer = 0;
+
+  /** Change one voice setting of a word and re-render it (debounced for slider drags). */
+  function setSayVoice(sampleId, key, value) {
+    recordHistory('Edit voice', 'voice:' + sampleId + ':' + key);
+    getSayVoiceParams(sampleId)[key] = value;
+    rerenderSayVoice(sampleId, key === 'phonetic');
+  }
+
+  /** reopen: rebuild the word sheet afterwards (chop controls follow the new render). */
+  function rerenderSayVoice(sampleId, reopen) {
+    clearTimeout(sayVoiceTimer);
+    sayVoiceTimer = setTimeout(function () {
+      var text = String(sayTexts[sampleId] || '').trim();
+      if (!text) return;
+      ensureAudio().then(function () {
+        return prerenderSpeechToBuffer(text, sampleId);
+      }).then(function (buf) {
+        soundBank[sampleId] = buf;
+        clearScrubHitCache();
+        previewSample(sampleId);
+        if (reopen && soundEditorOpen() && paintSample === sampleId) openSoundEditor();
+      }).catch(function (e) {
+        console.error(e);
+        alert('Could not render this word with these settings.');
+      });
+    }, 150);
+  }
+
+  /** How chops are laid onto a ring: ring, spacing in steps and order. */
+  var chopPaint = { ringId: 'r16a', every: 1, order: 'order' };
+  var CHOP_ORDERS = [
+    { value: 'order', label: 'In order' },
+    { value: 'shuffle', label: 'Shuffled' },
+    { value: 'stutter', label: 'Stutter (each chop twice)' },
+    { value: 'repeat', label: 'Repeat last chop every 4th hit' }
+  ];
+
+  /** Chop numbers (1-based) for `count` hits over `chops` chops. */
+  function chopSequence(count, chops, order) {
+    var seq = [];
+    var deck = [];
+    var k;
+    for (k = 0; k < count; k++) {
+      if (order === 'shuffle') {
+        if (!deck.length) {
+          var c;
+          for (c = 1; c <= chops; c++) deck.push(c);
+          shuffleInPlace(deck);
+        }
+        seq.push(deck.pop());
+      } else if (order === 'stutter') {
+        seq.push(Math.floor(k / 2) % chops + 1);
+      } else if (order === 'repeat') {
+        seq.push(k % 4 === 3 ? seq[k - 1] : (k - Math.floor(k / 4)) % chops + 1);
+      } else {
+        seq.push(k % chops + 1);
+      }
+    }
+    return seq;
+  }
+
+  /** Replace a ring of the shown wheel with the word's chops, one every `every` steps. */
+  function paintChops(sampleId, chops) {
+    var steps = pattern && pattern[chopPaint.ringId];
+    if (!steps) return;
+    recordHistory('Paint chops');
+    var count = Math.ceil(steps.length / chopPaint.every);
+    var seq = chopSequence(count, chops, chopPaint.order);
+    var i;
+    for (i = 0; i < steps.length; i++) {
+      steps[i] = i % chopPaint.every === 0 ? makeCell(sampleId, VEL_DEFAULT, 0, { chop: seq[i / chopPaint.every] }) : null;
+      paintSeg(chopPaint.ringId, i);
+    }
+    clearScrubHitCache();
+  }
+
+  /** Word sheet chop section: audition each chop and paint them onto a ring. */
+  function buildChopControls(sampleId, parts) {
+    var info = document.createElement('div');
+    info.className = 'param';
+    info.innerHTML = '<div class="row"><span>Chops</span><span></span></div>';
+    info.querySelector('span:last-child').textContent = parts.length + ' — tap to listen';
+    soundBody.appendChild(info);
+    var pads = document.createElement('div');
+    pads.className = 'param-actions';
+    parts.forEach(function (part, idx) {
+      var pad = document.createElement('button');
+      pad.type = 'button';
+      pad.textContent = String(idx + 1);
+      pad.addEventListener('click', function () {
+        if (ctx) playBuf(sampleId, ctx.currentTime + 0.01, { part: part });
+      });
+      pads.appendChild(pad);
+    });
+    soundBody.appendChild(pads);
+    soundBody.appendChild(buildParamSelect('Chop ring', RINGS.map(function (ring, idx) {
+      return { value: ring.id, label: 'Ring ' + (idx + 1) + ' · ' + ring.segments + ' steps' };
+    }), chopPaint.ringId, function (v) { chopPaint.ringId = v; }));
+    soundBody.appendChild(buildParamSelect('Chop every', [1, 2, 3, 4, 6, 8].map(function (n) {
+      return { value: String(n), label: n === 1 ? 'Every step' : 'Every ' + n + ' steps' };
+    }), String(chopPaint.every), function (v) { chopPaint.every = parseInt(v, 10); }));
+    soundBody.appendChild(buildParamSelect('Chop order', CHOP_ORDERS, chopPaint.order, function (v) { chopPaint.order = v; }));
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    var paintBtn = document.createElement('button');
+    paintBtn.type = 'button';
+    paintBtn.textContent = 'Paint chops onto ring';
+    paintBtn.addEventListener('click', function () { paintChops(sampleId, parts.length); });
+    actions.appendChild(paintBtn);
+    soundBody.appendChild(actions);
+  }
+
+  function scheduleRebuild() {
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(function () {
+      ensureAudio().then(function () {
         return buildBank();
       }).then(function () {
         previewSample(paintSample);
@@ -3447,724 +4388,2552 @@
   }
 
   function busForSample(sampleId) {
+    if (mixStrips && mixStrips[sampleId]) return mixStrips[sampleId].input;
     if (isSidechainKey(sampleId)) return punchBus || master;
     return duckGain || master;
   }
 
-  function triggerSidechainDuck(when) {
-    if (!duckGain || !ctx || !playing) return;
-    var g = duckGain.gain;
-    var t0 = Math.max(when, ctx.currentTime);
-    var depth = DUCK_DEPTH;
-    var atk = DUCK_ATTACK;
-    var hold = DUCK_HOLD;
-    var rel = DUCK_RELEASE;
-    try {
-      if (typeof g.cancelAndHoldAtTime === 'function') g.cancelAndHoldAtTime(t0);
-      else {
-        g.cancelScheduledValues(t0);
-        g.setValueAtTime(Math.min(g.value, 1), t0);
-      }
-    } catch (e) {
-      g.cancelScheduledValues(t0);
-      g.setValueAtTime(1, t0);
-    }
-    g.linearRampToValueAtTime(depth, t0 + atk);
-    g.linearRampToValueAtTime(depth, t0 + atk + hold);
-    g.linearRampToValueAtTime(1, t0 + atk + hold + rel);
+  function mixDefaults(sampleId) {
+    return { vol: 100, pan: 0, send: 100, mute: false, solo: false, duck: !isSidechainKey(sampleId) };
   }
 
-  function playRawBuffer(buf, sampleId) {
-    if (!buf || !ctx || !master) return;
-    var src = ctx.createBufferSource();
-    src.buffer = buf;
-    var g = ctx.createGain();
-    var mods = sampleId ? randomSayPlayMods(sampleId) : { playbackRate: 1, gain: 1 };
-    src.playbackRate.value = mods.playbackRate;
-    g.gain.value = mods.gain;
-    src.connect(g);
-    g.connect(busForSample(sampleId));
-    src.start(ctx.currentTime + 0.01);
-    activeVoices.push(src);
-    src.onended = function () {
-      var i = activeVoices.indexOf(src);
-      if (i !== -1) activeVoices.splice(i, 1);
-    };
+  function getMix(sampleId) {
+    return mixer[sampleId] || mixDefaults(sampleId);
   }
 
-  async function listenSample(sampleId, draftText) {
-    await ensureAudio();
-    var s = sampleById(sampleId);
-    if (!s) return;
-    if (s.type === 'text') {
-      var text = String(draftText != null ? draftText : (sayTexts[sampleId] || '')).trim().slice(0, 20);
-      if (!text) return;
-      if ((draftText == null || sayTexts[sampleId] === text) && soundBank[sampleId] &&
-          typeof soundBank[sampleId].getChannelData === 'function') {
-        playBuf(sampleId, ctx.currentTime + 0.01);
-        return;
-      }
-      var buf = await prerenderSpeechToBuffer(text, sampleId);
-      playRawBuffer(buf, sampleId);
-      return;
-    }
-    if (s.type === 'maker' && !soundBank[sampleId]) await buildBank();
-    previewSample(sampleId);
+  function mixIsDefault(sampleId) {
+    var m = getMix(sampleId);
+    var d = mixDefaults(sampleId);
+    return Object.keys(d).every(function (k) { return m[k] === d[k]; });
   }
 
-  function buildSoundForm(makerId) {
-    soundBody.innerHTML = '';
-    var params = makerSoundParams[makerId] || Object.assign({}, MAKER_DEFAULTS[makerId]);
-    makerSoundParams[makerId] = params;
-    var ranges = MAKER_RANGES[makerId] || {};
+  function mixAnySolo() {
+    return Object.keys(mixer).some(function (id) { return mixer[id].solo; });
+  }
 
-    var actions = document.createElement('div');
-    actions.className = 'param-actions';
-    var tryBtn = document.createElement('button');
-    tryBtn.type = 'button';
-    tryBtn.textContent = 'Try new sound';
-    tryBtn.title = 'Randomize this drum’s parameters';
-    tryBtn.addEventListener('click', function () {
-      randomizeMakerSound(makerId);
-      buildSoundForm(makerId);
-      ensureAudio().then(function () {
-        return buildBank();
-      }).then(function () {
-        listenSample(paintSample).catch(function (e) { console.error(e); });
-      }).catch(function (e) { console.error(e); });
-    });
-    var listenBtn = document.createElement('button');
-    listenBtn.type = 'button';
-    listenBtn.textContent = 'Listen';
-    listenBtn.addEventListener('click', function () {
-      listenSample(paintSample).catch(function (e) { console.error(e); });
+  /** Channel fader level after mute / solo. */
+  function mixStripGain(sampleId) {
+    var m = getMix(sampleId);
+    if (m.mute || (mixAnySolo() && !m.solo)) return 0;
+    return m.vol / 100;
+  }
+
+  /** Route a strip's panner to its bus and its send to the reverb, both ducked or both not. */
+  function wireMixStrip(strip, sampleId, buses) {
+    var duck = getMix(sampleId).duck;
+    strip.pan.disconnect();
+    strip.pan.connect(duck ? buses.duckGain : buses.punchBus);
+    strip.pan.connect(strip.send);
+    strip.send.disconnect();
+    strip.send.connect(duck ? buses.duckSend : buses.reverbIn);
+  }
+
+  /** One strip per sample: input gain → pan → bus, plus pan → send → reverb. Used live and offline. */
+  function buildMixStrips(context, buses) {
+    var strips = {};
+    SAMPLES.forEach(function (s) {
+      var m = getMix(s.id);
+      var strip = {
+        input: context.createGain(),
+        pan: context.createStereoPanner(),
+        send: context.createGain()
+      };
+      strip.input.gain.value = mixStripGain(s.id);
+      strip.pan.pan.value = m.pan / 100;
+      strip.send.gain.value = m.send / 100;
+      strip.point = { from: strip.input, to: strip.pan, chain: null };
+      setInsertPoint(context, strip.point, s.id, { worklet: buses.worklet });
+      wireMixStrip(strip, s.id, buses);
+      strip.ducked = m.duck;
+      strips[s.id] = strip;
     });
-    actions.appendChild(tryBtn);
-    actions.appendChild(listenBtn);
-    soundBody.appendChild(actions);
+    return strips;
+  }
 
-    Object.keys(ranges).forEach(function (key) {
-      var pair = ranges[key];
-      var wrap = document.createElement('div');
-      wrap.className = 'param';
-      var row = document.createElement('div');
-      row.className = 'row';
-      var lab = document.createElement('span');
-      lab.textContent = prettyKey(key);
-      var val = document.createElement('span');
-      var cur = params[key];
-      if (!Number.isFinite(cur)) cur = pair[0];
-      val.textContent = String(cur);
-      row.appendChild(lab);
-      row.appendChild(val);
-      var input = document.createElement('input');
-      input.type = 'range';
-      input.min = String(pair[0]);
-      input.max = String(pair[1]);
-      var span = pair[1] - pair[0];
-      input.step = span > 20 ? '1' : (span > 2 ? '0.01' : '0.001');
-      input.value = String(cur);
-      input.addEventListener('input', function () {
-        var n = parseFloat(input.value);
-        params[key] = n;
-        val.textContent = String(n);
-        scheduleRebuild();
-      });
-      wrap.appendChild(row);
-      wrap.appendChild(input);
-      soundBody.appendChild(wrap);
+  /** Push mixer settings into the live strips (all of them: solo affects every channel). */
+  function applyMixer() {
+    if (!mixStrips || !ctx) return;
+    var now = ctx.currentTime;
+    var buses = { punchBus: punchBus, duckGain: duckGain, duckSend: duckSendGain, reverbIn: reverbIn };
+    SAMPLES.forEach(function (s) {
+      var strip = mixStrips[s.id];
+      if (!strip) return;
+      var m = getMix(s.id);
+      strip.input.gain.setTargetAtTime(mixStripGain(s.id), now, 0.015);
+      strip.pan.pan.setTargetAtTime(m.pan / 100, now, 0.015);
+      strip.send.gain.setTargetAtTime(m.send / 100, now, 0.015);
+      if (strip.ducked !== m.duck) {
+        wireMixStrip(strip, s.id, buses);
+        strip.ducked = m.duck;
+      }
     });
+  }
 
-    (MAKER_BOOLS[makerId] || []).forEach(function (meta) {
-      if (meta.type === 'bool') {
-        var row = document.createElement('label');
-        row.className = 'param-check';
-        var cb = document.createElement('input');
-        cb.type = 'checkbox';
-        cb.checked = !!params[meta.key];
-        cb.addEventListener('change', function () {
-          params[meta.key] = cb.checked;
-          scheduleRebuild();
+  function setMix(sampleId, key, value) {
+    recordHistory('Mix ' + sampleById(sampleId).label, 'mix:' + sampleId + ':' + key);
+    var m = Object.assign({}, getMix(sampleId));
+    m[key] = value;
+    mixer[sampleId] = m;
+    if (mixIsDefault(sampleId)) delete mixer[sampleId];
+    applyMixer();
+  }
+
+  /** Sounds painted on any wheel, plus any with non-default mixer settings. */
+  function mixerSampleIds() {
+    var used = {};
+    layers.forEach(function (layer) {
+      RINGS.forEach(function (ring) {
+        (layer.pattern[ring.id] || []).forEach(function (cell) {
+          if (cell) used[cell.id] = true;
         });
-        row.appendChild(cb);
-        row.appendChild(document.createTextNode(meta.label));
-        soundBody.appendChild(row);
-        return;
-      }
-      var wrap = document.createElement('div');
-      wrap.className = 'param';
-      var lab = document.createElement('div');
-      lab.className = 'row';
-      lab.innerHTML = '<span>' + meta.label + '</span><span></span>';
-      var sel = document.createElement('select');
-      meta.options.forEach(function (opt) {
-        var o = document.createElement('option');
-        o.value = opt;
-        o.textContent = opt;
-        sel.appendChild(o);
-      });
-      sel.value = params[meta.key] || meta.options[0];
-      sel.addEventListener('change', function () {
-        params[meta.key] = sel.value;
-        scheduleRebuild();
       });
-      wrap.appendChild(lab);
-      wrap.appendChild(sel);
-      soundBody.appendChild(wrap);
     });
+    return SAMPLES.filter(function (s) { return used[s.id] || mixer[s.id]; }).map(function (s) { return s.id; });
   }
 
-  function segmentAngles(n, swingAmt, swingDiv) {
-    var s = Math.max(0, Math.min(1, swingAmt));
-    var div = swingDiv || getSwingNoteDiv();
-    var base = (Math.PI * 2) / n;
-    var skew = base * s * 0.55;
-    var widths = [];
-    var i;
-    for (i = 0; i < n; i++) {
-      if (!stepIsSwingOffbeat(i, n, div)) widths.push(base + skew);
-      else widths.push(Math.max(base * 0.12, base - skew));
-    }
-    var sum = 0;
-    for (i = 0; i < n; i++) sum += widths[i];
-    var scale = (Math.PI * 2) / sum;
-    var starts = [];
-    var a = START_ANGLE;
-    for (i = 0; i < n; i++) {
-      starts.push(a);
-      a += widths[i] * scale;
+  function buildMixStripForm(sampleId) {
+    var s = sampleById(sampleId);
+    var m = getMix(sampleId);
+    var strip = document.createElement('div');
+    strip.className = 'mix-strip';
+    var head = document.createElement('div');
+    head.className = 'mix-head';
+    var dot = document.createElement('i');
+    dot.className = 'dot';
+    dot.style.background = cssSwatch(s);
+    var name = document.createElement('span');
+    name.textContent = s.label;
+    head.appendChild(dot);
+    head.appendChild(name);
+    var fxBtn = document.createElement('button');
+    fxBtn.type = 'button';
+    fxBtn.className = 'mix-toggle mix-fx';
+    fxBtn.textContent = 'FX';
+    fxBtn.title = 'Insert effects';
+    fxBtn.classList.toggle('is-on', insertActive(inserts[sampleId]));
+    fxBtn.addEventListener('click', function () { openInsertSheet(sampleId); });
+    head.appendChild(fxBtn);
+    ['mute', 'solo'].forEach(function (key) {
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'mix-toggle mix-' + key;
+      btn.textContent = key === 'mute' ? 'M' : 'S';
+      btn.title = key === 'mute' ? 'Mute' : 'Solo';
+      btn.classList.toggle('is-on', !!m[key]);
+      btn.addEventListener('click', function () {
+        setMix(sampleId, key, !getMix(sampleId)[key]);
+        btn.classList.toggle('is-on', !!getMix(sampleId)[key]);
+      });
+      head.appendChild(btn);
+    });
+    strip.appendChild(head);
+    strip.appendChild(buildParamRange('Volume', 0, 150, 1, m.vol, function (v) { return v + '%'; }, function (v) {
+      setMix(sampleId, 'vol', v);
+    }));
+    strip.appendChild(buildParamRange('Pan', -100, 100, 1, m.pan, function (v) {
+      return v === 0 ? 'C' : (v < 0 ? 'L' + (-v) : 'R' + v);
+    }, function (v) {
+      setMix(sampleId, 'pan', v);
+    }));
+    strip.appendChild(buildParamRange('Reverb send', 0, 100, 1, m.send, function (v) { return v + '%'; }, function (v) {
+      setMix(sampleId, 'send', v);
+    }));
+    strip.appendChild(buildParamCheck('Ducked by kick / snare', m.duck, function (on) {
+      setMix(sampleId, 'duck', on);
+    }));
+    return strip;
+  }
+
+  /** Delay divisions as fractions of a bar (d = dotted, t = triplet). */
+  var DELAY_DIVS = { '4': 1 / 4, '8': 1 / 8, '8d': 3 / 16, '8t': 1 / 12, '16': 1 / 16 };
+  var FILTER_TYPES = ['lowpass', 'highpass', 'bandpass'];
+  var WORKLET_SRC = [
+    'class CbCrusher extends AudioWorkletProcessor {',
+    '  static get parameterDescriptors() {',
+    '    return [',
+    '      { name: "bits", defaultValue: 8, minValue: 1, maxValue: 16, automationRate: "k-rate" },',
+    '      { name: "reduce", defaultValue: 1, minValue: 1, maxValue: 64, automationRate: "k-rate" }',
+    '    ];',
+    '  }',
+    '  constructor() { super(); this.held = [0, 0]; this.count = 0; }',
+    '  process(inputs, outputs, params) {',
+    '    var inp = inputs[0];',
+    '    var out = outputs[0];',
+    '    var step = Math.pow(2, params.bits[0] - 1);',
+    '    var reduce = Math.max(1, Math.round(params.reduce[0]));',
+    '    for (var i = 0; i < out[0].length; i++) {',
+    '      if (this.count % reduce === 0) {',
+    '        for (var c = 0; c < out.length; c++) {',
+    '          var src = inp.length ? inp[Math.min(c, inp.length - 1)][i] : 0;',
+    '          this.held[c] = Math.round(src * step) / step;',
+    '        }',
+    '      }',
+    '      this.count += 1;',
+    '      for (var o = 0; o < out.length; o++) out[o][i] = this.held[o];',
+    '    }',
+    '    return true;',
+    '  }',
+    '}',
+    'registerProcessor("cb-crusher", CbCrusher);',
+    // Brickwall limiter: stereo-linked peak hold over the lookahead, delayed signal, hard ceiling.
+    'class CbLimiter extends AudioWorkletProcessor {',
+    '  static get parameterDescriptors() {',
+    '    return [',
+    '      { name: "ceiling", defaultValue: 0.89, minValue: 0.01, maxValue: 1, automationRate: "k-rate" },',
+    '      { name: "release", defaultValue: 0.12, minValue: 0.01, maxValue: 1, automationRate: "k-rate" }',
+    '    ];',
+    '  }',
+    '  constructor() {',
+    '    super();',
+    '    this.n = Math.max(1, Math.round(sampleRate * 0.005));',
+    '    this.buf = [new Float32Array(this.n), new Float32Array(this.n)];',
+    '    this.pos = 0; this.held = 0; this.hold = 0; this.gain = 1;',
+    '  }',
+    '  process(inputs, outputs, params) {',
+    '    var inp = inputs[0];',
+    '    var out = outputs[0];',
+    '    var ceil = params.ceiling[0];',
+    '    var atk = 1 - Math.exp(-3 / this.n);',
+    '    var rel = 1 - Math.exp(-1 / (sampleRate * params.release[0]));',
+    '    for (var i = 0; i < out[0].length; i++) {',
+    '      var peak = 0;',
+    '      var c;',
+    '      for (c = 0; c < inp.length; c++) peak = Math.max(peak, Math.abs(inp[c][i]));',
+    '      if (peak >= this.held) { this.held = peak; this.hold = this.n; }',
+    '      else if (this.hold > 0) this.hold -= 1;',
+    '      else this.held = peak;',
+    '      var target = this.held > ceil ? ceil / this.held : 1;',
+    '      this.gain += (target - this.gain) * (target < this.gain ? atk : rel);',
+    '      for (c = 0; c < out.length; c++) {',
+    '        var x = inp.length ? inp[Math.min(c, inp.length - 1)][i] : 0;',
+    '        var y = this.buf[c][this.pos] * this.gain;',
+    '        this.buf[c][this.pos] = x;',
+    '        out[c][i] = y > ceil ? ceil : (y < -ceil ? -ceil : y);',
+    '      }',
+    '      this.pos = (this.pos + 1) % this.n;',
+    '    }',
+    '    return true;',
+    '  }',
+    '}',
+    'registerProcessor("cb-limiter", CbLimiter);',
+    // Mic capture: posts each input block with its frame so takes can be cut sample-accurately.
+    'class CbRecorder extends AudioWorkletProcessor {',
+    '  constructor() {',
+    '    super();',
+    '    this.on = true;',
+    '    this.port.onmessage = (e) => { if (e.data === "stop") this.on = false; };',
+    '  }',
+    '  process(inputs) {',
+    '    var inp = inputs[0];',
+    '    if (inp && inp[0]) this.port.postMessage({ frame: currentFrame, data: inp[0].slice(0) });',
+    '    return this.on;',
+    '  }',
+    '}',
+    'registerProcessor("cb-recorder", CbRecorder);'
+  ].join('\n');
+  var workletUrl = null;
+
+  /** Register the crusher / limiter / recorder worklets on a (live or offline) context; false if unsupported. */
+  async function loadWorklets(context) {
+    if (!context.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+    try {
+      if (!workletUrl) workletUrl = URL.createObjectURL(new Blob([WORKLET_SRC], { type: 'text/javascript' }));
+      await context.audioWorklet.addModule(workletUrl);
+      return true;
+    } catch (err) {
+      console.error(err);
+      return false;
     }
-    return { starts: starts, widths: widths.map(function (w) { return w * scale; }) };
   }
 
-  function buildSvg() {
-    svg.innerHTML = '';
-    segEls = {};
-    discGroupEl = null;
-    needleEl = null;
-    playheadEl = null;
-
-    buildFillDefs(svg);
+  function insertDefaults() {
+    return {
+      filter: { on: false, type: 'lowpass', freq: 1200, q: 4, env: 0, decay: 300 },
+      drive: { on: false, amount: 40 },
+      crush: { on: false, bits: 8, rate: 1 },
+      delay: { on: false, div: '8d', feedback: 40, mix: 30 }
+    };
+  }
 
-    var bg = document.createElementNS(NS, 'circle');
-    bg.setAttribute('id', 'discBg');
-    bg.setAttribute('cx', CX);
-    bg.setAttribute('cy', CY);
-    bg.setAttribute('r', OUTER + 8);
-    bg.setAttribute('fill', DISC_BG_GAP);
-    bg.setAttribute('stroke', 'none');
-    svg.appendChild(bg);
+  function getInsert(slot) {
+    return inserts[slot] || insertDefaults();
+  }
 
-    discGroupEl = document.createElementNS(NS, 'g');
-    discGroupEl.setAttribute('class', 'disc');
-    discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
+  function insertActive(fx) {
+    return !!fx && (fx.filter.on || fx.drive.on || fx.crush.on || fx.delay.on);
+  }
 
-    var swingAmt = getSwing();
-    var swingDiv = getSwingNoteDiv();
-    var gap = (SEG_GAP_DEG * Math.PI) / 180;
-    var pat = pattern || emptyPattern();
+  function driveCurve(amount) {
+    var k = 1 + (amount / 100) * 20;
+    var n = 1024;
+    var curve = new Float32Array(n);
+    var norm = Math.tanh(k);
+    for (var i = 0; i < n; i++) {
+      var x = (i / (n - 1)) * 2 - 1;
+      curve[i] = Math.tanh(k * x) / norm;
+    }
+    return curve;
+  }
 
-    RINGS.forEach(function (ring, li) {
-      var rr = ringRadii(li);
-      var n = ring.segments;
-      var angles = segmentAngles(n, swingAmt, swingDiv);
-      for (var i = 0; i < n; i++) {
-        var a0 = angles.starts[i] + gap / 2;
-        var a1 = angles.starts[i] + angles.widths[i] - gap / 2;
-        if (a1 <= a0) a1 = a0 + 0.01;
-        var path = document.createElementNS(NS, 'path');
-        path.setAttribute('d', arcPath(rr.inner, rr.outer, a0, a1));
-        path.setAttribute('class', 'seg');
-        path.dataset.ring = ring.id;
-        path.dataset.seg = String(i);
-        path.setAttribute('fill', segFill(pat[ring.id][i], ring.id, i));
-        path.addEventListener('pointerdown', onSegPointerDown);
-        path.addEventListener('pointermove', onSegPointerMove);
-        path.addEventListener('pointerup', onSegPointerUp);
-        path.addEventListener('pointercancel', onSegPointerCancel);
-        discGroupEl.appendChild(path);
-        segEls[ring.id + ':' + i] = path;
-      }
-    });
-    svg.appendChild(discGroupEl);
+  /**
+   * Filter → drive → crush → delay for one slot. Same nodes live and offline,
+   * so WAV exports match playback. opts.worklet: worklet module is loaded;
+   * opts.barDur: bar length the synced delay starts on (default the global tempo).
+   */
+  function buildInsertChain(context, fx, opts) {
+    var input = context.createGain();
+    var output = context.createGain();
+    var chain = { input: input, output: output, fx: fx, filter: null, shaper: null, crusher: null, delay: null };
+    var last = input;
+    if (fx.filter.on) {
+      var f = context.createBiquadFilter();
+      f.type = fx.filter.type;
+      f.frequency.value = fx.filter.freq;
+      f.Q.value = fx.filter.q;
+      last.connect(f);
+      last = f;
+      chain.filter = f;
+    }
+    if (fx.drive.on) {
+      var shaper = context.createWaveShaper();
+      shaper.curve = driveCurve(fx.drive.amount);
+      shaper.oversample = '2x';
+      var makeup = context.createGain();
+      makeup.gain.value = 1 / (1 + fx.drive.amount / 100);
+      last.connect(shaper);
+      shaper.connect(makeup);
+      last = makeup;
+      chain.shaper = shaper;
+      chain.makeup = makeup;
+    }
+    if (fx.crush.on && opts.worklet) {
+      var crusher = new AudioWorkletNode(context, 'cb-crusher', { outputChannelCount: [2] });
+      crusher.parameters.get('bits').value = fx.crush.bits;
+      crusher.parameters.get('reduce').value = fx.crush.rate;
+      last.connect(crusher);
+      last = crusher;
+      chain.crusher = crusher;
+    }
+    if (fx.delay.on) {
+      var delay = context.createDelay(2);
+      delay.delayTime.value = insertDelayTime(fx, opts.barDur || getBarDur());
+      var feedback = context.createGain();
+      feedback.gain.value = fx.delay.feedback / 100;
+      var wet = context.createGain();
+      wet.gain.value = fx.delay.mix / 100;
+      last.connect(delay);
+      delay.connect(feedback);
+      feedback.connect(delay);
+      delay.connect(wet);
+      wet.connect(output);
+      chain.delay = delay;
+      chain.feedback = feedback;
+      chain.wet = wet;
+    }
+    last.connect(output);
+    return chain;
+  }
+
+  /** Which effects a chain was built with; param tweaks that keep the shape update in place. */
+  function insertShape(fx, worklet) {
+    if (!insertActive(fx)) return '';
+    return [fx.filter.on, fx.drive.on, fx.crush.on && !!worklet, fx.delay.on].join(',');
+  }
+
+  /** Tempo-synced delay length for a bar length. */
+  function insertDelayTime(fx, barDur) {
+    return Math.min(2, barDur * (DELAY_DIVS[fx.delay.div] || DELAY_DIVS['8d']));
+  }
+
+  function updateInsertChain(chain, fx, now, barDur) {
+    chain.fx = fx;
+    if (chain.filter) {
+      chain.filter.type = fx.filter.type;
+      chain.filter.frequency.setTargetAtTime(fx.filter.freq, now, 0.02);
+      chain.filter.Q.setTargetAtTime(fx.filter.q, now, 0.02);
+    }
+    if (chain.shaper) {
+      chain.shaper.curve = driveCurve(fx.drive.amount);
+      chain.makeup.gain.setTargetAtTime(1 / (1 + fx.drive.amount / 100), now, 0.02);
+    }
+    if (chain.crusher) {
+      chain.crusher.parameters.get('bits').setValueAtTime(fx.crush.bits, now);
+      chain.crusher.parameters.get('reduce').setValueAtTime(fx.crush.rate, now);
+    }
+    if (chain.delay) {
+      chain.delay.delayTime.setTargetAtTime(insertDelayTime(fx, barDur), now, 0.05);
+      chain.feedback.gain.setTargetAtTime(fx.delay.feedback / 100, now, 0.02);
+      chain.wet.gain.setTargetAtTime(fx.delay.mix / 100, now, 0.02);
+    }
+  }
+
+  /** (Re)wire an insert point ({ from, to, chain }) for the slot's current effects. */
+  function setInsertPoint(context, point, slot, opts) {
+    opts = opts || {};
+    var fx = inserts[slot];
+    if (point.chain && point.shape === insertShape(fx, opts.worklet)) {
+      updateInsertChain(point.chain, fx, context.currentTime, opts.barDur || getBarDur());
+      return;
+    }
+    point.from.disconnect();
+    if (point.chain) point.chain.output.disconnect();
+    point.chain = null;
+    point.shape = insertShape(fx, opts.worklet);
+    if (insertActive(fx)) {
+      point.chain = buildInsertChain(context, fx, opts);
+      point.from.connect(point.chain.input);
+      point.chain.output.connect(point.to);
+    } else {
+      point.from.connect(point.to);
+    }
+  }
 
-    // Fixed light-strike at 12 o'clock (does not rotate with the disc).
-    needleEl = document.createElementNS(NS, 'g');
-    needleEl.setAttribute('class', 'needle');
-    var tipY = INNER_HUB + 8;
-    var topY = 18;
-    // Soft wide bloom
-    var bloom = document.createElementNS(NS, 'rect');
-    bloom.setAttribute('class', 'needle-bloom');
-    bloom.setAttribute('x', String(CX - 18));
-    bloom.setAttribute('y', String(topY));
-    bloom.setAttribute('width', '36');
-    bloom.setAttribute('height', String(tipY - topY));
-    bloom.setAttribute('rx', '10');
-    bloom.setAttribute('fill', 'rgba(255,255,255,0.22)');
-    bloom.setAttribute('filter', 'url(#needleSoftGlow)');
-    needleEl.appendChild(bloom);
-    // Mid glow beam
-    var beam = document.createElementNS(NS, 'rect');
-    beam.setAttribute('class', 'needle-beam');
-    beam.setAttribute('x', String(CX - 5));
-    beam.setAttribute('y', String(topY));
-    beam.setAttribute('width', '10');
-    beam.setAttribute('height', String(tipY - topY));
-    beam.setAttribute('rx', '4');
-    beam.setAttribute('fill', 'url(#needleStrikeGrad)');
-    beam.setAttribute('filter', 'url(#needleGlow)');
-    needleEl.appendChild(beam);
-    // Hot core strike
-    var core = document.createElementNS(NS, 'rect');
-    core.setAttribute('class', 'needle-core');
-    core.setAttribute('x', String(CX - 1.4));
-    core.setAttribute('y', String(topY + 4));
-    core.setAttribute('width', '2.8');
-    core.setAttribute('height', String(tipY - topY - 6));
-    core.setAttribute('rx', '1.4');
-    core.setAttribute('fill', 'rgba(255,255,255,0.95)');
-    needleEl.appendChild(core);
-    // Bright tip spark
-    var spark = document.createElementNS(NS, 'circle');
-    spark.setAttribute('class', 'needle-spark');
-    spark.setAttribute('cx', String(CX));
-    spark.setAttribute('cy', String(tipY));
-    spark.setAttribute('r', '5');
-    spark.setAttribute('fill', 'rgba(255,255,255,0.85)');
-    spark.setAttribute('filter', 'url(#needleGlow)');
-    needleEl.appendChild(spark);
-    svg.appendChild(needleEl);
+  /** Filter envelope: jump up by env octaves at the hit, glide back to the cutoff. */
+  function triggerInsertEnv(point, when) {
+    var chain = point && point.chain;
+    if (!chain || !chain.filter || !(chain.fx.filter.env > 0)) return;
+    var f = chain.fx.filter;
+    var p = chain.filter.frequency;
+    p.setValueAtTime(Math.min(18000, f.freq * Math.pow(2, f.env)), when);
+    p.setTargetAtTime(f.freq, when, Math.max(0.005, f.decay / 1000 / 4));
   }
 
-  function refreshSegFills() {
-    if (!pattern) return;
-    RINGS.forEach(function (ring) {
-      for (var i = 0; i < ring.segments; i++) paintSeg(ring.id, i);
-    });
+  /** Envelope triggers for a hit: its own channel, and the master on kicks. */
+  function triggerHitEnvs(strips, master, sampleId, when) {
+    if (strips && strips[sampleId]) triggerInsertEnv(strips[sampleId].point, when);
+    if (sampleId === 'kick') triggerInsertEnv(master, when);
   }
 
-  function litIndexAtPhase(n, phase, swingAmt) {
-    var angles = segmentAngles(n, swingAmt, getSwingNoteDiv());
-    var target = phase * Math.PI * 2;
-    var acc = 0;
-    for (var i = 0; i < n; i++) {
-      acc += angles.widths[i];
-      if (target < acc) return i;
+  function applyInsertSlot(slot) {
+    if (!ctx) return;
+    var opts = { worklet: workletsLive, barDur: liveBarDur() };
+    if (slot === 'master') {
+      if (masterPoint) setInsertPoint(ctx, masterPoint, 'master', opts);
+    } else if (mixStrips && mixStrips[slot]) {
+      setInsertPoint(ctx, mixStrips[slot].point, slot, opts);
     }
-    return n - 1;
   }
 
-  function paintSeg(ringId, i) {
-    var el = segEls[ringId + ':' + i];
-    if (!el || !pattern) return;
-    el.setAttribute('fill', segFill(pattern[ringId][i], ringId, i));
+  function applyAllInserts() {
+    applyInsertSlot('master');
+    SAMPLES.forEach(function (s) { applyInsertSlot(s.id); });
   }
 
-  /** 8-fold mirror indices — same pie slices as the alternating empty greys. */
-  function mirrorSegIndices(n, i) {
-    if (!(n > 0) || !Number.isFinite(i)) return [i];
-    i = ((i % n) + n) % n;
-    var slices = DISC_PIE_SLICES;
-    var out = [];
-    var k;
-    if (n % slices === 0) {
-      var per = n / slices;
-      var offset = i % per;
-      for (k = 0; k < slices; k++) out.push(k * per + offset);
-      return out;
-    }
-    var step = n / slices;
-    for (k = 0; k < slices; k++) {
-      var idx = Math.round(i + k * step) % n;
-      if (out.indexOf(idx) === -1) out.push(idx);
-    }
-    return out;
+  /** Length of the bar playing now (a song part may have its own tempo), or the global bar when stopped. */
+  function liveBarDur() {
+    var ev = playing && ctx ? activeLayerAt(ctx.currentTime) : null;
+    return ev && ev.dur ? ev.dur : getBarDur();
   }
 
-  function ringSegmentCount(ringId) {
-    var r;
-    for (r = 0; r < RINGS.length; r++) {
-      if (RINGS[r].id === ringId) return RINGS[r].segments;
-    }
-    return 0;
+  /** Retime tempo-synced delays on a graph's master point and strips to a bar starting at when. */
+  function retimeInsertDelays(master, strips, barDur, when) {
+    var points = [master];
+    if (strips) Object.keys(strips).forEach(function (id) { points.push(strips[id].point); });
+    points.forEach(function (point) {
+      if (!point || !point.chain || !point.chain.delay) return;
+      point.chain.delay.delayTime.setTargetAtTime(insertDelayTime(point.chain.fx, barDur), when, 0.05);
+    });
   }
 
-  function paintTargetsFor(ringId, i) {
-    var n = ringSegmentCount(ringId);
-    if (!n) return [i];
-    if (paintMirrorEl && paintMirrorEl.checked) return mirrorSegIndices(n, i);
-    return [i];
+  /** Keep tempo-synced delays on the current BPM. */
+  function syncInsertTempo() {
+    if (!ctx) return;
+    retimeInsertDelays(masterPoint, mixStrips, liveBarDur(), ctx.currentTime);
+  }
+
+  function setInsert(slot, effect, key, value) {
+    recordHistory('FX ' + insertSlotLabel(slot), 'fx:' + slot + ':' + effect + ':' + key);
+    var fx = JSON.parse(JSON.stringify(getInsert(slot)));
+    fx[effect][key] = value;
+    if (insertActive(fx)) inserts[slot] = fx;
+    else delete inserts[slot];
+    applyInsertSlot(slot);
+  }
+
+  function insertSlotLabel(slot) {
+    if (slot === 'master') return 'Master';
+    var s = sampleById(slot);
+    return s ? s.label : slot;
+  }
+
+  function buildParamSelect(label, options, value, onChange) {
+    var wrap = document.createElement('div');
+    wrap.className = 'param';
+    var row = document.createElement('div');
+    row.className = 'row';
+    row.innerHTML = '<span></span><span></span>';
+    row.firstChild.textContent = label;
+    var sel = document.createElement('select');
+    options.forEach(function (opt) {
+      var o = document.createElement('option');
+      o.value = opt.value;
+      o.textContent = opt.label;
+      sel.appendChild(o);
+    });
+    sel.value = value;
+    sel.addEventListener('change', function () { onChange(sel.value); });
+    wrap.appendChild(row);
+    wrap.appendChild(sel);
+    return wrap;
+  }
+
+  function openInsertSheet(slot) {
+    openSheetFor('inserts', 'FX · ' + insertSlotLabel(slot), slot === 'master' ? null : cssSwatch(sampleById(slot)));
+    var fx = getInsert(slot);
+    function section(title) {
+      var h = document.createElement('div');
+      h.className = 'fx-section';
+      h.textContent = title;
+      soundBody.appendChild(h);
+    }
+    function pct(v) { return v + '%'; }
+
+    section('Filter');
+    soundBody.appendChild(buildParamCheck('On', fx.filter.on, function (on) { setInsert(slot, 'filter', 'on', on); }));
+    soundBody.appendChild(buildParamSelect('Type', FILTER_TYPES.map(function (t) {
+      return { value: t, label: t };
+    }), fx.filter.type, function (v) { setInsert(slot, 'filter', 'type', v); }));
+    soundBody.appendChild(buildParamRange('Cutoff', 40, 16000, 10, fx.filter.freq, function (v) { return v + ' Hz'; }, function (v) {
+      setInsert(slot, 'filter', 'freq', v);
+    }));
+    soundBody.appendChild(buildParamRange('Resonance', 0.1, 20, 0.1, fx.filter.q, String, function (v) {
+      setInsert(slot, 'filter', 'q', v);
+    }));
+    soundBody.appendChild(buildParamRange('Envelope', 0, 5, 0.1, fx.filter.env, function (v) { return v + ' oct'; }, function (v) {
+      setInsert(slot, 'filter', 'env', v);
+    }));
+    soundBody.appendChild(buildParamRange('Env decay', 20, 2000, 10, fx.filter.decay, function (v) { return v + ' ms'; }, function (v) {
+      setInsert(slot, 'filter', 'decay', v);
+    }));
+
+    section('Drive');
+    soundBody.appendChild(buildParamCheck('On', fx.drive.on, function (on) { setInsert(slot, 'drive', 'on', on); }));
+    soundBody.appendChild(buildParamRange('Amount', 0, 100, 1, fx.drive.amount, pct, function (v) {
+      setInsert(slot, 'drive', 'amount', v);
+    }));
+
+    section(workletsLive ? 'Bitcrush' : 'Bitcrush (not supported in this browser)');
+    soundBody.appendChild(buildParamCheck('On', fx.crush.on, function (on) { setInsert(slot, 'crush', 'on', on); }));
+    soundBody.appendChild(buildParamRange('Bits', 1, 16, 1, fx.crush.bits, String, function (v) {
+      setInsert(slot, 'crush', 'bits', v);
+    }));
+    soundBody.appendChild(buildParamRange('Rate divide', 1, 32, 1, fx.crush.rate, function (v) { return '÷' + v; }, function (v) {
+      setInsert(slot, 'crush', 'rate', v);
+    }));
+
+    section('Delay');
+    soundBody.appendChild(buildParamCheck('On', fx.delay.on, function (on) { setInsert(slot, 'delay', 'on', on); }));
+    soundBody.appendChild(buildParamSelect('Time', Object.keys(DELAY_DIVS).map(function (d) {
+      return { value: d, label: '1/' + d };
+    }), fx.delay.div, function (v) { setInsert(slot, 'delay', 'div', v); }));
+    soundBody.appendChild(buildParamRange('Feedback', 0, 90, 1, fx.delay.feedback, pct, function (v) {
+      setInsert(slot, 'delay', 'feedback', v);
+    }));
+    soundBody.appendChild(buildParamRange('Mix', 0, 100, 1, fx.delay.mix, pct, function (v) {
+      setInsert(slot, 'delay', 'mix', v);
+    }));
   }
 
-  function applyPaintCells(ringId, i, value) {
-    if (!pattern || !pattern[ringId]) return;
-    var targets = paintTargetsFor(ringId, i);
-    var t;
-    for (t = 0; t < targets.length; t++) {
-      pattern[ringId][targets[t]] = value;
-      paintSeg(ringId, targets[t]);
-    }
-    clearScrubHitCache();
+  /** Code token for one slot: only enabled effects, colon-separated params. */
+  function encodeInsertLine(slot) {
+    var fx = inserts[slot];
+    var parts = [];
+    if (fx.filter.on) parts.push('filter=' + [fx.filter.type, fx.filter.freq, fx.filter.q, fx.filter.env, fx.filter.decay].join(':'));
+    if (fx.drive.on) parts.push('drive=' + fx.drive.amount);
+    if (fx.crush.on) parts.push('crush=' + fx.crush.bits + ':' + fx.crush.rate);
+    if (fx.delay.on) parts.push('delay=' + [fx.delay.div, fx.delay.feedback, fx.delay.mix].join(':'));
+    return 'FX ' + slot + ' ' + parts.join(' ');
+  }
+
+  function parseInsertLine(rest) {
+    var parts = rest.split(/\s+/);
+    var slot = parts[0];
+    if (slot !== 'master' && !sampleById(slot)) return null;
+    var fx = insertDefaults();
+    function num(v, lo, hi, dflt) {
+      var n = parseFloat(v);
+      return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+    }
+    parts.slice(1).forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      if (eq < 1) return;
+      var key = pair.slice(0, eq);
+      var v = pair.slice(eq + 1).split(':');
+      if (key === 'filter') {
+        fx.filter.on = true;
+        if (FILTER_TYPES.indexOf(v[0]) >= 0) fx.filter.type = v[0];
+        fx.filter.freq = num(v[1], 40, 16000, fx.filter.freq);
+        fx.filter.q = num(v[2], 0.1, 20, fx.filter.q);
+        fx.filter.env = num(v[3], 0, 5, fx.filter.env);
+        fx.filter.decay = num(v[4], 20, 2000, fx.filter.decay);
+      } else if (key === 'drive') {
+        fx.drive.on = true;
+        fx.drive.amount = num(v[0], 0, 100, fx.drive.amount);
+      } else if (key === 'crush') {
+        fx.crush.on = true;
+        fx.crush.bits = num(v[0], 1, 16, fx.crush.bits);
+        fx.crush.rate = num(v[1], 1, 32, fx.crush.rate);
+      } else if (key === 'delay') {
+        fx.delay.on = true;
+        if (DELAY_DIVS[v[0]]) fx.delay.div = v[0];
+        fx.delay.feedback = num(v[1], 0, 90, fx.delay.feedback);
+        fx.delay.mix = num(v[2], 0, 100, fx.delay.mix);
+      }
+    });
+    return insertActive(fx) ? { slot: slot, fx: fx } : null;
   }
 
-  var segPress = null;
+  /** Master chain after the mix: 3-band EQ → glue compressor → lookahead brickwall limiter. */
+  var MASTER_DEFAULTS = {
+    low: 0, mid: 0, high: 0,
+    comp: false, thresh: -18, ratio: 3,
+    limit: true, ceiling: -1,
+    norm: 'off'
+  };
+  /** Export loudness targets (LUFS) or peak normalize; 'off' leaves the render as is. */
+  var NORM_TARGETS = { off: null, peak: 'peak', '-16': -16, '-14': -14, '-11': -11, '-9': -9 };
+  var masterFx = Object.assign({}, MASTER_DEFAULTS);
+  var masterChainLive = null;
 
-  function clearSegPress() {
-    if (segPress && segPress.timer) clearTimeout(segPress.timer);
-    segPress = null;
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
   }
 
-  function onSegPointerDown(e) {
-    e.preventDefault();
-    if (!layers[viewLayer].enabled) return;
-    var ringId = e.currentTarget.dataset.ring;
-    var i = parseInt(e.currentTarget.dataset.seg, 10);
-    if (!pattern[ringId] || !Number.isFinite(i)) return;
-    clearSegPress();
-    segPress = {
-      ringId: ringId,
-      i: i,
-      pointerId: e.pointerId,
-      startX: e.clientX,
-      startY: e.clientY,
-      existing: pattern[ringId][i],
-      held: false,
-      moved: false,
-      scratched: false,
-      el: e.currentTarget,
-      timer: null
+  function buildMasterChain(context, opts) {
+    // Lowpass for wheel cutoff automation; wide open unless a wheel sweeps it.
+    var sweep = context.createBiquadFilter();
+    sweep.type = 'lowpass';
+    sweep.frequency.value = AUTO_CUTOFF_OPEN;
+    sweep.Q.value = 0.7;
+    var low = context.createBiquadFilter();
+    low.type = 'lowshelf';
+    low.frequency.value = 120;
+    var mid = context.createBiquadFilter();
+    mid.type = 'peaking';
+    mid.frequency.value = 1000;
+    mid.Q.value = 0.8;
+    var high = context.createBiquadFilter();
+    high.type = 'highshelf';
+    high.frequency.value = 8000;
+    var comp = context.createDynamicsCompressor();
+    comp.knee.value = 6;
+    comp.attack.value = 0.01;
+    comp.release.value = 0.2;
+    var makeup = context.createGain();
+    var limiter;
+    if (opts.worklet) {
+      limiter = new AudioWorkletNode(context, 'cb-limiter', { outputChannelCount: [2] });
+    } else {
+      // No worklets: a hard-knee compressor is the closest built-in stand-in.
+      limiter = context.createDynamicsCompressor();
+      limiter.knee.value = 0;
+      limiter.ratio.value = 20;
+      limiter.attack.value = 0.001;
+      limiter.release.value = 0.1;
+    }
+    sweep.connect(low);
+    low.connect(mid);
+    mid.connect(high);
+    high.connect(comp);
+    comp.connect(makeup);
+    makeup.connect(limiter);
+    var chain = { input: sweep, output: limiter, sweep: sweep, low: low, mid: mid, high: high, comp: comp, makeup: makeup, limiter: limiter };
+    setMasterChainParams(chain, context.currentTime);
+    return chain;
+  }
+
+  function setMasterChainParams(chain, now) {
+    chain.low.gain.setValueAtTime(masterFx.low, now);
+    chain.mid.gain.setValueAtTime(masterFx.mid, now);
+    chain.high.gain.setValueAtTime(masterFx.high, now);
+    // Compressor "off" is unity: ratio 1 at 0 dB threshold.
+    chain.comp.threshold.setValueAtTime(masterFx.comp ? masterFx.thresh : 0, now);
+    chain.comp.ratio.setValueAtTime(masterFx.comp ? masterFx.ratio : 1, now);
+    // Rough auto makeup: half the static reduction at a -6 dB peak.
+    var over = masterFx.comp ? Math.max(0, -6 - masterFx.thresh) : 0;
+    chain.makeup.gain.setValueAtTime(dbToGain(over * (1 - 1 / masterFx.ratio) * 0.5), now);
+    var ceiling = masterFx.limit ? masterFx.ceiling : 0;
+    if (chain.limiter.parameters) chain.limiter.parameters.get('ceiling').setValueAtTime(dbToGain(ceiling), now);
+    else chain.limiter.threshold.setValueAtTime(ceiling, now);
+  }
+
+  function applyMasterFx() {
+    if (masterChainLive && ctx) setMasterChainParams(masterChainLive, ctx.currentTime);
+  }
+
+  function setMasterFx(key, value) {
+    recordHistory('Master', 'master:' + key);
+    masterFx[key] = value;
+    applyMasterFx();
+  }
+
+  function openMasterSheet() {
+    openSheetFor('master', 'Master');
+    function db(v) { return (v > 0 ? '+' : '') + v + ' dB'; }
+    function section(title) {
+      var h = document.createElement('div');
+      h.className = 'fx-section';
+      h.textContent = title;
+      soundBody.appendChild(h);
+    }
+    section('EQ');
+    soundBody.appendChild(buildParamRange('Low', -12, 12, 0.5, masterFx.low, db, function (v) { setMasterFx('low', v); }));
+    soundBody.appendChild(buildParamRange('Mid', -12, 12, 0.5, masterFx.mid, db, function (v) { setMasterFx('mid', v); }));
+    soundBody.appendChild(buildParamRange('High', -12, 12, 0.5, masterFx.high, db, function (v) { setMasterFx('high', v); }));
+    section('Glue compressor');
+    soundBody.appendChild(buildParamCheck('On', masterFx.comp, function (on) { setMasterFx('comp', on); }));
+    soundBody.appendChild(buildParamRange('Threshold', -40, 0, 1, masterFx.thresh, db, function (v) { setMasterFx('thresh', v); }));
+    soundBody.appendChild(buildParamRange('Ratio', 1.5, 8, 0.5, masterFx.ratio, function (v) { return v + ':1'; }, function (v) {
+      setMasterFx('ratio', v);
+    }));
+    section(workletsLive ? 'Limiter' : 'Limiter (compressor fallback)');
+    soundBody.appendChild(buildParamCheck('On', masterFx.limit, function (on) { setMasterFx('limit', on); }));
+    soundBody.appendChild(buildParamRange('Ceiling', -12, 0, 0.1, masterFx.ceiling, function (v) { return v.toFixed(1) + ' dBFS'; }, function (v) {
+      setMasterFx('ceiling', v);
+    }));
+    section('Export');
+    soundBody.appendChild(buildParamSelect('Normalize', [
+      { value: 'off', label: 'Off' },
+      { value: 'peak', label: 'Peak to ceiling' },
+      { value: '-16', label: '-16 LUFS' },
+      { value: '-14', label: '-14 LUFS (streaming)' },
+      { value: '-11', label: '-11 LUFS' },
+      { value: '-9', label: '-9 LUFS (loud)' }
+    ], masterFx.norm, function (v) { setMasterFx('norm', v); }));
+  }
+
+  function encodeMasterLine() {
+    return 'MASTER eq=' + [masterFx.low, masterFx.mid, masterFx.high].join(':') +
+      ' comp=' + [masterFx.comp ? 1 : 0, masterFx.thresh, masterFx.ratio].join(':') +
+      ' limit=' + [masterFx.limit ? 1 : 0, masterFx.ceiling].join(':') +
+      ' norm=' + masterFx.norm;
+  }
+
+  function parseMasterLine(rest) {
+    var out = Object.assign({}, MASTER_DEFAULTS);
+    function num(v, lo, hi, dflt) {
+      var n = parseFloat(v);
+      return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+    }
+    rest.split(/\s+/).forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      if (eq < 1) return;
+      var key = pair.slice(0, eq);
+      var v = pair.slice(eq + 1).split(':');
+      if (key === 'eq') {
+        out.low = num(v[0], -12, 12, 0);
+        out.mid = num(v[1], -12, 12, 0);
+        out.high = num(v[2], -12, 12, 0);
+      } else if (key === 'comp') {
+        out.comp = v[0] === '1';
+        out.thresh = num(v[1], -40, 0, out.thresh);
+        out.ratio = num(v[2], 1.5, 8, out.ratio);
+      } else if (key === 'limit') {
+        out.limit = v[0] === '1';
+        out.ceiling = num(v[1], -12, 0, out.ceiling);
+      } else if (key === 'norm' && Object.prototype.hasOwnProperty.call(NORM_TARGETS, v[0])) {
+        out.norm = v[0];
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Per-wheel automation: layer.auto maps a lane key to { from, to } where
+   * to === null holds from for the whole bar and a number ramps across it.
+   * Maker lanes are keyed 'maker.param' (e.g. 'kick.decayBase').
+   */
+  var AUTO_LANES = [
+    { key: 'swing', label: 'Swing', min: 0, max: 100, step: 1, unit: '%' },
+    { key: 'human', label: 'Humanize', min: 0, max: 100, step: 1, unit: '%' },
+    { key: 'reverb', label: 'Reverb wet', min: 0, max: 100, step: 1, unit: '%' },
+    { key: 'stereo', label: 'Stereo width', min: 0, max: 100, step: 1, unit: '%' },
+    { key: 'cutoff', label: 'Master cutoff', min: 40, max: 20000, step: 1, unit: ' Hz', log: true }
+  ];
+  /** Master sweep filter rests here when no wheel automates it. */
+  var AUTO_CUTOFF_OPEN = 20000;
+  /** Ramped maker lanes render this many buffers across the bar; hits pick the nearest. */
+  var AUTO_MAKER_STEPS = 4;
+  /** layerIdx → sampleId → [AudioBuffer] rendered with that wheel's maker overrides. */
+  var autoBanks = {};
+  var autoBankGen = 0;
+  var autoBankTimer = 0;
+  /** Wheel the automation sheet is editing (fixed while playback moves the view). */
+  var autoSheetLayer = 0;
+
+  function layerAuto(layerIdx) {
+    var layer = layers[layerIdx];
+    return (layer && layer.auto) || {};
+  }
+
+  function autoLaneSpec(key) {
+    for (var i = 0; i < AUTO_LANES.length; i++) {
+      if (AUTO_LANES[i].key === key) return AUTO_LANES[i];
+    }
+    var dot = key.indexOf('.');
+    if (dot < 1) return null;
+    var makerId = key.slice(0, dot);
+    var param = key.slice(dot + 1);
+    var range = MAKER_RANGES[makerId] && MAKER_RANGES[makerId][param];
+    if (!range) return null;
+    var span = range[1] - range[0];
+    return {
+      key: key, maker: makerId, param: param,
+      label: makerId + ' · ' + prettyKey(param),
+      min: range[0], max: range[1], step: span > 20 ? 1 : (span > 2 ? 0.01 : 0.001), unit: ''
     };
-    try { e.currentTarget.setPointerCapture(e.pointerId); } catch (err) { /* ignore */ }
+  }
 
-    if (playing) {
-      // Hold or drag engages the platter; a quick tap still paints.
-      segPress.timer = setTimeout(function () {
-        if (!segPress || segPress.moved) return;
-        segPress.held = true;
-        beginPlatterGesture({
-          pointerId: segPress.pointerId,
-          clientX: segPress.startX,
-          clientY: segPress.startY
-        });
-        if (platterGesture) platterGesture.mode = 'brake';
-        transport.target = PLATTER_BRAKE_RATE;
-      }, 160);
-      return;
-    }
+  /** Lane value at frac (0..1) through the bar, or fallback when the wheel has no lane. */
+  function autoValue(layerIdx, key, frac, fallback) {
+    var lane = layerAuto(layerIdx)[key];
+    if (!lane) return fallback;
+    if (lane.to == null) return lane.from;
+    return lane.from + (lane.to - lane.from) * Math.max(0, Math.min(1, frac));
+  }
 
-    segPress.timer = setTimeout(function () {
-      if (!segPress) return;
-      segPress.held = true;
-      if (segPress.existing) {
-        setPaintSample(segPress.existing);
-        listenSample(segPress.existing).catch(function (err) { console.error(err); });
-      }
-    }, HOLD_MS);
+  /** Swing / humanize amount (0..1) for a step at frac through the bar. */
+  function autoUnit(layerIdx, key, frac, fallback) {
+    var lane = layerAuto(layerIdx)[key];
+    return lane ? autoValue(layerIdx, key, frac, 0) / 100 : fallback;
   }
 
-  function onSegPointerMove(e) {
-    if (!segPress || e.pointerId !== segPress.pointerId) return;
-    var dist = Math.hypot(e.clientX - segPress.startX, e.clientY - segPress.startY);
-    if (playing) {
-      if (!platterGesture && dist > PLATTER_DRAG_PX) {
-        if (segPress.timer) {
-          clearTimeout(segPress.timer);
-          segPress.timer = null;
-        }
-        beginPlatterGesture(e);
-        segPress.moved = true;
-        segPress.scratched = true;
-      }
-      if (platterGesture) {
-        updatePlatterGesture(e);
-        if (platterGesture.dragged) {
-          segPress.moved = true;
-          segPress.scratched = true;
-        }
-      }
-      return;
-    }
-    if (dist > 14) segPress.moved = true;
+  function anyLayerAutomates(key) {
+    return layers.some(function (layer) { return !!(layer.auto && layer.auto[key]); });
   }
 
-  function onSegPointerUp(e) {
-    if (playing) endPlatterGesture(e);
-    if (!segPress || e.pointerId !== segPress.pointerId) return;
-    var press = segPress;
-    if (press.timer) clearTimeout(press.timer);
-    segPress = null;
-    try { press.el.releasePointerCapture(e.pointerId); } catch (err) { /* ignore */ }
+  function autoParamValue(key, v) {
+    if (key === 'reverb') return v / 100;
+    if (key === 'stereo') return stereoAmountFor(v);
+    return v;
+  }
 
-    var moved = press.moved || Math.hypot(e.clientX - press.startX, e.clientY - press.startY) > 14;
-    if (press.held || moved || press.scratched) return;
-    if (!layers[viewLayer].enabled) return;
-    // While playing, quick tap still paints; hold/drag is platter.
-    var ringId = press.ringId;
-    var i = press.i;
-    if (pattern[ringId][i] === paintSample) {
-      applyPaintCells(ringId, i, null);
-      return;
-    }
-    applyPaintCells(ringId, i, paintSample);
-    listenSample(paintSample).catch(function (err) { console.error(err); });
+  function autoParamBase(key) {
+    if (key === 'reverb') return getReverb();
+    if (key === 'stereo') return getStereoMidHighAmount();
+    return AUTO_CUTOFF_OPEN;
   }
 
-  function onSegPointerCancel(e) {
-    if (playing) endPlatterGesture(e);
-    if (!segPress || e.pointerId !== segPress.pointerId) return;
-    clearSegPress();
+  /**
+   * Write one bar of reverb / stereo / cutoff automation. params maps lane key
+   * to AudioParam; wheels without a lane snap back to the global setting.
+   */
+  function scheduleAutoParams(params, layerIdx, barStart, barDur) {
+    Object.keys(params).forEach(function (key) {
+      var param = params[key];
+      if (!param || !anyLayerAutomates(key)) return;
+      var t0 = Math.max(0, barStart);
+      var lane = layerAuto(layerIdx)[key];
+      param.cancelScheduledValues(t0);
+      if (!lane) {
+        param.setValueAtTime(autoParamBase(key), t0);
+        return;
+      }
+      param.setValueAtTime(autoParamValue(key, lane.from), t0);
+      if (lane.to == null) return;
+      if (key === 'cutoff') param.exponentialRampToValueAtTime(lane.to, t0 + barDur);
+      else param.linearRampToValueAtTime(autoParamValue(key, lane.to), t0 + barDur);
+    });
   }
 
-  function pickRingPreferFewerSegments(availableIds, rand) {
-    rand = rand || Math.random;
-    if (!availableIds.length) return null;
-    var weights = [];
-    var total = 0;
-    var i;
-    for (i = 0; i < availableIds.length; i++) {
-      var ring = null;
-      var j;
-      for (j = 0; j < RINGS.length; j++) {
-        if (RINGS[j].id === availableIds[i]) { ring = RINGS[j]; break; }
-      }
-      // Fewer segments → higher weight (squared for a stronger bias).
-      var w = ring ? 1 / (ring.segments * ring.segments) : 1;
-      weights.push(w);
-      total += w;
-    }
-    var r = rand() * total;
-    var acc = 0;
-    for (i = 0; i < availableIds.length; i++) {
-      acc += weights[i];
-      if (r <= acc) return availableIds[i];
-    }
-    return availableIds[availableIds.length - 1];
+  function liveAutoParams() {
+    return {
+      reverb: reverbWetGain && reverbWetGain.gain,
+      stereo: stereoMidHighGain && stereoMidHighGain.gain,
+      cutoff: masterChainLive && masterChainLive.sweep.frequency
+    };
   }
 
-  /**
-   * Build structural Lucky Roll plan (rings / sounds / pulses / rot).
-   * Skip is applied later via Math.random so Match=100% wheels can still vary slightly.
-   */
-  function buildLuckyFillPlan(rand) {
-    rand = rand || Math.random;
-    var plan = [];
-    var remaining = RINGS.map(function (r) { return r.id; });
-    var usedOrder = [];
-    var usedSet = {};
-    var soundTarget = getLuckySoundCount();
-    var reuseChance = getLuckyReuseChance();
+  /** Drop pending automation and return to the global settings (stop / seek). */
+  function resetAutoParams(now) {
+    var params = liveAutoParams();
+    ['stereo', 'cutoff'].forEach(function (key) {
+      if (!params[key]) return;
+      params[key].cancelScheduledValues(now);
+      params[key].setValueAtTime(autoParamBase(key), now);
+    });
+  }
 
-    function ringSteps(ringId) {
-      for (var i = 0; i < RINGS.length; i++) {
-        if (RINGS[i].id === ringId) return RINGS[i].segments;
-      }
-      return 16;
-    }
+  /** Per-wheel buffer for a maker lane hit, or null to use the shared bank. */
+  function autoBufferFor(layerIdx, sampleId, frac) {
+    var bufs = autoBanks[layerIdx] && autoBanks[layerIdx][sampleId];
+    if (!bufs) return null;
+    return bufs[Math.round(Math.max(0, Math.min(1, frac)) * (bufs.length - 1))];
+  }
+
+  /** Offline copy of autoBufferFor, cached in the export bank. */
+  function offlineAutoBuffer(octx, bank, layerIdx, sampleId, frac) {
+    var bufs = autoBanks[layerIdx] && autoBanks[layerIdx][sampleId];
+    if (!bufs) return null;
+    var k = Math.round(Math.max(0, Math.min(1, frac)) * (bufs.length - 1));
+    var cacheKey = 'auto:' + layerIdx + ':' + sampleId + ':' + k;
+    if (!bank[cacheKey]) bank[cacheKey] = copyBufferToContext(bufs[k], octx);
+    return bank[cacheKey];
+  }
+
+  /** Render every wheel's maker overrides; stale renders are dropped. */
+  async function buildAutoBanks() {
+    var gen = ++autoBankGen;
+    var next = {};
+    var jobs = [];
+    layers.forEach(function (layer, layerIdx) {
+      var auto = layer.auto || {};
+      var byMaker = {};
+      Object.keys(auto).forEach(function (key) {
+        var spec = autoLaneSpec(key);
+        if (!spec || !spec.maker) return;
+        (byMaker[spec.maker] = byMaker[spec.maker] || []).push(spec);
+      });
+      Object.keys(byMaker).forEach(function (makerId) {
+        var specs = byMaker[makerId];
+        var ramped = specs.some(function (spec) { return auto[spec.key].to != null; });
+        var steps = ramped ? AUTO_MAKER_STEPS : 1;
+        SAMPLES.forEach(function (s) {
+          if (s.type !== 'maker' || s.maker !== makerId) return;
+          next[layerIdx] = next[layerIdx] || {};
+          var bufs = next[layerIdx][s.id] = [];
+          var k;
+          for (k = 0; k < steps; k++) {
+            var params = Object.assign({}, makerSoundParams[makerId] || MAKER_DEFAULTS[makerId]);
+            specs.forEach(function (spec) {
+              params[spec.param] = autoValue(layerIdx, spec.key, steps > 1 ? k / (steps - 1) : 0, params[spec.param]);
+            });
+            (function (slot) {
+              jobs.push(renderVoice(makerId, s.open, params).then(function (buf) { bufs[slot] = buf; }));
+            })(k);
+          }
+        });
+      });
+    });
+    await Promise.all(jobs);
+    if (gen === autoBankGen) autoBanks = next;
+  }
 
-    function placeOnRing(ringId, soundId) {
-      var steps = ringSteps(ringId);
-      var pulses = (soundId === 'kick' || soundId === 'snare')
-        ? randomPulsesCore(steps, rand)
-        : randomPulses(steps, rand);
-      var rot = Math.floor(rand() * steps);
-      plan.push({ ringId: ringId, soundId: soundId, pulses: pulses, rot: rot });
-      if (!usedSet[soundId]) {
-        usedSet[soundId] = true;
-        usedOrder.push(soundId);
+  function scheduleAutoBanks() {
+    clearTimeout(autoBankTimer);
+    autoBankTimer = setTimeout(function () {
+      buildAutoBanks().catch(function (e) { console.error(e); });
+    }, 150);
+  }
+
+  function setAutoLane(layerIdx, key, lane) {
+    var layer = layers[layerIdx];
+    if (!layer) return;
+    recordHistory('Automation', 'auto:' + layerIdx + ':' + key);
+    layer = layers[layerIdx];
+    layer.auto = Object.assign({}, layer.auto);
+    if (lane) layer.auto[key] = lane;
+    else delete layer.auto[key];
+    clearScrubHitCache();
+    if (key.indexOf('.') > 0) scheduleAutoBanks();
+    if (!lane && ctx && (key === 'reverb' || key === 'stereo' || key === 'cutoff') && !anyLayerAutomates(key)) {
+      var params = liveAutoParams();
+      if (params[key]) {
+        params[key].cancelScheduledValues(ctx.currentTime);
+        params[key].setValueAtTime(autoParamBase(key), ctx.currentTime);
       }
     }
+  }
 
-    function takeRing(preferFew) {
-      if (!remaining.length) return null;
-      var ringId = preferFew
-        ? pickRingPreferFewerSegments(remaining, rand)
-        : remaining[Math.floor(rand() * remaining.length)];
-      var ri = remaining.indexOf(ringId);
-      if (ri !== -1) remaining.splice(ri, 1);
-      return ringId;
-    }
+  function autoLaneDefault(key) {
+    if (key === 'swing') return Math.round(getSwing() * 100);
+    if (key === 'human') return Math.round(getHumanize() * 100);
+    if (key === 'reverb') return Math.round(getReverb() * 100);
+    if (key === 'stereo') return Math.round(getStereo());
+    if (key === 'cutoff') return AUTO_CUTOFF_OPEN;
+    var spec = autoLaneSpec(key);
+    var cur = spec && makerSoundParams[spec.maker] && makerSoundParams[spec.maker][spec.param];
+    return Number.isFinite(cur) ? cur : (spec ? spec.min : 0);
+  }
 
-    var coreOrder = CORE_DRUM_IDS.slice();
-    var c;
-    for (c = 0; c < coreOrder.length && remaining.length && usedOrder.length < soundTarget; c++) {
-      var coreId = coreOrder[c];
-      var coreRingId = takeRing(coreId === 'kick' || coreId === 'snare');
-      if (!coreRingId) break;
-      placeOnRing(coreRingId, coreId);
+  /** From / Ramp / To rows for one lane; log lanes slide over log2(Hz). */
+  function buildAutoLaneRows(layerIdx, spec, lane) {
+    var box = document.createElement('div');
+    function fmt(v) {
+      return (spec.log ? Math.round(v) : Math.round(v * 1000) / 1000) + spec.unit;
     }
-
-    var fillPool = [];
-    var wordPool = [];
-    var humanity = getLuckyHumanity();
-    SAMPLES.forEach(function (s) {
-      if (usedSet[s.id]) return;
-      if (s.type === 'text') {
-        if (!String(sayTexts[s.id] || '').trim()) return;
-        // Humanity: how likely this producer picks word sounds for free slots.
-        if (rand() >= humanity) return;
-        wordPool.push(s.id);
-        return;
-      }
-      if (s.type === 'sample' && !soundBank[s.id]) return;
-      fillPool.push(s.id);
-    });
-    shuffleInPlace(wordPool, rand);
-    shuffleInPlace(fillPool, rand);
-    // Prefer words first when Humanity is high so vocal producers actually land on the wheel.
-    if (humanity >= 0.55) fillPool = wordPool.concat(fillPool);
-    else fillPool = fillPool.concat(wordPool);
-
-    while (remaining.length && usedOrder.length < soundTarget && fillPool.length) {
-      var freshId = fillPool.shift();
-      var freshRing = takeRing(false);
-      if (!freshRing) break;
-      placeOnRing(freshRing, freshId);
+    function range(label, value, onValue) {
+      if (!spec.log) return buildParamRange(label, spec.min, spec.max, spec.step, value, fmt, onValue);
+      return buildParamRange(label, Math.log2(spec.min), Math.log2(spec.max), 0.01, Math.log2(value), function (p) {
+        return fmt(Math.pow(2, p));
+      }, function (p) { onValue(Math.round(Math.pow(2, p))); });
     }
-
-    while (remaining.length && usedOrder.length) {
-      var leftRing = takeRing(false);
-      if (!leftRing) break;
-      if (rand() >= reuseChance) continue;
-      var reuseId = usedOrder[Math.floor(rand() * usedOrder.length)];
-      placeOnRing(leftRing, reuseId);
+    function current() {
+      return layerAuto(layerIdx)[spec.key] || lane;
     }
-
-    return plan;
-  }
-
-  function applyLuckyFillPlan(pat, plan) {
-    RINGS.forEach(function (ring) {
-      pat[ring.id] = Array(ring.segments).fill(null);
-    });
-    if (!plan || !plan.length) return;
-    var i;
-    for (i = 0; i < plan.length; i++) {
-      var item = plan[i];
-      if (!pat[item.ringId]) continue;
-      applyEuclid(pat[item.ringId], item.soundId, item.pulses, item.rot);
+    box.appendChild(range(lane.to == null ? 'Value' : 'From', lane.from, function (v) {
+      setAutoLane(layerIdx, spec.key, { from: v, to: current().to });
+    }));
+    box.appendChild(buildParamCheck('Ramp across the bar', lane.to != null, function (on) {
+      var cur = current();
+      setAutoLane(layerIdx, spec.key, { from: cur.from, to: on ? cur.from : null });
+      openAutomationSheet(layerIdx);
+    }));
+    if (lane.to != null) {
+      box.appendChild(range('To', lane.to, function (v) {
+        setAutoLane(layerIdx, spec.key, { from: current().from, to: v });
+      }));
     }
-    clearScrubHitCache();
+    return box;
+  }
+
+  function openAutomationSheet(layerIdx) {
+    if (layerIdx == null) layerIdx = viewLayer;
+    autoSheetLayer = layerIdx;
+    openSheetFor('automation', 'Automation · ' + layerLabel(layerIdx));
+    var auto = layerAuto(layerIdx);
+    function section(title) {
+      var h = document.createElement('div');
+      h.className = 'fx-section';
+      h.textContent = title;
+      soundBody.appendChild(h);
+    }
+    AUTO_LANES.forEach(function (spec) {
+      section(spec.label);
+      soundBody.appendChild(buildParamCheck('Automate on this wheel', !!auto[spec.key], function (on) {
+        setAutoLane(layerIdx, spec.key, on ? { from: autoLaneDefault(spec.key), to: null } : null);
+        openAutomationSheet(layerIdx);
+      }));
+      if (auto[spec.key]) soundBody.appendChild(buildAutoLaneRows(layerIdx, spec, auto[spec.key]));
+    });
+    section('Sound maker params');
+    Object.keys(auto).forEach(function (key) {
+      var spec = autoLaneSpec(key);
+      if (!spec || !spec.maker) return;
+      var head = document.createElement('div');
+      head.className = 'param-actions';
+      var remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Remove ' + spec.label;
+      remove.addEventListener('click', function () {
+        setAutoLane(layerIdx, key, null);
+        openAutomationSheet(layerIdx);
+      });
+      head.appendChild(remove);
+      soundBody.appendChild(head);
+      soundBody.appendChild(buildAutoLaneRows(layerIdx, spec, auto[key]));
+    });
+    var options = [{ value: '', label: 'Add a param…' }];
+    makerIds.forEach(function (makerId) {
+      Object.keys(MAKER_RANGES[makerId] || {}).forEach(function (param) {
+        var key = makerId + '.' + param;
+        if (!auto[key]) options.push({ value: key, label: makerId + ' · ' + prettyKey(param) });
+      });
+    });
+    soundBody.appendChild(buildParamSelect('Automate', options, '', function (key) {
+      if (!key) return;
+      setAutoLane(layerIdx, key, { from: autoLaneDefault(key), to: null });
+      openAutomationSheet(layerIdx);
+    }));
   }
 
-  /** Per-ring blend of master vs alternate plan by Match (consistency). */
-  function blendLuckyFillPlans(master, alt, consistency, rand) {
-    rand = rand || Math.random;
-    var byMaster = {};
-    var byAlt = {};
-    (master || []).forEach(function (p) { byMaster[p.ringId] = p; });
-    (alt || []).forEach(function (p) { byAlt[p.ringId] = p; });
-    var out = [];
-    RINGS.forEach(function (ring) {
-      var keepMaster = rand() < consistency;
-      var pick = keepMaster ? byMaster[ring.id] : byAlt[ring.id];
-      if (!pick) pick = byMaster[ring.id] || byAlt[ring.id];
-      if (pick) out.push(pick);
+  /** AUTO <wheel> key=from[:to] … — one line per wheel with lanes. */
+  function encodeAutoLine(layerIdx) {
+    var auto = layerAuto(layerIdx);
+    var keys = Object.keys(auto);
+    if (!keys.length) return null;
+    return 'AUTO ' + layerIdx + ' ' + keys.map(function (key) {
+      var lane = auto[key];
+      return key + '=' + lane.from + (lane.to != null ? ':' + lane.to : '');
+    }).join(' ');
+  }
+
+  function parseAutoLine(rest) {
+    var parts = rest.split(/\s+/);
+    var auto = {};
+    parts.slice(1).forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      if (eq < 1) return;
+      var spec = autoLaneSpec(pair.slice(0, eq));
+      if (!spec) return;
+      var v = pair.slice(eq + 1).split(':').map(parseFloat);
+      if (!Number.isFinite(v[0])) return;
+      function clamp(n) { return Math.max(spec.min, Math.min(spec.max, n)); }
+      auto[spec.key] = { from: clamp(v[0]), to: Number.isFinite(v[1]) ? clamp(v[1]) : null };
     });
-    return out;
+    return { layer: parseInt(parts[0], 10), auto: auto };
   }
 
-  function randomFillPattern(pat, structRng) {
-    applyLuckyFillPlan(pat, buildLuckyFillPlan(structRng || Math.random));
+  /** RBJ biquad coefficients, normalized so a0 = 1. */
+  function biquadCoeffs(type, f0, q, gainDb, sr) {
+    var A = Math.pow(10, gainDb / 40);
+    var w = 2 * Math.PI * f0 / sr;
+    var cw = Math.cos(w);
+    var alpha = Math.sin(w) / (2 * q);
+    var b;
+    var a;
+    if (type === 'highshelf') {
+      var sq = 2 * Math.sqrt(A) * alpha;
+      b = [A * ((A + 1) + (A - 1) * cw + sq), -2 * A * ((A - 1) + (A + 1) * cw), A * ((A + 1) + (A - 1) * cw - sq)];
+      a = [(A + 1) - (A - 1) * cw + sq, 2 * ((A - 1) - (A + 1) * cw), (A + 1) - (A - 1) * cw - sq];
+    } else {
+      b = [(1 + cw) / 2, -(1 + cw), (1 + cw) / 2];
+      a = [1 + alpha, -2 * cw, 1 - alpha];
+    }
+    return { b0: b[0] / a[0], b1: b[1] / a[0], b2: b[2] / a[0], a1: a[1] / a[0], a2: a[2] / a[0] };
   }
 
-  /** Bjorklund Euclidean rhythm → boolean hits length = steps. */
-  function euclidHits(steps, pulses) {
-    steps = Math.max(0, steps | 0);
-    pulses = Math.max(0, Math.min(steps, pulses | 0));
-    if (steps === 0) return [];
-    if (pulses === 0) {
-      var z = [];
-      for (var zi = 0; zi < steps; zi++) z.push(false);
-      return z;
-    }
-    if (pulses === steps) {
-      var f = [];
-      for (var fi = 0; fi < steps; fi++) f.push(true);
-      return f;
+  function biquadRun(data, c) {
+    var out = new Float32Array(data.length);
+    var x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (var i = 0; i < data.length; i++) {
+      var x = data[i];
+      var y = c.b0 * x + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+      x2 = x1; x1 = x; y2 = y1; y1 = y;
+      out[i] = y;
     }
-    var pattern = [];
-    var counts = [];
-    var remainders = [];
-    var divisor = steps - pulses;
-    remainders.push(pulses);
-    var level = 0;
-    while (true) {
-      counts.push(Math.floor(divisor / remainders[level]));
-      remainders.push(divisor % remainders[level]);
-      divisor = remainders[level];
-      level += 1;
-      if (remainders[level] <= 1) break;
+    return out;
+  }
+
+  /** Integrated loudness (BS.1770 K-weighting, 400 ms blocks, absolute + relative gates). */
+  function integratedLoudness(buf) {
+    var sr = buf.sampleRate;
+    var shelf = biquadCoeffs('highshelf', 1681.97, 0.7072, 4, sr);
+    var hp = biquadCoeffs('highpass', 38.14, 0.5003, 0, sr);
+    var weighted = [];
+    for (var ch = 0; ch < buf.numberOfChannels; ch++) {
+      weighted.push(biquadRun(biquadRun(buf.getChannelData(ch), shelf), hp));
+    }
+    var block = Math.round(sr * 0.4);
+    var hop = Math.round(block / 4);
+    var powers = [];
+    for (var start = 0; start + block <= buf.length; start += hop) {
+      var sum = 0;
+      weighted.forEach(function (data) {
+        for (var i = start; i < start + block; i++) sum += data[i] * data[i];
+      });
+      powers.push(sum / block);
     }
-    counts.push(divisor);
+    function lufs(p) { return -0.691 + 10 * Math.log10(p); }
+    var gated = powers.filter(function (p) { return p > 0 && lufs(p) > -70; });
+    if (!gated.length) return -Infinity;
+    var mean = gated.reduce(function (a, p) { return a + p; }, 0) / gated.length;
+    var rel = lufs(mean) - 10;
+    var kept = gated.filter(function (p) { return lufs(p) > rel; });
+    if (!kept.length) return lufs(mean);
+    return lufs(kept.reduce(function (a, p) { return a + p; }, 0) / kept.length);
+  }
 
-    function build(lvl) {
-      if (lvl === -1) {
-        pattern.push(false);
-        return;
-      }
-      if (lvl === -2) {
-        pattern.push(true);
-        return;
+  function bufferPeak(buf) {
+    var peak = 0;
+    for (var ch = 0; ch < buf.numberOfChannels; ch++) {
+      var data = buf.getChannelData(ch);
+      for (var i = 0; i < data.length; i++) {
+        var v = Math.abs(data[i]);
+        if (v > peak) peak = v;
       }
-      var c;
-      for (c = 0; c < counts[lvl]; c++) build(lvl - 1);
-      if (remainders[lvl] !== 0) build(lvl - 2);
     }
-    build(level);
-    return pattern.reverse();
+    return peak;
   }
 
-  function rotateBools(arr, rot) {
-    var n = arr.length;
-    if (!n) return arr;
-    rot = ((rot % n) + n) % n;
-    return arr.slice(rot).concat(arr.slice(0, rot));
+  function scaleBuffer(buf, gain) {
+    for (var ch = 0; ch < buf.numberOfChannels; ch++) {
+      var data = buf.getChannelData(ch);
+      for (var i = 0; i < data.length; i++) data[i] *= gain;
+    }
   }
 
-  /** φ⁻¹ ≈ 0.618 — Euclidean density + skip approach. */
-  var GOLDEN_CONJ = (Math.sqrt(5) - 1) / 2;
-  var CORE_SKIP_SCALE = 0.15;
-  var CORE_PLAY_GAIN = 1.2;
-  /** Extra lift so snare reads clearly against words / hats. */
-  var SNARE_PLAY_GAIN = 1.65;
-
-  function isCoreBackbone(soundId) {
-    return soundId === 'kick' || soundId === 'snare';
+  /**
+   * Export normalize: loudness target with the limiter ceiling as a peak guard
+   * (a quiet-but-peaky render ends up under target rather than clipped).
+   */
+  function normalizeExport(buf) {
+    var target = NORM_TARGETS[masterFx.norm];
+    if (target == null) return buf;
+    var ceiling = dbToGain(masterFx.limit ? masterFx.ceiling : -1);
+    var peak = bufferPeak(buf);
+    if (peak < 1e-8) return buf;
+    if (target === 'peak') {
+      scaleBuffer(buf, ceiling / peak);
+      return buf;
+    }
+    var loud = integratedLoudness(buf);
+    if (!Number.isFinite(loud)) return buf;
+    var gain = Math.min(dbToGain(target - loud), ceiling / peak);
+    scaleBuffer(buf, gain);
+    return buf;
   }
 
-  function playGainForSample(sampleId) {
-    if (sampleId === 'snare') return SNARE_PLAY_GAIN;
-    if (isCoreBackbone(sampleId)) return CORE_PLAY_GAIN;
-    return 1;
+  /** Live meter: sample peak, RMS and short-term (3 s) K-weighted loudness. */
+  var meterTaps = null;
+  var meterState = { peak: 0, peakHoldAt: 0, rms: 0, loudHist: [] };
+  var METER_FLOOR_DB = -60;
+
+  function buildMeterTaps(source) {
+    var plain = ctx.createAnalyser();
+    plain.fftSize = 2048;
+    var shelf = ctx.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1681.97;
+    shelf.gain.value = 4;
+    var hp = ctx.createBiquadFilter();
+    hp.type = 'highpass';
+    hp.frequency.value = 38.14;
+    hp.Q.value = 0.5;
+    var weighted = ctx.createAnalyser();
+    weighted.fftSize = 2048;
+    source.connect(plain);
+    source.connect(shelf);
+    shelf.connect(hp);
+    hp.connect(weighted);
+    return { plain: plain, weighted: weighted, buf: new Float32Array(2048) };
+  }
+
+  function meterPct(db) {
+    return Math.max(0, Math.min(100, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100));
+  }
+
+  function drawLoudMeter(nowMs) {
+    if (!loudMeterEl || !meterTaps) return;
+    var d = meterTaps.buf;
+    meterTaps.plain.getFloatTimeDomainData(d);
+    var peak = 0;
+    var sum = 0;
+    var i;
+    for (i = 0; i < d.length; i++) {
+      var a = Math.abs(d[i]);
+      if (a > peak) peak = a;
+      sum += d[i] * d[i];
+    }
+    var rms = Math.sqrt(sum / d.length);
+    var st = meterState;
+    if (peak >= st.peak || nowMs - st.peakHoldAt > 1200) {
+      st.peak = peak;
+      st.peakHoldAt = nowMs;
+    }
+    st.rms += (rms - st.rms) * 0.2;
+    meterTaps.weighted.getFloatTimeDomainData(d);
+    sum = 0;
+    for (i = 0; i < d.length; i++) sum += d[i] * d[i];
+    st.loudHist.push(sum / d.length);
+    // ~3 s of animation frames at 60 fps.
+    if (st.loudHist.length > 180) st.loudHist.shift();
+    var ms = st.loudHist.reduce(function (acc, p) { return acc + p; }, 0) / st.loudHist.length;
+    var peakDb = 20 * Math.log10(Math.max(1e-6, st.peak));
+    var rmsDb = 20 * Math.log10(Math.max(1e-6, st.rms));
+    var lufs = ms > 1e-10 ? -0.691 + 10 * Math.log10(ms) : -Infinity;
+    if (meterPeakEl) meterPeakEl.style.width = meterPct(peakDb) + '%';
+    if (meterRmsEl) meterRmsEl.style.width = meterPct(rmsDb) + '%';
+    loudMeterEl.classList.toggle('is-hot', peakDb > -0.5);
+    if (meterReadEl) {
+      meterReadEl.textContent = (peakDb > METER_FLOOR_DB ? peakDb.toFixed(1) : '-∞') + ' pk · ' +
+        (Number.isFinite(lufs) && lufs > METER_FLOOR_DB ? lufs.toFixed(1) : '-∞') + ' LUFS';
+    }
+  }
+
+  function resetLoudMeter() {
+    meterState = { peak: 0, peakHoldAt: 0, rms: 0, loudHist: [] };
+    if (meterPeakEl) meterPeakEl.style.width = '0%';
+    if (meterRmsEl) meterRmsEl.style.width = '0%';
+    if (meterReadEl) meterReadEl.textContent = '-∞ pk · -∞ LUFS';
+    if (loudMeterEl) loudMeterEl.classList.remove('is-hot');
+  }
+
+  function openMixerSheet() {
+    openSheetFor('mixer', 'Mixer');
+    var top = document.createElement('div');
+    top.className = 'param-actions';
+    var masterFxBtn = document.createElement('button');
+    masterFxBtn.type = 'button';
+    masterFxBtn.textContent = 'Master FX';
+    masterFxBtn.classList.toggle('is-on', insertActive(inserts.master));
+    masterFxBtn.addEventListener('click', function () { openInsertSheet('master'); });
+    top.appendChild(masterFxBtn);
+    var masterBus = document.createElement('button');
+    masterBus.type = 'button';
+    masterBus.textContent = 'EQ · Comp · Limit';
+    masterBus.addEventListener('click', openMasterSheet);
+    top.appendChild(masterBus);
+    soundBody.appendChild(top);
+    var ids = mixerSampleIds();
+    if (!ids.length) {
+      var empty = document.createElement('div');
+      empty.className = 'param';
+      empty.textContent = 'Paint some sounds to mix them.';
+      soundBody.appendChild(empty);
+      return;
+    }
+    ids.forEach(function (id) { soundBody.appendChild(buildMixStripForm(id)); });
   }
 
-  function coreMinPulses(n) {
-    if (n <= 1) return n;
-    return Math.max(2, Math.round(n / 8));
+  function triggerSidechainDuck(when) {
+    if (!duckGain || !ctx || !playing) return;
+    var t0 = Math.max(when, ctx.currentTime);
+    rampDuck(duckGain.gain, t0);
+    if (duckSendGain) rampDuck(duckSendGain.gain, t0);
   }
 
-  function randomPulses(n, rand) {
-    rand = rand || Math.random;
-    if (n <= 1) return n;
-    var maxDens = getLuckyEuclidMaxDens();
-    var max = Math.max(1, Math.floor(n * maxDens));
-    var bias = getLuckyEuclidGoldenBias();
-    var goldenTarget = Math.max(1, Math.min(max, Math.round(n * GOLDEN_CONJ)));
-    if (bias > 0 && rand() < bias) {
-      var spread = Math.max(1, Math.round(max * 0.22));
-      var lo = Math.max(1, goldenTarget - spread);
-      var hi = Math.min(max, goldenTarget + spread);
-      return lo + Math.floor(rand() * (hi - lo + 1));
+  /** One sidechain pump on a duck gain param starting at t0 (live and offline). */
+  function rampDuck(g, t0) {
+    try {
+      if (typeof g.cancelAndHoldAtTime === 'function') g.cancelAndHoldAtTime(t0);
+      else {
+        g.cancelScheduledValues(t0);
+        g.setValueAtTime(Math.min(g.value, 1), t0);
+      }
+    } catch (e) {
+      g.cancelScheduledValues(t0);
+      g.setValueAtTime(1, t0);
     }
-    return 1 + Math.floor(rand() * max);
+    g.linearRampToValueAtTime(DUCK_DEPTH, t0 + DUCK_ATTACK);
+    g.linearRampToValueAtTime(DUCK_DEPTH, t0 + DUCK_ATTACK + DUCK_HOLD);
+    g.linearRampToValueAtTime(1, t0 + DUCK_ATTACK + DUCK_HOLD + DUCK_RELEASE);
   }
 
-  /** Kick/snare pulse counts — denser floor around quarter/backbeat band. */
-  function randomPulsesCore(n, rand) {
-    rand = rand || Math.random;
-    if (n <= 1) return n;
-    var maxDens = getLuckyEuclidMaxDens();
+  function playRawBuffer(buf, sampleId) {
+    if (!buf || !ctx || !master) return;
+    var src = ctx.createBufferSource();
+    src.buffer = buf;
+    var g = ctx.createGain();
+    var mods = sampleId ? randomSayPlayMods(sampleId) : { playbackRate: 1, gain: 1 };
+    src.playbackRate.value = mods.playbackRate;
+    g.gain.value = mods.gain;
+    src.connect(g);
+    g.connect(busForSample(sampleId));
+    src.start(ctx.currentTime + 0.01);
+    activeVoices.push(src);
+    src.onended = function () {
+      var i = activeVoices.indexOf(src);
+      if (i !== -1) activeVoices.splice(i, 1);
+    };
+  }
+
+  async function listenSample(sampleId, draftText) {
+    await ensureAudio();
+    var s = sampleById(sampleId);
+    if (!s) return;
+    if (s.type === 'text') {
+      var text = String(draftText != null ? draftText : (sayTexts[sampleId] || '')).trim().slice(0, SAY_MAX_CHARS);
+      if (!text) return;
+      if ((draftText == null || sayTexts[sampleId] === text) && soundBank[sampleId] &&
+          typeof soundBank[sampleId].getChannelData === 'function') {
+        playBuf(sampleId, ctx.currentTime + 0.01);
+        return;
+      }
+      var buf = await prerenderSpeechToBuffer(text, sampleId);
+      playRawBuffer(buf, sampleId);
+      return;
+    }
+    if (s.type === 'maker' && !soundBank[sampleId]) await buildBank();
+    previewSample(sampleId);
+  }
+
+  function buildSoundForm(makerId) {
+    soundBody.innerHTML = '';
+    var params = makerSoundParams[makerId] || Object.assign({}, MAKER_DEFAULTS[makerId]);
+    makerSoundParams[makerId] = params;
+    var ranges = MAKER_RANGES[makerId] || {};
+
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    var tryBtn = document.createElement('button');
+    tryBtn.type = 'button';
+    tryBtn.textContent = 'Try new sound';
+    tryBtn.title = 'Randomize this drum’s parameters';
+    tryBtn.addEventListener('click', function () {
+      recordHistory('New ' + makerId + ' sound');
+      randomizeMakerSound(makerId);
+      buildSoundForm(makerId);
+      ensureAudio().then(function () {
+        return buildBank();
+      }).then(function () {
+        listenSample(paintSample).catch(function (e) { console.error(e); });
+      }).catch(function (e) { console.error(e); });
+    });
+    var listenBtn = document.createElement('button');
+    listenBtn.type = 'button';
+    listenBtn.textContent = 'Listen';
+    listenBtn.addEventListener('click', function () {
+      listenSample(paintSample).catch(function (e) { console.error(e); });
+    });
+    actions.appendChild(tryBtn);
+    actions.appendChild(listenBtn);
+    soundBody.appendChild(actions);
+
+    Object.keys(ranges).forEach(function (key) {
+      var pair = ranges[key];
+      var wrap = document.createElement('div');
+      wrap.className = 'param';
+      var row = document.createElement('div');
+      row.className = 'row';
+      var lab = document.createElement('span');
+      lab.textContent = prettyKey(key);
+      var val = document.createElement('span');
+      var cur = params[key];
+      if (!Number.isFinite(cur)) cur = pair[0];
+      val.textContent = String(cur);
+      row.appendChild(lab);
+      row.appendChild(val);
+      var input = document.createElement('input');
+      input.type = 'range';
+      input.min = String(pair[0]);
+      input.max = String(pair[1]);
+      var span = pair[1] - pair[0];
+      input.step = span > 20 ? '1' : (span > 2 ? '0.01' : '0.001');
+      input.value = String(cur);
+      input.addEventListener('input', function () {
+        var n = parseFloat(input.value);
+        recordHistory('Edit ' + makerId, 'maker:' + makerId + ':' + key);
+        params = makerSoundParams[makerId];
+        params[key] = n;
+        val.textContent = String(n);
+        scheduleRebuild();
+      });
+      wrap.appendChild(row);
+      wrap.appendChild(input);
+      soundBody.appendChild(wrap);
+    });
+
+    (MAKER_BOOLS[makerId] || []).forEach(function (meta) {
+      if (meta.type === 'bool') {
+        var row = document.createElement('label');
+        row.className = 'param-check';
+        var cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = !!params[meta.key];
+        cb.addEventListener('change', function () {
+          recordHistory('Edit ' + makerId);
+          params = makerSoundParams[makerId];
+          params[meta.key] = cb.checked;
+          scheduleRebuild();
+        });
+        row.appendChild(cb);
+        row.appendChild(document.createTextNode(meta.label));
+        soundBody.appendChild(row);
+        return;
+      }
+      var wrap = document.createElement('div');
+      wrap.className = 'param';
+      var lab = document.createElement('div');
+      lab.className = 'row';
+      lab.innerHTML = '<span>' + meta.label + '</span><span></span>';
+      var sel = document.createElement('select');
+      meta.options.forEach(function (opt) {
+        var o = document.createElement('option');
+        o.value = opt;
+        o.textContent = opt;
+        sel.appendChild(o);
+      });
+      sel.value = params[meta.key] || meta.options[0];
+      sel.addEventListener('change', function () {
+        recordHistory('Edit ' + makerId);
+        params = makerSoundParams[makerId];
+        params[meta.key] = sel.value;
+        scheduleRebuild();
+      });
+      wrap.appendChild(lab);
+      wrap.appendChild(sel);
+      soundBody.appendChild(wrap);
+    });
+  }
+
+  function segmentAngles(n, swingAmt, swingDiv) {
+    var s = Math.max(0, Math.min(1, swingAmt));
+    var div = swingDiv || getSwingNoteDiv();
+    var base = (Math.PI * 2) / n;
+    var skew = base * s * 0.55;
+    var widths = [];
+    var i;
+    for (i = 0; i < n; i++) {
+      if (!stepIsSwingOffbeat(i, n, div)) widths.push(base + skew);
+      else widths.push(Math.max(base * 0.12, base - skew));
+    }
+    var sum = 0;
+    for (i = 0; i < n; i++) sum += widths[i];
+    var scale = (Math.PI * 2) / sum;
+    var starts = [];
+    var a = START_ANGLE;
+    for (i = 0; i < n; i++) {
+      starts.push(a);
+      a += widths[i] * scale;
+    }
+    return { starts: starts, widths: widths.map(function (w) { return w * scale; }) };
+  }
+
+  function buildSvg() {
+    svg.innerHTML = '';
+    segEls = {};
+    discGroupEl = null;
+    needleEl = null;
+    playheadEl = null;
+
+    buildFillDefs(svg);
+
+    var bg = document.createElementNS(NS, 'circle');
+    bg.setAttribute('id', 'discBg');
+    bg.setAttribute('cx', CX);
+    bg.setAttribute('cy', CY);
+    bg.setAttribute('r', OUTER + 8);
+    bg.setAttribute('fill', DISC_BG_GAP);
+    bg.setAttribute('stroke', 'none');
+    svg.appendChild(bg);
+
+    discGroupEl = document.createElementNS(NS, 'g');
+    discGroupEl.setAttribute('class', 'disc');
+    discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
+
+    var swingAmt = getSwing();
+    var swingDiv = getSwingNoteDiv();
+    var gap = (SEG_GAP_DEG * Math.PI) / 180;
+    var pat = pattern || emptyPattern();
+
+    ringGroupEls = {};
+    RINGS.forEach(function (ring, li) {
+      var rr = ringRadii(li);
+      var n = ring.segments;
+      var angles = segmentAngles(n, swingAmt, swingDiv);
+      var ringG = document.createElementNS(NS, 'g');
+      ringG.dataset.ring = ring.id;
+      discGroupEl.appendChild(ringG);
+      ringGroupEls[ring.id] = ringG;
+      for (var i = 0; i < n; i++) {
+        var a0 = angles.starts[i] + gap / 2;
+        var a1 = angles.starts[i] + angles.widths[i] - gap / 2;
+        if (a1 <= a0) a1 = a0 + 0.01;
+        var path = document.createElementNS(NS, 'path');
+        path.setAttribute('d', arcPath(rr.inner, rr.outer, a0, a1));
+        path.setAttribute('class', 'seg');
+        path.dataset.ring = ring.id;
+        path.dataset.seg = String(i);
+        styleSegCell(path, pat[ring.id][i], ring.id, i);
+        path.addEventListener('pointerdown', onSegPointerDown);
+        path.addEventListener('pointermove', onSegPointerMove);
+        path.addEventListener('pointerup', onSegPointerUp);
+        path.addEventListener('pointercancel', onSegPointerCancel);
+        path.addEventListener('contextmenu', onSegContextMenu);
+        ringG.appendChild(path);
+        segEls[ring.id + ':' + i] = path;
+      }
+    });
+    svg.appendChild(discGroupEl);
+
+    // Fixed light-strike at 12 o'clock (does not rotate with the disc).
+    needleEl = document.createElementNS(NS, 'g');
+    needleEl.setAttribute('class', 'needle');
+    var tipY = INNER_HUB + 8;
+    var topY = 18;
+    // Soft wide bloom
+    var bloom = document.createElementNS(NS, 'rect');
+    bloom.setAttribute('class', 'needle-bloom');
+    bloom.setAttribute('x', String(CX - 18));
+    bloom.setAttribute('y', String(topY));
+    bloom.setAttribute('width', '36');
+    bloom.setAttribute('height', String(tipY - topY));
+    bloom.setAttribute('rx', '10');
+    bloom.setAttribute('fill', 'rgba(255,255,255,0.22)');
+    bloom.setAttribute('filter', 'url(#needleSoftGlow)');
+    needleEl.appendChild(bloom);
+    // Mid glow beam
+    var beam = document.createElementNS(NS, 'rect');
+    beam.setAttribute('class', 'needle-beam');
+    beam.setAttribute('x', String(CX - 5));
+    beam.setAttribute('y', String(topY));
+    beam.setAttribute('width', '10');
+    beam.setAttribute('height', String(tipY - topY));
+    beam.setAttribute('rx', '4');
+    beam.setAttribute('fill', 'url(#needleStrikeGrad)');
+    beam.setAttribute('filter', 'url(#needleGlow)');
+    needleEl.appendChild(beam);
+    // Hot core strike
+    var core = document.createElementNS(NS, 'rect');
+    core.setAttribute('class', 'needle-core');
+    core.setAttribute('x', String(CX - 1.4));
+    core.setAttribute('y', String(topY + 4));
+    core.setAttribute('width', '2.8');
+    core.setAttribute('height', String(tipY - topY - 6));
+    core.setAttribute('rx', '1.4');
+    core.setAttribute('fill', 'rgba(255,255,255,0.95)');
+    needleEl.appendChild(core);
+    // Bright tip spark
+    var spark = document.createElementNS(NS, 'circle');
+    spark.setAttribute('class', 'needle-spark');
+    spark.setAttribute('cx', String(CX));
+    spark.setAttribute('cy', String(tipY));
+    spark.setAttribute('r', '5');
+    spark.setAttribute('fill', 'rgba(255,255,255,0.85)');
+    spark.setAttribute('filter', 'url(#needleGlow)');
+    needleEl.appendChild(spark);
+    svg.appendChild(needleEl);
+  }
+
+  function refreshSegFills() {
+    if (!pattern) return;
+    RINGS.forEach(function (ring) {
+      for (var i = 0; i < ring.segments; i++) paintSeg(ring.id, i);
+    });
+  }
+
+  function litIndexAtPhase(n, phase, swingAmt) {
+    var angles = segmentAngles(n, swingAmt, getSwingNoteDiv());
+    var target = phase * Math.PI * 2;
+    var acc = 0;
+    for (var i = 0; i < n; i++) {
+      acc += angles.widths[i];
+      if (target < acc) return i;
+    }
+    return n - 1;
+  }
+
+  /** Fill by sample; velocity shows as fill opacity, accent / ghost as a class. */
+  function styleSegCell(el, cell, ringId, i) {
+    el.setAttribute('fill', segFill(cellId(cell), ringId, i));
+    el.setAttribute('fill-opacity', cell ? cellOpacity(cell).toFixed(2) : '1');
+    el.classList.toggle('is-accent', !!(cell && cell.acc > 0));
+    el.classList.toggle('is-ghost', !!(cell && cell.acc < 0));
+    el.classList.toggle('is-chance', !!(cell && (cell.prob < 100 || cell.cond)));
+    el.classList.toggle('is-roll', !!(cell && (cell.rat > 1 || cell.flam)));
+  }
+
+  function paintSeg(ringId, i) {
+    var el = segEls[ringId + ':' + i];
+    if (!el || !pattern) return;
+    styleSegCell(el, pattern[ringId][i], ringId, i);
+  }
+
+  /** 8-fold mirror indices — same pie slices as the alternating empty greys. */
+  function mirrorSegIndices(n, i) {
+    if (!(n > 0) || !Number.isFinite(i)) return [i];
+    i = ((i % n) + n) % n;
+    var slices = DISC_PIE_SLICES;
+    var out = [];
+    var k;
+    if (n % slices === 0) {
+      var per = n / slices;
+      var offset = i % per;
+      for (k = 0; k < slices; k++) out.push(k * per + offset);
+      return out;
+    }
+    var step = n / slices;
+    for (k = 0; k < slices; k++) {
+      var idx = Math.round(i + k * step) % n;
+      if (out.indexOf(idx) === -1) out.push(idx);
+    }
+    return out;
+  }
+
+  function ringSegmentCount(ringId) {
+    var r;
+    for (r = 0; r < RINGS.length; r++) {
+      if (RINGS[r].id === ringId) return RINGS[r].segments;
+    }
+    return 0;
+  }
+
+  function paintTargetsFor(ringId, i) {
+    var n = ringSegmentCount(ringId);
+    if (!n) return [i];
+    if (paintMirrorEl && paintMirrorEl.checked) return mirrorSegIndices(n, i);
+    return [i];
+  }
+
+  function getPaintAccent() {
+    var v = paintHitEl ? parseInt(paintHitEl.value, 10) : 0;
+    return v > 0 ? 1 : (v < 0 ? -1 : 0);
+  }
+
+  function getPaintChance() {
+    var v = paintChanceEl ? parseInt(paintChanceEl.value, 10) : 100;
+    return v > 0 ? Math.min(100, v) : 100;
+  }
+
+  function getPaintCond() {
+    var v = paintCondEl ? paintCondEl.value : '';
+    return isCellCond(v) ? v : '';
+  }
+
+  /** Undo / redo: snapshots taken before each edit; future holds undone states for redo. */
+  var HISTORY_MAX = 50;
+  /** Same-group edits (one slider drag) within this many ms fold into one step. */
+  var HISTORY_MERGE_MS = 1200;
+  var undoHistory = { past: [], future: [], group: null, groupAt: 0 };
+
+  function cloneLayers(src) {
+    return src.map(function (layer) {
+      var pat = {};
+      RINGS.forEach(function (ring) {
+        pat[ring.id] = (layer.pattern[ring.id] || []).map(function (cell) {
+          return cell ? Object.assign({}, cell) : null;
+        });
+      });
+      return {
+        enabled: layer.enabled,
+        pattern: pat,
+        auto: Object.assign({}, layer.auto),
+        lengths: Object.assign({}, layer.lengths),
+        melodic: Object.assign({}, layer.melodic)
+      };
+    });
+  }
+
+  function cloneParamMap(src) {
+    var out = {};
+    Object.keys(src).forEach(function (id) {
+      out[id] = src[id] ? Object.assign({}, src[id]) : src[id];
+    });
+    return out;
+  }
+
+  /** Everything an edit can touch. Buffers are kept by reference so restore is instant. */
+  function captureSnapshot() {
+    var buffers = {};
+    SAMPLES.forEach(function (s) { buffers[s.id] = soundBank[s.id]; });
+    return {
+      layers: cloneLayers(layers),
+      makers: cloneParamMap(makerSoundParams),
+      says: Object.assign({}, sayTexts),
+      voices: cloneParamMap(sayVoiceParams),
+      files: Object.assign({}, sampleNames),
+      sampleEdits: cloneParamMap(sampleEdits),
+      raws: Object.assign({}, sampleRaw),
+      mixer: cloneParamMap(mixer),
+      inserts: JSON.parse(JSON.stringify(inserts)),
+      master: Object.assign({}, masterFx),
+      key: Object.assign({}, scaleLock),
+      buffers: buffers,
+      bpm: getBpm(),
+      space: {
+        reverb: parseInt(reverbEl.value, 10),
+        reverbDur: parseInt(reverbDurEl.value, 10),
+        stereo: parseInt(stereoEl.value, 10)
+      },
+      arrangement: {
+        on: arrangement.on,
+        entries: arrangement.entries.map(function (e) {
+          return makeArrangeEntry(e.layer, e.repeat, e.bpm, e.mute, e.fill);
+        })
+      }
+    };
+  }
+
+  function restoreSnapshot(snap) {
+    // Queued Live roll content belongs to the state being left.
+    livePendingRoll = null;
+    liveTempoAt = null;
+    liveTempoBpm = null;
+    liveTempoSpace = null;
+    liveRedrawAt = null;
+    layers = snap.layers;
+    scheduleAutoBanks();
+    makerSoundParams = snap.makers;
+    sayTexts = snap.says;
+    sayVoiceParams = snap.voices;
+    sampleNames = snap.files;
+    sampleEdits = snap.sampleEdits;
+    sampleRaw = snap.raws;
+    mixer = snap.mixer;
+    applyMixer();
+    inserts = snap.inserts;
+    applyAllInserts();
+    masterFx = snap.master;
+    applyMasterFx();
+    scaleLock = snap.key;
+    SAMPLES.forEach(function (s) {
+      if (snap.buffers[s.id]) soundBank[s.id] = snap.buffers[s.id];
+      else delete soundBank[s.id];
+    });
+    if (snap.bpm !== getBpm()) applyBpmValue(snap.bpm);
+    applySpaceValues(snap.space);
+    arrangement = snap.arrangement;
+    buildSongStrip();
+    pattern = layers[viewLayer].pattern;
+    clearScrubHitCache();
+    buildSvg();
+    refreshSegFills();
+    refreshPaintLabels();
+    syncPaintExtras();
+    syncLayerUi();
+    if (soundEditorOpen()) openSoundEditor();
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'mixer') openMixerSheet();
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'master') openMasterSheet();
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'inserts') closeSoundEditor();
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'automation') openAutomationSheet(autoSheetLayer);
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'cell') closeSoundEditor();
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'rings') openRingsSheet(ringSheetLayer);
+    else if (soundSheet.classList.contains('open') && soundSheetMode === 'roll') openRollSheet(rollSheet.layer, rollSheet.ringId);
+  }
+
+  /**
+   * Snapshot the current state before an edit. Pass a group key for
+   * continuous edits (slider drags) so one gesture is one undo step.
+   */
+  function recordHistory(label, group) {
+    var now = Date.now();
+    if (group && undoHistory.group === group && now - undoHistory.groupAt < HISTORY_MERGE_MS) {
+      undoHistory.groupAt = now;
+      return;
+    }
+    pushHistory(label, captureSnapshot(), group);
+  }
+
+  /** Push a snapshot taken earlier (edits that can still fail snapshot first, push once they land). */
+  function pushHistory(label, snap, group) {
+    var now = Date.now();
+    undoHistory.group = group || null;
+    undoHistory.groupAt = now;
+    undoHistory.past.push({ label: label, snap: snap, at: now });
+    if (undoHistory.past.length > HISTORY_MAX) undoHistory.past.shift();
+    undoHistory.future = [];
+    syncHistoryUi();
+  }
+
+  function clearHistory() {
+    undoHistory.past = [];
+    undoHistory.future = [];
+    undoHistory.group = null;
+    syncHistoryUi();
+  }
+
+  function undo() {
+    if (!undoHistory.past.length) return;
+    var entry = undoHistory.past.pop();
+    undoHistory.future.push({ label: entry.label, snap: captureSnapshot(), at: entry.at });
+    undoHistory.group = null;
+    restoreSnapshot(entry.snap);
+    syncHistoryUi();
+  }
+
+  function redo() {
+    if (!undoHistory.future.length) return;
+    var entry = undoHistory.future.pop();
+    undoHistory.past.push({ label: entry.label, snap: captureSnapshot(), at: entry.at });
+    undoHistory.group = null;
+    restoreSnapshot(entry.snap);
+    syncHistoryUi();
+  }
+
+  /** Jump so that `past` keeps exactly `depth` entries (undo or redo as needed). */
+  function jumpHistory(depth) {
+    while (undoHistory.past.length > depth && undoHistory.past.length) undo();
+    while (undoHistory.past.length < depth && undoHistory.future.length) redo();
+  }
+
+  function syncHistoryUi() {
+    if (undoBtn) {
+      undoBtn.disabled = !undoHistory.past.length;
+      undoBtn.title = undoHistory.past.length ? 'Undo ' + undoHistory.past[undoHistory.past.length - 1].label : 'Nothing to undo';
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !undoHistory.future.length;
+      redoBtn.title = undoHistory.future.length ? 'Redo ' + undoHistory.future[undoHistory.future.length - 1].label : 'Nothing to redo';
+    }
+    if (soundSheet.classList.contains('open') && soundSheetMode === 'history') buildHistoryList();
+  }
+
+  function historyRow(label, time, cls, onClick) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'history-row' + (cls ? ' ' + cls : '');
+    var lab = document.createElement('span');
+    lab.textContent = label;
+    var when = document.createElement('span');
+    when.textContent = time ? new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '';
+    btn.appendChild(lab);
+    btn.appendChild(when);
+    if (onClick) btn.addEventListener('click', onClick);
+    else btn.disabled = true;
+    return btn;
+  }
+
+  /** Newest first: redo-able steps (dimmed), the current state, then earlier states. */
+  function buildHistoryList() {
+    soundBody.innerHTML = '';
+    var list = document.createElement('div');
+    list.className = 'history-list';
+    var i;
+    for (i = 0; i < undoHistory.future.length; i++) {
+      (function (k) {
+        var entry = undoHistory.future[k];
+        list.appendChild(historyRow(entry.label, entry.at, 'is-future', function () {
+          jumpHistory(undoHistory.past.length + undoHistory.future.length - k);
+        }));
+      })(i);
+    }
+    list.appendChild(historyRow('Current', 0, 'is-current', null));
+    for (i = undoHistory.past.length - 1; i >= 0; i--) {
+      (function (k) {
+        var entry = undoHistory.past[k];
+        list.appendChild(historyRow('Before ' + entry.label.toLowerCase(), entry.at, '', function () {
+          jumpHistory(k);
+        }));
+      })(i);
+    }
+    soundBody.appendChild(list);
+  }
+
+  function openHistorySheet() {
+    openSheetFor('history', 'History');
+    buildHistoryList();
+  }
+
+  function isTypingTarget(el) {
+    if (!el) return false;
+    if (el.isContentEditable) return true;
+    var tag = el.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    return tag === 'INPUT' && !/^(range|checkbox|radio|button)$/i.test(el.type);
+  }
+
+  /** Paint sample id (or null to erase); re-painting the same sample keeps its velocity. */
+  function applyPaintCells(ringId, i, value, acc) {
+    if (!pattern || !pattern[ringId]) return;
+    recordHistory(value ? 'Paint' : 'Erase');
+    var targets = paintTargetsFor(ringId, i);
+    var t;
+    for (t = 0; t < targets.length; t++) {
+      var prev = pattern[ringId][targets[t]];
+      pattern[ringId][targets[t]] = value
+        ? makeCell(value, cellId(prev) === value ? prev.vel : VEL_DEFAULT, acc, Object.assign(
+          cellId(prev) === value ? cellTiming(prev) : {},
+          { prob: getPaintChance(), cond: getPaintCond() }
+        ))
+        : null;
+      paintSeg(ringId, targets[t]);
+    }
+    clearScrubHitCache();
+  }
+
+  /** Set velocity on the pressed cell (and its mirror twins that hold a hit). */
+  function applyCellVelocity(ringId, i, vel) {
+    if (!pattern || !pattern[ringId]) return;
+    var targets = paintTargetsFor(ringId, i);
+    var t;
+    for (t = 0; t < targets.length; t++) {
+      var cell = pattern[ringId][targets[t]];
+      if (!cell) continue;
+      cell.vel = clampVelocity(vel);
+      paintSeg(ringId, targets[t]);
+    }
+    clearScrubHitCache();
+  }
+
+  var segPress = null;
+
+  function clearSegPress() {
+    if (segPress && segPress.timer) clearTimeout(segPress.timer);
+    segPress = null;
+  }
+
+  function onSegPointerDown(e) {
+    e.preventDefault();
+    if (!layerInPlay(viewLayer)) return;
+    var ringId = e.currentTarget.dataset.ring;
+    var i = parseInt(e.currentTarget.dataset.seg, 10);
+    if (!pattern[ringId] || !Number.isFinite(i)) return;
+    clearSegPress();
+    segPress = {
+      ringId: ringId,
+      i: i,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      existing: cellId(pattern[ringId][i]),
+      held: false,
+      moved: false,
+      scratched: false,
+      velDrag: false,
+      startVel: pattern[ringId][i] ? pattern[ringId][i].vel : VEL_DEFAULT,
+      el: e.currentTarget,
+      timer: null
+    };
+    try { e.currentTarget.setPointerCapture(e.pointerId); } catch (err) { /* ignore */ }
+
+    if (playing) {
+      // Hold or drag engages the platter; a quick tap still paints.
+      segPress.timer = setTimeout(function () {
+        if (!segPress || segPress.moved) return;
+        segPress.held = true;
+        beginPlatterGesture({
+          pointerId: segPress.pointerId,
+          clientX: segPress.startX,
+          clientY: segPress.startY
+        });
+        if (platterGesture) platterGesture.mode = 'brake';
+        transport.target = PLATTER_BRAKE_RATE;
+      }, 160);
+      return;
+    }
+
+    segPress.timer = setTimeout(function () {
+      if (!segPress) return;
+      segPress.held = true;
+      if (segPress.existing) {
+        setPaintSample(segPress.existing);
+        listenSample(segPress.existing).catch(function (err) { console.error(err); });
+        openCellSheet(segPress.ringId, segPress.i);
+      }
+    }, HOLD_MS);
+  }
+
+  /** Right-click opens the step menu (long-press is the platter while playing). */
+  function onSegContextMenu(e) {
+    e.preventDefault();
+    var ringId = e.currentTarget.dataset.ring;
+    var i = parseInt(e.currentTarget.dataset.seg, 10);
+    if (pattern && pattern[ringId] && pattern[ringId][i]) openCellSheet(ringId, i);
+  }
+
+  var CELL_COND_OPTIONS = [
+    { value: '', label: 'Always' },
+    { value: '1:2', label: '1:2' }, { value: '2:2', label: '2:2' },
+    { value: '1:4', label: '1:4' }, { value: '2:4', label: '2:4' },
+    { value: '3:4', label: '3:4' }, { value: '4:4', label: '4:4' },
+    { value: 'first', label: 'First pass' }, { value: 'last', label: 'Last pass' },
+    { value: 'fill', label: 'Fill' }, { value: 'nofill', label: 'Not fill' },
+    { value: 'nprev', label: 'Not after hit' }
+  ];
+
+  /** Step menu: velocity, hit type, ratchet, flam, nudge, pitch / length (melodic rings), chop (split words), chance and condition for one cell. */
+  function openCellSheet(ringId, i) {
+    var layerIdx = viewLayer;
+    var cell = layers[layerIdx].pattern[ringId][i];
+    if (!cell) return;
+    var s = sampleById(cell.id);
+    openSheetFor('cell', (s ? s.label : cell.id) + ' · step ' + (i + 1), s ? cssSwatch(s) : null);
+    function edit(key, value) {
+      recordHistory('Edit step', 'cell:' + layerIdx + ':' + ringId + ':' + i + ':' + key);
+      var cur = layers[layerIdx].pattern[ringId][i];
+      if (!cur) return;
+      cur[key] = value;
+      if (layerIdx === viewLayer) paintSeg(ringId, i);
+      clearScrubHitCache();
+    }
+    function pct(v) { return v + '%'; }
+    soundBody.appendChild(buildParamRange('Velocity', VEL_MIN, VEL_MAX, 1, cell.vel, String, function (v) { edit('vel', v); }));
+    soundBody.appendChild(buildParamSelect('Hit', [
+      { value: '0', label: 'Normal' },
+      { value: '1', label: 'Accent' },
+      { value: '-1', label: 'Ghost' }
+    ], String(cell.acc), function (v) { edit('acc', parseInt(v, 10)); }));
+    soundBody.appendChild(buildParamRange('Ratchet', 1, RATCHET_MAX, 1, cell.rat, function (v) {
+      return v > 1 ? '×' + v : 'Off';
+    }, function (v) { edit('rat', v); }));
+    soundBody.appendChild(buildParamCheck('Flam', cell.flam, function (on) { edit('flam', on); }));
+    soundBody.appendChild(buildParamRange('Nudge', -NUDGE_MAX, NUDGE_MAX, 1, cell.nudge, function (v) {
+      return (v > 0 ? '+' : '') + v + '% of step';
+    }, function (v) { edit('nudge', v); }));
+    if (ringIsMelodic(layerIdx, ringId)) {
+      soundBody.appendChild(buildParamRange('Pitch', -PITCH_MAX, PITCH_MAX, 1, cell.pitch, function (v) {
+        return pitchName(snapPitch(v));
+      }, function (v) { edit('pitch', snapPitch(v)); }));
+      soundBody.appendChild(buildParamRange('Length', 0, NOTE_LEN_MAX, 1, cell.len, function (v) {
+        return v ? v + (v === 1 ? ' step' : ' steps') : 'Natural';
+      }, function (v) { edit('len', v); }));
+    }
+    var parts = wordParts.get(soundBank[cell.id]);
+    if (parts) {
+      soundBody.appendChild(buildParamRange('Chop', 0, parts.length, 1, Math.min(cell.chop, parts.length), function (v) {
+        return v ? v + ' of ' + parts.length : 'Next in order';
+      }, function (v) { edit('chop', v); }));
+    }
+    soundBody.appendChild(buildParamRange('Chance', 1, 100, 1, cell.prob, pct, function (v) { edit('prob', v); }));
+    soundBody.appendChild(buildParamSelect('When', CELL_COND_OPTIONS, cell.cond, function (v) { edit('cond', v); }));
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    var erase = document.createElement('button');
+    erase.type = 'button';
+    erase.textContent = 'Erase';
+    erase.addEventListener('click', function () {
+      recordHistory('Erase');
+      layers[layerIdx].pattern[ringId][i] = null;
+      if (layerIdx === viewLayer) paintSeg(ringId, i);
+      clearScrubHitCache();
+      closeSoundEditor();
+    });
+    actions.appendChild(erase);
+    soundBody.appendChild(actions);
+  }
+
+  function onSegPointerMove(e) {
+    if (!segPress || e.pointerId !== segPress.pointerId) return;
+    var dist = Math.hypot(e.clientX - segPress.startX, e.clientY - segPress.startY);
+    if (playing) {
+      if (!platterGesture && dist > PLATTER_DRAG_PX) {
+        if (segPress.timer) {
+          clearTimeout(segPress.timer);
+          segPress.timer = null;
+        }
+        beginPlatterGesture(e);
+        segPress.moved = true;
+        segPress.scratched = true;
+      }
+      if (platterGesture) {
+        updatePlatterGesture(e);
+        if (platterGesture.dragged) {
+          segPress.moved = true;
+          segPress.scratched = true;
+        }
+      }
+      return;
+    }
+    var dy = segPress.startY - e.clientY;
+    if (!segPress.velDrag && segPress.existing && !segPress.held &&
+        Math.abs(dy) > 14 && Math.abs(dy) > Math.abs(e.clientX - segPress.startX)) {
+      // Vertical press-and-drag on a painted segment edits its velocity.
+      if (segPress.timer) {
+        clearTimeout(segPress.timer);
+        segPress.timer = null;
+      }
+      segPress.velDrag = true;
+      recordHistory('Velocity');
+    }
+    if (segPress.velDrag) {
+      segPress.moved = true;
+      applyCellVelocity(segPress.ringId, segPress.i, segPress.startVel + dy / VEL_DRAG_PX);
+      return;
+    }
+    if (dist > 14) segPress.moved = true;
+  }
+
+  function onSegPointerUp(e) {
+    if (playing) endPlatterGesture(e);
+    if (!segPress || e.pointerId !== segPress.pointerId) return;
+    var press = segPress;
+    if (press.timer) clearTimeout(press.timer);
+    segPress = null;
+    try { press.el.releasePointerCapture(e.pointerId); } catch (err) { /* ignore */ }
+
+    if (press.velDrag) {
+      var edited = pattern[press.ringId][press.i];
+      if (edited && ctx) playBuf(edited.id, ctx.currentTime + 0.01, { gain: cellGain(edited) });
+      return;
+    }
+    var moved = press.moved || Math.hypot(e.clientX - press.startX, e.clientY - press.startY) > 14;
+    if (press.held || moved || press.scratched) return;
+    if (!layerInPlay(viewLayer)) return;
+    // While playing, quick tap still paints; hold/drag is platter.
+    var ringId = press.ringId;
+    var i = press.i;
+    var acc = getPaintAccent();
+    var cur = pattern[ringId][i];
+    if (cellId(cur) === paintSample && cur.acc === acc && cur.prob === getPaintChance() && cur.cond === getPaintCond()) {
+      applyPaintCells(ringId, i, null);
+      return;
+    }
+    applyPaintCells(ringId, i, paintSample, acc);
+    listenSample(paintSample).catch(function (err) { console.error(err); });
+  }
+
+  function onSegPointerCancel(e) {
+    if (playing) endPlatterGesture(e);
+    if (!segPress || e.pointerId !== segPress.pointerId) return;
+    clearSegPress();
+  }
+
+  function pickRingPreferFewerSegments(availableIds, rand) {
+    rand = rand || Math.random;
+    if (!availableIds.length) return null;
+    var weights = [];
+    var total = 0;
+    var i;
+    for (i = 0; i < availableIds.length; i++) {
+      var ring = null;
+      var j;
+      for (j = 0; j < RINGS.length; j++) {
+        if (RINGS[j].id === availableIds[i]) { ring = RINGS[j]; break; }
+      }
+      // Fewer segments → higher weight (squared for a stronger bias).
+      var w = ring ? 1 / (ring.segments * ring.segments) : 1;
+      weights.push(w);
+      total += w;
+    }
+    var r = rand() * total;
+    var acc = 0;
+    for (i = 0; i < availableIds.length; i++) {
+      acc += weights[i];
+      if (r <= acc) return availableIds[i];
+    }
+    return availableIds[availableIds.length - 1];
+  }
+
+  /**
+   * Build structural Lucky Roll plan (rings / sounds / pulses / rot, plus style anchors).
+   * Skip is applied later via Math.random so Match=100% wheels can still vary slightly.
+   */
+  function buildLuckyFillPlan(rand, style) {
+    rand = rand || Math.random;
+    var plan = [];
+    var remaining = RINGS.map(function (r) { return r.id; });
+    var usedOrder = [];
+    var usedSet = {};
+    var soundTarget = getLuckySoundCount();
+    var reuseChance = getLuckyReuseChance();
+
+    function ringSteps(ringId) {
+      for (var i = 0; i < RINGS.length; i++) {
+        if (RINGS[i].id === ringId) return RINGS[i].segments;
+      }
+      return 16;
+    }
+
+    function placeOnRing(ringId, soundId) {
+      var steps = ringSteps(ringId);
+      var anchors = style && !usedSet[soundId] ? style.anchors[soundId] : null;
+      var pulses;
+      if (anchors) pulses = Math.floor(rand() * 3);
+      else if (soundId === 'kick' || soundId === 'snare') pulses = randomPulsesCore(steps, rand);
+      else pulses = randomPulses(steps, rand);
+      var rot = Math.floor(rand() * steps);
+      var item = { ringId: ringId, soundId: soundId, pulses: pulses, rot: rot };
+      if (anchors) item.anchors = anchors;
+      plan.push(item);
+      if (!usedSet[soundId]) {
+        usedSet[soundId] = true;
+        usedOrder.push(soundId);
+      }
+    }
+
+    function takeRing(preferFew, soundId) {
+      if (!remaining.length) return null;
+      var allowed = style && style.rings[soundId]
+        ? style.rings[soundId].filter(function (id) { return remaining.indexOf(id) !== -1; })
+        : [];
+      var ringId;
+      if (allowed.length) ringId = allowed[Math.floor(rand() * allowed.length)];
+      else if (preferFew) ringId = pickRingPreferFewerSegments(remaining, rand);
+      else ringId = remaining[Math.floor(rand() * remaining.length)];
+      var ri = remaining.indexOf(ringId);
+      if (ri !== -1) remaining.splice(ri, 1);
+      return ringId;
+    }
+
+    var coreOrder = style ? style.core.slice() : CORE_DRUM_IDS.slice();
+    var c;
+    for (c = 0; c < coreOrder.length && remaining.length && usedOrder.length < soundTarget; c++) {
+      var coreId = coreOrder[c];
+      var coreRingId = takeRing(coreId === 'kick' || coreId === 'snare', coreId);
+      if (!coreRingId) break;
+      placeOnRing(coreRingId, coreId);
+    }
+
+    var fillPool = [];
+    var wordPool = [];
+    var humanity = getLuckyHumanity();
+    SAMPLES.forEach(function (s) {
+      if (usedSet[s.id]) return;
+      if (s.type === 'text') {
+        if (!String(sayTexts[s.id] || '').trim()) return;
+        // Humanity: how likely this producer picks word sounds for free slots.
+        if (rand() >= humanity) return;
+        wordPool.push(s.id);
+        return;
+      }
+      if (s.type === 'sample' && !soundBank[s.id]) return;
+      if (style && s.type === 'maker' && style.drums.indexOf(s.id) === -1) return;
+      fillPool.push(s.id);
+    });
+    shuffleInPlace(wordPool, rand);
+    shuffleInPlace(fillPool, rand);
+    // Prefer words first when Humanity is high so vocal producers actually land on the wheel.
+    if (humanity >= 0.55) fillPool = wordPool.concat(fillPool);
+    else fillPool = fillPool.concat(wordPool);
+
+    while (remaining.length && usedOrder.length < soundTarget && fillPool.length) {
+      var freshId = fillPool.shift();
+      var freshRing = takeRing(false, freshId);
+      if (!freshRing) break;
+      placeOnRing(freshRing, freshId);
+    }
+
+    while (remaining.length && usedOrder.length) {
+      var leftRing = takeRing(false);
+      if (!leftRing) break;
+      if (rand() >= reuseChance) continue;
+      var reuseId = usedOrder[Math.floor(rand() * usedOrder.length)];
+      placeOnRing(leftRing, reuseId);
+    }
+
+    return plan;
+  }
+
+  function applyLuckyFillPlan(pat, plan) {
+    RINGS.forEach(function (ring) {
+      pat[ring.id] = Array(ring.segments).fill(null);
+    });
+    if (!plan || !plan.length) return;
+    var i;
+    for (i = 0; i < plan.length; i++) {
+      var item = plan[i];
+      if (!pat[item.ringId]) continue;
+      applyEuclid(pat[item.ringId], item.soundId, item.pulses, item.rot);
+      if (item.anchors) applyStyleAnchors(pat[item.ringId], item.soundId, item.anchors);
+      if (item.fill) applyFillRoll(pat[item.ringId], item.soundId);
+    }
+    clearScrubHitCache();
+  }
+
+  /** Per-ring blend of master vs alternate plan by Match (consistency). */
+  function blendLuckyFillPlans(master, alt, consistency, rand) {
+    rand = rand || Math.random;
+    var byMaster = {};
+    var byAlt = {};
+    (master || []).forEach(function (p) { byMaster[p.ringId] = p; });
+    (alt || []).forEach(function (p) { byAlt[p.ringId] = p; });
+    var out = [];
+    RINGS.forEach(function (ring) {
+      var keepMaster = rand() < consistency;
+      var pick = keepMaster ? byMaster[ring.id] : byAlt[ring.id];
+      if (!pick) pick = byMaster[ring.id] || byAlt[ring.id];
+      if (pick) out.push(pick);
+    });
+    return out;
+  }
+
+  /**
+   * Phrase mode: one Lucky Roll writes `bars` wheels in a row as a section — sparse intro,
+   * a build with rising density, then the drop — with fills on the chosen wheels. Intro and
+   * build lengths are % of the phrase; densities are % of the full rolled plan.
+   */
+  var luckyPhrase = { bars: 0, intro: 25, build: 50, introDens: 35, buildFrom: 50, buildTo: 90, dropDens: 100, fill: 'last' };
+  var PHRASE_FILLS = [
+    { value: 'last', label: 'Last wheel' },
+    { value: 'drop', label: 'Before the drop' },
+    { value: 'both', label: 'Before the drop and last wheel' },
+    { value: 'four', label: 'Every 4th wheel' },
+    { value: 'none', label: 'No fills' }
+  ];
+
+  function phraseDropStart(bars) {
+    var introEnd = Math.round(bars * luckyPhrase.intro / 100);
+    return Math.min(bars, introEnd + Math.round(bars * luckyPhrase.build / 100));
+  }
+
+  /** Density (0–1) of phrase bar b. */
+  function phraseDensity(b, bars) {
+    var introEnd = Math.round(bars * luckyPhrase.intro / 100);
+    var dropStart = phraseDropStart(bars);
+    if (b < introEnd) return luckyPhrase.introDens / 100;
+    if (b >= dropStart) return luckyPhrase.dropDens / 100;
+    var t = dropStart - introEnd > 1 ? (b - introEnd) / (dropStart - introEnd - 1) : 1;
+    return (luckyPhrase.buildFrom + t * (luckyPhrase.buildTo - luckyPhrase.buildFrom)) / 100;
+  }
+
+  function phraseBarHasFill(b, bars) {
+    var fill = luckyPhrase.fill;
+    var dropStart = phraseDropStart(bars);
+    var beforeDrop = dropStart < bars && b === dropStart - 1;
+    if (fill === 'four') return b % 4 === 3;
+    if (fill === 'last') return b === bars - 1;
+    if (fill === 'drop') return beforeDrop;
+    if (fill === 'both') return beforeDrop || b === bars - 1;
+    return false;
+  }
+
+  /** Wheels a phrase roll writes: `bars` in a row from the first selected wheel (else the shown one). */
+  /** Wheels a phrase writes: from the first selected wheel on, shortened if it would run past the last wheel. */
+  function phraseLayers() {
+    var sel = selectedRandLayers();
+    var start = sel.length ? sel[0] : viewLayer;
+    var out = [];
+    var i;
+    for (i = 0; i < luckyPhrase.bars && start + i < MAX_CIRCLES; i++) out.push(start + i);
+    return out;
+  }
+
+  /**
+   * Thin a full plan to bar b's density — backbone and anchored rings stay longest, the
+   * rest lose rings and pulses — and add the bar's fill (tom, else snare / clap).
+   */
+  function shapePhrasePlan(plan, b, bars) {
+    var dens = phraseDensity(b, bars);
+    var ranked = plan.map(function (item, i) {
+      var core = item.anchors || isCoreBackbone(item.soundId) || CORE_DRUM_IDS.indexOf(item.soundId) !== -1;
+      return { item: item, rank: (core ? 0 : 1000) + i };
+    }).sort(function (a, c) { return a.rank - c.rank; });
+    var keep = Math.max(1, Math.ceil(ranked.length * Math.min(1, dens)));
+    var out = ranked.slice(0, keep).map(function (r) {
+      var item = Object.assign({}, r.item);
+      if (dens < 1) item.pulses = Math.max(item.anchors ? 0 : 1, Math.round(item.pulses * (0.4 + 0.6 * dens)));
+      return item;
+    });
+    if (!phraseBarHasFill(b, bars) || !plan.length) return out;
+    var fillId = ['tom', 'snare', 'clap'].filter(function (id) {
+      return plan.some(function (item) { return item.soundId === id; });
+    })[0] || plan[0].soundId;
+    var host = out.filter(function (item) { return item.soundId === fillId; })[0];
+    if (host) {
+      host.fill = true;
+      return out;
+    }
+    var taken = out.map(function (item) { return item.ringId; });
+    var free = ['r16a', 'r16b', 'r32a', 'r32b', 'r24a', 'r24b', 'r48a', 'r48b'].filter(function (id) {
+      return taken.indexOf(id) === -1;
+    });
+    if (free.length) out.push({ ringId: free[0], soundId: fillId, pulses: 0, rot: 0, fill: true });
+    else out[out.length - 1] = { ringId: out[out.length - 1].ringId, soundId: fillId, pulses: 0, rot: 0, fill: true };
+    return out;
+  }
+
+  /** Fill: the ring's last quarter hit on every sixteenth, rising in velocity. */
+  function applyFillRoll(arr, soundId) {
+    var n = arr.length;
+    var from = Math.floor(n * 3 / 4);
+    var stride = Math.max(1, Math.round(n / 16));
+    var i;
+    for (i = from; i < n; i += stride) {
+      arr[i] = makeCell(soundId, Math.round(60 + (VEL_MAX - 60) * (i - from) / (n - from)));
+    }
+  }
+
+  /** Phrase sheet: section lengths, density curve and fill placement, with a per-wheel preview. */
+  function openPhraseSheet() {
+    openSheetFor('phrase', 'Lucky Roll phrase', null);
+    var preview = document.createElement('div');
+    preview.className = 'phrase-curve';
+    var note = document.createElement('div');
+    note.className = 'param';
+    function redraw() {
+      var wheels = luckyPhrase.bars ? phraseLayers() : [];
+      var bars = wheels.length || luckyPhrase.bars || 8;
+      note.textContent = !wheels.length ? 'Phrase off — Lucky Roll fills the selected wheels.'
+        : 'Writes ' + layerLabel(wheels[0]) + '–' + (wheels[wheels.length - 1] + 1) +
+          (wheels.length < luckyPhrase.bars ? ' (shortened to ' + wheels.length + ': no wheels past ' + MAX_CIRCLES + ').' : '.');
+      preview.innerHTML = '';
+      var b;
+      for (b = 0; b < bars; b++) {
+        var bar = document.createElement('span');
+        bar.className = 'phrase-bar' + (phraseBarHasFill(b, bars) ? ' is-fill' : '');
+        bar.style.height = Math.round(Math.min(1, phraseDensity(b, bars)) * 100) + '%';
+        bar.title = 'Wheel ' + (b + 1) + ' · ' + Math.round(phraseDensity(b, bars) * 100) + '%';
+        preview.appendChild(bar);
+      }
+    }
+    function pct(v) { return v + '%'; }
+    function range(label, key, min, max) {
+      soundBody.appendChild(buildParamRange(label, min, max, 1, luckyPhrase[key], pct, function (v) {
+        luckyPhrase[key] = v;
+        redraw();
+      }));
+    }
+    soundBody.appendChild(buildParamSelect('Length', [
+      { value: '0', label: 'Off' },
+      { value: '4', label: '4 wheels' },
+      { value: '8', label: '8 wheels' },
+      { value: '16', label: '16 wheels' }
+    ], String(luckyPhrase.bars), function (v) {
+      setLuckyPhraseBars(parseInt(v, 10));
+      redraw();
+    }));
+    soundBody.appendChild(preview);
+    soundBody.appendChild(note);
+    range('Intro length', 'intro', 0, 50);
+    range('Build length', 'build', 0, 75);
+    range('Intro density', 'introDens', 10, 100);
+    range('Build from', 'buildFrom', 10, 100);
+    range('Build to', 'buildTo', 10, 100);
+    range('Drop density', 'dropDens', 10, 100);
+    soundBody.appendChild(buildParamSelect('Fills', PHRASE_FILLS, luckyPhrase.fill, function (v) {
+      luckyPhrase.fill = v;
+      redraw();
+    }));
+    redraw();
+  }
+
+  function setLuckyPhraseBars(bars) {
+    luckyPhrase.bars = bars;
+    if (randPhraseBarsEl) randPhraseBarsEl.value = String(bars);
+  }
+
+  function randomFillPattern(pat, structRng) {
+    applyLuckyFillPlan(pat, buildLuckyFillPlan(structRng || Math.random));
+  }
+
+  /** Bjorklund Euclidean rhythm → boolean hits length = steps. */
+  function euclidHits(steps, pulses) {
+    steps = Math.max(0, steps | 0);
+    pulses = Math.max(0, Math.min(steps, pulses | 0));
+    if (steps === 0) return [];
+    if (pulses === 0) {
+      var z = [];
+      for (var zi = 0; zi < steps; zi++) z.push(false);
+      return z;
+    }
+    if (pulses === steps) {
+      var f = [];
+      for (var fi = 0; fi < steps; fi++) f.push(true);
+      return f;
+    }
+    var pattern = [];
+    var counts = [];
+    var remainders = [];
+    var divisor = steps - pulses;
+    remainders.push(pulses);
+    var level = 0;
+    while (true) {
+      counts.push(Math.floor(divisor / remainders[level]));
+      remainders.push(divisor % remainders[level]);
+      divisor = remainders[level];
+      level += 1;
+      if (remainders[level] <= 1) break;
+    }
+    counts.push(divisor);
+
+    function build(lvl) {
+      if (lvl === -1) {
+        pattern.push(false);
+        return;
+      }
+      if (lvl === -2) {
+        pattern.push(true);
+        return;
+      }
+      var c;
+      for (c = 0; c < counts[lvl]; c++) build(lvl - 1);
+      if (remainders[lvl] !== 0) build(lvl - 2);
+    }
+    build(level);
+    return pattern.reverse();
+  }
+
+  function rotateBools(arr, rot) {
+    var n = arr.length;
+    if (!n) return arr;
+    rot = ((rot % n) + n) % n;
+    return arr.slice(rot).concat(arr.slice(0, rot));
+  }
+
+  /** φ⁻¹ ≈ 0.618 — Euclidean density + skip approach. */
+  var GOLDEN_CONJ = (Math.sqrt(5) - 1) / 2;
+  var CORE_SKIP_SCALE = 0.15;
+  var CORE_PLAY_GAIN = 1.2;
+  /** Extra lift so snare reads clearly against words / hats. */
+  var SNARE_PLAY_GAIN = 1.65;
+
+  function isCoreBackbone(soundId) {
+    return soundId === 'kick' || soundId === 'snare';
+  }
+
+  function playGainForSample(sampleId) {
+    if (sampleId === 'snare') return SNARE_PLAY_GAIN;
+    if (isCoreBackbone(sampleId)) return CORE_PLAY_GAIN;
+    return 1;
+  }
+
+  function coreMinPulses(n) {
+    if (n <= 1) return n;
+    return Math.max(2, Math.round(n / 8));
+  }
+
+  function randomPulses(n, rand) {
+    rand = rand || Math.random;
+    if (n <= 1) return n;
+    var maxDens = getLuckyEuclidMaxDens();
+    var max = Math.max(1, Math.floor(n * maxDens));
+    var bias = getLuckyEuclidGoldenBias();
+    var goldenTarget = Math.max(1, Math.min(max, Math.round(n * GOLDEN_CONJ)));
+    if (bias > 0 && rand() < bias) {
+      var spread = Math.max(1, Math.round(max * 0.22));
+      var lo = Math.max(1, goldenTarget - spread);
+      var hi = Math.min(max, goldenTarget + spread);
+      return lo + Math.floor(rand() * (hi - lo + 1));
+    }
+    return 1 + Math.floor(rand() * max);
+  }
+
+  /** Kick/snare pulse counts — denser floor around quarter/backbeat band. */
+  function randomPulsesCore(n, rand) {
+    rand = rand || Math.random;
+    if (n <= 1) return n;
+    var maxDens = getLuckyEuclidMaxDens();
     var max = Math.max(1, Math.floor(n * maxDens));
     var minP = Math.min(max, coreMinPulses(n));
     var loBand = Math.max(minP, Math.round(n / 4));
@@ -4180,1498 +6949,3350 @@
       if (hi < lo) hi = lo;
       return lo + Math.floor(rand() * (hi - lo + 1));
     }
-    return loBand + Math.floor(rand() * (hiBand - loBand + 1));
+    return loBand + Math.floor(rand() * (hiBand - loBand + 1));
+  }
+
+  /**
+   * Skip probability for each Euclidean hit (Lucky Roll second stage).
+   * Base: density×φ⁻¹ + |density − φ⁻¹|×(1 − φ⁻¹), then × Skip strength.
+   */
+  function euclidSkipChance(pulses, steps) {
+    var strength = getLuckySkipStrength();
+    if (strength <= 0 || steps <= 0 || pulses <= 0) return 0;
+    var ratio = Math.min(1, pulses / steps);
+    var n = ratio * GOLDEN_CONJ + Math.abs(ratio - GOLDEN_CONJ) * (1 - GOLDEN_CONJ);
+    n = Math.max(0.05, Math.min(0.72, n)) * strength;
+    return Math.max(0, Math.min(0.85, n));
+  }
+
+  /** Style anchors (32nds of the wheel) snapped to the ring's steps; never skipped. */
+  function applyStyleAnchors(arr, soundId, anchors) {
+    var n = arr.length;
+    anchors.forEach(function (pos) {
+      arr[Math.round(pos * n / 32) % n] = makeCell(soundId);
+    });
+  }
+
+  /** Place Euclidean hits, then randomly drop some (golden/ratio skip stage). */
+  function applyEuclid(arr, soundId, pulses, rot) {
+    var n = arr.length;
+    if (!n || pulses <= 0) return;
+    pulses = Math.min(pulses, n);
+    var hits = rotateBools(euclidHits(n, pulses), rot || 0);
+    var skipP = euclidSkipChance(pulses, n);
+    var backbone = isCoreBackbone(soundId);
+    if (backbone) skipP *= CORE_SKIP_SCALE;
+    var i;
+    var placed = 0;
+    for (i = 0; i < n; i++) {
+      if (!hits[i]) continue;
+      if (Math.random() < skipP) continue;
+      arr[i] = makeCell(soundId);
+      placed += 1;
+    }
+    // Kick/snare: restore Euclidean slots if skip thinned below the floor.
+    if (backbone) {
+      var minKeep = Math.min(pulses, coreMinPulses(n));
+      if (placed < minKeep) {
+        var need = minKeep - placed;
+        for (i = 0; i < n && need > 0; i++) {
+          if (!hits[i] || cellId(arr[i]) === soundId) continue;
+          arr[i] = makeCell(soundId);
+          need -= 1;
+        }
+      }
+    }
+  }
+
+  function shuffleInPlace(list, rand) {
+    rand = rand || Math.random;
+    var i;
+    for (i = list.length - 1; i > 0; i--) {
+      var j = Math.floor(rand() * (i + 1));
+      var tmp = list[i];
+      list[i] = list[j];
+      list[j] = tmp;
+    }
+    return list;
+  }
+
+  function getBpm() {
+    return Math.max(50, Math.min(130, parseInt(bpmEl.value, 10) || 120));
+  }
+
+  function getBarDur() {
+    return (60 / getBpm()) * 4;
+  }
+
+  async function ensureAudio() {
+    if (audioReady && ctx) {
+      if (ctx.state === 'suspended') await ctx.resume();
+      return;
+    }
+    var AC = window.AudioContext || window.webkitAudioContext;
+    ctx = new AC();
+    workletsLive = await loadWorklets(ctx);
+    buildAudioGraph();
+    await buildBank();
+    audioReady = true;
+  }
+
+  function renderVoice(makerId, openHat, paramsOverride) {
+    var OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    var len = Math.ceil(BANK_SR * BANK_DUR);
+    var offline = new OfflineCtx(1, len, BANK_SR);
+    var params = Object.assign({}, paramsOverride || makerSoundParams[makerId] || MAKER_DEFAULTS[makerId]);
+    var dest = offline.destination;
+    if (makerId === 'kick') window.playKickTest(offline, dest, params, 0);
+    else if (makerId === 'snare') window.playSnareTest(offline, dest, params, 0);
+    else if (makerId === 'clap') window.playClapTest(offline, dest, params, 0);
+    else if (makerId === 'hat') window.playHatTest(offline, dest, Object.assign({}, params, { hatOpen: !!openHat }), 0, !!openHat);
+    else if (makerId === 'ride') window.playRideTest(offline, dest, params, 0);
+    else if (makerId === 'cowbell') window.playCowbellTest(offline, dest, params, 0);
+    else if (makerId === 'tom') window.playTomTest(offline, dest, params, 0);
+    return offline.startRendering();
+  }
+
+  async function buildBank() {
+    await Promise.all(SAMPLES.filter(function (s) {
+      return s.type === 'maker';
+    }).map(function (s) {
+      return renderVoice(s.maker, s.open).then(function (buf) {
+        soundBank[s.id] = buf;
+      });
+    }));
+    await buildAutoBanks();
+  }
+
+  function floatsToAudioBuffer(floats, sampleRate) {
+    if (!floats || !floats.length) throw new Error('Empty speech buffer');
+    var rate = sampleRate || 22050;
+    var buf = ctx.createBuffer(1, floats.length, rate);
+    var ch = buf.getChannelData(0);
+    for (var i = 0; i < floats.length; i++) ch[i] = floats[i];
+    return buf;
+  }
+
+  /** Peak-normalise an AudioBuffer in place to targetPeakDb (e.g. -3). */
+  var WORD_PEAK_DB = -3;
+  function normalizeAudioBufferPeak(buf, targetPeakDb) {
+    if (!buf || typeof buf.getChannelData !== 'function') return buf;
+    var target = Math.pow(10, (targetPeakDb != null ? targetPeakDb : WORD_PEAK_DB) / 20);
+    var peak = 0;
+    var ch;
+    var i;
+    var n;
+    var data;
+    for (ch = 0; ch < buf.numberOfChannels; ch++) {
+      data = buf.getChannelData(ch);
+      for (i = 0, n = data.length; i < n; i++) {
+        var a = Math.abs(data[i]);
+        if (a > peak) peak = a;
+      }
+    }
+    if (peak < 1e-8) return buf;
+    var scale = target / peak;
+    for (ch = 0; ch < buf.numberOfChannels; ch++) {
+      data = buf.getChannelData(ch);
+      for (i = 0, n = data.length; i < n; i++) data[i] *= scale;
+    }
+    return buf;
+  }
+
+  /** SAM voice controls exposed in the word sheet: [min, max]. */
+  var SAM_RANGES = { speed: [30, 200], pitch: [20, 200], throat: [40, 220], mouth: [40, 220] };
+  /** Formant synth controls: speed and vowel size (%), pitch (Hz), breath (% noise in the voice). */
+  var FORMANT_RANGES = { speed: [50, 200], pitch: [60, 320], size: [70, 140], breath: [0, 100] };
+  /** Longest word / phrase a slot takes. */
+  var SAY_MAX_CHARS = 120;
+  /** Split phrases and vocal chops: AudioBuffer → [{ at, dur }] pieces (seconds), one per hit. */
+  var wordParts = new WeakMap();
+  /** Vocal chops: none shorter than CHOP_MIN_SEC, cut in energy dips below CHOP_VALLEY × peak. */
+  var CHOP_MIN_SEC = 0.08;
+  var CHOP_VALLEY = 0.35;
+  var CHOP_FRAME_SEC = 0.01;
+
+  /**
+   * Speech engines behind prerenderSpeechToBuffer: word-sheet label and [min, max] ranges,
+   * seeded(h) voice colour from a 32-bit seed hash, and render(phrase, params, vp) →
+   * { floats, rate, parts } (parts: per-word pieces when the engine renders word by word).
+   */
+  var SPEECH_ENGINES = {
+    sam: {
+      label: 'SAM (robot)',
+      ranges: SAM_RANGES,
+      phonemes: true,
+      seeded: function (h) {
+        // Mild voice colour only — keep speed near default so words stay clear.
+        return {
+          speed: 70 + (h % 8),
+          pitch: 58 + ((h >>> 6) % 12),
+          throat: 110 + ((h >>> 12) % 36),
+          mouth: 110 + ((h >>> 18) % 36)
+        };
+      },
+      render: renderSamSpeech
+    },
+    formant: {
+      label: 'Formant (vowel synth)',
+      ranges: FORMANT_RANGES,
+      seeded: function (h) {
+        return {
+          speed: 90 + (h % 20),
+          pitch: 90 + ((h >>> 6) % 70),
+          size: 90 + ((h >>> 12) % 24),
+          breath: 10 + ((h >>> 18) % 20)
+        };
+      },
+      render: renderFormantSpeech
+    }
+  };
+
+  function speechEngineName(vp) {
+    return vp && SPEECH_ENGINES[vp.engine] ? vp.engine : 'sam';
+  }
+
+  /**
+   * Voice settings for a word and engine (default: the word's own): values set in the
+   * word sheet, else derived from the voice seed.
+   */
+  function speechParamsForSample(sampleId, engineName) {
+    var seed = sampleId || 'say';
+    var vp = null;
+    if (sampleId) {
+      vp = getSayVoiceParams(sampleId);
+      if (vp.voiceSeed) seed = String(vp.voiceSeed);
+      else if (vp.voiceURI) seed = String(vp.voiceURI);
+    }
+    var name = engineName || speechEngineName(vp);
+    var h = 2166136261;
+    var i;
+    for (i = 0; i < seed.length; i++) {
+      h ^= seed.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    var engine = SPEECH_ENGINES[name];
+    var out = engine.seeded(h >>> 0);
+    Object.keys(engine.ranges).forEach(function (key) {
+      if (vp && speechEngineName(vp) === name && Number.isFinite(vp[key])) out[key] = vp[key];
+    });
+    return out;
+  }
+
+  /** Concatenate per-word renders (gapSec of silence between) and note where each word sits. */
+  function joinSpeechPieces(pieces, rate, gapSec) {
+    var gap = Math.round((gapSec || 0) * rate);
+    var total = pieces.reduce(function (n, piece) { return n + piece.length + gap; }, 0);
+    var floats = new Float32Array(Math.max(0, total - gap));
+    var parts = [];
+    var at = 0;
+    pieces.forEach(function (piece) {
+      floats.set(piece, at);
+      if (piece.length) parts.push({ at: at / rate, dur: piece.length / rate });
+      at += piece.length + gap;
+    });
+    return { floats: floats, parts: parts };
+  }
+
+  /**
+   * SAM render. Split voices render one piece per word back to back; long phrases SAM
+   * cannot say in one go fall back to the same word-by-word render.
+   */
+  function renderSamSpeech(phrase, p, vp) {
+    if (typeof SamJs !== 'function') throw new Error('SAM missing');
+    var sam = new SamJs({ speed: p.speed, pitch: p.pitch, throat: p.throat, mouth: p.mouth, phonetic: !!vp.phonetic });
+    var words = phrase.split(/\s+/).filter(Boolean);
+    var floats = vp.split && !vp.chop && words.length > 1 ? null : sam.buf32(phrase, !!vp.phonetic);
+    var parts = null;
+    if ((!floats || !floats.length) && words.length > 1) {
+      var joined = joinSpeechPieces(words.map(function (w) {
+        return sam.buf32(w, !!vp.phonetic) || new Float32Array(0);
+      }), 22050);
+      floats = joined.floats;
+      parts = joined.parts;
+    }
+    return { floats: floats, rate: 22050, parts: parts };
+  }
+
+  /**
+   * Formant synth phones: formant targets f (Hz, F1–F3), level, length (s), voicing and
+   * noise (0–1), optional bandwidth scale bw. Letters and digraphs map to phone lists.
+   */
+  var FORMANT_PHONES = {
+    a: { f: [730, 1090, 2440], amp: 1, dur: 0.13, voice: 1, noise: 0 },
+    e: { f: [530, 1840, 2480], amp: 1, dur: 0.11, voice: 1, noise: 0 },
+    i: { f: [390, 1990, 2550], amp: 0.9, dur: 0.1, voice: 1, noise: 0 },
+    ee: { f: [270, 2290, 3010], amp: 0.9, dur: 0.14, voice: 1, noise: 0 },
+    o: { f: [570, 840, 2410], amp: 1, dur: 0.13, voice: 1, noise: 0 },
+    u: { f: [520, 1190, 2390], amp: 0.9, dur: 0.1, voice: 1, noise: 0 },
+    oo: { f: [300, 870, 2240], amp: 0.9, dur: 0.14, voice: 1, noise: 0 },
+    m: { f: [280, 900, 2200], amp: 0.45, dur: 0.07, voice: 1, noise: 0 },
+    n: { f: [280, 1700, 2600], amp: 0.45, dur: 0.07, voice: 1, noise: 0 },
+    ng: { f: [280, 2300, 2750], amp: 0.4, dur: 0.08, voice: 1, noise: 0 },
+    l: { f: [360, 1300, 2700], amp: 0.6, dur: 0.06, voice: 1, noise: 0 },
+    r: { f: [420, 1300, 1600], amp: 0.6, dur: 0.06, voice: 1, noise: 0 },
+    w: { f: [300, 610, 2200], amp: 0.55, dur: 0.05, voice: 1, noise: 0 },
+    y: { f: [270, 2290, 3010], amp: 0.55, dur: 0.05, voice: 1, noise: 0 },
+    v: { f: [220, 1100, 2080], amp: 0.4, dur: 0.07, voice: 0.7, noise: 0.5, bw: 3 },
+    z: { f: [200, 1700, 4500], amp: 0.4, dur: 0.08, voice: 0.6, noise: 0.6, bw: 4 },
+    zh: { f: [300, 2200, 3200], amp: 0.4, dur: 0.08, voice: 0.6, noise: 0.6, bw: 4 },
+    s: { f: [4500, 6000, 8000], amp: 0.35, dur: 0.1, voice: 0, noise: 1, bw: 8 },
+    sh: { f: [2500, 3500, 5000], amp: 0.4, dur: 0.11, voice: 0, noise: 1, bw: 6 },
+    f: { f: [1200, 3000, 6500], amp: 0.2, dur: 0.09, voice: 0, noise: 1, bw: 10 },
+    th: { f: [1400, 3000, 6000], amp: 0.18, dur: 0.08, voice: 0, noise: 1, bw: 10 },
+    h: { f: [500, 1500, 2500], amp: 0.25, dur: 0.06, voice: 0, noise: 1, bw: 3 },
+    gap: { f: [300, 1200, 2500], amp: 0, dur: 0.05, voice: 0, noise: 0 },
+    hum: { f: [250, 900, 2400], amp: 0.12, dur: 0.04, voice: 1, noise: 0 },
+    pb: { f: [800, 1500, 2500], amp: 0.4, dur: 0.02, voice: 0, noise: 1, bw: 4 },
+    td: { f: [3500, 4500, 6000], amp: 0.4, dur: 0.02, voice: 0, noise: 1, bw: 4 },
+    kg: { f: [1800, 2500, 3500], amp: 0.4, dur: 0.025, voice: 0, noise: 1, bw: 4 }
+  };
+  /** Spellings → phone names, longest match first; stops are a closure then a burst. */
+  var FORMANT_SPELLING = {
+    tion: ['sh', 'u', 'n'], igh: ['a', 'ee'], sh: ['sh'], ch: ['gap', 'td', 'sh'], th: ['th'],
+    ng: ['ng'], ph: ['f'], ck: ['gap', 'kg'], qu: ['gap', 'kg', 'w'], ee: ['ee'], ea: ['ee'],
+    oo: ['oo'], ou: ['a', 'oo'], ow: ['a', 'oo'], ai: ['e', 'ee'], ay: ['e', 'ee'], oi: ['o', 'ee'],
+    oy: ['o', 'ee'], ie: ['a', 'ee'], a: ['a'], e: ['e'], i: ['i'], o: ['o'], u: ['u'],
+    b: ['hum', 'pb'], c: ['gap', 'kg'], d: ['hum', 'td'], f: ['f'], g: ['hum', 'kg'], h: ['h'],
+    j: ['hum', 'td', 'zh'], k: ['gap', 'kg'], l: ['l'], m: ['m'], n: ['n'], p: ['gap', 'pb'],
+    q: ['gap', 'kg'], r: ['r'], s: ['s'], t: ['gap', 'td'], v: ['v'], w: ['w'],
+    x: ['gap', 'kg', 's'], y: ['y'], z: ['z']
+  };
+  var FORMANT_RATE = 22050;
+
+  /** Spell a word into phones: soft c before e/i/y, y as a vowel after a consonant, silent final e. */
+  function formantPhones(word) {
+    var w = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (w.length > 2 && /[^aeiou]e$/.test(w)) w = w.slice(0, -1);
+    var out = [];
+    var i = 0;
+    while (i < w.length) {
+      var len;
+      var spell = null;
+      for (len = 4; len > 0 && !spell; len--) {
+        if (FORMANT_SPELLING[w.substr(i, len)]) spell = w.substr(i, len);
+      }
+      var phones = FORMANT_SPELLING[spell];
+      if (spell === 'c' && /[eiy]/.test(w[i + 1] || '')) phones = ['s'];
+      if (spell === 'y' && i > 0 && !/[aeiou]/.test(w[i - 1])) phones = ['ee'];
+      out = out.concat(phones);
+      i += spell.length;
+    }
+    return out;
+  }
+
+  /**
+   * Render one word: a sawtooth glottal source (pitch falling slightly over the word)
+   * mixed with seeded noise, through three gliding two-pole formant resonators.
+   */
+  function renderFormantWord(word, p) {
+    var names = formantPhones(word);
+    if (!names.length) return new Float32Array(0);
+    var rate = FORMANT_RATE;
+    var timeScale = 100 / p.speed;
+    var sizeScale = 100 / p.size;
+    var breath = p.breath / 100;
+    var segs = names.map(function (name) { return FORMANT_PHONES[name]; });
+    var total = segs.reduce(function (n, seg) { return n + Math.round(seg.dur * timeScale * rate); }, 0);
+    var tail = Math.round(0.03 * rate);
+    var out = new Float32Array(total + tail);
+    var rand = createStructRng(0x5eed);
+    var glide = 1 - Math.exp(-1 / (0.012 * rate));
+    var level = 1 - Math.exp(-1 / (0.005 * rate));
+    var cur = { f: segs[0].f.slice(), bw: segs[0].bw || 1, amp: 0, voice: segs[0].voice, noise: segs[0].noise };
+    var y1 = [0, 0, 0];
+    var y2 = [0, 0, 0];
+    var weights = [1, 0.5, 0.25];
+    var phase = 0;
+    var n = 0;
+    var k;
+    segs.forEach(function (seg, si) {
+      var count = Math.round(seg.dur * timeScale * rate);
+      if (si === segs.length - 1) count += tail;
+      var j;
+      for (j = 0; j < count; j++, n++) {
+        var target = si === segs.length - 1 && j >= count - tail ? 0 : seg.amp;
+        cur.amp += (target - cur.amp) * level;
+        cur.voice += (seg.voice - cur.voice) * level;
+        cur.noise += (seg.noise - cur.noise) * level;
+        cur.bw += ((seg.bw || 1) - cur.bw) * glide;
+        var f0 = p.pitch * (1.1 - 0.2 * n / out.length);
+        phase += f0 / rate;
+        if (phase >= 1) phase -= 1;
+        var noise = rand() * 2 - 1;
+        var src = cur.voice * ((1 - 2 * phase) * (1 - breath) + noise * breath) + cur.noise * noise;
+        var sum = 0;
+        for (k = 0; k < 3; k++) {
+          cur.f[k] += (seg.f[k] * sizeScale - cur.f[k]) * glide;
+          var freq = Math.min(cur.f[k], rate * 0.45);
+          var r = Math.exp(-Math.PI * (60 + 30 * k) * cur.bw / rate);
+          var y = (1 - r) * src + 2 * r * Math.cos(2 * Math.PI * freq / rate) * y1[k] - r * r * y2[k];
+          y2[k] = y1[k];
+          y1[k] = y;
+          sum += y * weights[k];
+        }
+        out[n] = sum * cur.amp;
+      }
+    });
+    return out;
+  }
+
+  /** Formant render: always word by word with a short breath between words. */
+  function renderFormantSpeech(phrase, p) {
+    var words = phrase.split(/\s+/).filter(Boolean);
+    var joined = joinSpeechPieces(words.map(function (w) { return renderFormantWord(w, p); }), FORMANT_RATE, 0.06 * 100 / p.speed);
+    return { floats: joined.floats, rate: FORMANT_RATE, parts: joined.parts };
+  }
+
+  /**
+   * Cut a rendered phrase into syllable-ish chops: RMS per 10 ms frame, cuts in the
+   * deepest energy dips (keeping every chop at least CHOP_MIN_SEC), silence trimmed off the ends.
+   */
+  function detectChops(floats, rate) {
+    var frame = Math.max(1, Math.round(CHOP_FRAME_SEC * rate));
+    var env = [];
+    var i;
+    for (i = 0; i < floats.length; i += frame) {
+      var sum = 0;
+      var j;
+      var end = Math.min(floats.length, i + frame);
+      for (j = i; j < end; j++) sum += floats[j] * floats[j];
+      env.push(Math.sqrt(sum / (end - i)));
+    }
+    var peak = Math.max.apply(null, env.concat([0]));
+    if (!(peak > 0)) return null;
+    var first = 0;
+    while (first < env.length && env[first] < peak * 0.05) first++;
+    var last = env.length - 1;
+    while (last > first && env[last] < peak * 0.05) last--;
+    var minFrames = Math.max(1, Math.round(CHOP_MIN_SEC / CHOP_FRAME_SEC));
+    var valleys = [];
+    var run = -1;
+    for (i = first + 1; i <= last; i++) {
+      if (i < last && env[i] < peak * CHOP_VALLEY) {
+        if (run < 0) run = i;
+        continue;
+      }
+      if (run < 0) continue;
+      var low = Infinity;
+      var k;
+      for (k = run; k < i; k++) low = Math.min(low, env[k]);
+      var flat = [];
+      for (k = run; k < i; k++) if (env[k] <= low + peak * 0.01) flat.push(k);
+      valleys.push(flat[flat.length >> 1]);
+      run = -1;
+    }
+    valleys.sort(function (a, b) { return env[a] - env[b]; });
+    var cuts = [];
+    valleys.forEach(function (v) {
+      if (cuts.length >= CHOP_MAX - 1) return;
+      if (v - first < minFrames || last + 1 - v < minFrames) return;
+      if (cuts.some(function (c) { return Math.abs(c - v) < minFrames; })) return;
+      cuts.push(v);
+    });
+    cuts.sort(function (a, b) { return a - b; });
+    var edges = [first].concat(cuts, [last + 1]);
+    var out = [];
+    for (i = 0; i + 1 < edges.length; i++) {
+      out.push({ at: edges[i] * frame / rate, dur: Math.min(floats.length, edges[i + 1] * frame) / rate - edges[i] * frame / rate });
+    }
+    return out;
+  }
+
+  /**
+   * Split phrase piece / vocal chop for a fired word: the cell's chop number, else the
+   * k-th hit of the word in this bar (in the order the rings actually fire, so
+   * polymetric rings count where this pass puts them) plays piece k.
+   */
+  function wordPartForStep(step) {
+    var parts = wordParts.get(soundBank[step.cell.id]);
+    if (!parts) return null;
+    if (step.cell.chop) return parts[(step.cell.chop - 1) % parts.length];
+    var pat = layers[step.layer].pattern;
+    var order = [];
+    RINGS.forEach(function (ring, r) {
+      var steps = pat[ring.id] || [];
+      ringBarSteps(step.layer, ring, step.pass).forEach(function (pos) {
+        if (cellId(steps[pos.i]) === step.cell.id) order.push({ t: pos.t, r: r, ringId: ring.id, i: pos.i });
+      });
+    });
+    order.sort(function (a, b) { return a.t - b.t || a.r - b.r; });
+    var k;
+    for (k = 0; k < order.length; k++) {
+      var o = order[k];
+      if (o.ringId === step.ringId && o.i === step.i && Math.abs(o.t - step.frac) < 1e-9) return parts[k % parts.length];
+    }
+    return parts[0];
+  }
+
+  /** The missing-SAM notice is shown once per session. */
+  var samFallbackShown = false;
+
+  /**
+   * Render a word, phrase or SAM phoneme string with the word's speech engine (SAM falls
+   * back to the formant synth if its script failed to load), peak-normalised; split
+   * and chopped voices also remember where each piece starts.
+   */
+  async function prerenderSpeechToBuffer(text, sampleId) {
+    if (!text) throw new Error('Empty text');
+    var vp = sampleId ? getSayVoiceParams(sampleId) : {};
+    var name = speechEngineName(vp);
+    if (name === 'sam' && typeof SamJs !== 'function') {
+      if (!samFallbackShown) {
+        samFallbackShown = true;
+        alert('Could not load the SAM voice — words use the formant synth instead.');
+      }
+      name = 'formant';
+    }
+    var out = SPEECH_ENGINES[name].render(String(text).slice(0, SAY_MAX_CHARS), speechParamsForSample(sampleId, name), vp);
+    if (!out.floats || !out.floats.length) throw new Error('Speech empty');
+    var buf = normalizeAudioBufferPeak(floatsToAudioBuffer(out.floats, out.rate), WORD_PEAK_DB);
+    var parts = vp.chop ? detectChops(out.floats, out.rate) : vp.split ? out.parts : null;
+    if (parts && parts.length > 1) wordParts.set(buf, parts);
+    return buf;
+  }
+
+  async function applySayText(sampleId, raw, opts) {
+    opts = opts || {};
+    if (sayBusy) return;
+    var text = String(raw || '').trim().slice(0, SAY_MAX_CHARS);
+    sayBusy = true;
+    try {
+      await ensureAudio();
+      if (!text) {
+        sayTexts[sampleId] = '';
+        delete soundBank[sampleId];
+        refreshPaintLabels();
+        if (!opts.skipReopen && soundEditorOpen() && paintSample === sampleId) {
+          openSoundEditor();
+        }
+        return;
+      }
+      sayTexts[sampleId] = text;
+      soundBank[sampleId] = await prerenderSpeechToBuffer(text, sampleId);
+      refreshPaintLabels();
+      previewSample(sampleId);
+      if (!opts.skipReopen && soundEditorOpen() && paintSample === sampleId) {
+        openSoundEditor();
+      }
+    } finally {
+      sayBusy = false;
+    }
+  }
+
+  function triggerLoadSample(forId) {
+    wavInput.dataset.target = forId || paintSample;
+    wavInput.value = '';
+    wavInput.click();
+  }
+
+  async function loadWavFile(sampleId, file) {
+    if (!file || !sampleId) return;
+    await ensureAudio();
+    var arr = await file.arrayBuffer();
+    var buffer = await ctx.decodeAudioData(arr.slice(0));
+    sampleRaw[sampleId] = buffer;
+    // The file a loaded code names keeps its edits; another file starts untrimmed (playback mode and choke stay).
+    var kept = sampleEdit(sampleId);
+    if (sampleNames[sampleId] && sampleNames[sampleId] === file.name) setSampleEditState(sampleId, kept);
+    else setSampleEditState(sampleId, { gate: kept.gate, choke: kept.choke });
+    sampleNames[sampleId] = file.name || 'sample.wav';
+    refreshPaintLabels();
+    previewSample(sampleId);
+    if (soundEditorOpen() && paintSample === sampleId) openSoundEditor();
+  }
+
+  /** Mic takes: peak level, silence threshold (relative to peak) for free takes, and count-in click. */
+  var MIC_PEAK_DB = -1;
+  var MIC_SILENCE = 0.02;
+  var MIC_CLICK_SEC = 0.04;
+  /** Record length in bars (0 = free, until Stop) and the take in progress. */
+  var micRecBars = 0;
+  var micRec = null;
+  /** True from the Record click until the take has started or failed (mic prompt open). */
+  var micRecPending = false;
+
+  /** Count-in blip on the master bus; the downbeat is higher. */
+  function scheduleCountInClick(when, downbeat) {
+    var osc = ctx.createOscillator();
+    var g = ctx.createGain();
+    osc.frequency.value = downbeat ? 1600 : 1000;
+    g.gain.setValueAtTime(0.35, when);
+    g.gain.exponentialRampToValueAtTime(0.001, when + MIC_CLICK_SEC);
+    osc.connect(g);
+    g.connect(master);
+    osc.start(when);
+    osc.stop(when + MIC_CLICK_SEC + 0.01);
+  }
+
+  /** Next bar line of the running transport, at least `lead` seconds ahead. */
+  function nextTransportBarStart(now, lead) {
+    var ev = activeLayerAt(now);
+    var dur = ev && ev.dur ? ev.dur : getBarDur();
+    var start = ev ? ev.start : barOrigin;
+    return start + Math.ceil((now + lead - start) / dur) * dur;
+  }
+
+  /**
+   * Record the mic into a sample slot. Bar takes start on a bar line after a count-in
+   * (the next bar while playing, one clicked bar when stopped) and keep their exact
+   * length so the loop sits on the grid; free takes run until Stop and lose their silence.
+   */
+  async function startMicRecording(sampleId) {
+    if (micRec || micRecPending) return;
+    micRecPending = true;
+    syncMicRecUi();
+    try {
+      await openMicRecording(sampleId);
+    } finally {
+      micRecPending = false;
+      syncMicRecUi();
+    }
+  }
+
+  async function openMicRecording(sampleId) {
+    await ensureAudio();
+    if (!workletsLive || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      alert('Microphone recording is not supported in this browser.');
+      return;
+    }
+    var stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+      });
+    } catch (err) {
+      console.error(err);
+      alert('Could not open the microphone.');
+      return;
+    }
+    var source = ctx.createMediaStreamSource(stream);
+    var node = new AudioWorkletNode(ctx, 'cb-recorder');
+    var sink = ctx.createGain();
+    sink.gain.value = 0;
+    source.connect(node);
+    node.connect(sink);
+    sink.connect(ctx.destination);
+    var now = ctx.currentTime;
+    var barDur = getBarDur();
+    var beatDur = barDur / BAR_BEATS;
+    var startAt = now;
+    var stopAt = null;
+    if (micRecBars > 0) {
+      if (playing && !transport.free) {
+        startAt = nextTransportBarStart(now, beatDur);
+      } else {
+        startAt = now + 0.1 + barDur;
+      }
+      var k;
+      for (k = 1; startAt - k * beatDur > now; k++) {
+        scheduleCountInClick(startAt - k * beatDur, k % BAR_BEATS === 0);
+      }
+      stopAt = startAt + micRecBars * barDur;
+    }
+    micRec = {
+      sampleId: sampleId,
+      stream: stream,
+      source: source,
+      node: node,
+      sink: sink,
+      chunks: [],
+      startAt: startAt,
+      stopAt: stopAt,
+      timer: 0
+    };
+    node.port.onmessage = function (e) {
+      if (micRec && micRec.node === node) micRec.chunks.push(e.data);
+    };
+    if (stopAt != null) {
+      micRec.timer = setTimeout(function () {
+        finishMicRecording().catch(function (err) { console.error(err); });
+      }, (stopAt + micLatency() - ctx.currentTime) * 1000 + 150);
+    }
+  }
+
+  /** Stop the take, cut it to its window and drop it into the slot. */
+  async function finishMicRecording() {
+    var rec = micRec;
+    if (!rec) return;
+    micRec = null;
+    if (rec.timer) clearTimeout(rec.timer);
+    var now = ctx.currentTime;
+    var bars = rec.stopAt != null;
+    rec.node.port.postMessage('stop');
+    rec.source.disconnect();
+    rec.node.disconnect();
+    rec.sink.disconnect();
+    rec.stream.getTracks().forEach(function (track) { track.stop(); });
+    syncMicRecUi();
+    // Stopped during the count-in: nothing to keep.
+    if (bars && now < rec.startAt) return;
+    try {
+      var sr = ctx.sampleRate;
+      var shift = bars ? micLatency() : 0;
+      var from = Math.round((rec.startAt + shift) * sr);
+      var to = Math.round(((bars ? Math.min(rec.stopAt, now) : now) + shift) * sr);
+      if (to - from < 64) {
+        alert('The recording was too short.');
+        return;
+      }
+      var floats = new Float32Array(to - from);
+      rec.chunks.forEach(function (chunk) {
+        var i;
+        for (i = 0; i < chunk.data.length; i++) {
+          var at = chunk.frame + i - from;
+          if (at >= 0 && at < floats.length) floats[at] = chunk.data[i];
+        }
+      });
+      if (!bars) floats = trimMicSilence(floats, sr);
+      if (!floats) {
+        alert('Nothing was recorded — check the microphone.');
+        return;
+      }
+      var buf = ctx.createBuffer(1, floats.length, sr);
+      buf.getChannelData(0).set(floats);
+      normalizeAudioBufferPeak(buf, MIC_PEAK_DB);
+      recordHistory('Record ' + rec.sampleId);
+      var kept = sampleEdit(rec.sampleId);
+      sampleRaw[rec.sampleId] = buf;
+      setSampleEditState(rec.sampleId, { gate: kept.gate, choke: kept.choke });
+      sampleNames[rec.sampleId] = 'mic-' + rec.sampleId + '-' + Date.now() + '.wav';
+      refreshPaintLabels();
+      previewSample(rec.sampleId);
+      if (soundEditorOpen() && paintSample === rec.sampleId) openSoundEditor();
+    } catch (err) {
+      console.error(err);
+      alert('Could not record the sample.');
+    }
+  }
+
+  /** The player hears the clicks late and the mic hears them later still. */
+  function micLatency() {
+    return (ctx.baseLatency || 0) + (ctx.outputLatency || 0);
+  }
+
+  /** Drop leading / trailing silence from a free take; null if it is all silence. */
+  function trimMicSilence(floats, sr) {
+    var peak = 0;
+    var i;
+    for (i = 0; i < floats.length; i++) if (Math.abs(floats[i]) > peak) peak = Math.abs(floats[i]);
+    if (peak < 1e-4) return null;
+    var first = 0;
+    while (first < floats.length && Math.abs(floats[first]) < peak * MIC_SILENCE) first++;
+    var last = floats.length - 1;
+    while (last > first && Math.abs(floats[last]) < peak * MIC_SILENCE) last--;
+    var pad = Math.round(AUTO_TRIM_PRE * sr);
+    return floats.slice(Math.max(0, first - pad), Math.min(floats.length, last + 1 + pad));
+  }
+
+  function syncMicRecUi() {
+    var btn = document.getElementById('micRecBtn');
+    if (!btn) return;
+    var waiting = micRec && ctx && ctx.currentTime < micRec.startAt;
+    btn.disabled = micRecPending;
+    btn.textContent = micRecPending ? 'Opening mic…' : !micRec ? 'Record' : waiting ? 'Count-in… (stop)' : 'Stop';
+    btn.classList.toggle('is-on', !!micRec);
+    if (waiting) setTimeout(syncMicRecUi, 100);
+  }
+
+  function sampleEdit(sampleId) {
+    return Object.assign({}, SAMPLE_EDIT_DEFAULTS, sampleEdits[sampleId]);
+  }
+
+  function sampleGated(sampleId) {
+    return !!(sampleEdits[sampleId] && sampleEdits[sampleId].gate);
+  }
+
+  function sampleChoke(sampleId) {
+    return (sampleEdits[sampleId] && sampleEdits[sampleId].choke) || 0;
+  }
+
+  /** Trimmed / reversed / faded copy of the decoded file; the file itself is never touched. */
+  function renderSampleEdit(raw, edit) {
+    var sr = raw.sampleRate;
+    var from = Math.max(0, Math.min(raw.length - 1, Math.round(edit.start * sr)));
+    var to = edit.end > 0 ? Math.min(raw.length, Math.round(edit.end * sr)) : raw.length;
+    if (to - from < 64) to = Math.min(raw.length, from + 64);
+    var len = to - from;
+    var out = ctx.createBuffer(raw.numberOfChannels, len, sr);
+    var gain = Math.pow(10, edit.gain / 20);
+    var fadeIn = Math.min(len, Math.round(edit.fadeIn / 1000 * sr));
+    var fadeOut = Math.min(len, Math.round(edit.fadeOut / 1000 * sr));
+    var ch;
+    for (ch = 0; ch < raw.numberOfChannels; ch++) {
+      var src = raw.getChannelData(ch);
+      var dst = out.getChannelData(ch);
+      var i;
+      for (i = 0; i < len; i++) {
+        var v = src[edit.reverse ? to - 1 - i : from + i] * gain;
+        if (i < fadeIn) v *= i / fadeIn;
+        if (i >= len - fadeOut) v *= (len - i) / fadeOut;
+        dst[i] = v;
+      }
+    }
+    return out;
+  }
+
+  function sampleEditIsPlain(edit) {
+    return edit.start === 0 && edit.end === 0 && !edit.fadeIn && !edit.fadeOut && !edit.reverse && !edit.gain;
+  }
+
+  /** Store an edit and rebuild the playable buffer from the decoded file. */
+  function setSampleEditState(sampleId, edit) {
+    var next = Object.assign({}, SAMPLE_EDIT_DEFAULTS, edit);
+    if (Object.keys(SAMPLE_EDIT_DEFAULTS).every(function (k) { return next[k] === SAMPLE_EDIT_DEFAULTS[k]; })) {
+      delete sampleEdits[sampleId];
+    } else {
+      sampleEdits[sampleId] = next;
+    }
+    var raw = sampleRaw[sampleId];
+    if (raw) soundBank[sampleId] = sampleEditIsPlain(next) ? raw : renderSampleEdit(raw, next);
+    clearScrubHitCache();
+  }
+
+  function setSampleEdit(sampleId, key, value) {
+    recordHistory('Edit sample', 'smp:' + sampleId + ':' + key);
+    var edit = sampleEdit(sampleId);
+    edit[key] = value;
+    setSampleEditState(sampleId, edit);
+  }
+
+  /** Trim to the first transient and cut the silent tail. */
+  function autoTrimSample(sampleId) {
+    var raw = sampleRaw[sampleId];
+    if (!raw) return;
+    var len = raw.length;
+    var env = new Float32Array(len);
+    var ch;
+    var i;
+    for (ch = 0; ch < raw.numberOfChannels; ch++) {
+      var data = raw.getChannelData(ch);
+      for (i = 0; i < len; i++) env[i] = Math.max(env[i], Math.abs(data[i]));
+    }
+    var peak = 0;
+    for (i = 0; i < len; i++) if (env[i] > peak) peak = env[i];
+    if (!(peak > 0)) return;
+    var first = 0;
+    while (first < len && env[first] < peak * AUTO_TRIM_ONSET) first++;
+    var last = len - 1;
+    while (last > first && env[last] < peak * AUTO_TRIM_TAIL) last--;
+    var sr = raw.sampleRate;
+    recordHistory('Auto-trim');
+    var edit = sampleEdit(sampleId);
+    edit.start = Math.round(Math.max(0, first - AUTO_TRIM_PRE * sr) / sr * 1000) / 1000;
+    edit.end = Math.round(Math.min(len, last + AUTO_TRIM_PRE * sr) / sr * 1000) / 1000;
+    if (edit.end >= raw.duration - 0.0005) edit.end = 0;
+    setSampleEditState(sampleId, edit);
+  }
+
+  /** Auto-trim: onset / tail thresholds relative to the peak, and the lead kept before the transient (s). */
+  var AUTO_TRIM_ONSET = 0.1;
+  var AUTO_TRIM_TAIL = 0.003;
+  var AUTO_TRIM_PRE = 0.002;
+
+  /** Waveform of the decoded file with the trimmed region, fades and reverse marked. */
+  function drawSampleWave(canvas, sampleId) {
+    var g = canvas.getContext('2d');
+    var w = canvas.width;
+    var h = canvas.height;
+    g.clearRect(0, 0, w, h);
+    var raw = sampleRaw[sampleId];
+    if (!raw) return;
+    var edit = sampleEdit(sampleId);
+    var dur = raw.duration;
+    var x0 = edit.start / dur * w;
+    var x1 = (edit.end > 0 ? Math.min(edit.end, dur) : dur) / dur * w;
+    var data = raw.getChannelData(0);
+    var per = Math.max(1, Math.floor(data.length / w));
+    var x;
+    g.fillStyle = cssSwatch(sampleById(sampleId));
+    for (x = 0; x < w; x++) {
+      var lo = 0;
+      var hi = 0;
+      var i;
+      for (i = x * per; i < Math.min(data.length, (x + 1) * per); i++) {
+        if (data[i] < lo) lo = data[i];
+        if (data[i] > hi) hi = data[i];
+      }
+      g.globalAlpha = x >= x0 && x <= x1 ? 1 : 0.25;
+      g.fillRect(x, (1 - hi) * h / 2, 1, Math.max(1, (hi - lo) * h / 2));
+    }
+    g.globalAlpha = 1;
+    var fadeInPx = edit.fadeIn / 1000 / dur * w;
+    var fadeOutPx = edit.fadeOut / 1000 / dur * w;
+    g.strokeStyle = '#fff';
+    g.beginPath();
+    g.moveTo(x0, h);
+    g.lineTo(Math.min(x1, x0 + fadeInPx), 0);
+    g.lineTo(Math.max(x0, x1 - fadeOutPx), 0);
+    g.lineTo(x1, h);
+    g.stroke();
+    if (edit.reverse) {
+      g.fillStyle = '#fff';
+      g.font = '10px sans-serif';
+      g.fillText('◀ reversed', x0 + 4, 12);
+    }
+  }
+
+  /** Choke: a voice cuts the ones of its group that started before it. */
+  var CHOKE_FADE = 0.01;
+  var liveChokes = {};
+
+  function cutVoice(voice, at) {
+    if (at >= voice.cut) return;
+    voice.cut = at;
+    voice.gain.cancelScheduledValues(at);
+    voice.gain.setTargetAtTime(0, at, CHOKE_FADE / 3);
+    try { voice.src.stop(at + CHOKE_FADE); } catch (e) { /* already stopped */ }
+  }
+
+  /** voice: { src, gain (AudioParam), at, cut (when it ends anyway) }; order of calls does not matter. */
+  function chokeVoice(groups, group, voice) {
+    var list = (groups[group] || []).filter(function (v) { return v.cut > voice.at || v.at > voice.at; });
+    list.forEach(function (v) {
+      if (v.at < voice.at) cutVoice(v, voice.at);
+      else if (v.at > voice.at) cutVoice(voice, v.at);
+    });
+    list.push(voice);
+    groups[group] = list;
+  }
+
+  function noteSegHit(ringId, segIdx, when) {
+    segHitFlashes[ringId + ':' + segIdx] = when;
+  }
+
+  function positiveMod(a, b) {
+    if (!(b > 0)) return 0;
+    return ((a % b) + b) % b;
+  }
+
+  function clearScrubHitCache() {
+    scrubHitCache = {};
+    scrubCacheBarDur = 0;
+  }
+
+  /** Enabled wheels in play order from the wheel playback started on. */
+  function chainOrder() {
+    var seq = [];
+    var cur = resolveStart(playOriginLayer);
+    if (cur < 0) return seq;
+    var guard = 0;
+    do {
+      seq.push(cur);
+      cur = nextEnabled(cur);
+      guard += 1;
+    } while (cur >= 0 && cur !== seq[0] && guard < MAX_CIRCLES);
+    return seq;
+  }
+
+  function layerForBarIndex(barIndex) {
+    if (arrangementActive()) return songSlotForBar(barIndex).layer;
+    var seq = chainOrder();
+    if (!seq.length) return 0;
+    var n = seq.length;
+    var idx = ((barIndex % n) + n) % n;
+    return seq[idx];
+  }
+
+  /**
+   * Condition context for a bar: the pass within its song part, or the loop
+   * count through the wheel chain. live adds the Fill button.
+   */
+  function passForBarIndex(barIndex, live) {
+    var held = !!(live && fillHeld);
+    if (arrangementActive()) {
+      var slot = songSlotForBar(barIndex);
+      var entry = arrangement.entries[slot.entry];
+      return {
+        pass: slot.pass,
+        passes: entry.repeat,
+        fill: held || !!(entry.fill && slot.pass === entry.repeat - 1),
+        entry: slot.entry
+      };
+    }
+    var n = Math.max(1, chainOrder().length);
+    return { pass: Math.max(0, Math.floor(barIndex / n)), passes: 0, fill: held, entry: -1 };
+  }
+
+  /** Ring length in beats on a wheel; 4 (one bar) unless the ring runs polymetric. */
+  function ringBeats(layerIdx, ringId) {
+    var lengths = layers[layerIdx] && layers[layerIdx].lengths;
+    return (lengths && lengths[ringId]) || BAR_BEATS;
+  }
+
+  /** Melodic rings play each cell at its own pitch and length. */
+  function ringIsMelodic(layerIdx, ringId) {
+    var melodic = layers[layerIdx] && layers[layerIdx].melodic;
+    return !!(melodic && melodic[ringId]);
+  }
+
+  /**
+   * Playback rate, gate (seconds per strike, 0 = natural) and split-phrase piece of a
+   * fired step; gated samples stop at the step.
+   */
+  function stepShape(step) {
+    var cell = step.cell;
+    var strike = step.stepDur / (cell.rat || 1);
+    var dur = sampleGated(cell.id) ? strike : 0;
+    var part = step.layer != null ? wordPartForStep(step) : null;
+    if (!step.melodic) return { rate: 1, dur: dur, part: part };
+    return {
+      rate: Math.pow(2, (cell.pitch || 0) / 12),
+      dur: cell.len ? cell.len * strike : dur,
+      part: part
+    };
+  }
+
+  /**
+   * Steps of a ring that start inside this bar: { i, t } with t the bar fraction.
+   * Longer rings carry on where the previous pass of the wheel left them.
+   */
+  function ringBarSteps(layerIdx, ring, pass) {
+    var n = ring.segments;
+    var len = ringBeats(layerIdx, ring.id);
+    var out = [];
+    var i;
+    if (len === BAR_BEATS) {
+      for (i = 0; i < n; i++) out.push({ i: i, t: i / n });
+      return out;
+    }
+    var from = positiveMod((pass || PASS_PLAIN).pass * BAR_BEATS, len);
+    for (i = 0; i < n; i++) {
+      var beat;
+      for (beat = positiveMod(i * len / n - from, len); beat < BAR_BEATS - 1e-9; beat += len) {
+        out.push({ i: i, t: beat / BAR_BEATS });
+      }
+    }
+    out.sort(function (a, b) { return a.t - b.t; });
+    return out;
+  }
+
+  var ringSheetLayer = 0;
+
+  function setRingBeats(layerIdx, ringId, beats) {
+    recordHistory('Ring length', 'len:' + layerIdx + ':' + ringId);
+    var layer = layers[layerIdx];
+    layer.lengths = Object.assign({}, layer.lengths);
+    if (beats === BAR_BEATS) delete layer.lengths[ringId];
+    else layer.lengths[ringId] = beats;
+    clearScrubHitCache();
+  }
+
+  /** Ring length editor: each ring spans 1–16 beats, so rings drift against the bar. */
+  function openRingsSheet(layerIdx) {
+    if (layerIdx == null) layerIdx = viewLayer;
+    ringSheetLayer = layerIdx;
+    openSheetFor('rings', 'Rings · ' + layerLabel(layerIdx));
+    function fmt(beats) {
+      if (beats % BAR_BEATS === 0) return beats / BAR_BEATS + (beats === BAR_BEATS ? ' bar' : ' bars');
+      return beats + (beats === 1 ? ' beat' : ' beats');
+    }
+    RINGS.forEach(function (ring, idx) {
+      var label = 'Ring ' + (idx + 1) + ' · ' + ring.segments + ' steps';
+      soundBody.appendChild(buildParamRange(label, 1, RING_MAX_BEATS, 1, ringBeats(layerIdx, ring.id), fmt, function (v) {
+        setRingBeats(layerIdx, ring.id, v);
+        syncCycleNote();
+      }));
+      var actions = document.createElement('div');
+      actions.className = 'param-actions';
+      var melodicBtn = document.createElement('button');
+      melodicBtn.type = 'button';
+      melodicBtn.textContent = 'Melodic';
+      melodicBtn.classList.toggle('is-on', ringIsMelodic(layerIdx, ring.id));
+      melodicBtn.addEventListener('click', function () {
+        setRingMelodic(layerIdx, ring.id, !ringIsMelodic(layerIdx, ring.id));
+        melodicBtn.classList.toggle('is-on', ringIsMelodic(layerIdx, ring.id));
+      });
+      var rollBtn = document.createElement('button');
+      rollBtn.type = 'button';
+      rollBtn.textContent = 'Piano roll';
+      rollBtn.addEventListener('click', function () {
+        if (!ringIsMelodic(layerIdx, ring.id)) setRingMelodic(layerIdx, ring.id, true);
+        openRollSheet(layerIdx, ring.id);
+      });
+      actions.appendChild(melodicBtn);
+      actions.appendChild(rollBtn);
+      soundBody.appendChild(actions);
+    });
+    var note = document.createElement('div');
+    note.className = 'param';
+    soundBody.appendChild(note);
+    function syncCycleNote() {
+      var full = wheelCycleBars(layerIdx);
+      var cut = exportCycleBars(layerIdx);
+      note.textContent = 'Full cycle: ' + fmt(full * BAR_BEATS) + (cut < full
+        ? ' — WAV and MIDI export stop after ' + fmt(cut * BAR_BEATS) + ' (' + Math.round(SONG_EXPORT_MAX_SEC / 60) + ' min limit).'
+        : ' — WAV and MIDI export render all of it.');
+    }
+    syncCycleNote();
+  }
+
+  function setRingMelodic(layerIdx, ringId, on) {
+    recordHistory(on ? 'Melodic ring' : 'Drum ring');
+    var layer = layers[layerIdx];
+    layer.melodic = Object.assign({}, layer.melodic);
+    if (on) layer.melodic[ringId] = true;
+    else delete layer.melodic[ringId];
+    clearScrubHitCache();
+  }
+
+  /** Rows each side of the sample root in the piano roll (widened to fit any note on the ring). */
+  var ROLL_SPAN = 12;
+  var ROLL_LENGTHS = [0, 1, 2, 3, 4, 6, 8, 12, 16];
+  /** Piano roll target and the length new notes get. */
+  var rollSheet = { layer: 0, ringId: RINGS[0].id, len: 0 };
+
+  function setScaleLock(root, scale) {
+    recordHistory('Key', 'key');
+    scaleLock = { root: root, scale: scale };
+  }
+
+  /** Snap every note of a ring into the locked key. */
+  function snapRingToScale(layerIdx, ringId) {
+    recordHistory('Snap to key');
+    layers[layerIdx].pattern[ringId].forEach(function (cell) {
+      if (cell) cell.pitch = snapPitch(cell.pitch || 0);
+    });
+    clearScrubHitCache();
+  }
+
+  /**
+   * Piano roll for one melodic ring: columns are steps, rows semitones around the
+   * sample root. Tap an empty step to draw, a note to erase, another row to re-pitch.
+   */
+  function openRollSheet(layerIdx, ringId) {
+    rollSheet.layer = layerIdx;
+    rollSheet.ringId = ringId;
+    var ringNum = RINGS.map(function (r) { return r.id; }).indexOf(ringId) + 1;
+    openSheetFor('roll', 'Piano roll · Ring ' + ringNum + ' · ' + layerLabel(layerIdx));
+    soundBody.appendChild(buildParamSelect('Key', NOTE_NAMES.map(function (name, idx) {
+      return { value: String(idx), label: name };
+    }), String(scaleLock.root), function (v) {
+      setScaleLock(parseInt(v, 10), scaleLock.scale);
+      drawGrid();
+    }));
+    soundBody.appendChild(buildParamSelect('Scale lock', Object.keys(SCALES).map(function (name) {
+      return { value: name, label: name === 'off' ? 'Off (chromatic)' : name === 'minpent' ? 'minor pentatonic' : name };
+    }), scaleLock.scale, function (v) {
+      setScaleLock(scaleLock.root, v);
+      drawGrid();
+    }));
+    soundBody.appendChild(buildParamSelect('New notes', ROLL_LENGTHS.map(function (len) {
+      return { value: String(len), label: len ? len + (len === 1 ? ' step' : ' steps') : 'Natural length' };
+    }), String(rollSheet.len), function (v) { rollSheet.len = parseInt(v, 10); }));
+    var grid = document.createElement('div');
+    grid.className = 'roll-grid';
+    soundBody.appendChild(grid);
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    var snapBtn = document.createElement('button');
+    snapBtn.type = 'button';
+    snapBtn.textContent = 'Snap notes to key';
+    snapBtn.addEventListener('click', function () {
+      snapRingToScale(layerIdx, ringId);
+      drawGrid();
+    });
+    actions.appendChild(snapBtn);
+    soundBody.appendChild(actions);
+
+    grid.addEventListener('click', function (e) {
+      var el = e.target.closest('.roll-cell');
+      if (!el) return;
+      toggleNote(parseInt(el.dataset.step, 10), parseInt(el.dataset.pitch, 10));
+      drawGrid();
+    });
+
+    function toggleNote(i, pitch) {
+      var steps = layers[layerIdx].pattern[ringId];
+      var cur = steps[i];
+      if (cur && (cur.pitch || 0) === pitch) {
+        recordHistory('Erase');
+        steps[i] = null;
+      } else if (cur) {
+        recordHistory('Edit step');
+        cur.pitch = pitch;
+      } else {
+        if (!paintSample) return;
+        recordHistory('Paint');
+        steps[i] = makeCell(paintSample, VEL_DEFAULT, 0, { pitch: pitch, len: rollSheet.len });
+      }
+      if (layerIdx === viewLayer) paintSeg(ringId, i);
+      clearScrubHitCache();
+      var cell = steps[i];
+      if (cell && ctx) {
+        var n = steps.length;
+        var stepDur = getBarDur() * ringBeats(layerIdx, ringId) / BAR_BEATS / n;
+        var shape = stepShape({ cell: cell, stepDur: stepDur, melodic: true });
+        playBuf(cell.id, ctx.currentTime + 0.01, { gain: cellGain(cell), rate: shape.rate, dur: shape.dur });
+      }
+    }
+
+    function drawGrid() {
+      var steps = layers[layerIdx].pattern[ringId];
+      var n = steps.length;
+      var beatSteps = n / ringBeats(layerIdx, ringId);
+      var tails = {};
+      var used = {};
+      var top = ROLL_SPAN;
+      var bottom = -ROLL_SPAN;
+      steps.forEach(function (cell, i) {
+        var k;
+        if (!cell) return;
+        var p = cell.pitch || 0;
+        used[p] = true;
+        top = Math.max(top, p);
+        bottom = Math.min(bottom, p);
+        for (k = 1; k < (cell.len || 1); k++) tails[(i + k) % n + ':' + p] = true;
+      });
+      grid.innerHTML = '';
+      grid.style.gridTemplateColumns = '40px repeat(' + n + ', minmax(7px, 1fr))';
+      var pitch;
+      for (pitch = top; pitch >= bottom; pitch--) {
+        // Out-of-key rows stay hidden unless a note sits on them, so every note can be seen and erased.
+        var inKey = pitchInScale(pitch);
+        if (!inKey && !used[pitch]) continue;
+        var label = document.createElement('div');
+        label.className = inKey ? 'roll-label' : 'roll-label is-off-key';
+        label.textContent = NOTE_NAMES[positiveMod(pitch, 12)] + (4 + Math.floor(pitch / 12));
+        grid.appendChild(label);
+        var i;
+        for (i = 0; i < n; i++) {
+          var cell = steps[i];
+          var el = document.createElement('div');
+          var cls = 'roll-cell';
+          if (cell && (cell.pitch || 0) === pitch) cls += ' is-on';
+          else if (tails[i + ':' + pitch]) cls += ' is-tail';
+          if (Math.abs(i / beatSteps - Math.round(i / beatSteps)) < 1e-9) cls += ' is-beat';
+          if (positiveMod(pitch - scaleLock.root, 12) === 0) cls += ' is-root';
+          el.className = cls;
+          el.dataset.step = String(i);
+          el.dataset.pitch = String(pitch);
+          el.title = 'Step ' + (i + 1) + ' · ' + pitchName(pitch);
+          grid.appendChild(el);
+        }
+      }
+    }
+    drawGrid();
+  }
+
+  /** Bars until every ring of the wheel lines up again. */
+  function wheelCycleBars(layerIdx) {
+    function gcd(a, b) { return b ? gcd(b, a % b) : a; }
+    var bars = 1;
+    RINGS.forEach(function (ring) {
+      var len = ringBeats(layerIdx, ring.id);
+      var ringBars = len / gcd(len, BAR_BEATS);
+      bars = bars * ringBars / gcd(bars, ringBars);
+    });
+    return bars;
+  }
+
+  /** Bars a wheel export covers: the full cycle, cut at the song export length limit. */
+  function exportCycleBars(layerIdx) {
+    return Math.max(1, Math.min(wheelCycleBars(layerIdx), Math.floor(SONG_EXPORT_MAX_SEC / getBarDur())));
   }
 
   /**
-   * Skip probability for each Euclidean hit (Lucky Roll second stage).
-   * Base: density×φ⁻¹ + |density − φ⁻¹|×(1 − φ⁻¹), then × Skip strength.
+   * Cells that fire in one bar with swing / humanize applied: { layer, ringId, i, cell, at, frac, stepDur, melodic, pass }
+   * (at in seconds from the bar start). Shared by live, scrub and offline so they agree.
    */
-  function euclidSkipChance(pulses, steps) {
-    var strength = getLuckySkipStrength();
-    if (strength <= 0 || steps <= 0 || pulses <= 0) return 0;
-    var ratio = Math.min(1, pulses / steps);
-    var n = ratio * GOLDEN_CONJ + Math.abs(ratio - GOLDEN_CONJ) * (1 - GOLDEN_CONJ);
-    n = Math.max(0.05, Math.min(0.72, n)) * strength;
-    return Math.max(0, Math.min(0.85, n));
+  function barFiredSteps(layerIdx, barDur, mute, pass) {
+    var pat = layers[layerIdx] && layers[layerIdx].pattern;
+    var out = [];
+    if (!pat) return out;
+    var humanAll = getHumanize();
+    var swingAll = getSwing();
+    var swingDiv = getSwingNoteDiv();
+    var swingUnitDur = barDur / swingDiv;
+    var swingMaxDelay = swingUnitDur * SWING_MAX_DELAY_FRAC;
+    RINGS.forEach(function (ring) {
+      var steps = pat[ring.id];
+      if (!steps) return;
+      var stepDur = barDur * ringBeats(layerIdx, ring.id) / BAR_BEATS / ring.segments;
+      var humanMaxDelay = stepDur * MAX_DELAY_FRAC;
+      var melodic = ringIsMelodic(layerIdx, ring.id);
+      var prevFired = false;
+      ringBarSteps(layerIdx, ring, pass).forEach(function (pos) {
+        var cell = steps[pos.i];
+        if (!cell || isMutedIn(mute, cell.id)) return;
+        prevFired = cellFires(cell, layerIdx, ring.id, pos.i, pass, prevFired);
+        if (!prevFired) return;
+        var swing = autoUnit(layerIdx, 'swing', pos.t, swingAll);
+        var human = autoUnit(layerIdx, 'human', pos.t, humanAll);
+        var offset = 0;
+        if (swing > 0 && phaseIsSwingOffbeat(pos.t, swingDiv)) offset += swing * swingMaxDelay;
+        if (human > 0) offset += human * humanMaxDelay * pseudo01(ring.id, pos.i, layerIdx + 1);
+        var cap = swingMaxDelay + humanMaxDelay;
+        if (offset > cap) offset = cap;
+        out.push({ layer: layerIdx, ringId: ring.id, i: pos.i, cell: cell, at: pos.t * barDur + offset, frac: pos.t, stepDur: stepDur, melodic: melodic, pass: pass });
+      });
+    });
+    return out;
   }
 
-  /** Place Euclidean hits, then randomly drop some (golden/ratio skip stage). */
-  function applyEuclid(arr, soundId, pulses, rot) {
-    var n = arr.length;
-    if (!n || pulses <= 0) return;
-    pulses = Math.min(pulses, n);
-    var hits = rotateBools(euclidHits(n, pulses), rot || 0);
-    var skipP = euclidSkipChance(pulses, n);
-    var backbone = isCoreBackbone(soundId);
-    if (backbone) skipP *= CORE_SKIP_SCALE;
+  function buildBarHits(layerIdx, barMusicStart, barDur, mute, pass) {
+    var hits = [];
+    barFiredSteps(layerIdx, barDur, mute, pass).forEach(function (step) {
+      var cell = step.cell;
+      var shape = stepShape(step);
+      cellStrikes(cell, step.stepDur).forEach(function (st) {
+        hits.push({
+          mt: barMusicStart + step.at + st.dt,
+          sampleId: cell.id,
+          gain: cellGain(cell) * st.scale,
+          vel: clampVelocity(cellMidiVelocity(cell) * st.scale),
+          span: 1 / (cell.rat || 1),
+          stepDur: step.stepDur,
+          rate: shape.rate,
+          dur: shape.dur,
+          part: shape.part,
+          melodic: step.melodic,
+          pitch: cell.pitch || 0,
+          len: cell.len || 0,
+          ringId: step.ringId,
+          seg: step.i,
+          layer: layerIdx
+        });
+      });
+    });
+    hits.sort(function (a, b) { return a.mt - b.mt; });
+    return hits;
+  }
+
+  /** Bar lengths of one pass of the play order: per song slot (own tempo or global), else one global bar. */
+  function transportBarDurs() {
+    if (!arrangementActive()) return [getBarDur()];
+    return arrangementBars().map(function (slot) { return slot.bpm ? (60 / slot.bpm) * 4 : getBarDur(); });
+  }
+
+  /** Bar barIndex in music time: { index, start, dur }, walking song slot tempos from transport.originBar. */
+  function musicBar(barIndex) {
+    var durs = transportBarDurs();
+    var n = durs.length;
+    var total = durs.reduce(function (sum, d) { return sum + d; }, 0);
+    var rel = barIndex - transport.originBar;
+    var laps = Math.floor(rel / n);
+    var start = laps * total;
     var i;
-    var placed = 0;
-    for (i = 0; i < n; i++) {
-      if (!hits[i]) continue;
-      if (Math.random() < skipP) continue;
-      arr[i] = soundId;
-      placed += 1;
+    for (i = laps * n; i < rel; i++) start += durs[positiveMod(transport.originBar + i, n)];
+    return { index: barIndex, start: start, dur: durs[positiveMod(barIndex, n)] };
+  }
+
+  /** The bar playing at music time mt: { index, start, dur }. */
+  function musicBarAt(mt) {
+    var durs = transportBarDurs();
+    var n = durs.length;
+    var total = durs.reduce(function (sum, d) { return sum + d; }, 0);
+    var laps = Math.floor(mt / total);
+    var index = transport.originBar + laps * n;
+    var start = laps * total;
+    var dur = durs[positiveMod(index, n)];
+    while (start + dur <= mt) {
+      start += dur;
+      index += 1;
+      dur = durs[positiveMod(index, n)];
     }
-    // Kick/snare: restore Euclidean slots if skip thinned below the floor.
-    if (backbone) {
-      var minKeep = Math.min(pulses, coreMinPulses(n));
-      if (placed < minKeep) {
-        var need = minKeep - placed;
-        for (i = 0; i < n && need > 0; i++) {
-          if (!hits[i] || arr[i] === soundId) continue;
-          arr[i] = soundId;
-          need -= 1;
+    return { index: index, start: start, dur: dur };
+  }
+
+  function hitsForBarIndex(barIndex) {
+    var barDur = getBarDur();
+    if (scrubCacheBarDur && Math.abs(scrubCacheBarDur - barDur) > 1e-6) clearScrubHitCache();
+    scrubCacheBarDur = barDur;
+    var key = String(barIndex);
+    if (!scrubHitCache[key]) {
+      var layer = layerForBarIndex(barIndex);
+      var slot = arrangementActive() ? songSlotForBar(barIndex) : null;
+      var bar = musicBar(barIndex);
+      scrubHitCache[key] = buildBarHits(layer, bar.start, bar.dur, slot && slot.mute, passForBarIndex(barIndex, true));
+      var keys = Object.keys(scrubHitCache);
+      if (keys.length > 24) {
+        keys.sort(function (a, b) { return (+a) - (+b); });
+        var i;
+        for (i = 0; i < keys.length - 16; i++) delete scrubHitCache[keys[i]];
+      }
+    }
+    return scrubHitCache[key];
+  }
+
+  function triggerHitsBetween(fromMt, toMt) {
+    if (!ctx || fromMt === toMt) return;
+    var b0 = musicBarAt(Math.min(fromMt, toMt)).index - 1;
+    var b1 = musicBarAt(Math.max(fromMt, toMt)).index + 1;
+    var rateAbs = Math.max(0.08, Math.min(3.5, Math.abs(transport.rate) || 1));
+    var b;
+    for (b = b0; b <= b1; b++) {
+      var hits = hitsForBarIndex(b);
+      var i;
+      for (i = 0; i < hits.length; i++) {
+        var h = hits[i];
+        var crossed = toMt > fromMt
+          ? (h.mt > fromMt && h.mt <= toMt)
+          : (h.mt < fromMt && h.mt >= toMt);
+        if (!crossed) continue;
+        playBuf(h.sampleId, ctx.currentTime + 0.005, { rate: rateAbs * h.rate, gain: h.gain, dur: h.dur / rateAbs, part: h.part });
+        noteSegHit(h.ringId, h.seg, ctx.currentTime);
+      }
+    }
+  }
+
+  function stopScheduler() {
+    if (scheduleTimer) {
+      clearTimeout(scheduleTimer);
+      scheduleTimer = 0;
+    }
+  }
+
+  function pointerAngleAt(clientX, clientY) {
+    var rect = svg.getBoundingClientRect();
+    var cx = rect.left + rect.width * 0.5;
+    var cy = rect.top + rect.height * 0.5;
+    return Math.atan2(clientY - cy, clientX - cx);
+  }
+
+  function enterFreeTransport() {
+    if (!playing || !ctx || transport.free) return;
+    var now = ctx.currentTime;
+    // Normal play runs at rate 1, so music time matches wall clock since barOrigin.
+    transport.musicTime = Math.max(0, now - barOrigin);
+    transport.lastMusicTime = transport.musicTime;
+    transport.lastCtx = now;
+    transport.rate = 1;
+    transport.target = 1;
+    transport.free = true;
+    transport.easing = false;
+    stopScheduler();
+    sendClockStop();
+    stopAllVoices();
+    clearScrubHitCache();
+    if (circleWrap) circleWrap.classList.add('is-scratching');
+  }
+
+  function handOffFreeTransport() {
+    if (!transport.free || !ctx || !playing) return;
+    var mt = transport.musicTime;
+    var bar = musicBarAt(mt);
+    var barIndex = bar.index;
+    var barDur = bar.dur;
+    var layer = layerForBarIndex(barIndex);
+    var slot = arrangementActive() ? songSlotForBar(barIndex) : null;
+    var now = ctx.currentTime;
+    var barStartCtx = now - (mt - bar.start);
+    barOrigin = barStartCtx - bar.start;
+    barEvents = [{ start: barStartCtx, layer: layer, dur: barDur, entry: slot ? slot.entry : -1, pass: passForBarIndex(barIndex, true).pass }];
+    playCursor = layer;
+    shownPlayLayer = layer;
+    if (!viewLocked) setViewLayer(layer, { fromPlayhead: true });
+
+    // Schedule remaining hits in this bar, then resume lookahead.
+    var hits = hitsForBarIndex(barIndex);
+    var i;
+    for (i = 0; i < hits.length; i++) {
+      if (hits[i].mt + 1e-4 < mt) continue;
+      var when = barStartCtx + (hits[i].mt - bar.start);
+      if (when < now - 0.01) continue;
+      playBuf(hits[i].sampleId, when, { gain: hits[i].gain, rate: hits[i].rate, dur: hits[i].dur, part: hits[i].part });
+      noteSegHit(hits[i].ringId, hits[i].seg, when);
+    }
+    nextBarTime = barStartCtx + barDur;
+    var nxt = nextEnabled(layer);
+    playCursor = nxt < 0 ? layer : nxt;
+    songBar = barIndex + 1;
+    sendClockStart(nextBarTime, barIndex + 1);
+    transport.free = false;
+    transport.rate = 1;
+    transport.target = 1;
+    transport.easing = false;
+    if (circleWrap) circleWrap.classList.remove('is-scratching');
+    scheduler();
+  }
+
+  function tickFreeTransport(now) {
+    if (!transport.free || !ctx) return getTransportPhase(now);
+    var dt = Math.max(0, Math.min(0.08, now - (transport.lastCtx || now)));
+    transport.lastCtx = now;
+
+    if (platterGesture && platterGesture.mode === 'drag') {
+      // Drag owns the playhead (updated in pointermove). Don't apply hold-brake.
+      transport.lastCtx = now;
+      var barDrag = musicBarAt(transport.musicTime);
+      var layerDrag = layerForBarIndex(barDrag.index);
+      if (layerDrag !== shownPlayLayer) {
+        shownPlayLayer = layerDrag;
+        if (!viewLocked) setViewLayer(layerDrag, { fromPlayhead: true });
+      }
+      return (transport.musicTime - barDrag.start) / barDrag.dur;
+    } else if (platterGesture) {
+      // Hold only (no drag yet) — slow the platter.
+      transport.target = PLATTER_BRAKE_RATE;
+      transport.rate += (transport.target - transport.rate) * Math.min(1, dt * 10);
+    } else {
+      // Released — snap back to normal quickly, then hand off to scheduler.
+      transport.target = 1;
+      transport.easing = true;
+      transport.rate += (transport.target - transport.rate) * Math.min(1, dt * 14);
+      if (Math.abs(transport.rate - 1) < 0.08) {
+        transport.rate = 1;
+        transport.lastMusicTime = transport.musicTime;
+        handOffFreeTransport();
+        return getTransportPhase(now);
+      }
+    }
+
+    transport.lastMusicTime = transport.musicTime;
+    transport.musicTime += dt * transport.rate;
+    triggerHitsBetween(transport.lastMusicTime, transport.musicTime);
+
+    var bar = musicBarAt(transport.musicTime);
+    var layer = layerForBarIndex(bar.index);
+    if (layer !== shownPlayLayer) {
+      shownPlayLayer = layer;
+      if (!viewLocked) setViewLayer(layer, { fromPlayhead: true });
+    }
+    return (transport.musicTime - bar.start) / bar.dur;
+  }
+
+  /** Where a ring of a wheel (default: the shown one) is in its own cycle (0..1) at this bar phase. */
+  function ringPhase(ringId, pass, phase, layerIdx) {
+    var len = ringBeats(layerIdx == null ? viewLayer : layerIdx, ringId);
+    if (len === BAR_BEATS) return phase;
+    return positiveMod((pass + phase) * BAR_BEATS, len) / len;
+  }
+
+  /** Turn polymetric rings by their lead / lag against the bar. */
+  function syncRingRotations(pass, phase) {
+    RINGS.forEach(function (ring) {
+      var g = ringGroupEls[ring.id];
+      if (!g) return;
+      var deg = -(ringPhase(ring.id, pass, phase) - phase) * 360;
+      var next = Math.abs(deg) < 1e-6 ? '' : 'rotate(' + deg + ' ' + CX + ' ' + CY + ')';
+      if ((g.getAttribute('transform') || '') !== next) {
+        if (next) g.setAttribute('transform', next);
+        else g.removeAttribute('transform');
+      }
+    });
+  }
+
+  function getTransportPhase(now) {
+    if (transport.free) {
+      var bar = musicBarAt(transport.musicTime);
+      return (transport.musicTime - bar.start) / bar.dur;
+    }
+    var ev = activeLayerAt(now);
+    var barDurN = ev && ev.dur ? ev.dur : getBarDur();
+    var start = ev ? ev.start : barOrigin;
+    var elapsed = barDurN > 0 ? positiveMod(now - start, barDurN) : 0;
+    return barDurN > 0 ? elapsed / barDurN : 0;
+  }
+
+  function beginPlatterGesture(e) {
+    if (!playing || !ctx) return;
+    enterFreeTransport();
+    var ang = pointerAngleAt(e.clientX, e.clientY);
+    platterGesture = {
+      pointerId: e.pointerId,
+      mode: 'hold',
+      angle: ang,
+      lastAngle: ang,
+      lastT: performance.now(),
+      startX: e.clientX,
+      startY: e.clientY,
+      dragged: false
+    };
+    transport.target = PLATTER_BRAKE_RATE;
+    if (circleWrap) circleWrap.classList.add('is-scratching');
+  }
+
+  function updatePlatterGesture(e) {
+    if (!platterGesture || e.pointerId !== platterGesture.pointerId) return;
+    if (!transport.free) enterFreeTransport();
+    var now = performance.now();
+    var ang = pointerAngleAt(e.clientX, e.clientY);
+    var dist = Math.hypot(e.clientX - platterGesture.startX, e.clientY - platterGesture.startY);
+    var dAng = ang - platterGesture.lastAngle;
+    while (dAng > Math.PI) dAng -= Math.PI * 2;
+    while (dAng < -Math.PI) dAng += Math.PI * 2;
+    var dt = Math.max(0.006, (now - platterGesture.lastT) / 1000);
+
+    // Any real rub overrides hold-brake immediately for a responsive vinyl feel.
+    if (dist > PLATTER_DRAG_PX || Math.abs(dAng) > 0.018 || platterGesture.mode === 'drag') {
+      if (Math.abs(dAng) > 0.0005 || dist > PLATTER_DRAG_PX) {
+        platterGesture.dragged = true;
+        platterGesture.mode = 'drag';
+        var barDur = musicBarAt(transport.musicTime).dur;
+        var naturalOmega = barDur > 0 ? (Math.PI * 2) / barDur : 1;
+        var omega = dAng / dt; // rad/s, CW+
+        var speedNorm = naturalOmega > 0 ? Math.abs(omega) / naturalOmega : 0;
+        // Faster / farther drag → more extreme scrub (nonlinear).
+        var speedGain = 1 + Math.min(3.2, Math.pow(speedNorm, 1.15) * 1.15);
+        var distGain = 1 + Math.min(2.2, dist / 110);
+        var scrubGain = speedGain * distGain;
+        var fromMt = transport.musicTime;
+        if (barDur > 0) {
+          transport.musicTime -= (dAng / (Math.PI * 2)) * barDur * scrubGain;
+          triggerHitsBetween(fromMt, transport.musicTime);
+          transport.lastMusicTime = transport.musicTime;
         }
+        var rate = (-omega / naturalOmega) * speedGain;
+        transport.rate = Math.max(PLATTER_MIN_RATE, Math.min(PLATTER_MAX_RATE, rate));
+        transport.target = transport.rate;
       }
     }
-  }
-
-  function shuffleInPlace(list, rand) {
-    rand = rand || Math.random;
-    var i;
-    for (i = list.length - 1; i > 0; i--) {
-      var j = Math.floor(rand() * (i + 1));
-      var tmp = list[i];
-      list[i] = list[j];
-      list[j] = tmp;
-    }
-    return list;
-  }
 
-  function getBpm() {
-    return Math.max(50, Math.min(130, parseInt(bpmEl.value, 10) || 120));
+    platterGesture.lastAngle = ang;
+    platterGesture.lastT = now;
+    platterGesture.angle = ang;
   }
 
-  function getBarDur() {
-    return (60 / getBpm()) * 4;
+  function endPlatterGesture(e) {
+    if (!platterGesture) return;
+    if (e && e.pointerId !== platterGesture.pointerId) return;
+    platterGesture = null;
+    transport.target = 1;
+    transport.easing = true;
   }
 
-  async function ensureAudio() {
-    if (audioReady && ctx) {
-      if (ctx.state === 'suspended') await ctx.resume();
+  function playBuf(sampleId, when, opts) {
+    opts = opts || {};
+    var buf = opts.buffer || soundBank[sampleId];
+    if (!buf || !ctx || !master) return;
+    if (typeof buf.getChannelData !== 'function') return;
+    var src = ctx.createBufferSource();
+    src.buffer = buf;
+    var g = ctx.createGain();
+    var s = sampleById(sampleId);
+    var rateMul = opts.rate != null ? opts.rate : 1;
+    var gainMul = opts.gain != null ? opts.gain : 1;
+    if (s && s.type === 'text') {
+      var mods = randomSayPlayMods(sampleId);
+      src.playbackRate.value = mods.playbackRate * rateMul;
+      g.gain.value = mods.gain * gainMul;
+    } else {
+      src.playbackRate.value = rateMul;
+      g.gain.value = playGainForSample(sampleId) * gainMul;
+    }
+    src.connect(g);
+    g.connect(busForSample(sampleId));
+    var startAt = Math.max(when, ctx.currentTime);
+    var part = opts.part;
+    try {
+      if (part) src.start(startAt, part.at, part.dur);
+      else src.start(startAt);
+      if (opts.dur > 0) gateVoice(src, g.gain, startAt, opts.dur);
+    } catch (e) {
       return;
     }
-    var AC = window.AudioContext || window.webkitAudioContext;
-    ctx = new AC();
-    buildAudioGraph();
-    await buildBank();
-    audioReady = true;
+    var choke = sampleChoke(sampleId);
+    if (choke) {
+      chokeVoice(liveChokes, choke, {
+        src: src,
+        gain: g.gain,
+        at: startAt,
+        cut: startAt + (opts.dur > 0 ? opts.dur : (part ? part.dur : buf.duration) / src.playbackRate.value)
+      });
+    }
+    if (isSidechainKey(sampleId)) triggerSidechainDuck(startAt);
+    triggerHitEnvs(mixStrips, masterPoint, sampleId, startAt);
+    if (sampleId === 'kick') noteKickForBurst(startAt);
+    activeVoices.push(src);
+    src.onended = function () {
+      var i = activeVoices.indexOf(src);
+      if (i !== -1) activeVoices.splice(i, 1);
+    };
   }
 
-  function renderVoice(makerId, openHat, paramsOverride) {
-    var OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
-    var len = Math.ceil(BANK_SR * BANK_DUR);
-    var offline = new OfflineCtx(1, len, BANK_SR);
-    var params = Object.assign({}, paramsOverride || makerSoundParams[makerId] || MAKER_DEFAULTS[makerId]);
-    var dest = offline.destination;
-    if (makerId === 'kick') window.playKickTest(offline, dest, params, 0);
-    else if (makerId === 'snare') window.playSnareTest(offline, dest, params, 0);
-    else if (makerId === 'clap') window.playClapTest(offline, dest, params, 0);
-    else if (makerId === 'hat') window.playHatTest(offline, dest, Object.assign({}, params, { hatOpen: !!openHat }), 0, !!openHat);
-    else if (makerId === 'ride') window.playRideTest(offline, dest, params, 0);
-    else if (makerId === 'cowbell') window.playCowbellTest(offline, dest, params, 0);
-    else if (makerId === 'tom') window.playTomTest(offline, dest, params, 0);
-    return offline.startRendering();
+  /** Short fade before a gated note stops, so cut samples do not click. */
+  var NOTE_GATE_FADE = 0.012;
+
+  /** Cut a voice after dur seconds (melodic note length). */
+  function gateVoice(src, gainParam, startAt, dur) {
+    var end = startAt + Math.max(NOTE_GATE_FADE, dur);
+    gainParam.setValueAtTime(gainParam.value, end - NOTE_GATE_FADE);
+    gainParam.linearRampToValueAtTime(0, end);
+    src.stop(end + 0.005);
   }
 
-  async function buildBank() {
-    await Promise.all(SAMPLES.filter(function (s) {
-      return s.type === 'maker';
-    }).map(function (s) {
-      return renderVoice(s.maker, s.open).then(function (buf) {
-        soundBank[s.id] = buf;
-      });
-    }));
+  function stopAllVoices() {
+    var now = ctx ? ctx.currentTime : 0;
+    activeVoices.slice().forEach(function (src) {
+      try { src.stop(0); } catch (e) { /* already stopped */ }
+    });
+    activeVoices = [];
+    liveChokes = {};
+    if (master) {
+      master.gain.cancelScheduledValues(now);
+      master.gain.setValueAtTime(0, now);
+      master.gain.setValueAtTime(MASTER_GAIN, now + 0.02);
+    }
+    [duckGain, duckSendGain].forEach(function (node) {
+      if (!node) return;
+      node.gain.cancelScheduledValues(now);
+      node.gain.setValueAtTime(1, now);
+    });
+    if (reverbWetGain) {
+      var wet = getReverb();
+      reverbWetGain.gain.cancelScheduledValues(now);
+      reverbWetGain.gain.setValueAtTime(0, now);
+      reverbWetGain.gain.setValueAtTime(wet, now + 0.05);
+    }
+    resetAutoParams(now);
   }
 
-  function floatsToAudioBuffer(floats, sampleRate) {
-    if (!floats || !floats.length) throw new Error('Empty speech buffer');
-    var rate = sampleRate || 22050;
-    var buf = ctx.createBuffer(1, floats.length, rate);
-    var ch = buf.getChannelData(0);
-    for (var i = 0; i < floats.length; i++) ch[i] = floats[i];
-    return buf;
+  function scheduleBar(barStart, layerIdx, barDurOverride, opts) {
+    opts = opts || {};
+    var pat = layers[layerIdx] && layers[layerIdx].pattern;
+    if (!pat) return;
+    var barDur = barDurOverride != null ? barDurOverride : getBarDur();
+    var pass = opts.pass || PASS_PLAIN;
+    barEvents.push({ start: barStart, layer: layerIdx, dur: barDur, entry: opts.entry != null ? opts.entry : -1, pass: pass.pass });
+    if (barEvents.length > 64) barEvents.splice(0, barEvents.length - 32);
+    scheduleAutoParams(liveAutoParams(), layerIdx, barStart, barDur);
+    retimeInsertDelays(masterPoint, mixStrips, barDur, barStart);
+
+    barFiredSteps(layerIdx, barDur, opts.mute, pass).forEach(function (step) {
+      var cell = step.cell;
+      var hitAt = barStart + step.at;
+      var buffer = autoBufferFor(layerIdx, cell.id, step.frac);
+      var shape = stepShape(step);
+      cellStrikes(cell, step.stepDur).forEach(function (st) {
+        playBuf(cell.id, hitAt + st.dt, { gain: cellGain(cell) * st.scale, buffer: buffer, rate: shape.rate, dur: shape.dur, part: shape.part });
+      });
+      noteSegHit(step.ringId, step.i, hitAt + cellNudgeSec(cell, step.stepDur));
+    });
   }
 
-  /** Peak-normalise an AudioBuffer in place to targetPeakDb (e.g. -3). */
-  var WORD_PEAK_DB = -3;
-  function normalizeAudioBufferPeak(buf, targetPeakDb) {
-    if (!buf || typeof buf.getChannelData !== 'function') return buf;
-    var target = Math.pow(10, (targetPeakDb != null ? targetPeakDb : WORD_PEAK_DB) / 20);
-    var peak = 0;
-    var ch;
-    var i;
-    var n;
-    var data;
-    for (ch = 0; ch < buf.numberOfChannels; ch++) {
-      data = buf.getChannelData(ch);
-      for (i = 0, n = data.length; i < n; i++) {
-        var a = Math.abs(data[i]);
-        if (a > peak) peak = a;
+  function scheduler() {
+    if (!playing || !ctx || transport.free) return;
+    var end = ctx.currentTime + LOOK_AHEAD;
+    while (nextBarTime < end) {
+      if (arrangementActive()) {
+        // Song mode: the arrangement picks wheel, tempo and mutes bar by bar.
+        var slot = songSlotForBar(songBar);
+        var slotDur = transportBarDur(nextBarTime, slot.bpm ? (60 / slot.bpm) * 4 : pendingLiveBarDur());
+        playCursor = slot.layer;
+        applyLivePendingForLayer(slot.layer, { barStart: nextBarTime });
+        scheduleBar(nextBarTime, slot.layer, slotDur, { mute: slot.mute, entry: slot.entry, pass: passForBarIndex(songBar, true) });
+        sendClockBar(nextBarTime, slotDur);
+        nextBarTime += slotDur;
+        songBar += 1;
+        continue;
+      }
+      if (!layers[playCursor] || !layers[playCursor].enabled) {
+        var n = nextEnabled(playCursor);
+        if (n < 0) {
+          pause();
+          return;
+        }
+        playCursor = n;
       }
+      // Live Lucky Roll: install next-wheel content just before it is scheduled.
+      var barDur = transportBarDur(nextBarTime, pendingLiveBarDur());
+      applyLivePendingForLayer(playCursor, { barStart: nextBarTime });
+      scheduleBar(nextBarTime, playCursor, barDur, { pass: passForBarIndex(songBar, true) });
+      sendClockBar(nextBarTime, barDur);
+      nextBarTime += barDur;
+      songBar += 1;
+      var nxt = nextEnabled(playCursor);
+      playCursor = nxt < 0 ? playCursor : nxt;
     }
-    if (peak < 1e-8) return buf;
-    var scale = target / peak;
-    for (ch = 0; ch < buf.numberOfChannels; ch++) {
-      data = buf.getChannelData(ch);
-      for (i = 0, n = data.length; i < n; i++) data[i] *= scale;
+    scheduleTimer = setTimeout(scheduler, SCHEDULE_MS);
+  }
+
+  function activeLayerAt(time) {
+    var best = null;
+    for (var i = 0; i < barEvents.length; i++) {
+      if (barEvents[i].start <= time) best = barEvents[i];
     }
-    return buf;
+    return best;
   }
 
-  function samParamsForSample(sampleId) {
-    // Mild voice colour only — keep speed near default so words stay clear.
-    var seed = sampleId || 'say';
-    if (sampleId) {
-      var vp = getSayVoiceParams(sampleId);
-      if (vp.voiceSeed) seed = String(vp.voiceSeed);
-      else if (vp.voiceURI) seed = String(vp.voiceURI);
+  function clearSegNeedleGlow() {
+    segHitFlashes = {};
+    Object.keys(segEls).forEach(function (k) {
+      var el = segEls[k];
+      el.classList.remove('lit', 'near-needle', 'hit-glow');
+      el.style.filter = '';
+      el.style.stroke = '';
+      el.style.strokeWidth = '';
+      el.removeAttribute('stroke');
+      el.removeAttribute('stroke-width');
+    });
+    clearHubStrikeGlow();
+  }
+
+  var hubHue = 75; // neon lime start
+  var hubHueLastT = 0;
+
+  function clearHubStrikeGlow() {
+    if (!hubBtn) return;
+    hubBtn.classList.remove('strike-lit');
+    hubBtn.style.removeProperty('--hub-strike');
+    hubBtn.style.removeProperty('--hub-hue');
+    hubBtn.style.filter = '';
+    hubBtn.style.boxShadow = '';
+    hubBtn.style.background = '';
+    hubBtn.style.color = '';
+    if (hubProducerImg) {
+      hubProducerImg.style.transform = '';
+      hubProducerImg.style.filter = '';
     }
-    var h = 2166136261;
-    var i;
-    for (i = 0; i < seed.length; i++) {
-      h ^= seed.charCodeAt(i);
-      h = Math.imul(h, 16777619);
+    var strikeEl = document.getElementById('hubStrike');
+    if (strikeEl) strikeEl.style.background = '';
+    hubHueLastT = 0;
+  }
+
+  function sampleMusicForHub() {
+    if (analyser && analyserData) {
+      analyser.getByteFrequencyData(analyserData);
     }
-    h = h >>> 0;
+    var bass = (typeof bassEnergy === 'function') ? bassEnergy() : 0;
+    var vol = (typeof musicVolume === 'function') ? musicVolume() : 0;
+    var mid = (typeof midEnergy === 'function') ? midEnergy() : 0;
     return {
-      speed: 70 + (h % 8),
-      pitch: 58 + ((h >>> 6) % 12),
-      throat: 110 + ((h >>> 12) % 36),
-      mouth: 110 + ((h >>> 18) % 36)
+      bass: bass,
+      vol: vol,
+      mid: mid,
+      energy: Math.max(bass, vol * 0.9, mid * 0.45)
     };
   }
 
-  function prerenderSpeechWithSam(text, sampleId) {
-    if (typeof SamJs !== 'function') throw new Error('SAM missing');
-    var p = samParamsForSample(sampleId);
-    var sam = new SamJs({ speed: p.speed, pitch: p.pitch, throat: p.throat, mouth: p.mouth });
-    var floats = sam.buf32(String(text).slice(0, 20));
-    if (!floats || !floats.length) throw new Error('SAM empty');
-    return normalizeAudioBufferPeak(floatsToAudioBuffer(floats, 22050), WORD_PEAK_DB);
+  function hslNeon(h, s, l, a) {
+    var base = 'hsl(' + (Math.round(h) % 360) + ' ' + Math.round(s * 100) + '% ' + Math.round(l * 100) + '%';
+    if (a == null || a >= 1) return base + ')';
+    return base + ' / ' + a + ')';
+  }
+
+  /** Advance neon hue from music; returns current music snapshot. */
+  function tickHubHue() {
+    var music = sampleMusicForHub();
+    var now = (ctx && ctx.currentTime != null) ? ctx.currentTime : performance.now() * 0.001;
+    if (!hubHueLastT) hubHueLastT = now;
+    var dt = Math.max(0, Math.min(0.05, now - hubHueLastT));
+    hubHueLastT = now;
+    var rate = 18 + music.energy * 140 + music.bass * 90;
+    hubHue = (hubHue + rate * dt) % 360;
+    return music;
+  }
+
+  function setSegNeonBorder(el, strength) {
+    if (!el) return;
+    var s = Math.max(0, Math.min(1, strength || 0));
+    if (s < 0.05) {
+      el.style.stroke = 'none';
+      el.style.strokeWidth = '0';
+      return;
+    }
+    el.style.stroke = hslNeon(hubHue, 1, 0.62, 0.55 + s * 0.45);
+    el.style.strokeWidth = String((2.2 + s * 3.5).toFixed(1));
   }
 
-  async function prerenderSpeechToBuffer(text, sampleId) {
-    if (!text) throw new Error('Empty text');
-    return prerenderSpeechWithSam(text, sampleId);
-  }
+  function applyHubNeonAndStrike(hitFlash, nearBoost, music) {
+    if (!hubBtn || !playing) return;
+    music = music || sampleMusicForHub();
+    var flash = Math.max(0, Math.min(1, hitFlash || 0));
+    var near = Math.max(0, Math.min(1, nearBoost || 0));
+    var strike = Math.max(flash, near * 0.55, music.energy * 0.25);
+    var lit = 0.52 + music.energy * 0.12 + flash * 0.1;
+    var sat = 0.92 + music.energy * 0.08;
+    var showFace = !!(hubProducerFaceOn && hubBtn.classList.contains('hub-has-producer'));
 
-  async function applySayText(sampleId, raw, opts) {
-    opts = opts || {};
-    if (sayBusy) return;
-    var text = String(raw || '').trim().slice(0, 20);
-    sayBusy = true;
-    try {
-      await ensureAudio();
-      if (!text) {
-        sayTexts[sampleId] = '';
-        delete soundBank[sampleId];
-        refreshPaintLabels();
-        if (!opts.skipReopen && soundSheet.classList.contains('open') && paintSample === sampleId) {
-          openSoundEditor();
-        }
-        return;
-      }
-      sayTexts[sampleId] = text;
-      soundBank[sampleId] = await prerenderSpeechToBuffer(text, sampleId);
-      refreshPaintLabels();
-      previewSample(sampleId);
-      if (!opts.skipReopen && soundSheet.classList.contains('open') && paintSample === sampleId) {
-        openSoundEditor();
+    // Neon always stays — producer thumbs are transparent, so color shows through.
+    hubBtn.style.background = hslNeon(hubHue, sat, lit);
+    // Keep pause glyph one stable color (avoid black/white flicker with lit).
+    hubBtn.style.color = '#0a0a12';
+    if (hubProducerImg) {
+      if (showFace) {
+        var pulse = 1 + music.bass * 0.07 + music.vol * 0.05 + flash * 0.05;
+        pulse = Math.max(1, Math.min(1.12, pulse));
+        hubProducerImg.style.transform = 'translate(-50%, -50%) scale(' + pulse.toFixed(3) + ')';
+        hubProducerImg.style.filter = '';
+      } else {
+        hubProducerImg.style.transform = '';
+        hubProducerImg.style.filter = '';
       }
-    } finally {
-      sayBusy = false;
     }
-  }
+    hubBtn.style.setProperty('--hub-hue', String(Math.round(hubHue)));
+    hubBtn.style.boxShadow =
+      '0 -6px 22px hsla(' + Math.round(hubHue) + ' 100% 60% / 0.5), ' +
+      '0 0 28px hsla(' + Math.round(hubHue) + ' 100% 55% / 0.35)';
 
-  function triggerLoadSample(forId) {
-    wavInput.dataset.target = forId || paintSample;
-    wavInput.value = '';
-    wavInput.click();
+    if (strike < 0.04) {
+      hubBtn.classList.remove('strike-lit');
+      hubBtn.style.removeProperty('--hub-strike');
+      return;
+    }
+    hubBtn.classList.add('strike-lit');
+    hubBtn.style.setProperty('--hub-strike', (0.22 + strike * 0.85).toFixed(3));
+    var strikeEl = document.getElementById('hubStrike');
+    if (strikeEl) {
+      strikeEl.style.background =
+        'radial-gradient(ellipse 95% 80% at 50% -10%, ' +
+        'hsla(' + Math.round(hubHue) + ' 100% 92% / 0.95) 0%, ' +
+        'hsla(' + Math.round((hubHue + 40) % 360) + ' 100% 70% / 0.55) 35%, ' +
+        'transparent 70%)';
+    }
   }
 
-  async function loadWavFile(sampleId, file) {
-    if (!file || !sampleId) return;
-    await ensureAudio();
-    var arr = await file.arrayBuffer();
-    var buffer = await ctx.decodeAudioData(arr.slice(0));
-    soundBank[sampleId] = buffer;
-    sampleNames[sampleId] = file.name || 'sample.wav';
-    refreshPaintLabels();
-    previewSample(sampleId);
-    if (soundSheet.classList.contains('open') && paintSample === sampleId) openSoundEditor();
+  function sizeFftCanvas() {
+    if (!fftCanvas) return;
+    var dpr = Math.min(window.devicePixelRatio || 1, 2);
+    var w = Math.max(1, Math.floor(window.innerWidth * dpr));
+    var h = Math.max(1, Math.floor(window.innerHeight * dpr));
+    if (fftCanvas.width !== w || fftCanvas.height !== h) {
+      fftCanvas.width = w;
+      fftCanvas.height = h;
+    }
   }
 
-  function noteSegHit(ringId, segIdx, when) {
-    segHitFlashes[ringId + ':' + segIdx] = when;
+  /**
+   * Map the drum center into a canvas's pixel space.
+   * Halo / FFT / flock keep-out must use this — not the screen midpoint —
+   * so rings always originate from the wheel on every layout / DPR.
+   */
+  function getWheelLayoutForCanvas(canvas) {
+    var fallbackW = (canvas && canvas.width) ? canvas.width : Math.max(1, window.innerWidth);
+    var fallbackH = (canvas && canvas.height) ? canvas.height : Math.max(1, window.innerHeight);
+    var drumEl = svg || circleWrap;
+    if (!canvas || !drumEl) {
+      var minDim = Math.min(fallbackW, fallbackH);
+      return {
+        cx: fallbackW * 0.5,
+        cy: fallbackH * 0.5,
+        circleR: minDim * 0.5 * (OUTER / 500)
+      };
+    }
+    var canvasRect = canvas.getBoundingClientRect();
+    var drumRect = drumEl.getBoundingClientRect();
+    var cssW = Math.max(1, canvasRect.width);
+    var cssH = Math.max(1, canvasRect.height);
+    var scaleX = canvas.width / cssW;
+    var scaleY = canvas.height / cssH;
+    var scaleAvg = (scaleX + scaleY) * 0.5;
+    var rim = OUTER / 500;
+    return {
+      cx: (drumRect.left - canvasRect.left + drumRect.width * 0.5) * scaleX,
+      cy: (drumRect.top - canvasRect.top + drumRect.height * 0.5) * scaleY,
+      circleR: Math.min(drumRect.width, drumRect.height) * 0.5 * rim * scaleAvg
+    };
   }
 
-  function positiveMod(a, b) {
-    if (!(b > 0)) return 0;
-    return ((a % b) + b) % b;
+  /** Morph rings center on the drum; drawn on full viewport (no crop box). */
+  function getMorphLayout() {
+    return getWheelLayoutForCanvas(fftCanvas);
   }
 
-  function clearScrubHitCache() {
-    scrubHitCache = {};
-    scrubCacheBarDur = 0;
+  function sampleSpectrumRing(pointCount) {
+    var bins = analyserData.length;
+    var useBins = Math.min(64, Math.floor(bins * 0.45));
+    if (!fftSmooth || fftSmooth.length < pointCount) fftSmooth = new Float32Array(FFT_POINTS_MAX);
+    var out = fftSmooth;
+    var i;
+    for (i = 0; i < pointCount; i++) {
+      var t = i / pointCount;
+      var bi = Math.min(useBins - 1, Math.floor(t * useBins));
+      var v = (analyserData[bi] || 0) / 255;
+      var target = Math.pow(v, 0.95);
+      out[i] = out[i] * 0.35 + target * 0.65;
+    }
+    return out;
   }
 
-  function layerForBarIndex(barIndex) {
-    var seq = [];
-    var cur = resolveStart(playOriginLayer);
-    if (cur < 0) return 0;
-    var guard = 0;
-    do {
-      seq.push(cur);
-      cur = nextEnabled(cur);
-      guard += 1;
-    } while (cur >= 0 && cur !== seq[0] && guard < MAX_CIRCLES);
-    if (!seq.length) return 0;
-    var n = seq.length;
-    var idx = ((barIndex % n) + n) % n;
-    return seq[idx];
+  function bassEnergy() {
+    var n = Math.min(6, analyserData.length);
+    var sum = 0;
+    var i;
+    for (i = 1; i < n; i++) sum += analyserData[i];
+    return Math.pow(sum / ((n - 1) * 255), 1.1);
   }
 
-  function buildBarHits(layerIdx, barMusicStart, barDur) {
-    var pat = layers[layerIdx] && layers[layerIdx].pattern;
-    var hits = [];
-    if (!pat) return hits;
-    var human = getHumanize();
-    var swing = getSwing();
-    var swingDiv = getSwingNoteDiv();
-    var swingUnitDur = barDur / swingDiv;
-    var swingMaxDelay = swingUnitDur * SWING_MAX_DELAY_FRAC;
-    RINGS.forEach(function (ring) {
-      var steps = pat[ring.id];
-      if (!steps) return;
-      var n = ring.segments;
-      var stepDur = barDur / n;
-      var humanMaxDelay = stepDur * MAX_DELAY_FRAC;
-      for (var i = 0; i < n; i++) {
-        if (!steps[i]) continue;
-        var offset = 0;
-        if (swing > 0 && stepIsSwingOffbeat(i, n, swingDiv)) offset += swing * swingMaxDelay;
-        if (human > 0) offset += human * humanMaxDelay * pseudo01(ring.id, i, layerIdx + 1);
-        var cap = swingMaxDelay + humanMaxDelay;
-        if (offset > cap) offset = cap;
-        hits.push({
-          mt: barMusicStart + i * stepDur + offset,
-          sampleId: steps[i],
-          ringId: ring.id,
-          seg: i,
-          layer: layerIdx
-        });
-      }
-    });
-    hits.sort(function (a, b) { return a.mt - b.mt; });
-    return hits;
+  function midEnergy() {
+    var start = 8;
+    var end = Math.min(28, analyserData.length);
+    if (end <= start) return 0;
+    var sum = 0;
+    var i;
+    for (i = start; i < end; i++) sum += analyserData[i];
+    return sum / ((end - start) * 255);
   }
 
-  function hitsForBarIndex(barIndex) {
-    var barDur = getBarDur();
-    if (scrubCacheBarDur && Math.abs(scrubCacheBarDur - barDur) > 1e-6) clearScrubHitCache();
-    scrubCacheBarDur = barDur;
-    var key = String(barIndex);
-    if (!scrubHitCache[key]) {
-      var layer = layerForBarIndex(barIndex);
-      scrubHitCache[key] = buildBarHits(layer, barIndex * barDur, barDur);
-      var keys = Object.keys(scrubHitCache);
-      if (keys.length > 24) {
-        keys.sort(function (a, b) { return (+a) - (+b); });
-        var i;
-        for (i = 0; i < keys.length - 16; i++) delete scrubHitCache[keys[i]];
-      }
-    }
-    return scrubHitCache[key];
+  /** Overall music loudness 0–1 from spectrum (drives halo opacity). */
+  function musicVolume() {
+    if (!analyserData || !analyserData.length) return 0;
+    var n = Math.min(analyserData.length, 96);
+    var sum = 0;
+    var i;
+    for (i = 0; i < n; i++) sum += analyserData[i];
+    var avg = sum / (n * 255);
+    // Soft floor so quiet passages dim, loud passages open up
+    return Math.max(0, Math.min(1, Math.pow(avg, 0.8)));
   }
 
-  function triggerHitsBetween(fromMt, toMt) {
-    if (!ctx || fromMt === toMt) return;
-    var barDur = getBarDur();
-    if (!(barDur > 0)) return;
-    var lo = Math.min(fromMt, toMt);
-    var hi = Math.max(fromMt, toMt);
-    var b0 = Math.floor(lo / barDur) - 1;
-    var b1 = Math.floor(hi / barDur) + 1;
-    var rateAbs = Math.max(0.08, Math.min(3.5, Math.abs(transport.rate) || 1));
-    var b;
-    for (b = b0; b <= b1; b++) {
-      var hits = hitsForBarIndex(b);
-      var i;
-      for (i = 0; i < hits.length; i++) {
-        var h = hits[i];
-        var crossed = toMt > fromMt
-          ? (h.mt > fromMt && h.mt <= toMt)
-          : (h.mt < fromMt && h.mt >= toMt);
-        if (!crossed) continue;
-        playBuf(h.sampleId, ctx.currentTime + 0.005, { rate: rateAbs });
-        noteSegHit(h.ringId, h.seg, ctx.currentTime);
-      }
+  /** Closed Catmull-Rom → cubic beziers (soft morph outline). */
+  function traceSmoothClosedPath(c2d, verts, tension) {
+    var n = verts.length;
+    if (n < 3) return;
+    var t = tension == null ? 0.85 : tension;
+    c2d.moveTo(verts[0].x, verts[0].y);
+    var i;
+    for (i = 0; i < n; i++) {
+      var p0 = verts[(i - 1 + n) % n];
+      var p1 = verts[i];
+      var p2 = verts[(i + 1) % n];
+      var p3 = verts[(i + 2) % n];
+      c2d.bezierCurveTo(
+        p1.x + (p2.x - p0.x) * (t / 6),
+        p1.y + (p2.y - p0.y) * (t / 6),
+        p2.x - (p3.x - p1.x) * (t / 6),
+        p2.y - (p3.y - p1.y) * (t / 6),
+        p2.x,
+        p2.y
+      );
     }
+    c2d.closePath();
   }
 
-  function stopScheduler() {
-    if (scheduleTimer) {
-      clearTimeout(scheduleTimer);
-      scheduleTimer = 0;
+  function buildMorphVerts(cx, cy, baseR, amp, ring, points, spinOff, bass, time) {
+    var verts = [];
+    var i;
+    for (i = 0; i < points; i++) {
+      var ang = -Math.PI / 2 + (i / points) * Math.PI * 2 + spinOff;
+      var prev = ring[(i - 1 + points) % points];
+      var next = ring[(i + 1) % points];
+      var blend = ring[i] * 0.5 + prev * 0.25 + next * 0.25;
+      var breathe = 0.02 * bass * Math.sin(time * 4.2 + i * 0.7);
+      var r = baseR + blend * amp * (0.75 + bass * 0.55) + breathe * amp;
+      verts.push({
+        x: cx + Math.cos(ang) * r,
+        y: cy + Math.sin(ang) * r
+      });
     }
+    return verts;
   }
 
-  function pointerAngleAt(clientX, clientY) {
-    var rect = svg.getBoundingClientRect();
-    var cx = rect.left + rect.width * 0.5;
-    var cy = rect.top + rect.height * 0.5;
-    return Math.atan2(clientY - cy, clientX - cx);
-  }
+  /** Soft morph halo rings that slowly push out; new inner replaces fading outer. */
+  function drawFftRing() {
+    if (!fftCtx2d || !fftCanvas || !analyser || !analyserData) return;
+    sizeFftCanvas();
+    analyser.getByteFrequencyData(analyserData);
+    if (!fftParticles.length) initFftParticles();
 
-  function enterFreeTransport() {
-    if (!playing || !ctx || transport.free) return;
-    var now = ctx.currentTime;
-    // Normal play runs at rate 1, so music time matches wall clock since barOrigin.
-    transport.musicTime = Math.max(0, now - barOrigin);
-    transport.lastMusicTime = transport.musicTime;
-    transport.lastCtx = now;
-    transport.rate = 1;
-    transport.target = 1;
-    transport.free = true;
-    transport.easing = false;
-    stopScheduler();
-    stopAllVoices();
-    clearScrubHitCache();
-    if (circleWrap) circleWrap.classList.add('is-scratching');
-  }
+    var time = (ctx && ctx.currentTime) ? ctx.currentTime : performance.now() * 0.001;
+    var aes = getVfxAesthetics(time);
+    var bass = bassEnergy();
+    var mid = midEnergy();
+    var vol = musicVolume();
 
-  function handOffFreeTransport() {
-    if (!transport.free || !ctx || !playing) return;
-    var barDur = getBarDur();
-    if (!(barDur > 0)) return;
-    var mt = transport.musicTime;
-    var phase = positiveMod(mt, barDur);
-    var barIndex = Math.floor(mt / barDur);
-    if (mt < 0 && phase > 1e-9) barIndex -= 1;
-    var layer = layerForBarIndex(barIndex);
-    var now = ctx.currentTime;
-    var barStartCtx = now - phase;
-    barOrigin = barStartCtx - barIndex * barDur;
-    barEvents = [{ start: barStartCtx, layer: layer }];
-    playCursor = layer;
-    shownPlayLayer = layer;
-    if (!viewLocked) setViewLayer(layer, { fromPlayhead: true });
+    if (stageEl) stageEl.classList.add('is-playing');
+    drawStarField(bass, mid, aes, time);
 
-    // Schedule remaining hits in this bar, then resume lookahead.
-    var hits = hitsForBarIndex(barIndex);
+    var w = fftCanvas.width;
+    var h = fftCanvas.height;
+    var layout = getMorphLayout();
+    var cx = layout.cx;
+    var cy = layout.cy;
+    var circleR = Math.max(40, layout.circleR);
+    var points = Math.max(14, Math.min(FFT_POINTS_MAX, aes.facets + 2));
+    var ring = sampleSpectrumRing(points);
+    var avg = 0;
     var i;
-    for (i = 0; i < hits.length; i++) {
-      if (hits[i].mt + 1e-4 < mt) continue;
-      var when = barStartCtx + (hits[i].mt - barIndex * barDur);
-      if (when < now - 0.01) continue;
-      playBuf(hits[i].sampleId, when);
-      noteSegHit(hits[i].ringId, hits[i].seg, when);
-    }
-    nextBarTime = barStartCtx + barDur;
-    var nxt = nextEnabled(layer);
-    playCursor = nxt < 0 ? layer : nxt;
-    transport.free = false;
-    transport.rate = 1;
-    transport.target = 1;
-    transport.easing = false;
-    if (circleWrap) circleWrap.classList.remove('is-scratching');
-    scheduler();
-  }
-
-  function tickFreeTransport(now) {
-    if (!transport.free || !ctx) return getTransportPhase(now);
-    var dt = Math.max(0, Math.min(0.08, now - (transport.lastCtx || now)));
-    transport.lastCtx = now;
-
-    if (platterGesture && platterGesture.mode === 'drag') {
-      // Drag owns the playhead (updated in pointermove). Don't apply hold-brake.
-      transport.lastCtx = now;
-      var barDurDrag = getBarDur();
-      var phaseDrag = barDurDrag > 0 ? positiveMod(transport.musicTime, barDurDrag) / barDurDrag : 0;
-      var barIndexDrag = barDurDrag > 0 ? Math.floor(transport.musicTime / barDurDrag) : 0;
-      if (transport.musicTime < 0 && positiveMod(transport.musicTime, barDurDrag) > 1e-9) barIndexDrag -= 1;
-      var layerDrag = layerForBarIndex(barIndexDrag);
-      if (layerDrag !== shownPlayLayer) {
-        shownPlayLayer = layerDrag;
-        if (!viewLocked) setViewLayer(layerDrag, { fromPlayhead: true });
-      }
-      return phaseDrag;
-    } else if (platterGesture) {
-      // Hold only (no drag yet) — slow the platter.
-      transport.target = PLATTER_BRAKE_RATE;
-      transport.rate += (transport.target - transport.rate) * Math.min(1, dt * 10);
-    } else {
-      // Released — snap back to normal quickly, then hand off to scheduler.
-      transport.target = 1;
-      transport.easing = true;
-      transport.rate += (transport.target - transport.rate) * Math.min(1, dt * 14);
-      if (Math.abs(transport.rate - 1) < 0.08) {
-        transport.rate = 1;
-        transport.lastMusicTime = transport.musicTime;
-        handOffFreeTransport();
-        return getTransportPhase(now);
-      }
-    }
+    for (i = 0; i < points; i++) avg += ring[i];
+    avg /= points;
 
-    transport.lastMusicTime = transport.musicTime;
-    transport.musicTime += dt * transport.rate;
-    triggerHitsBetween(transport.lastMusicTime, transport.musicTime);
+    var coreRgb = hslToRgb(aes.hue2, Math.min(0.5, aes.sat * 0.4), 0.9);
+    var midRgb = hslToRgb(aes.hue, Math.min(0.65, aes.sat * 0.65), 0.74);
+    var partRgb = hslToRgb(aes.hue2, 0.35, 0.92);
 
-    var barDur = getBarDur();
-    var phase = barDur > 0 ? positiveMod(transport.musicTime, barDur) / barDur : 0;
-    var barIndex = barDur > 0 ? Math.floor(transport.musicTime / barDur) : 0;
-    if (transport.musicTime < 0 && positiveMod(transport.musicTime, barDur) > 1e-9) barIndex -= 1;
-    var layer = layerForBarIndex(barIndex);
-    if (layer !== shownPlayLayer) {
-      shownPlayLayer = layer;
-      if (!viewLocked) setViewLayer(layer, { fromPlayhead: true });
-    }
-    return phase;
-  }
+    var fade = Math.max(0.45, Math.min(0.88, aes.ringTrail));
+    fftCtx2d.fillStyle = 'rgba(0, 0, 0, ' + fade + ')';
+    fftCtx2d.globalCompositeOperation = 'destination-out';
+    fftCtx2d.fillRect(0, 0, w, h);
+    fftCtx2d.globalCompositeOperation = 'lighter';
+    fftCtx2d.save();
+    fftCtx2d.lineJoin = 'round';
+    fftCtx2d.lineCap = 'round';
 
-  function getTransportPhase(now) {
-    if (transport.free) {
-      var barDur = getBarDur();
-      return barDur > 0 ? positiveMod(transport.musicTime, barDur) / barDur : 0;
-    }
-    var ev = activeLayerAt(now);
-    var barDurN = getBarDur();
-    var start = ev ? ev.start : barOrigin;
-    var elapsed = barDurN > 0 ? positiveMod(now - start, barDurN) : 0;
-    return barDurN > 0 ? elapsed / barDurN : 0;
-  }
+    var pulse = 1 + bass * 0.28 + avg * 0.14 + vol * 0.18 + 0.04 * Math.sin(time * 2.8);
+    var bright = (0.06 + vol * 1.25) * (0.55 + bass * 0.7 + mid * 0.2 + aes.lit * 0.08);
+    var dpr = Math.min(window.devicePixelRatio || 1, 2);
+    var blurScale = (5.5 + aes.strokeWide * 3.2 + bass * 12 + vol * 6) * (dpr > 1.4 ? 1.12 : 1);
+    var spinSign = aes.ringSpin === 0 ? 0 : (aes.ringSpin > 0 ? 1 : -1);
+    var spinOff = time * aes.ringSpinSpeed * 40 * spinSign;
 
-  function beginPlatterGesture(e) {
-    if (!playing || !ctx) return;
-    enterFreeTransport();
-    var ang = pointerAngleAt(e.clientX, e.clientY);
-    platterGesture = {
-      pointerId: e.pointerId,
-      mode: 'hold',
-      angle: ang,
-      lastAngle: ang,
-      lastT: performance.now(),
-      startX: e.clientX,
-      startY: e.clientY,
-      dragged: false
-    };
-    transport.target = PLATTER_BRAKE_RATE;
-    if (circleWrap) circleWrap.classList.add('is-scratching');
-  }
+    // Soft FFT wash under the expanding rings — wide inner glow with blurred edges
+    var washBase = circleR * 0.94 * pulse;
+    var washAmp = circleR * (0.08 + aes.morphScale * 0.08) * (0.7 + avg * 0.5);
+    var washVerts = buildMorphVerts(cx, cy, washBase, washAmp, ring, points, spinOff, bass, time);
+    fftCtx2d.shadowColor = rgbaStr(midRgb, Math.min(0.85, 0.55 * bright * (0.7 + bass * 0.6)));
+    fftCtx2d.shadowBlur = blurScale * (2.4 + bass * 1.2);
+    fftCtx2d.beginPath();
+    traceSmoothClosedPath(fftCtx2d, washVerts, 1.0);
+    fftCtx2d.fillStyle = rgbaStr(midRgb, Math.min(0.28, 0.12 * bright * (0.7 + bass * 0.8 + vol * 0.4)));
+    fftCtx2d.fill();
+    // Extra soft rim so the edge dissolves
+    fftCtx2d.shadowBlur = blurScale * (3.2 + bass * 1.4);
+    fftCtx2d.strokeStyle = rgbaStr(midRgb, Math.min(0.5, 0.28 * bright * (0.8 + bass)));
+    fftCtx2d.lineWidth = 10 + bass * 14 + vol * 6;
+    fftCtx2d.beginPath();
+    traceSmoothClosedPath(fftCtx2d, washVerts, 1.0);
+    fftCtx2d.stroke();
+    fftCtx2d.shadowBlur = 0;
 
-  function updatePlatterGesture(e) {
-    if (!platterGesture || e.pointerId !== platterGesture.pointerId) return;
-    if (!transport.free) enterFreeTransport();
-    var now = performance.now();
-    var ang = pointerAngleAt(e.clientX, e.clientY);
-    var dist = Math.hypot(e.clientX - platterGesture.startX, e.clientY - platterGesture.startY);
-    var dAng = ang - platterGesture.lastAngle;
-    while (dAng > Math.PI) dAng -= Math.PI * 2;
-    while (dAng < -Math.PI) dAng += Math.PI * 2;
-    var dt = Math.max(0.006, (now - platterGesture.lastT) / 1000);
+    // Slow morph rings: outer fades away, new one emerges inside (~2–3 at once)
+    maybeSpawnBaseHaloWing(circleR, aes);
+    drawBaseHaloWings(
+      fftCtx2d, cx, cy, circleR, ring, points, spinOff,
+      bass, vol, bright, blurScale, time, aes
+    );
 
-    // Any real rub overrides hold-brake immediately for a responsive vinyl feel.
-    if (dist > PLATTER_DRAG_PX || Math.abs(dAng) > 0.018 || platterGesture.mode === 'drag') {
-      if (Math.abs(dAng) > 0.0005 || dist > PLATTER_DRAG_PX) {
-        platterGesture.dragged = true;
-        platterGesture.mode = 'drag';
-        var barDur = getBarDur();
-        var naturalOmega = barDur > 0 ? (Math.PI * 2) / barDur : 1;
-        var omega = dAng / dt; // rad/s, CW+
-        var speedNorm = naturalOmega > 0 ? Math.abs(omega) / naturalOmega : 0;
-        // Faster / farther drag → more extreme scrub (nonlinear).
-        var speedGain = 1 + Math.min(3.2, Math.pow(speedNorm, 1.15) * 1.15);
-        var distGain = 1 + Math.min(2.2, dist / 110);
-        var scrubGain = speedGain * distGain;
-        var fromMt = transport.musicTime;
-        if (barDur > 0) {
-          transport.musicTime -= (dAng / (Math.PI * 2)) * barDur * scrubGain;
-          triggerHitsBetween(fromMt, transport.musicTime);
-          transport.lastMusicTime = transport.musicTime;
-        }
-        var rate = (-omega / naturalOmega) * speedGain;
-        transport.rate = Math.max(PLATTER_MIN_RATE, Math.min(PLATTER_MAX_RATE, rate));
-        transport.target = transport.rate;
+    // Sparse motes near the drum edge
+    var partN = Math.max(2, Math.min(FFT_PARTICLE_COUNT, aes.ringPartCount));
+    var mainBase = circleR * 0.94 * pulse;
+    for (i = 0; i < partN; i++) {
+      var p = fftParticles[i];
+      p.ang += p.spin * aes.partDirFlip * (0.002 + bass * 0.012 + aes.ringSpinSpeed * 7);
+      var sample = ring[i % points];
+      var orbit = Math.max(0.9, p.orbit * 0.95);
+      var pr = mainBase * orbit * (1 + sample * 0.12 + bass * 0.04 * Math.sin(time * 4 + p.phase));
+      var px = cx + Math.cos(p.ang) * pr;
+      var py = cy + Math.sin(p.ang) * pr;
+      var sz = p.size * aes.particleSize * (0.7 + bass * 0.75);
+      fftCtx2d.fillStyle = rgbaStr(partRgb, (0.08 + vol * 0.35) * (0.7 + bass * 0.5));
+      fftCtx2d.beginPath();
+      fftCtx2d.arc(px, py, Math.max(0.55, sz), 0, Math.PI * 2);
+      fftCtx2d.fill();
+    }
+
+    // Kick-synced neon energy ring (occasional, varied)
+    if (ctx && pendingKickBursts.length) {
+      var nowT = ctx.currentTime;
+      while (pendingKickBursts.length && pendingKickBursts[0] <= nowT + 0.03) {
+        pendingKickBursts.shift();
+        spawnEnergyBurst(cx, cy, circleR, aes, bass, vol);
       }
     }
+    drawEnergyBursts(fftCtx2d, bright);
 
-    platterGesture.lastAngle = ang;
-    platterGesture.lastT = now;
-    platterGesture.angle = ang;
+    fftCtx2d.shadowBlur = 0;
+    fftCtx2d.restore();
+    fftCtx2d.globalCompositeOperation = 'source-over';
   }
 
-  function endPlatterGesture(e) {
-    if (!platterGesture) return;
-    if (e && e.pointerId !== platterGesture.pointerId) return;
-    platterGesture = null;
-    transport.target = 1;
-    transport.easing = true;
+  function currentDiscAngleDeg() {
+    if (!ctx) return 0;
+    return -getTransportPhase(ctx.currentTime) * 360;
   }
 
-  function playBuf(sampleId, when, opts) {
-    opts = opts || {};
-    var buf = soundBank[sampleId];
-    if (!buf || !ctx || !master) return;
-    if (typeof buf.getChannelData !== 'function') return;
-    var src = ctx.createBufferSource();
-    src.buffer = buf;
-    var g = ctx.createGain();
-    var s = sampleById(sampleId);
-    var rateMul = opts.rate != null ? opts.rate : 1;
-    if (s && s.type === 'text') {
-      var mods = randomSayPlayMods(sampleId);
-      src.playbackRate.value = mods.playbackRate * rateMul;
-      g.gain.value = mods.gain;
-    } else {
-      src.playbackRate.value = rateMul;
-      g.gain.value = playGainForSample(sampleId);
-    }
-    src.connect(g);
-    g.connect(busForSample(sampleId));
-    var startAt = Math.max(when, ctx.currentTime);
-    try {
-      src.start(startAt);
-    } catch (e) {
-      return;
-    }
-    if (isSidechainKey(sampleId)) triggerSidechainDuck(startAt);
-    if (sampleId === 'kick') noteKickForBurst(startAt);
-    activeVoices.push(src);
-    src.onended = function () {
-      var i = activeVoices.indexOf(src);
-      if (i !== -1) activeVoices.splice(i, 1);
-    };
+  function cancelDiscRewind() {
+    discRewind = null;
   }
 
-  function stopAllVoices() {
-    var now = ctx ? ctx.currentTime : 0;
-    activeVoices.slice().forEach(function (src) {
-      try { src.stop(0); } catch (e) { /* already stopped */ }
-    });
-    activeVoices = [];
-    if (master) {
-      master.gain.cancelScheduledValues(now);
-      master.gain.setValueAtTime(0, now);
-      master.gain.setValueAtTime(MASTER_GAIN, now + 0.02);
-    }
-    if (duckGain) {
-      duckGain.gain.cancelScheduledValues(now);
-      duckGain.gain.setValueAtTime(1, now);
-    }
-    if (reverbWetGain) {
-      var wet = getReverb();
-      reverbWetGain.gain.cancelScheduledValues(now);
-      reverbWetGain.gain.setValueAtTime(0, now);
-      reverbWetGain.gain.setValueAtTime(wet, now + 0.05);
+  function startDiscRewind(fromDeg) {
+    // Normalize into (-360, 0] — play spins CCW (negative degrees).
+    var ang = fromDeg % 360;
+    if (ang > 0) ang -= 360;
+    if (ang === 0) {
+      discRewind = null;
+      if (discGroupEl) discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
+      return 0;
     }
+    var durMs = 160 + (Math.abs(ang) / 360) * 320;
+    discRewind = { fromDeg: ang, t0: performance.now(), durMs: durMs };
+    return durMs / 1000;
   }
 
-  function scheduleBar(barStart, layerIdx, barDurOverride) {
-    var pat = layers[layerIdx] && layers[layerIdx].pattern;
-    if (!pat) return;
-    var barDur = barDurOverride != null ? barDurOverride : getBarDur();
-    var human = getHumanize();
-    var swing = getSwing();
-    var swingDiv = getSwingNoteDiv();
-    var swingUnitDur = barDur / swingDiv;
-    var swingMaxDelay = swingUnitDur * SWING_MAX_DELAY_FRAC;
-    barEvents.push({ start: barStart, layer: layerIdx });
-    if (barEvents.length > 64) barEvents.splice(0, barEvents.length - 32);
-
-    RINGS.forEach(function (ring) {
-      var steps = pat[ring.id];
-      if (!steps) return;
-      var n = ring.segments;
-      var stepDur = barDur / n;
-      var humanMaxDelay = stepDur * MAX_DELAY_FRAC;
-      for (var i = 0; i < n; i++) {
-        if (!steps[i]) continue;
-        var offset = 0;
-        if (swing > 0 && stepIsSwingOffbeat(i, n, swingDiv)) offset += swing * swingMaxDelay;
-        if (human > 0) offset += human * humanMaxDelay * pseudo01(ring.id, i, layerIdx + 1);
-        var cap = swingMaxDelay + humanMaxDelay;
-        if (offset > cap) offset = cap;
-        var hitAt = barStart + i * stepDur + offset;
-        playBuf(steps[i], hitAt);
-        noteSegHit(ring.id, i, hitAt);
-      }
-    });
-  }
-
-  function scheduler() {
-    if (!playing || !ctx || transport.free) return;
-    var end = ctx.currentTime + LOOK_AHEAD;
-    while (nextBarTime < end) {
-      if (!layers[playCursor] || !layers[playCursor].enabled) {
-        var n = nextEnabled(playCursor);
-        if (n < 0) {
-          pause();
-          return;
-        }
-        playCursor = n;
-      }
-      // Live Lucky Roll: install next-wheel content just before it is scheduled.
-      var barDur = pendingLiveBarDur();
-      applyLivePendingForLayer(playCursor, { barStart: nextBarTime });
-      scheduleBar(nextBarTime, playCursor, barDur);
-      nextBarTime += barDur;
-      var nxt = nextEnabled(playCursor);
-      playCursor = nxt < 0 ? playCursor : nxt;
+  /** Vinyl-style DJ scratch / rewind whoosh. */
+  function playDjSwiftSound(durSec) {
+    if (!ctx || !master) return;
+    durSec = Math.max(0.14, Math.min(0.55, durSec || 0.28));
+    var t0 = ctx.currentTime + 0.02;
+    var sr = ctx.sampleRate;
+    var len = Math.max(1, Math.ceil(sr * durSec));
+    var buf = ctx.createBuffer(1, len, sr);
+    var data = buf.getChannelData(0);
+    var i;
+    for (i = 0; i < len; i++) {
+      var env = 1 - i / len;
+      data[i] = (Math.random() * 2 - 1) * (0.55 + 0.45 * env);
     }
-    scheduleTimer = setTimeout(scheduler, SCHEDULE_MS);
-  }
 
-  function activeLayerAt(time) {
-    var best = null;
-    for (var i = 0; i < barEvents.length; i++) {
-      if (barEvents[i].start <= time) best = barEvents[i];
-    }
-    return best;
-  }
+    var src = ctx.createBufferSource();
+    src.buffer = buf;
+    src.playbackRate.setValueAtTime(3.2, t0);
+    src.playbackRate.exponentialRampToValueAtTime(0.28, t0 + durSec);
 
-  function clearSegNeedleGlow() {
-    segHitFlashes = {};
-    Object.keys(segEls).forEach(function (k) {
-      var el = segEls[k];
-      el.classList.remove('lit', 'near-needle', 'hit-glow');
-      el.style.filter = '';
-      el.style.stroke = '';
-      el.style.strokeWidth = '';
-      el.removeAttribute('stroke');
-      el.removeAttribute('stroke-width');
-    });
-    clearHubStrikeGlow();
-  }
+    var bp = ctx.createBiquadFilter();
+    bp.type = 'bandpass';
+    bp.Q.value = 3.2;
+    bp.frequency.setValueAtTime(3200, t0);
+    bp.frequency.exponentialRampToValueAtTime(280, t0 + durSec);
 
-  var hubHue = 75; // neon lime start
-  var hubHueLastT = 0;
+    var tone = ctx.createOscillator();
+    tone.type = 'sawtooth';
+    tone.frequency.setValueAtTime(420, t0);
+    tone.frequency.exponentialRampToValueAtTime(70, t0 + durSec);
 
-  function clearHubStrikeGlow() {
-    if (!hubBtn) return;
-    hubBtn.classList.remove('strike-lit');
-    hubBtn.style.removeProperty('--hub-strike');
-    hubBtn.style.removeProperty('--hub-hue');
-    hubBtn.style.filter = '';
-    hubBtn.style.boxShadow = '';
-    hubBtn.style.background = '';
-    hubBtn.style.color = '';
-    if (hubProducerImg) {
-      hubProducerImg.style.transform = '';
-      hubProducerImg.style.filter = '';
-    }
-    var strikeEl = document.getElementById('hubStrike');
-    if (strikeEl) strikeEl.style.background = '';
-    hubHueLastT = 0;
-  }
+    var toneF = ctx.createBiquadFilter();
+    toneF.type = 'lowpass';
+    toneF.frequency.setValueAtTime(1800, t0);
+    toneF.frequency.exponentialRampToValueAtTime(400, t0 + durSec);
 
-  function sampleMusicForHub() {
-    if (analyser && analyserData) {
-      analyser.getByteFrequencyData(analyserData);
-    }
-    var bass = (typeof bassEnergy === 'function') ? bassEnergy() : 0;
-    var vol = (typeof musicVolume === 'function') ? musicVolume() : 0;
-    var mid = (typeof midEnergy === 'function') ? midEnergy() : 0;
-    return {
-      bass: bass,
-      vol: vol,
-      mid: mid,
-      energy: Math.max(bass, vol * 0.9, mid * 0.45)
-    };
-  }
+    var gNoise = ctx.createGain();
+    var gTone = ctx.createGain();
+    var gOut = ctx.createGain();
+    gNoise.gain.setValueAtTime(0.0001, t0);
+    gNoise.gain.exponentialRampToValueAtTime(0.28, t0 + 0.015);
+    gNoise.gain.exponentialRampToValueAtTime(0.0001, t0 + durSec);
+    gTone.gain.setValueAtTime(0.0001, t0);
+    gTone.gain.exponentialRampToValueAtTime(0.09, t0 + 0.02);
+    gTone.gain.exponentialRampToValueAtTime(0.0001, t0 + durSec);
+    gOut.gain.value = 1;
 
-  function hslNeon(h, s, l, a) {
-    var base = 'hsl(' + (Math.round(h) % 360) + ' ' + Math.round(s * 100) + '% ' + Math.round(l * 100) + '%';
-    if (a == null || a >= 1) return base + ')';
-    return base + ' / ' + a + ')';
+    src.connect(bp);
+    bp.connect(gNoise);
+    tone.connect(toneF);
+    toneF.connect(gTone);
+    gNoise.connect(gOut);
+    gTone.connect(gOut);
+    gOut.connect(master);
+
+    src.start(t0);
+    src.stop(t0 + durSec + 0.03);
+    tone.start(t0);
+    tone.stop(t0 + durSec + 0.03);
   }
 
-  /** Advance neon hue from music; returns current music snapshot. */
-  function tickHubHue() {
-    var music = sampleMusicForHub();
-    var now = (ctx && ctx.currentTime != null) ? ctx.currentTime : performance.now() * 0.001;
-    if (!hubHueLastT) hubHueLastT = now;
-    var dt = Math.max(0, Math.min(0.05, now - hubHueLastT));
-    hubHueLastT = now;
-    var rate = 18 + music.energy * 140 + music.bass * 90;
-    hubHue = (hubHue + rate * dt) % 360;
-    return music;
+  function tickDiscRewind() {
+    if (!discGroupEl || !discRewind) return false;
+    var u = (performance.now() - discRewind.t0) / discRewind.durMs;
+    if (u >= 1) {
+      discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
+      discRewind = null;
+      return false;
+    }
+    // Ease-out cubic — fast rewind that settles on home.
+    var ease = 1 - Math.pow(1 - u, 3);
+    var ang = discRewind.fromDeg * (1 - ease);
+    discGroupEl.setAttribute('transform', 'rotate(' + ang + ' ' + CX + ' ' + CY + ')');
+    return true;
   }
 
-  function setSegNeonBorder(el, strength) {
-    if (!el) return;
-    var s = Math.max(0, Math.min(1, strength || 0));
-    if (s < 0.05) {
-      el.style.stroke = 'none';
-      el.style.strokeWidth = '0';
+  function updatePlayhead() {
+    if (!discGroupEl) {
+      playheadRaf = requestAnimationFrame(updatePlayhead);
       return;
     }
-    el.style.stroke = hslNeon(hubHue, 1, 0.62, 0.55 + s * 0.45);
-    el.style.strokeWidth = String((2.2 + s * 3.5).toFixed(1));
-  }
-
-  function applyHubNeonAndStrike(hitFlash, nearBoost, music) {
-    if (!hubBtn || !playing) return;
-    music = music || sampleMusicForHub();
-    var flash = Math.max(0, Math.min(1, hitFlash || 0));
-    var near = Math.max(0, Math.min(1, nearBoost || 0));
-    var strike = Math.max(flash, near * 0.55, music.energy * 0.25);
-    var lit = 0.52 + music.energy * 0.12 + flash * 0.1;
-    var sat = 0.92 + music.energy * 0.08;
-    var showFace = !!(hubProducerFaceOn && hubBtn.classList.contains('hub-has-producer'));
-
-    // Neon always stays — producer thumbs are transparent, so color shows through.
-    hubBtn.style.background = hslNeon(hubHue, sat, lit);
-    // Keep pause glyph one stable color (avoid black/white flicker with lit).
-    hubBtn.style.color = '#0a0a12';
-    if (hubProducerImg) {
-      if (showFace) {
-        var pulse = 1 + music.bass * 0.07 + music.vol * 0.05 + flash * 0.05;
-        pulse = Math.max(1, Math.min(1.12, pulse));
-        hubProducerImg.style.transform = 'translate(-50%, -50%) scale(' + pulse.toFixed(3) + ')';
-        hubProducerImg.style.filter = '';
-      } else {
-        hubProducerImg.style.transform = '';
-        hubProducerImg.style.filter = '';
+    if (!playing || !ctx) {
+      if (!tickDiscRewind()) {
+        discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
       }
-    }
-    hubBtn.style.setProperty('--hub-hue', String(Math.round(hubHue)));
-    hubBtn.style.boxShadow =
-      '0 -6px 22px hsla(' + Math.round(hubHue) + ' 100% 60% / 0.5), ' +
-      '0 0 28px hsla(' + Math.round(hubHue) + ' 100% 55% / 0.35)';
-
-    if (strike < 0.04) {
-      hubBtn.classList.remove('strike-lit');
-      hubBtn.style.removeProperty('--hub-strike');
+      syncRingRotations(0, 0);
+      if (circleWrap) circleWrap.classList.remove('is-playing');
+      clearSegNeedleGlow();
+      if (meterState.loudHist.length) resetLoudMeter();
+      clearFftRing();
+      clearStarField();
+      shownPlayLayer = -1;
+      playheadRaf = requestAnimationFrame(updatePlayhead);
       return;
     }
-    hubBtn.classList.add('strike-lit');
-    hubBtn.style.setProperty('--hub-strike', (0.22 + strike * 0.85).toFixed(3));
-    var strikeEl = document.getElementById('hubStrike');
-    if (strikeEl) {
-      strikeEl.style.background =
-        'radial-gradient(ellipse 95% 80% at 50% -10%, ' +
-        'hsla(' + Math.round(hubHue) + ' 100% 92% / 0.95) 0%, ' +
-        'hsla(' + Math.round((hubHue + 40) % 360) + ' 100% 70% / 0.55) 35%, ' +
-        'transparent 70%)';
-    }
-  }
 
-  function sizeFftCanvas() {
-    if (!fftCanvas) return;
-    var dpr = Math.min(window.devicePixelRatio || 1, 2);
-    var w = Math.max(1, Math.floor(window.innerWidth * dpr));
-    var h = Math.max(1, Math.floor(window.innerHeight * dpr));
-    if (fftCanvas.width !== w || fftCanvas.height !== h) {
-      fftCanvas.width = w;
-      fftCanvas.height = h;
+    if (circleWrap) circleWrap.classList.add('is-playing');
+    drawLoudMeter(performance.now());
+    if (visualFxOn) {
+      drawFftRing();
+    } else {
+      clearFftRing();
+      clearStarField();
+      if (stageEl) stageEl.classList.remove('is-playing');
     }
-  }
 
-  /**
-   * Map the drum center into a canvas's pixel space.
-   * Halo / FFT / flock keep-out must use this — not the screen midpoint —
-   * so rings always originate from the wheel on every layout / DPR.
-   */
-  function getWheelLayoutForCanvas(canvas) {
-    var fallbackW = (canvas && canvas.width) ? canvas.width : Math.max(1, window.innerWidth);
-    var fallbackH = (canvas && canvas.height) ? canvas.height : Math.max(1, window.innerHeight);
-    var drumEl = svg || circleWrap;
-    if (!canvas || !drumEl) {
-      var minDim = Math.min(fallbackW, fallbackH);
-      return {
-        cx: fallbackW * 0.5,
-        cy: fallbackH * 0.5,
-        circleR: minDim * 0.5 * (OUTER / 500)
-      };
+    var now = ctx.currentTime;
+    tickLiveRedraw(now);
+    var phase;
+    var pass = 0;
+    if (transport.free) {
+      phase = tickFreeTransport(now);
+      pass = passForBarIndex(musicBarAt(transport.musicTime).index, true).pass;
+    } else {
+      transport.musicTime = Math.max(0, now - barOrigin);
+      transport.lastMusicTime = transport.musicTime;
+      var ev = activeLayerAt(now);
+      if (ev && ev.layer !== shownPlayLayer) {
+        shownPlayLayer = ev.layer;
+        if (!viewLocked) setViewLayer(ev.layer, { fromPlayhead: true });
+      }
+      if (ev) markSongEntry(ev.entry);
+      if (ev && ev.pass) pass = ev.pass;
+      phase = getTransportPhase(now);
     }
-    var canvasRect = canvas.getBoundingClientRect();
-    var drumRect = drumEl.getBoundingClientRect();
-    var cssW = Math.max(1, canvasRect.width);
-    var cssH = Math.max(1, canvasRect.height);
-    var scaleX = canvas.width / cssW;
-    var scaleY = canvas.height / cssH;
-    var scaleAvg = (scaleX + scaleY) * 0.5;
-    var rim = OUTER / 500;
-    return {
-      cx: (drumRect.left - canvasRect.left + drumRect.width * 0.5) * scaleX,
-      cy: (drumRect.top - canvasRect.top + drumRect.height * 0.5) * scaleY,
-      circleR: Math.min(drumRect.width, drumRect.height) * 0.5 * rim * scaleAvg
-    };
+    // Disc spins under a fixed needle (CCW so current beat stays at 12 o'clock).
+    discGroupEl.setAttribute('transform', 'rotate(' + (-phase * 360) + ' ' + CX + ' ' + CY + ')');
+    syncRingRotations(pass, phase);
+
+    var swingAmt = getSwing();
+    var swingDiv = getSwingNoteDiv();
+    var glowSpan = (50 * Math.PI) / 180;
+    var HIT_GLOW_SEC = 0.28;
+    var hubHitFlash = 0;
+    var hubNearBoost = 0;
+    var music = tickHubHue();
+
+    RINGS.forEach(function (ring) {
+      var n = ring.segments;
+      var angles = segmentAngles(n, swingAmt, swingDiv);
+      var needleAng = START_ANGLE + ringPhase(ring.id, pass, phase) * Math.PI * 2;
+      var i;
+      for (i = 0; i < n; i++) {
+        var key = ring.id + ':' + i;
+        var el = segEls[key];
+        if (!el) continue;
+        var mid = angles.starts[i] + angles.widths[i] * 0.5;
+        var delta = mid - needleAng;
+        while (delta > Math.PI) delta -= Math.PI * 2;
+        while (delta < -Math.PI) delta += Math.PI * 2;
+        var proxim = 1 - Math.min(1, Math.abs(delta) / glowSpan);
+        var filled = !!(pattern && pattern[ring.id][i]);
+
+        // Glow only when this painted segment actually plays (no pre-glow)
+        var hitAt = segHitFlashes[key];
+        var hitFlash = 0;
+        if (hitAt != null && filled) {
+          var age = now - hitAt;
+          if (age >= 0 && age < HIT_GLOW_SEC) {
+            hitFlash = 1 - age / HIT_GLOW_SEC;
+            hitFlash = hitFlash * hitFlash;
+          } else if (age >= HIT_GLOW_SEC) {
+            delete segHitFlashes[key];
+          }
+        }
+
+        if (hitFlash > hubHitFlash) hubHitFlash = hitFlash;
+        if (filled && proxim > hubNearBoost) hubNearBoost = proxim;
+
+        if (hitFlash > 0.02) {
+          el.classList.add('lit', 'hit-glow');
+          el.classList.remove('near-needle');
+          var glowPx = 4 + hitFlash * 14;
+          var glowA = 0.35 + hitFlash * 0.55;
+          el.style.filter =
+            'brightness(' + (1.45 + hitFlash * 1.1).toFixed(3) + ') ' +
+            'drop-shadow(0 0 ' + glowPx.toFixed(1) + 'px ' + hslNeon(hubHue, 1, 0.7, glowA) + ') ' +
+            'drop-shadow(0 0 ' + (glowPx * 1.8).toFixed(1) + 'px ' + hslNeon(hubHue, 1, 0.6, glowA * 0.55) + ')';
+          setSegNeonBorder(el, 0.75 + hitFlash * 0.25);
+        } else {
+          el.classList.remove('near-needle', 'lit', 'hit-glow');
+          el.style.filter = '';
+          setSegNeonBorder(el, 0);
+        }
+      }
+    });
+
+    applyHubNeonAndStrike(hubHitFlash, hubNearBoost, music);
+    playheadRaf = requestAnimationFrame(updatePlayhead);
   }
 
-  /** Morph rings center on the drum; drawn on full viewport (no crop box). */
-  function getMorphLayout() {
-    return getWheelLayoutForCanvas(fftCanvas);
+  /** opts.at: audio time of the first bar; opts.bar: song bar to start from (clock follow). */
+  async function play(opts) {
+    opts = opts || {};
+    var startBar = opts.bar || 0;
+    var start = arrangementActive() ? songSlotForBar(startBar).layer : resolveStart(viewLayer);
+    if (start < 0) return;
+    await ensureAudio();
+    if (ctx.state === 'suspended') await ctx.resume();
+    cancelDiscRewind();
+    playing = true;
+    hubBtn.classList.add('playing');
+    hubHue = 75;
+    hubHueLastT = 0;
+    hubIcon.innerHTML = ICON_PAUSE;
+    playStartedAt = performance.now();
+    clearHubPauseFade();
+    scheduleHubPauseFade();
+    playCursor = start;
+    playOriginLayer = start;
+    songBar = arrangementActive() ? startBar : 0;
+    barEvents = [];
+    shownPlayLayer = -1;
+    viewLocked = false;
+    platterGesture = null;
+    transport.free = false;
+    transport.rate = 1;
+    transport.target = 1;
+    transport.musicTime = 0;
+    transport.lastMusicTime = 0;
+    transport.originBar = songBar;
+    transport.easing = false;
+    clearScrubHitCache();
+    if (circleWrap) circleWrap.classList.remove('is-scratching');
+    var t = Math.max(ctx.currentTime + 0.01, opts.at || ctx.currentTime + 0.06);
+    barOrigin = t;
+    nextBarTime = t;
+    setViewLayer(start, { fromPlayhead: true });
+    sendClockStart(t, startBar);
+    scheduler();
   }
 
-  function sampleSpectrumRing(pointCount) {
-    var bins = analyserData.length;
-    var useBins = Math.min(64, Math.floor(bins * 0.45));
-    if (!fftSmooth || fftSmooth.length < pointCount) fftSmooth = new Float32Array(FFT_POINTS_MAX);
-    var out = fftSmooth;
-    var i;
-    for (i = 0; i < pointCount; i++) {
-      var t = i / pointCount;
-      var bi = Math.min(useBins - 1, Math.floor(t * useBins));
-      var v = (analyserData[bi] || 0) / 255;
-      var target = Math.pow(v, 0.95);
-      out[i] = out[i] * 0.35 + target * 0.65;
-    }
-    return out;
+  function pause() {
+    var fromDeg = currentDiscAngleDeg();
+    playing = false;
+    midiRecTake = null;
+    viewLocked = false;
+    hubBtn.classList.remove('playing');
+    clearHubStrikeGlow();
+    clearHubPauseFade();
+    hubIcon.innerHTML = ICON_PLAY;
+    playStartedAt = 0;
+    platterGesture = null;
+    transport.free = false;
+    transport.rate = 1;
+    transport.target = 1;
+    transport.easing = false;
+    if (circleWrap) circleWrap.classList.remove('is-scratching');
+    stopScheduler();
+    sendClockStop();
+    // Apply any queued Live roll so the stopped view matches what was coming next.
+    flushLivePendingRoll();
+    stopAllVoices();
+    barEvents = [];
+    shownPlayLayer = -1;
+    markSongEntry(-1);
+    clearScrubHitCache();
+    syncLayerUi();
+    var rewindSec = startDiscRewind(fromDeg);
+    if (rewindSec > 0) playDjSwiftSound(rewindSec);
   }
 
-  function bassEnergy() {
-    var n = Math.min(6, analyserData.length);
-    var sum = 0;
-    var i;
-    for (i = 1; i < n; i++) sum += analyserData[i];
-    return Math.pow(sum / ((n - 1) * 255), 1.1);
+  async function togglePlay() {
+    if (playing) pause();
+    else await play();
   }
 
-  function midEnergy() {
-    var start = 8;
-    var end = Math.min(28, analyserData.length);
-    if (end <= start) return 0;
-    var sum = 0;
-    var i;
-    for (i = start; i < end; i++) sum += analyserData[i];
-    return sum / ((end - start) * 255);
+  function layerHasHits(layerIdx) {
+    var pat = layers[layerIdx] && layers[layerIdx].pattern;
+    if (!pat) return false;
+    for (var r = 0; r < RINGS.length; r++) {
+      var steps = pat[RINGS[r].id];
+      if (!steps) continue;
+      for (var i = 0; i < steps.length; i++) {
+        if (steps[i]) return true;
+      }
+    }
+    return false;
   }
 
-  /** Overall music loudness 0–1 from spectrum (drives halo opacity). */
-  function musicVolume() {
-    if (!analyserData || !analyserData.length) return 0;
-    var n = Math.min(analyserData.length, 96);
-    var sum = 0;
-    var i;
-    for (i = 0; i < n; i++) sum += analyserData[i];
-    var avg = sum / (n * 255);
-    // Soft floor so quiet passages dim, loud passages open up
-    return Math.max(0, Math.min(1, Math.pow(avg, 0.8)));
+  /** Words painted on this wheel, in first-appearance order (outer→inner, then step). */
+  function wordsUsedInLayer(layerIdx) {
+    var pat = layers[layerIdx] && layers[layerIdx].pattern;
+    var seen = {};
+    var words = [];
+    if (!pat) return words;
+    RINGS.forEach(function (ring) {
+      var steps = pat[ring.id];
+      if (!steps) return;
+      for (var i = 0; i < steps.length; i++) {
+        var id = cellId(steps[i]);
+        if (!id || seen[id]) continue;
+        var s = sampleById(id);
+        if (!s || s.type !== 'text') continue;
+        seen[id] = true;
+        var w = String(sayTexts[id] || '').trim();
+        if (w) words.push(w);
+      }
+    });
+    return words;
   }
 
-  /** Closed Catmull-Rom → cubic beziers (soft morph outline). */
-  function traceSmoothClosedPath(c2d, verts, tension) {
-    var n = verts.length;
-    if (n < 3) return;
-    var t = tension == null ? 0.85 : tension;
-    c2d.moveTo(verts[0].x, verts[0].y);
-    var i;
-    for (i = 0; i < n; i++) {
-      var p0 = verts[(i - 1 + n) % n];
-      var p1 = verts[i];
-      var p2 = verts[(i + 1) % n];
-      var p3 = verts[(i + 2) % n];
-      c2d.bezierCurveTo(
-        p1.x + (p2.x - p0.x) * (t / 6),
-        p1.y + (p2.y - p0.y) * (t / 6),
-        p2.x - (p3.x - p1.x) * (t / 6),
-        p2.y - (p3.y - p1.y) * (t / 6),
-        p2.x,
-        p2.y
-      );
-    }
-    c2d.closePath();
+  function sanitizeFilenamePart(s) {
+    return String(s || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '')
+      .slice(0, 24);
   }
 
-  function buildMorphVerts(cx, cy, baseR, amp, ring, points, spinOff, bass, time) {
-    var verts = [];
-    var i;
-    for (i = 0; i < points; i++) {
-      var ang = -Math.PI / 2 + (i / points) * Math.PI * 2 + spinOff;
-      var prev = ring[(i - 1 + points) % points];
-      var next = ring[(i + 1) % points];
-      var blend = ring[i] * 0.5 + prev * 0.25 + next * 0.25;
-      var breathe = 0.02 * bass * Math.sin(time * 4.2 + i * 0.7);
-      var r = baseR + blend * amp * (0.75 + bass * 0.55) + breathe * amp;
-      verts.push({
-        x: cx + Math.cos(ang) * r,
-        y: cy + Math.sin(ang) * r
-      });
-    }
-    return verts;
+  /** Default download stem: ProducerName_120bpm */
+  function exportBasename() {
+    var p = producerById(currentProducerPickId || matchLuckyProducerId()) || producerById('custom');
+    var name = sanitizeFilenamePart(p && p.name) || 'custom';
+    return name + '_' + getBpm() + 'bpm';
   }
 
-  /** Soft morph halo rings that slowly push out; new inner replaces fading outer. */
-  function drawFftRing() {
-    if (!fftCtx2d || !fftCanvas || !analyser || !analyserData) return;
-    sizeFftCanvas();
-    analyser.getByteFrequencyData(analyserData);
-    if (!fftParticles.length) initFftParticles();
-
-    var time = (ctx && ctx.currentTime) ? ctx.currentTime : performance.now() * 0.001;
-    var aes = getVfxAesthetics(time);
-    var bass = bassEnergy();
-    var mid = midEnergy();
-    var vol = musicVolume();
-
-    if (stageEl) stageEl.classList.add('is-playing');
-    drawStarField(bass, mid, aes, time);
-
-    var w = fftCanvas.width;
-    var h = fftCanvas.height;
-    var layout = getMorphLayout();
-    var cx = layout.cx;
-    var cy = layout.cy;
-    var circleR = Math.max(40, layout.circleR);
-    var points = Math.max(14, Math.min(FFT_POINTS_MAX, aes.facets + 2));
-    var ring = sampleSpectrumRing(points);
-    var avg = 0;
-    var i;
-    for (i = 0; i < points; i++) avg += ring[i];
-    avg /= points;
-
-    var coreRgb = hslToRgb(aes.hue2, Math.min(0.5, aes.sat * 0.4), 0.9);
-    var midRgb = hslToRgb(aes.hue, Math.min(0.65, aes.sat * 0.65), 0.74);
-    var partRgb = hslToRgb(aes.hue2, 0.35, 0.92);
+  function wavFilenameForViewLayer() {
+    return exportBasename() + '.wav';
+  }
 
-    var fade = Math.max(0.45, Math.min(0.88, aes.ringTrail));
-    fftCtx2d.fillStyle = 'rgba(0, 0, 0, ' + fade + ')';
-    fftCtx2d.globalCompositeOperation = 'destination-out';
-    fftCtx2d.fillRect(0, 0, w, h);
-    fftCtx2d.globalCompositeOperation = 'lighter';
-    fftCtx2d.save();
-    fftCtx2d.lineJoin = 'round';
-    fftCtx2d.lineCap = 'round';
+  function midiFilenameForViewLayer() {
+    return exportBasename() + '.mid';
+  }
 
-    var pulse = 1 + bass * 0.28 + avg * 0.14 + vol * 0.18 + 0.04 * Math.sin(time * 2.8);
-    var bright = (0.06 + vol * 1.25) * (0.55 + bass * 0.7 + mid * 0.2 + aes.lit * 0.08);
-    var dpr = Math.min(window.devicePixelRatio || 1, 2);
-    var blurScale = (5.5 + aes.strokeWide * 3.2 + bass * 12 + vol * 6) * (dpr > 1.4 ? 1.12 : 1);
-    var spinSign = aes.ringSpin === 0 ? 0 : (aes.ringSpin > 0 ? 1 : -1);
-    var spinOff = time * aes.ringSpinSpeed * 40 * spinSign;
+  var GM_DRUM_NOTES = {
+    kick: 36,
+    snare: 38,
+    clap: 39,
+    hatClosed: 42,
+    hatOpen: 46,
+    ride: 51,
+    cowbell: 56,
+    tom: 45
+  };
 
-    // Soft FFT wash under the expanding rings — wide inner glow with blurred edges
-    var washBase = circleR * 0.94 * pulse;
-    var washAmp = circleR * (0.08 + aes.morphScale * 0.08) * (0.7 + avg * 0.5);
-    var washVerts = buildMorphVerts(cx, cy, washBase, washAmp, ring, points, spinOff, bass, time);
-    fftCtx2d.shadowColor = rgbaStr(midRgb, Math.min(0.85, 0.55 * bright * (0.7 + bass * 0.6)));
-    fftCtx2d.shadowBlur = blurScale * (2.4 + bass * 1.2);
-    fftCtx2d.beginPath();
-    traceSmoothClosedPath(fftCtx2d, washVerts, 1.0);
-    fftCtx2d.fillStyle = rgbaStr(midRgb, Math.min(0.28, 0.12 * bright * (0.7 + bass * 0.8 + vol * 0.4)));
-    fftCtx2d.fill();
-    // Extra soft rim so the edge dissolves
-    fftCtx2d.shadowBlur = blurScale * (3.2 + bass * 1.4);
-    fftCtx2d.strokeStyle = rgbaStr(midRgb, Math.min(0.5, 0.28 * bright * (0.8 + bass)));
-    fftCtx2d.lineWidth = 10 + bass * 14 + vol * 6;
-    fftCtx2d.beginPath();
-    traceSmoothClosedPath(fftCtx2d, washVerts, 1.0);
-    fftCtx2d.stroke();
-    fftCtx2d.shadowBlur = 0;
+  function midiNoteForSampleId(id) {
+    var s = sampleById(id);
+    if (!s) return null;
+    if (s.type === 'maker') {
+      var key = s.maker === 'hat' ? (s.open ? 'hatOpen' : 'hatClosed') : s.maker;
+      return { ch: 9, note: GM_DRUM_NOTES[key] != null ? GM_DRUM_NOTES[key] : 37 };
+    }
+    // Words / samples → their own melodic channels so they still export
+    if (s.type === 'text') {
+      var ti = parseInt(String(s.id).replace(/\D/g, ''), 10) || 1;
+      return { ch: 0, note: 59 + Math.max(1, Math.min(9, ti)) };
+    }
+    var si = parseInt(String(s.id).replace(/\D/g, ''), 10) || 1;
+    return { ch: 1, note: 71 + Math.max(1, Math.min(9, si)) };
+  }
 
-    // Slow morph rings: outer fades away, new one emerges inside (~2–3 at once)
-    maybeSpawnBaseHaloWing(circleR, aes);
-    drawBaseHaloWings(
-      fftCtx2d, cx, cy, circleR, ring, points, spinOff,
-      bass, vol, bright, blurScale, time, aes
-    );
+  /** Melodic cells export their real pitch (0 = middle C); drum makers move off channel 10. */
+  function midiNoteForStep(id, melodic, pitch) {
+    var map = midiNoteForSampleId(id);
+    if (!map || !melodic) return map;
+    return { ch: map.ch === 9 ? 2 : map.ch, note: Math.max(0, Math.min(127, MELODIC_ROOT_NOTE + (pitch || 0))) };
+  }
 
-    // Sparse motes near the drum edge
-    var partN = Math.max(2, Math.min(FFT_PARTICLE_COUNT, aes.ringPartCount));
-    var mainBase = circleR * 0.94 * pulse;
-    for (i = 0; i < partN; i++) {
-      var p = fftParticles[i];
-      p.ang += p.spin * aes.partDirFlip * (0.002 + bass * 0.012 + aes.ringSpinSpeed * 7);
-      var sample = ring[i % points];
-      var orbit = Math.max(0.9, p.orbit * 0.95);
-      var pr = mainBase * orbit * (1 + sample * 0.12 + bass * 0.04 * Math.sin(time * 4 + p.phase));
-      var px = cx + Math.cos(p.ang) * pr;
-      var py = cy + Math.sin(p.ang) * pr;
-      var sz = p.size * aes.particleSize * (0.7 + bass * 0.75);
-      fftCtx2d.fillStyle = rgbaStr(partRgb, (0.08 + vol * 0.35) * (0.7 + bass * 0.5));
-      fftCtx2d.beginPath();
-      fftCtx2d.arc(px, py, Math.max(0.55, sz), 0, Math.PI * 2);
-      fftCtx2d.fill();
+  function midiWriteVarLen(n) {
+    var buf = [n & 0x7f];
+    n >>= 7;
+    while (n > 0) {
+      buf.unshift((n & 0x7f) | 0x80);
+      n >>= 7;
     }
+    return buf;
+  }
 
-    // Kick-synced neon energy ring (occasional, varied)
-    if (ctx && pendingKickBursts.length) {
-      var nowT = ctx.currentTime;
-      while (pendingKickBursts.length && pendingKickBursts[0] <= nowT + 0.03) {
-        pendingKickBursts.shift();
-        spawnEnergyBurst(cx, cy, circleR, aes, bass, vol);
-      }
+  function midiConcat(chunks) {
+    var len = 0;
+    var i;
+    for (i = 0; i < chunks.length; i++) len += chunks[i].length;
+    var out = new Uint8Array(len);
+    var o = 0;
+    for (i = 0; i < chunks.length; i++) {
+      out.set(chunks[i], o);
+      o += chunks[i].length;
     }
-    drawEnergyBursts(fftCtx2d, bright);
-
-    fftCtx2d.shadowBlur = 0;
-    fftCtx2d.restore();
-    fftCtx2d.globalCompositeOperation = 'source-over';
+    return out;
   }
 
-  function currentDiscAngleDeg() {
-    if (!ctx) return 0;
-    return -getTransportPhase(ctx.currentTime) * 360;
+  function midiU16(n) {
+    return [(n >> 8) & 0xff, n & 0xff];
   }
 
-  function cancelDiscRewind() {
-    discRewind = null;
+  function midiU32(n) {
+    return [(n >> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
   }
 
-  function startDiscRewind(fromDeg) {
-    // Normalize into (-360, 0] — play spins CCW (negative degrees).
-    var ang = fromDeg % 360;
-    if (ang > 0) ang -= 360;
-    if (ang === 0) {
-      discRewind = null;
-      if (discGroupEl) discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
-      return 0;
+  function buildViewWheelMidiBlob() {
+    var pat = layers[viewLayer] && layers[viewLayer].pattern;
+    if (!pat) return null;
+    var TPQ = 480;
+    var ticksPerBar = TPQ * 4;
+    var bpm = getBpm();
+    var barDur = getBarDur();
+    var cycleBars = exportCycleBars(viewLayer);
+    var loopTicks = cycleBars * ticksPerBar;
+    var events = [];
+
+    // Polymetric rings run until they line up again, so the loop covers the whole cycle.
+    var b;
+    for (b = 0; b < cycleBars; b++) {
+      RINGS.forEach(function (ring) {
+        var steps = pat[ring.id];
+        if (!steps) return;
+        var n = steps.length;
+        var stepDur = barDur * ringBeats(viewLayer, ring.id) / BAR_BEATS / n;
+        var melodic = ringIsMelodic(viewLayer, ring.id);
+        ringBarSteps(viewLayer, ring, { pass: b }).forEach(function (pos) {
+          var cell = steps[pos.i];
+          var id = cellId(cell);
+          if (!id) return;
+          var map = midiNoteForStep(id, melodic, cell.pitch);
+          if (!map || map.note == null) return;
+          var gate = melodic && cell.len ? cell.len : 0.85;
+          var dur = Math.max(1, Math.round(stepDur / barDur * ticksPerBar * gate / (cell.rat || 1)));
+          cellStrikes(cell, stepDur).forEach(function (st) {
+            // Strikes before the downbeat (flam, early nudge) wrap to the loop end.
+            var tick = positiveMod(Math.round((b + pos.t + st.dt / barDur) * ticksPerBar), loopTicks);
+            events.push({ tick: tick, type: 'on', ch: map.ch, note: map.note, vel: clampVelocity(cellMidiVelocity(cell) * st.scale) });
+            events.push({ tick: tick + dur, type: 'off', ch: map.ch, note: map.note, vel: 0 });
+          });
+        });
+      });
     }
-    var durMs = 160 + (Math.abs(ang) / 360) * 320;
-    discRewind = { fromDeg: ang, t0: performance.now(), durMs: durMs };
-    return durMs / 1000;
+
+    events.sort(function (a, b) {
+      if (a.tick !== b.tick) return a.tick - b.tick;
+      if (a.type === b.type) return 0;
+      return a.type === 'off' ? -1 : 1;
+    });
+
+    var track = [];
+    // Tempo meta
+    var usPerBeat = Math.round(60000000 / Math.max(1, bpm));
+    track.push.apply(track, midiWriteVarLen(0));
+    track.push(0xff, 0x51, 0x03, (usPerBeat >> 16) & 0xff, (usPerBeat >> 8) & 0xff, usPerBeat & 0xff);
+
+    var last = 0;
+    var ei;
+    for (ei = 0; ei < events.length; ei++) {
+      var ev = events[ei];
+      var delta = Math.max(0, ev.tick - last);
+      track.push.apply(track, midiWriteVarLen(delta));
+      if (ev.type === 'on') track.push(0x90 | (ev.ch & 0x0f), ev.note & 0x7f, ev.vel & 0x7f);
+      else track.push(0x80 | (ev.ch & 0x0f), ev.note & 0x7f, 0x40);
+      last = ev.tick;
+    }
+    // End of track
+    track.push.apply(track, midiWriteVarLen(0));
+    track.push(0xff, 0x2f, 0x00);
+
+    var trackBytes = new Uint8Array(track);
+    var header = midiConcat([
+      new Uint8Array([0x4d, 0x54, 0x68, 0x64]),
+      new Uint8Array(midiU32(6)),
+      new Uint8Array(midiU16(0)), // format 0
+      new Uint8Array(midiU16(1)), // one track
+      new Uint8Array(midiU16(TPQ))
+    ]);
+    var trackChunk = midiConcat([
+      new Uint8Array([0x4d, 0x54, 0x72, 0x6b]),
+      new Uint8Array(midiU32(trackBytes.length)),
+      trackBytes
+    ]);
+    return new Blob([midiConcat([header, trackChunk])], { type: 'audio/midi' });
   }
 
-  /** Vinyl-style DJ scratch / rewind whoosh. */
-  function playDjSwiftSound(durSec) {
-    if (!ctx || !master) return;
-    durSec = Math.max(0.14, Math.min(0.55, durSec || 0.28));
-    var t0 = ctx.currentTime + 0.02;
-    var sr = ctx.sampleRate;
-    var len = Math.max(1, Math.ceil(sr * durSec));
-    var buf = ctx.createBuffer(1, len, sr);
-    var data = buf.getChannelData(0);
+  /** Meta event bytes at delta 0 (type, payload bytes). */
+  function midiMeta(type, data) {
+    return [0x00, 0xff, type].concat(midiWriteVarLen(data.length), data);
+  }
+
+  function midiTextBytes(str) {
+    var out = [];
+    var s = String(str || '');
     var i;
-    for (i = 0; i < len; i++) {
-      var env = 1 - i / len;
-      data[i] = (Math.random() * 2 - 1) * (0.55 + 0.45 * env);
+    for (i = 0; i < s.length && out.length < 64; i++) {
+      var c = s.charCodeAt(i);
+      out.push(c < 128 ? c : 63);
     }
+    return out;
+  }
 
-    var src = ctx.createBufferSource();
-    src.buffer = buf;
-    src.playbackRate.setValueAtTime(3.2, t0);
-    src.playbackRate.exponentialRampToValueAtTime(0.28, t0 + durSec);
+  function midiTempoBytes(bpm) {
+    var us = Math.round(60000000 / Math.max(1, bpm));
+    return [(us >> 16) & 0xff, (us >> 8) & 0xff, us & 0xff];
+  }
 
-    var bp = ctx.createBiquadFilter();
-    bp.type = 'bandpass';
-    bp.Q.value = 3.2;
-    bp.frequency.setValueAtTime(3200, t0);
-    bp.frequency.exponentialRampToValueAtTime(280, t0 + durSec);
+  function midiTrackChunk(bytes) {
+    return midiConcat([
+      new Uint8Array([0x4d, 0x54, 0x72, 0x6b]),
+      new Uint8Array(midiU32(bytes.length)),
+      new Uint8Array(bytes)
+    ]);
+  }
 
-    var tone = ctx.createOscillator();
-    tone.type = 'sawtooth';
-    tone.frequency.setValueAtTime(420, t0);
-    tone.frequency.exponentialRampToValueAtTime(70, t0 + durSec);
+  /** Append timed events (tick-sorted, offs before ons) plus end-of-track. */
+  function midiWriteEvents(track, events) {
+    events.sort(function (a, b) {
+      if (a.tick !== b.tick) return a.tick - b.tick;
+      if (a.type === b.type) return 0;
+      return a.type === 'off' ? -1 : 1;
+    });
+    var last = 0;
+    events.forEach(function (ev) {
+      track.push.apply(track, midiWriteVarLen(Math.max(0, ev.tick - last)));
+      if (ev.type === 'on') track.push(0x90 | (ev.ch & 0x0f), ev.note & 0x7f, ev.vel & 0x7f);
+      else if (ev.type === 'off') track.push(0x80 | (ev.ch & 0x0f), ev.note & 0x7f, 0x40);
+      else {
+        track.push(0xff, ev.meta);
+        track.push.apply(track, midiWriteVarLen(ev.data.length).concat(ev.data));
+      }
+      last = Math.max(last, ev.tick);
+    });
+    track.push.apply(track, midiWriteVarLen(0));
+    track.push(0xff, 0x2f, 0x00);
+    return track;
+  }
 
-    var toneF = ctx.createBiquadFilter();
-    toneF.type = 'lowpass';
-    toneF.frequency.setValueAtTime(1800, t0);
-    toneF.frequency.exponentialRampToValueAtTime(400, t0 + durSec);
+  /**
+   * Format-1 SMF of one pass through the play order: conductor track with the
+   * tempo map, then one track per sample. Swing / humanize land as tick offsets.
+   */
+  function buildSongMidiBlob() {
+    var bars = songExportBars();
+    if (!bars.length) return null;
+    var TPQ = 480;
+    var ticksPerBar = TPQ * 4;
+    var tempoEvents = [];
+    var perSample = {};
+    var order = [];
+    var lastBpm = null;
+
+    bars.forEach(function (bar, b) {
+      var barTick = b * ticksPerBar;
+      var bpm = Math.round((240 / bar.dur) * 100) / 100;
+      if (bpm !== lastBpm) {
+        tempoEvents.push({ tick: barTick, type: 'meta', meta: 0x51, data: midiTempoBytes(bpm) });
+        lastBpm = bpm;
+      }
+      buildBarHits(bar.layer, 0, bar.dur, bar.mute, bar.pass).forEach(function (h) {
+        var map = midiNoteForStep(h.sampleId, h.melodic, h.pitch);
+        if (!map || map.note == null) return;
+        if (!perSample[h.sampleId]) {
+          perSample[h.sampleId] = [];
+          order.push(h.sampleId);
+        }
+        var tick = Math.max(0, barTick + Math.round((h.mt / bar.dur) * ticksPerBar));
+        var gate = h.melodic && h.len ? h.len : 0.85;
+        var dur = Math.max(1, Math.round(h.stepDur / bar.dur * ticksPerBar * gate * h.span));
+        perSample[h.sampleId].push({ tick: tick, type: 'on', ch: map.ch, note: map.note, vel: h.vel });
+        perSample[h.sampleId].push({ tick: tick + dur, type: 'off', ch: map.ch, note: map.note, vel: 0 });
+      });
+    });
+    if (!order.length) return null;
 
-    var gNoise = ctx.createGain();
-    var gTone = ctx.createGain();
-    var gOut = ctx.createGain();
-    gNoise.gain.setValueAtTime(0.0001, t0);
-    gNoise.gain.exponentialRampToValueAtTime(0.28, t0 + 0.015);
-    gNoise.gain.exponentialRampToValueAtTime(0.0001, t0 + durSec);
-    gTone.gain.setValueAtTime(0.0001, t0);
-    gTone.gain.exponentialRampToValueAtTime(0.09, t0 + 0.02);
-    gTone.gain.exponentialRampToValueAtTime(0.0001, t0 + durSec);
-    gOut.gain.value = 1;
+    var conductor = [];
+    conductor.push.apply(conductor, midiMeta(0x03, midiTextBytes('Circle Beat')));
+    conductor.push.apply(conductor, midiMeta(0x58, [4, 2, 24, 8]));
+    midiWriteEvents(conductor, tempoEvents);
+    var chunks = [midiTrackChunk(conductor)];
 
-    src.connect(bp);
-    bp.connect(gNoise);
-    tone.connect(toneF);
-    toneF.connect(gTone);
-    gNoise.connect(gOut);
-    gTone.connect(gOut);
-    gOut.connect(master);
+    order.forEach(function (id) {
+      var s = sampleById(id);
+      var name = s && s.type === 'text' && sayTexts[id] ? sayTexts[id] : (s ? s.label : id);
+      var track = midiMeta(0x03, midiTextBytes(name));
+      chunks.push(midiTrackChunk(midiWriteEvents(track, perSample[id])));
+    });
 
-    src.start(t0);
-    src.stop(t0 + durSec + 0.03);
-    tone.start(t0);
-    tone.stop(t0 + durSec + 0.03);
+    var header = midiConcat([
+      new Uint8Array([0x4d, 0x54, 0x68, 0x64]),
+      new Uint8Array(midiU32(6)),
+      new Uint8Array(midiU16(1)), // format 1
+      new Uint8Array(midiU16(chunks.length)),
+      new Uint8Array(midiU16(TPQ))
+    ]);
+    return new Blob([midiConcat([header].concat(chunks))], { type: 'audio/midi' });
   }
 
-  function tickDiscRewind() {
-    if (!discGroupEl || !discRewind) return false;
-    var u = (performance.now() - discRewind.t0) / discRewind.durMs;
-    if (u >= 1) {
-      discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
-      discRewind = null;
-      return false;
+  function saveSongMidi() {
+    try {
+      var blob = buildSongMidiBlob();
+      if (!blob) {
+        alert('The song has no hits to save.');
+        return;
+      }
+      downloadBlob(blob, exportBasename() + '_song.mid');
+    } catch (err) {
+      console.error(err);
+      alert('Could not save MIDI.');
     }
-    // Ease-out cubic — fast rewind that settles on home.
-    var ease = 1 - Math.pow(1 - u, 3);
-    var ang = discRewind.fromDeg * (1 - ease);
-    discGroupEl.setAttribute('transform', 'rotate(' + ang + ' ' + CX + ' ' + CY + ')');
-    return true;
   }
 
-  function updatePlayhead() {
-    if (!discGroupEl) {
-      playheadRaf = requestAnimationFrame(updatePlayhead);
-      return;
-    }
-    if (!playing || !ctx) {
-      if (!tickDiscRewind()) {
-        discGroupEl.setAttribute('transform', 'rotate(0 ' + CX + ' ' + CY + ')');
-      }
-      if (circleWrap) circleWrap.classList.remove('is-playing');
-      clearSegNeedleGlow();
-      clearFftRing();
-      clearStarField();
-      shownPlayLayer = -1;
-      playheadRaf = requestAnimationFrame(updatePlayhead);
+  function saveViewWheelMidi() {
+    if (!layerHasHits(viewLayer)) {
+      alert('This wheel has no hits to save.');
       return;
     }
-
-    if (circleWrap) circleWrap.classList.add('is-playing');
-    if (visualFxOn) {
-      drawFftRing();
-    } else {
-      clearFftRing();
-      clearStarField();
-      if (stageEl) stageEl.classList.remove('is-playing');
-    }
-
-    var now = ctx.currentTime;
-    tickLiveRedraw(now);
-    var phase;
-    if (transport.free) {
-      phase = tickFreeTransport(now);
-    } else {
-      transport.musicTime = Math.max(0, now - barOrigin);
-      transport.lastMusicTime = transport.musicTime;
-      var ev = activeLayerAt(now);
-      if (ev && ev.layer !== shownPlayLayer) {
-        shownPlayLayer = ev.layer;
-        if (!viewLocked) setViewLayer(ev.layer, { fromPlayhead: true });
+    try {
+      var blob = buildViewWheelMidiBlob();
+      if (!blob) {
+        alert('Could not save MIDI.');
+        return;
       }
-      phase = getTransportPhase(now);
+      downloadBlob(blob, midiFilenameForViewLayer());
+    } catch (err) {
+      console.error(err);
+      alert('Could not save MIDI.');
     }
-    // Disc spins under a fixed needle (CCW so current beat stays at 12 o'clock).
-    discGroupEl.setAttribute('transform', 'rotate(' + (-phase * 360) + ' ' + CX + ' ' + CY + ')');
-
-    var swingAmt = getSwing();
-    var swingDiv = getSwingNoteDiv();
-    var needleAng = START_ANGLE + phase * Math.PI * 2;
-    var glowSpan = (50 * Math.PI) / 180;
-    var HIT_GLOW_SEC = 0.28;
-    var hubHitFlash = 0;
-    var hubNearBoost = 0;
-    var music = tickHubHue();
+  }
 
-    RINGS.forEach(function (ring) {
-      var n = ring.segments;
-      var angles = segmentAngles(n, swingAmt, swingDiv);
-      var i;
-      for (i = 0; i < n; i++) {
-        var key = ring.id + ':' + i;
-        var el = segEls[key];
-        if (!el) continue;
-        var mid = angles.starts[i] + angles.widths[i] * 0.5;
-        var delta = mid - needleAng;
-        while (delta > Math.PI) delta -= Math.PI * 2;
-        while (delta < -Math.PI) delta += Math.PI * 2;
-        var proxim = 1 - Math.min(1, Math.abs(delta) / glowSpan);
-        var filled = !!(pattern && pattern[ring.id][i]);
+  /** GM drum notes that have no exact sample → nearest Circle Beat drum. */
+  var GM_DRUM_ALIASES = {
+    35: 'kick', 37: 'snare', 40: 'snare', 44: 'hatClosed', 49: 'ride', 52: 'ride',
+    53: 'ride', 55: 'ride', 57: 'ride', 59: 'ride', 41: 'tom', 43: 'tom', 47: 'tom',
+    48: 'tom', 50: 'tom', 54: 'cowbell'
+  };
 
-        // Glow only when this painted segment actually plays (no pre-glow)
-        var hitAt = segHitFlashes[key];
-        var hitFlash = 0;
-        if (hitAt != null && filled) {
-          var age = now - hitAt;
-          if (age >= 0 && age < HIT_GLOW_SEC) {
-            hitFlash = 1 - age / HIT_GLOW_SEC;
-            hitFlash = hitFlash * hitFlash;
-          } else if (age >= HIT_GLOW_SEC) {
-            delete segHitFlashes[key];
+  /** Inverse of midiNoteForSampleId(); drum-range notes on any channel fall back to GM drums. */
+  function sampleIdForMidiNote(ch, note) {
+    var i;
+    for (i = 0; i < SAMPLES.length; i++) {
+      var map = midiNoteForSampleId(SAMPLES[i].id);
+      if (map && map.ch === ch && map.note === note) return SAMPLES[i].id;
+    }
+    for (i = 0; i < SAMPLES.length; i++) {
+      var dm = midiNoteForSampleId(SAMPLES[i].id);
+      if (dm && dm.ch === 9 && dm.note === note) return SAMPLES[i].id;
+    }
+    return GM_DRUM_ALIASES[note] || null;
+  }
+
+  /** Parse SMF type 0/1 → { tpq, ticksPerBar, bpm, notes: [{ tick, ch, note, vel }] }. */
+  function parseMidiFile(arrayBuffer) {
+    var d = new Uint8Array(arrayBuffer);
+    var pos = 0;
+    function str4() {
+      var s = String.fromCharCode(d[pos], d[pos + 1], d[pos + 2], d[pos + 3]);
+      pos += 4;
+      return s;
+    }
+    function u32() {
+      var n = ((d[pos] << 24) >>> 0) + (d[pos + 1] << 16) + (d[pos + 2] << 8) + d[pos + 3];
+      pos += 4;
+      return n;
+    }
+    function u16() {
+      var n = (d[pos] << 8) | d[pos + 1];
+      pos += 2;
+      return n;
+    }
+    function varLen() {
+      var n = 0;
+      var b;
+      do {
+        b = d[pos++];
+        n = (n << 7) | (b & 0x7f);
+      } while (b & 0x80 && pos < d.length);
+      return n;
+    }
+
+    if (d.length < 14 || str4() !== 'MThd') throw new Error('Not a MIDI file.');
+    var hlen = u32();
+    var format = u16();
+    var ntrks = u16();
+    var division = u16();
+    pos = 8 + hlen;
+    if (format > 1) throw new Error('MIDI type 2 files are not supported.');
+    if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported.');
+    var tpq = division || 480;
+    var notes = [];
+    var tempoUs = null;
+    var timeSig = null;
+
+    var t;
+    for (t = 0; t < ntrks && pos + 8 <= d.length; t++) {
+      var id = str4();
+      var len = u32();
+      var end = Math.min(d.length, pos + len);
+      if (id !== 'MTrk') {
+        pos = end;
+        continue;
+      }
+      var tick = 0;
+      var status = 0;
+      while (pos < end) {
+        tick += varLen();
+        var b = d[pos];
+        if (b & 0x80) {
+          status = b;
+          pos += 1;
+        }
+        if (status === 0xff) {
+          var metaType = d[pos++];
+          var mlen = varLen();
+          if (metaType === 0x51 && mlen === 3 && tempoUs == null) {
+            tempoUs = (d[pos] << 16) | (d[pos + 1] << 8) | d[pos + 2];
+          } else if (metaType === 0x58 && mlen >= 2 && !timeSig) {
+            timeSig = { num: d[pos], den: Math.pow(2, d[pos + 1]) };
           }
+          pos += mlen;
+          status = 0;
+          continue;
         }
-
-        if (hitFlash > hubHitFlash) hubHitFlash = hitFlash;
-        if (filled && proxim > hubNearBoost) hubNearBoost = proxim;
-
-        if (hitFlash > 0.02) {
-          el.classList.add('lit', 'hit-glow');
-          el.classList.remove('near-needle');
-          var glowPx = 4 + hitFlash * 14;
-          var glowA = 0.35 + hitFlash * 0.55;
-          el.style.filter =
-            'brightness(' + (1.45 + hitFlash * 1.1).toFixed(3) + ') ' +
-            'drop-shadow(0 0 ' + glowPx.toFixed(1) + 'px ' + hslNeon(hubHue, 1, 0.7, glowA) + ') ' +
-            'drop-shadow(0 0 ' + (glowPx * 1.8).toFixed(1) + 'px ' + hslNeon(hubHue, 1, 0.6, glowA * 0.55) + ')';
-          setSegNeonBorder(el, 0.75 + hitFlash * 0.25);
-        } else {
-          el.classList.remove('near-needle', 'lit', 'hit-glow');
-          el.style.filter = '';
-          setSegNeonBorder(el, 0);
+        if (status === 0xf0 || status === 0xf7) {
+          pos += varLen();
+          status = 0;
+          continue;
+        }
+        var type = status & 0xf0;
+        var ch = status & 0x0f;
+        if (type === 0xc0 || type === 0xd0) {
+          pos += 1;
+          continue;
         }
+        var d1 = d[pos];
+        var d2 = d[pos + 1];
+        pos += 2;
+        if (type === 0x90 && d2 > 0) notes.push({ tick: tick, ch: ch, note: d1, vel: d2 });
       }
-    });
+      pos = end;
+    }
 
-    applyHubNeonAndStrike(hubHitFlash, hubNearBoost, music);
-    playheadRaf = requestAnimationFrame(updatePlayhead);
+    var beatsPerBar = timeSig ? (timeSig.num * 4) / timeSig.den : 4;
+    notes.sort(function (a, b) { return a.tick - b.tick; });
+    return {
+      tpq: tpq,
+      ticksPerBar: Math.max(1, Math.round(tpq * beatsPerBar)),
+      bpm: tempoUs ? 60000000 / tempoUs : null,
+      notes: notes
+    };
   }
 
-  async function play() {
-    var start = resolveStart(viewLayer);
-    if (start < 0) return;
-    await ensureAudio();
-    if (ctx.state === 'suspended') await ctx.resume();
-    cancelDiscRewind();
-    playing = true;
-    hubBtn.classList.add('playing');
-    hubHue = 75;
-    hubHueLastT = 0;
-    hubIcon.innerHTML = ICON_PAUSE;
-    playStartedAt = performance.now();
-    clearHubPauseFade();
-    scheduleHubPauseFade();
-    playCursor = start;
-    playOriginLayer = start;
-    barEvents = [];
-    shownPlayLayer = -1;
-    viewLocked = false;
-    platterGesture = null;
-    transport.free = false;
-    transport.rate = 1;
-    transport.target = 1;
-    transport.musicTime = 0;
-    transport.lastMusicTime = 0;
-    transport.easing = false;
-    clearScrubHitCache();
-    if (circleWrap) circleWrap.classList.remove('is-scratching');
-    var t = ctx.currentTime + 0.06;
-    barOrigin = t;
-    nextBarTime = t;
-    setViewLayer(start, { fromPlayhead: true });
-    scheduler();
+  /** Pick the ring size (48/32/24/16) with least timing error; ties go to fewer segments. */
+  function bestRingResolution(fracs) {
+    var sizes = [];
+    RINGS.forEach(function (ring) {
+      if (sizes.indexOf(ring.segments) === -1) sizes.push(ring.segments);
+    });
+    sizes.sort(function (a, b) { return a - b; });
+    var best = sizes[0];
+    var bestErr = Infinity;
+    sizes.forEach(function (n) {
+      var err = 0;
+      fracs.forEach(function (f) {
+        err += Math.abs(f * n - Math.round(f * n)) / n;
+      });
+      if (err < bestErr - 1e-6) {
+        bestErr = err;
+        best = n;
+      }
+    });
+    return best;
   }
 
-  function pause() {
-    var fromDeg = currentDiscAngleDeg();
-    playing = false;
-    viewLocked = false;
-    hubBtn.classList.remove('playing');
-    clearHubStrikeGlow();
-    clearHubPauseFade();
-    hubIcon.innerHTML = ICON_PLAY;
-    playStartedAt = 0;
-    platterGesture = null;
-    transport.free = false;
-    transport.rate = 1;
-    transport.target = 1;
-    transport.easing = false;
-    if (circleWrap) circleWrap.classList.remove('is-scratching');
-    stopScheduler();
-    // Apply any queued Live roll so the stopped view matches what was coming next.
-    flushLivePendingRoll();
-    stopAllVoices();
-    barEvents = [];
-    shownPlayLayer = -1;
-    clearScrubHitCache();
-    syncLayerUi();
-    var rewindSec = startDiscRewind(fromDeg);
-    if (rewindSec > 0) playDjSwiftSound(rewindSec);
-  }
+  /**
+   * Quantize parsed notes into wheels from startLayer, one bar per wheel.
+   * Returns a report: { bars, placed, unmapped, merged, collided, truncated }.
+   */
+  function importMidiIntoWheels(midi, startLayer) {
+    var report = { bars: 0, placed: 0, unmapped: 0, merged: 0, collided: 0, truncated: 0 };
+    var byBar = {};
+    var lastBar = -1;
+    midi.notes.forEach(function (n) {
+      var id = sampleIdForMidiNote(n.ch, n.note);
+      if (!id) {
+        report.unmapped += 1;
+        return;
+      }
+      var bar = Math.floor(n.tick / midi.ticksPerBar);
+      (byBar[bar] = byBar[bar] || []).push({
+        id: id,
+        frac: (n.tick - bar * midi.ticksPerBar) / midi.ticksPerBar,
+        vel: n.vel
+      });
+      if (bar > lastBar) lastBar = bar;
+    });
 
-  async function togglePlay() {
-    if (playing) pause();
-    else await play();
+    var b;
+    // Hits that round up past the bar's last step land on step 0 of the next bar.
+    var carried = [];
+    for (b = 0; b <= lastBar || carried.length; b++) {
+      var hits = carried.concat(byBar[b] || []);
+      carried = [];
+      var layerIdx = startLayer + b;
+      if (layerIdx >= MAX_CIRCLES) {
+        report.truncated += hits.length;
+        continue;
+      }
+      var pat = emptyPattern();
+      layers[layerIdx].pattern = pat;
+      layers[layerIdx].enabled = true;
+      layers[layerIdx].auto = {};
+      layers[layerIdx].lengths = {};
+      layers[layerIdx].melodic = {};
+      report.bars += 1;
+      if (!hits.length) continue;
+      var n = bestRingResolution(hits.map(function (h) { return h.frac; }));
+      hits = hits.filter(function (h) {
+        if (Math.round(h.frac * n) < n) return true;
+        carried.push({ id: h.id, frac: 0, vel: h.vel });
+        return false;
+      });
+      // Same-resolution rings first, then any ring whose grid hits the same spot.
+      var rings = RINGS.slice().sort(function (a, c) {
+        var pa = a.segments === n ? 0 : 1;
+        var pc = c.segments === n ? 0 : 1;
+        return pa !== pc ? pa - pc : a.segments - c.segments;
+      });
+      hits.forEach(function (h) {
+        var q = Math.round(h.frac * n);
+        var r;
+        for (r = 0; r < rings.length; r++) {
+          var m = rings[r].segments;
+          if ((q * m) % n !== 0) continue;
+          var idx = (q * m) / n;
+          var cur = pat[rings[r].id][idx];
+          if (cur && cur.id === h.id) {
+            // Two hits of one sound snapped onto the same step.
+            report.merged += 1;
+            cur.vel = Math.max(cur.vel, h.vel);
+            return;
+          }
+          if (!cur) {
+            pat[rings[r].id][idx] = makeCell(h.id, h.vel);
+            report.placed += 1;
+            return;
+          }
+        }
+        report.collided += 1;
+      });
+    }
+    return report;
   }
 
-  function layerHasHits(layerIdx) {
-    var pat = layers[layerIdx] && layers[layerIdx].pattern;
-    if (!pat) return false;
-    for (var r = 0; r < RINGS.length; r++) {
-      var steps = pat[RINGS[r].id];
-      if (!steps) continue;
-      for (var i = 0; i < steps.length; i++) {
-        if (steps[i]) return true;
+  async function loadMidiFile(file) {
+    try {
+      var midi = parseMidiFile(await file.arrayBuffer());
+      if (!midi.notes.length) {
+        alert('No notes found in this MIDI file.');
+        return;
       }
+      if (playing) pause();
+      var start = viewLayer;
+      recordHistory('Import MIDI');
+      var report = importMidiIntoWheels(midi, start);
+      if (midi.bpm) applyBpmValue(Math.max(50, Math.min(130, Math.round(midi.bpm))));
+      clearScrubHitCache();
+      setViewLayer(start);
+      await ensureLayerSampleBuffers(start);
+
+      var lines = [
+        'Imported ' + report.placed + ' hits into ' + report.bars + ' wheel' +
+          (report.bars === 1 ? '' : 's') + ' from ' + layerLabel(start) + '.'
+      ];
+      if (report.merged) lines.push(report.merged + ' merged — quantized onto a step the same sound already had.');
+      if (report.collided) lines.push(report.collided + ' dropped — no free ring at that step.');
+      if (report.unmapped) lines.push(report.unmapped + ' skipped — notes with no matching sound.');
+      if (report.truncated) lines.push(report.truncated + ' dropped — past ' + layerLabel(MAX_CIRCLES - 1) + '.');
+      alert(lines.join('\n'));
+    } catch (err) {
+      console.error(err);
+      alert(err && err.message ? err.message : 'Could not load MIDI.');
     }
-    return false;
   }
 
-  /** Words painted on this wheel, in first-appearance order (outer→inner, then step). */
-  function wordsUsedInLayer(layerIdx) {
-    var pat = layers[layerIdx] && layers[layerIdx].pattern;
-    var seen = {};
-    var words = [];
-    if (!pat) return words;
-    RINGS.forEach(function (ring) {
-      var steps = pat[ring.id];
-      if (!steps) return;
-      for (var i = 0; i < steps.length; i++) {
-        var id = steps[i];
-        if (!id || seen[id]) continue;
-        var s = sampleById(id);
-        if (!s || s.type !== 'text') continue;
-        seen[id] = true;
-        var w = String(sayTexts[id] || '').trim();
-        if (w) words.push(w);
-      }
-    });
-    return words;
+  /** Learned pad note → sample id (any channel); unmapped notes use sampleIdForMidiNote(). */
+  var midiNoteMap = {};
+  var midiAccess = null;
+  var midiLearning = false;
+  /**
+   * Pad recording take (from the first recorded hit until play stops or the record
+   * controls change): cleared — 'wheel:sampleId' keys Replace mode has already cleared.
+   */
+  var midiRecTake = null;
+
+  function setMidiStatus(text) {
+    if (midiStatusEl) midiStatusEl.textContent = text;
   }
 
-  function sanitizeFilenamePart(s) {
-    return String(s || '')
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '')
-      .slice(0, 24);
+  function sampleIdForPadNote(ch, note) {
+    if (midiNoteMap[note] && sampleById(midiNoteMap[note])) return midiNoteMap[note];
+    return sampleIdForMidiNote(ch, note);
   }
 
-  /** Default download stem: ProducerName_120bpm */
-  function exportBasename() {
-    var p = producerById(currentProducerPickId || matchLuckyProducerId()) || producerById('custom');
-    var name = sanitizeFilenamePart(p && p.name) || 'custom';
-    return name + '_' + getBpm() + 'bpm';
+  function selectedMidiInputs() {
+    if (!midiAccess) return [];
+    var want = midiInSelectEl ? midiInSelectEl.value : '';
+    var out = [];
+    midiAccess.inputs.forEach(function (input) {
+      if (!want || want === input.id) out.push(input);
+    });
+    return out;
   }
 
-  function wavFilenameForViewLayer() {
-    return exportBasename() + '.wav';
+  function syncMidiInputs() {
+    if (!midiAccess) return;
+    if (midiInSelectEl) {
+      var cur = midiInSelectEl.value;
+      midiInSelectEl.innerHTML = '<option value="">All inputs</option>';
+      midiAccess.inputs.forEach(function (input) {
+        var o = document.createElement('option');
+        o.value = input.id;
+        o.textContent = input.name || input.id;
+        midiInSelectEl.appendChild(o);
+      });
+      midiInSelectEl.value = cur;
+      if (midiInSelectEl.value !== cur) midiInSelectEl.value = '';
+    }
+    if (midiOutSelectEl) {
+      var curOut = midiOutSelectEl.value;
+      midiOutSelectEl.innerHTML = '<option value="">None</option>';
+      midiAccess.outputs.forEach(function (output) {
+        var o = document.createElement('option');
+        o.value = output.id;
+        o.textContent = output.name || output.id;
+        midiOutSelectEl.appendChild(o);
+      });
+      midiOutSelectEl.value = curOut;
+      if (midiOutSelectEl.value !== curOut) midiOutSelectEl.value = '';
+    }
+    midiAccess.inputs.forEach(function (input) { input.onmidimessage = null; });
+    selectedMidiInputs().forEach(function (input) { input.onmidimessage = handleMidiMessage; });
+    if (!midiLearning) setMidiStatus(midiAccess.inputs.size ? 'MIDI ready' : 'No MIDI inputs');
   }
 
-  function midiFilenameForViewLayer() {
-    return exportBasename() + '.mid';
+  async function connectMidi() {
+    if (midiAccess) return midiAccess;
+    if (!navigator.requestMIDIAccess) {
+      setMidiStatus('Web MIDI not supported');
+      return null;
+    }
+    try {
+      midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+    } catch (err) {
+      console.error(err);
+      setMidiStatus('MIDI blocked');
+      return null;
+    }
+    midiAccess.onstatechange = function () { syncMidiInputs(); };
+    syncMidiInputs();
+    if (midiConnectBtn) midiConnectBtn.hidden = true;
+    return midiAccess;
   }
 
-  var GM_DRUM_NOTES = {
-    kick: 36,
-    snare: 38,
-    clap: 39,
-    hatClosed: 42,
-    hatOpen: 46,
-    ride: 51,
-    cowbell: 56,
-    tom: 45
-  };
+  function handleMidiMessage(e) {
+    var data = e.data;
+    if (!data || !data.length) return;
+    if (data[0] >= 0xf0) {
+      onMidiSystemMessage(data, e.timeStamp);
+      return;
+    }
+    var type = data[0] & 0xf0;
+    if (type === 0x90 && data[2] > 0) onMidiNoteOn(data[0] & 0x0f, data[1], data[2]);
+  }
 
-  function midiNoteForSampleId(id) {
-    var s = sampleById(id);
-    if (!s) return null;
-    if (s.type === 'maker') {
-      var key = s.maker === 'hat' ? (s.open ? 'hatOpen' : 'hatClosed') : s.maker;
-      return { ch: 9, note: GM_DRUM_NOTES[key] != null ? GM_DRUM_NOTES[key] : 37 };
+  function onMidiNoteOn(ch, note, vel) {
+    if (midiLearning) {
+      midiLearning = false;
+      if (midiLearnBtn) midiLearnBtn.classList.remove('is-learning');
+      midiNoteMap[note] = paintSample;
+      var learned = sampleById(paintSample);
+      setMidiStatus('Note ' + note + ' → ' + (learned ? learned.label : paintSample));
     }
-    // Words / samples → melodic channel so they still export
-    if (s.type === 'text') {
-      var ti = parseInt(String(s.id).replace(/\D/g, ''), 10) || 1;
-      return { ch: 0, note: 59 + Math.max(1, Math.min(9, ti)) };
+    var id = sampleIdForPadNote(ch, note);
+    if (!id) return;
+    var hit = makeCell(id, vel);
+    if (ctx) {
+      // Still-rendering word / maker buffers simply stay silent until ready.
+      playBuf(id, ctx.currentTime, { gain: cellGain(hit) });
+    }
+    if (midiRecArmEl && midiRecArmEl.checked && playing && ctx && !transport.free) {
+      recordPadHit(hit, ctx.currentTime);
     }
-    var si = parseInt(String(s.id).replace(/\D/g, ''), 10) || 1;
-    return { ch: 0, note: 71 + Math.max(1, Math.min(9, si)) };
   }
 
-  function midiWriteVarLen(n) {
-    var buf = [n & 0x7f];
-    n >>= 7;
-    while (n > 0) {
-      buf.unshift((n & 0x7f) | 0x80);
-      n >>= 7;
+  /** Quantize a live hit into the playing wheel's nearest free segment. */
+  function recordPadHit(hit, now) {
+    var ev = activeLayerAt(now);
+    var layerIdx = ev ? ev.layer : viewLayer;
+    var pat = layers[layerIdx] && layers[layerIdx].pattern;
+    if (!pat) return;
+    var phase = getTransportPhase(now);
+    if (!midiRecTake) {
+      recordHistory('Record pads');
+      midiRecTake = { cleared: {} };
     }
-    return buf;
+
+    var clearKey = layerIdx + ':' + hit.id;
+    if (midiRecModeEl && midiRecModeEl.value === 'replace' && !midiRecTake.cleared[clearKey]) {
+      midiRecTake.cleared[clearKey] = true;
+      RINGS.forEach(function (ring) {
+        var steps = pat[ring.id];
+        for (var i = 0; i < steps.length; i++) {
+          if (cellId(steps[i]) !== hit.id) continue;
+          steps[i] = null;
+          if (layerIdx === viewLayer) paintSeg(ring.id, i);
+        }
+      });
+    }
+
+    var best = null;
+    RINGS.forEach(function (ring) {
+      var n = ring.segments;
+      // Quantize in the ring's own cycle, as playback places it (polymetric rings drift).
+      var len = ringBeats(layerIdx, ring.id);
+      var rp = ringPhase(ring.id, ev ? ev.pass : 0, phase, layerIdx);
+      // Both grid points around the hit, so a taken nearest step falls back to the other side.
+      var below = Math.floor(rp * n);
+      [below, below + 1].forEach(function (k) {
+        var idx = k % n;
+        var dist = Math.abs(rp - k / n) * len;
+        var cur = pat[ring.id][idx];
+        if (cur && cur.id !== hit.id) return;
+        // Prefer the closest grid point; ties go to coarser rings.
+        if (!best || dist < best.dist - 1e-6 || (Math.abs(dist - best.dist) <= 1e-6 && n < best.n)) {
+          best = { ringId: ring.id, idx: idx, dist: dist, n: n, cur: cur };
+        }
+      });
+    });
+    if (!best) {
+      setMidiStatus(sampleById(hit.id).label + ' not recorded — every ring is taken at that step.');
+      return;
+    }
+    if (best.cur) best.cur.vel = hit.vel;
+    else pat[best.ringId][best.idx] = hit;
+    clearScrubHitCache();
+    if (layerIdx === viewLayer) paintSeg(best.ringId, best.idx);
   }
 
-  function midiConcat(chunks) {
-    var len = 0;
-    var i;
-    for (i = 0; i < chunks.length; i++) len += chunks[i].length;
-    var out = new Uint8Array(len);
-    var o = 0;
-    for (i = 0; i < chunks.length; i++) {
-      out.set(chunks[i], o);
-      o += chunks[i].length;
+  /** MIDI clock: 24 ticks per quarter note, so one 4/4 bar is 96 ticks. */
+  var CLOCK_PPQ = 24;
+  var CLOCK_BAR_TICKS = CLOCK_PPQ * 4;
+  /** Max bar-length correction per bar while following external clock. */
+  var CLOCK_MAX_STRETCH = 0.1;
+  var CLOCK_AVG_TICKS = 24;
+  /** Follow state: tick count since start, recent tick times (ctx seconds), pending start. */
+  var clockIn = { running: false, ticks: -1, times: [], lastTime: 0, spp: 0, startTick: -1 };
+  /** Output clock was last sent to, so Stop reaches it after the output or mode changes. */
+  var clockSentTo = null;
+
+  function midiClockMode() {
+    return midiClockModeEl ? midiClockModeEl.value : 'off';
+  }
+
+  function followingClock() {
+    return midiClockMode() === 'follow' && !!midiAccess;
+  }
+
+  function clockOutput() {
+    if (!midiAccess || midiClockMode() !== 'send' || !midiOutSelectEl || !midiOutSelectEl.value) return null;
+    return midiAccess.outputs.get(midiOutSelectEl.value) || null;
+  }
+
+  /** Audio-context seconds → performance.now() ms, aligned to what is heard. */
+  function ctxTimeToPerf(t) {
+    if (ctx.getOutputTimestamp) {
+      var ts = ctx.getOutputTimestamp();
+      if (ts && ts.performanceTime) return ts.performanceTime + (t - ts.contextTime) * 1000;
     }
-    return out;
+    return performance.now() + (t - ctx.currentTime) * 1000;
   }
 
-  function midiU16(n) {
-    return [(n >> 8) & 0xff, n & 0xff];
+  function perfToCtxTime(ms) {
+    if (ctx.getOutputTimestamp) {
+      var ts = ctx.getOutputTimestamp();
+      if (ts && ts.performanceTime) return ts.contextTime + (ms - ts.performanceTime) / 1000;
+    }
+    return ctx.currentTime - (performance.now() - ms) / 1000;
   }
 
-  function midiU32(n) {
-    return [(n >> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+  function sendClockPosition(bar, when) {
+    var out = clockOutput();
+    if (!out || !ctx) return;
+    // Song position counts sixteenth notes (14 bits).
+    var pos = Math.max(0, Math.min(16383, bar * 16));
+    clockSentTo = out;
+    out.send([0xf2, pos & 0x7f, (pos >> 7) & 0x7f], Math.max(0, ctxTimeToPerf(when) - 2));
   }
 
-  function buildViewWheelMidiBlob() {
-    var pat = layers[viewLayer] && layers[viewLayer].pattern;
-    if (!pat) return null;
-    var TPQ = 480;
-    var ticksPerBar = TPQ * 4;
-    var bpm = getBpm();
-    var events = [];
+  function sendClockStart(when, bar) {
+    var out = clockOutput();
+    if (!out || !ctx) return;
+    sendClockPosition(bar, when);
+    out.send([bar > 0 ? 0xfb : 0xfa], Math.max(0, ctxTimeToPerf(when) - 1));
+  }
 
-    RINGS.forEach(function (ring) {
-      var steps = pat[ring.id];
-      if (!steps) return;
-      var n = steps.length;
-      var i;
-      for (i = 0; i < n; i++) {
-        var id = steps[i];
-        if (!id) continue;
-        var map = midiNoteForSampleId(id);
-        if (!map || map.note == null) continue;
-        var tick = Math.round((i / n) * ticksPerBar);
-        var dur = Math.max(1, Math.round(ticksPerBar / n * 0.85));
-        events.push({ tick: tick, type: 'on', ch: map.ch, note: map.note, vel: 100 });
-        events.push({ tick: tick + dur, type: 'off', ch: map.ch, note: map.note, vel: 0 });
-      }
-    });
+  function sendClockStop() {
+    var out = clockSentTo || clockOutput();
+    clockSentTo = null;
+    if (!out) return;
+    if (out.clear) out.clear();
+    out.send([0xfc]);
+  }
 
-    events.sort(function (a, b) {
-      if (a.tick !== b.tick) return a.tick - b.tick;
-      if (a.type === b.type) return 0;
-      return a.type === 'off' ? -1 : 1;
-    });
+  /** Clock output or mode changed: stop the old port; while playing, pick up on the next bar line. */
+  function retargetClockOut() {
+    sendClockStop();
+    if (!playing || !ctx || transport.free) return;
+    sendClockStart(nextBarTime, songBar);
+  }
 
-    var track = [];
-    // Tempo meta
-    var usPerBeat = Math.round(60000000 / Math.max(1, bpm));
-    track.push.apply(track, midiWriteVarLen(0));
-    track.push(0xff, 0x51, 0x03, (usPerBeat >> 16) & 0xff, (usPerBeat >> 8) & 0xff, usPerBeat & 0xff);
+  /** Queue one bar of clock ticks; bars may differ in length (song tempo overrides). */
+  function sendClockBar(barStart, barDur) {
+    var out = clockOutput();
+    if (!out || !ctx) return;
+    var base = ctxTimeToPerf(barStart);
+    var tickMs = (barDur * 1000) / CLOCK_BAR_TICKS;
+    clockSentTo = out;
+    for (var i = 0; i < CLOCK_BAR_TICKS; i++) out.send([0xf8], base + i * tickMs);
+  }
 
-    var last = 0;
-    var ei;
-    for (ei = 0; ei < events.length; ei++) {
-      var ev = events[ei];
-      var delta = Math.max(0, ev.tick - last);
-      track.push.apply(track, midiWriteVarLen(delta));
-      if (ev.type === 'on') track.push(0x90 | (ev.ch & 0x0f), ev.note & 0x7f, ev.vel & 0x7f);
-      else track.push(0x80 | (ev.ch & 0x0f), ev.note & 0x7f, 0x40);
-      last = ev.tick;
-    }
-    // End of track
-    track.push.apply(track, midiWriteVarLen(0));
-    track.push(0xff, 0x2f, 0x00);
+  function clockTickInterval() {
+    var t = clockIn.times;
+    if (t.length < 2) return 0;
+    return (t[t.length - 1] - t[0]) / (t.length - 1);
+  }
 
-    var trackBytes = new Uint8Array(track);
-    var header = midiConcat([
-      new Uint8Array([0x4d, 0x54, 0x68, 0x64]),
-      new Uint8Array(midiU32(6)),
-      new Uint8Array(midiU16(0)), // format 0
-      new Uint8Array(midiU16(1)), // one track
-      new Uint8Array(midiU16(TPQ))
-    ]);
-    var trackChunk = midiConcat([
-      new Uint8Array([0x4d, 0x54, 0x72, 0x6b]),
-      new Uint8Array(midiU32(trackBytes.length)),
-      trackBytes
-    ]);
-    return new Blob([midiConcat([header, trackChunk])], { type: 'audio/midi' });
+  function clockBpm() {
+    var iv = clockTickInterval();
+    return iv > 0 ? 60 / (iv * CLOCK_PPQ) : 0;
   }
 
-  function saveViewWheelMidi() {
-    if (!layerHasHits(viewLayer)) {
-      alert('This wheel has no hits to save.');
-      return;
-    }
-    try {
-      var blob = buildViewWheelMidiBlob();
-      if (!blob) {
-        alert('Could not save MIDI.');
-        return;
+  /**
+   * Length of the bar starting at barStart so that it ends on the clock's next bar line.
+   * Stretch is capped per bar, so drift is pulled in smoothly rather than jumped.
+   */
+  function clockFollowBarDur(barStart, nominal) {
+    var iv = clockTickInterval();
+    if (!clockIn.running || !(iv > 0) || clockIn.ticks < 0) return nominal;
+    var nominalClock = iv * CLOCK_BAR_TICKS;
+    var tickAtStart = clockIn.ticks + Math.round((barStart - clockIn.lastTime) / iv);
+    var barLine = Math.round((tickAtStart - clockIn.startTick) / CLOCK_BAR_TICKS) * CLOCK_BAR_TICKS + clockIn.startTick;
+    var targetEnd = clockIn.lastTime + (barLine + CLOCK_BAR_TICKS - clockIn.ticks) * iv;
+    var dur = targetEnd - barStart;
+    var lo = nominalClock * (1 - CLOCK_MAX_STRETCH);
+    var hi = nominalClock * (1 + CLOCK_MAX_STRETCH);
+    return Math.max(lo, Math.min(hi, dur));
+  }
+
+  function transportBarDur(barStart, nominal) {
+    return followingClock() && playing ? clockFollowBarDur(barStart, nominal) : nominal;
+  }
+
+  function onMidiSystemMessage(data, stamp) {
+    if (!followingClock() || !ctx) return;
+    var status = data[0];
+    if (status === 0xf8) {
+      onClockTick(perfToCtxTime(stamp || performance.now()));
+    } else if (status === 0xfa) {
+      clockIn.running = true;
+      clockIn.ticks = -1;
+      clockIn.startTick = 0;
+      clockIn.spp = 0;
+      if (playing) pause();
+    } else if (status === 0xfb) {
+      clockIn.running = true;
+      clockIn.ticks = clockIn.spp * 6 - 1;
+      // Continue lands mid-bar: start on the next bar line of the leader.
+      clockIn.startTick = Math.ceil(clockIn.spp * 6 / CLOCK_BAR_TICKS) * CLOCK_BAR_TICKS;
+      if (playing) pause();
+    } else if (status === 0xfc) {
+      clockIn.running = false;
+      if (playing) pause();
+      setMidiStatus('Clock stopped');
+    } else if (status === 0xf2 && data.length >= 3) {
+      clockIn.spp = data[1] | (data[2] << 7);
+    }
+  }
+
+  function onClockTick(time) {
+    var t = clockIn.times;
+    var iv = clockTickInterval();
+    // A long gap means the leader restarted its clock; drop the stale average.
+    if (iv > 0 && time - clockIn.lastTime > iv * 4) t.length = 0;
+    t.push(time);
+    if (t.length > CLOCK_AVG_TICKS + 1) t.shift();
+    clockIn.lastTime = time;
+    if (!clockIn.running) return;
+    clockIn.ticks += 1;
+    if (clockIn.ticks === clockIn.startTick && !playing) {
+      var bar = Math.round(clockIn.startTick / CLOCK_BAR_TICKS);
+      play({ at: time, bar: bar }).catch(function (err) { console.error(err); });
+    }
+    if (clockIn.ticks % CLOCK_PPQ === 0) {
+      var bpm = clockBpm();
+      if (bpm > 0) {
+        setMidiStatus('Clock ' + bpm.toFixed(1) + ' BPM');
+        var shown = Math.max(50, Math.min(130, Math.round(bpm)));
+        if (shown !== getBpm()) applyBpmValue(shown);
       }
-      downloadBlob(blob, midiFilenameForViewLayer());
-    } catch (err) {
-      console.error(err);
-      alert('Could not save MIDI.');
     }
   }
 
@@ -5757,6 +10378,72 @@
     return out;
   }
 
+  /** VOICE line: seed, then the engine (SAM unless noted), its values in use and the phoneme / split / chop flags. */
+  function encodeVoiceLine(sampleId) {
+    var vp = sayVoiceParams[sampleId];
+    var name = speechEngineName(vp);
+    var values = speechParamsForSample(sampleId);
+    var parts = Object.keys(SPEECH_ENGINES[name].ranges).map(function (key) { return key + '=' + values[key]; });
+    if (name !== 'sam') parts.unshift('engine=' + name);
+    if (vp.phonetic) parts.push('phon=1');
+    if (vp.split) parts.push('split=1');
+    if (vp.chop) parts.push('chop=1');
+    return 'VOICE ' + sampleId + '|' + escapeCodeToken(String(vp.voiceSeed)) + '|' + parts.join(' ');
+  }
+
+  /** Body of a VOICE line (after the id): seed alone in older codes; no engine= means SAM. */
+  function parseVoiceFields(body) {
+    var i;
+    for (i = 0; i < body.length; i++) {
+      if (body[i] === '\\') i += 1;
+      else if (body[i] === '|') break;
+    }
+    var voice = { voiceSeed: unescapeCodeToken(body.slice(0, i)) };
+    var pairs = body.slice(i + 1).split(/\s+/);
+    pairs.forEach(function (pair) {
+      if (pair.slice(0, 7) === 'engine=' && SPEECH_ENGINES[pair.slice(7)]) voice.engine = pair.slice(7);
+    });
+    var ranges = SPEECH_ENGINES[speechEngineName(voice)].ranges;
+    pairs.forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      if (eq < 1) return;
+      var key = pair.slice(0, eq);
+      var v = parseInt(pair.slice(eq + 1), 10);
+      if (ranges === SAM_RANGES && SAM_RANGES[key] && Number.isFinite(v)) voice[key] = Math.max(0, Math.min(255, v));
+      else if (ranges[key] && Number.isFinite(v)) voice[key] = Math.max(ranges[key][0], Math.min(ranges[key][1], v));
+      else if (key === 'phon') voice.phonetic = v === 1;
+      else if (key === 'split') voice.split = v === 1;
+      else if (key === 'chop') voice.chop = v === 1;
+    });
+    return voice;
+  }
+
+  /** EDIT line: sample editor settings that differ from the defaults (booleans as 1). */
+  function encodeSampleEditLine(sampleId) {
+    var edit = sampleEdits[sampleId];
+    var parts = [];
+    Object.keys(SAMPLE_EDIT_DEFAULTS).forEach(function (key) {
+      if (edit[key] === SAMPLE_EDIT_DEFAULTS[key]) return;
+      parts.push(key + '=' + (typeof edit[key] === 'boolean' ? 1 : edit[key]));
+    });
+    return 'EDIT ' + sampleId + ' ' + parts.join(' ');
+  }
+
+  function parseSampleEditPairs(pairs) {
+    var edit = Object.assign({}, SAMPLE_EDIT_DEFAULTS);
+    pairs.forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      var key = pair.slice(0, eq);
+      if (eq < 1 || !Object.prototype.hasOwnProperty.call(SAMPLE_EDIT_DEFAULTS, key)) return;
+      var raw = pair.slice(eq + 1);
+      if (typeof SAMPLE_EDIT_DEFAULTS[key] === 'boolean') edit[key] = raw === '1';
+      else if (Number.isFinite(parseFloat(raw))) edit[key] = Math.max(key === 'gain' ? -24 : 0, parseFloat(raw));
+    });
+    edit.choke = Math.min(CHOKE_GROUPS, Math.round(edit.choke));
+    edit.gain = Math.min(12, edit.gain);
+    return edit;
+  }
+
   /** Serialize full project to pasteable Circle Beat code. */
   function encodeProjectCode() {
     var lines = [];
@@ -5788,13 +10475,14 @@
       var text = String(sayTexts[s.id] || '').trim();
       if (text) lines.push('SAY ' + s.id + '|' + escapeCodeToken(text));
       var vp = sayVoiceParams[s.id];
-      if (vp && vp.voiceSeed) lines.push('VOICE ' + s.id + '|' + escapeCodeToken(String(vp.voiceSeed)));
+      if (vp && vp.voiceSeed) lines.push(encodeVoiceLine(s.id));
     });
 
     SAMPLES.forEach(function (s) {
       if (s.type !== 'sample') return;
       var name = String(sampleNames[s.id] || '').trim();
       if (name) lines.push('FILE ' + s.id + '|' + escapeCodeToken(name));
+      if (sampleEdits[s.id]) lines.push(encodeSampleEditLine(s.id));
     });
 
     makerIds.forEach(function (id) {
@@ -5810,6 +10498,39 @@
       if (parts.length) lines.push('MAKER ' + id + ' ' + parts.join(' '));
     });
 
+    SAMPLES.forEach(function (s) {
+      if (!mixer[s.id]) return;
+      var m = mixer[s.id];
+      lines.push('MIX ' + s.id + ' vol=' + m.vol + ' pan=' + m.pan + ' send=' + m.send +
+        ' mute=' + (m.mute ? 1 : 0) + ' solo=' + (m.solo ? 1 : 0) + ' duck=' + (m.duck ? 1 : 0));
+    });
+
+    if (Object.keys(MASTER_DEFAULTS).some(function (k) { return masterFx[k] !== MASTER_DEFAULTS[k]; })) {
+      lines.push(encodeMasterLine());
+    }
+    if (inserts.master) lines.push(encodeInsertLine('master'));
+    SAMPLES.forEach(function (s) {
+      if (inserts[s.id]) lines.push(encodeInsertLine(s.id));
+    });
+
+    if (scaleLock.root || scaleLock.scale !== 'off') lines.push('KEY ' + scaleLock.root + ' ' + scaleLock.scale);
+
+    var mapKeys = Object.keys(midiNoteMap);
+    if (mapKeys.length) {
+      lines.push('MIDIMAP ' + mapKeys.map(function (note) { return note + '=' + midiNoteMap[note]; }).join(' '));
+    }
+
+    if (arrangement.on || arrangement.entries.length) {
+      lines.push('ARRANGE ' + (arrangement.on ? 'on' : 'off'));
+      arrangement.entries.forEach(function (entry) {
+        var line = 'ARRANGE ' + entry.layer + ' ' + entry.repeat;
+        if (entry.bpm) line += ' bpm=' + entry.bpm;
+        if (entry.mute.length) line += ' mute=' + entry.mute.join(',');
+        if (entry.fill) line += ' fill=1';
+        lines.push(line);
+      });
+    }
+
     layers.forEach(function (layer, idx) {
       lines.push('WHEEL ' + idx + ' ' + (layer.enabled ? 1 : 0));
       RINGS.forEach(function (ring) {
@@ -5817,10 +10538,19 @@
         var cells = [];
         var i;
         for (i = 0; i < ring.segments; i++) {
-          cells.push(steps[i] ? steps[i] : '_');
+          cells.push(encodeCellToken(steps[i]));
         }
         lines.push('RING ' + ring.id + ' ' + cells.join(','));
       });
+      var lengths = layer.lengths || {};
+      var lenKeys = Object.keys(lengths);
+      if (lenKeys.length) {
+        lines.push('LEN ' + idx + ' ' + lenKeys.map(function (id) { return id + '=' + lengths[id]; }).join(' '));
+      }
+      var melodicIds = Object.keys(layer.melodic || {});
+      if (melodicIds.length) lines.push('MELODIC ' + idx + ' ' + melodicIds.join(' '));
+      var autoLine = encodeAutoLine(idx);
+      if (autoLine) lines.push(autoLine);
     });
 
     lines.push('END');
@@ -5836,7 +10566,9 @@
     return unescapeCodeToken(raw);
   }
 
-  async function applyProjectCode(text) {
+  /** opts.buffers: sample id → AudioBuffer to keep instead of clearing (library restore). */
+  async function applyProjectCode(text, opts) {
+    opts = opts || {};
     var raw = String(text || '').replace(/^\uFEFF/, '').trim();
     if (!raw) throw new Error('Empty code');
     var lines = raw.split(/\r?\n/);
@@ -5847,12 +10579,19 @@
     var nextLayers = [];
     var i;
     for (i = 0; i < MAX_CIRCLES; i++) {
-      nextLayers.push({ enabled: false, pattern: emptyPattern() });
+      nextLayers.push({ enabled: false, pattern: emptyPattern(), auto: {}, lengths: {}, melodic: {} });
     }
     var nextSays = {};
     var nextVoices = {};
     var nextFiles = {};
     var nextMakers = {};
+    var nextArrange = { on: false, entries: [] };
+    var nextMidiMap = {};
+    var nextMixer = {};
+    var nextInserts = {};
+    var nextMaster = Object.assign({}, MASTER_DEFAULTS);
+    var nextKey = { root: 0, scale: 'off' };
+    var nextSampleEdits = {};
     var meta = {
       bpm: null, human: null, swing: null, swingTo: null,
       reverb: null, revDur: null, stereo: null,
@@ -5884,10 +10623,13 @@
         if (pipe > 0) nextSays[rest.slice(0, pipe)] = unescapeCodeToken(rest.slice(pipe + 1));
       } else if (tag === 'VOICE') {
         var vp = rest.indexOf('|');
-        if (vp > 0) nextVoices[rest.slice(0, vp)] = unescapeCodeToken(rest.slice(vp + 1));
+        if (vp > 0) nextVoices[rest.slice(0, vp)] = parseVoiceFields(rest.slice(vp + 1));
       } else if (tag === 'FILE') {
         var fp = rest.indexOf('|');
         if (fp > 0) nextFiles[rest.slice(0, fp)] = unescapeCodeToken(rest.slice(fp + 1));
+      } else if (tag === 'EDIT') {
+        var ep = rest.split(/\s+/);
+        if (sampleById(ep[0]) && sampleById(ep[0]).type === 'sample') nextSampleEdits[ep[0]] = parseSampleEditPairs(ep.slice(1));
       } else if (tag === 'MAKER') {
         var msp = rest.indexOf(' ');
         if (msp > 0) {
@@ -5909,6 +10651,79 @@
           });
           nextMakers[mid] = obj;
         }
+      } else if (tag === 'MIX') {
+        var mxp = rest.split(/\s+/);
+        if (sampleById(mxp[0])) {
+          var mx = mixDefaults(mxp[0]);
+          mxp.slice(1).forEach(function (pair) {
+            var eq = pair.indexOf('=');
+            if (eq < 1) return;
+            var mk = pair.slice(0, eq);
+            var mv = parseInt(pair.slice(eq + 1), 10);
+            if (!Number.isFinite(mv)) return;
+            if (mk === 'vol') mx.vol = Math.max(0, Math.min(150, mv));
+            else if (mk === 'pan') mx.pan = Math.max(-100, Math.min(100, mv));
+            else if (mk === 'send') mx.send = Math.max(0, Math.min(100, mv));
+            else if (mk === 'mute' || mk === 'solo' || mk === 'duck') mx[mk] = mv === 1;
+          });
+          nextMixer[mxp[0]] = mx;
+        }
+      } else if (tag === 'MASTER') {
+        nextMaster = parseMasterLine(rest);
+      } else if (tag === 'FX') {
+        var ins = parseInsertLine(rest);
+        if (ins) nextInserts[ins.slot] = ins.fx;
+      } else if (tag === 'MIDIMAP') {
+        rest.split(/\s+/).forEach(function (pair) {
+          var eq = pair.indexOf('=');
+          var note = parseInt(pair.slice(0, eq), 10);
+          if (eq > 0 && note >= 0 && note < 128 && sampleById(pair.slice(eq + 1))) {
+            nextMidiMap[note] = pair.slice(eq + 1);
+          }
+        });
+      } else if (tag === 'ARRANGE') {
+        var ap = rest.split(/\s+/);
+        if (ap[0] === 'on' || ap[0] === 'off') nextArrange.on = ap[0] === 'on';
+        else if (/^\d+$/.test(ap[0]) && nextArrange.entries.length < ARRANGE_MAX_ENTRIES) {
+          var aBpm = null;
+          var aMute = [];
+          var aFill = false;
+          ap.slice(2).forEach(function (pair) {
+            var eq = pair.indexOf('=');
+            if (eq < 1) return;
+            if (pair.slice(0, eq) === 'bpm') aBpm = parseInt(pair.slice(eq + 1), 10);
+            else if (pair.slice(0, eq) === 'mute') aMute = pair.slice(eq + 1).split(',');
+            else if (pair.slice(0, eq) === 'fill') aFill = pair.slice(eq + 1) === '1';
+          });
+          nextArrange.entries.push(makeArrangeEntry(parseInt(ap[0], 10), parseInt(ap[1], 10), aBpm, aMute, aFill));
+        }
+      } else if (tag === 'LEN') {
+        var lnp = rest.split(/\s+/);
+        var lnWheel = parseInt(lnp[0], 10);
+        if (lnWheel >= 0 && lnWheel < MAX_CIRCLES) {
+          lnp.slice(1).forEach(function (pair) {
+            var eq = pair.indexOf('=');
+            var beats = parseInt(pair.slice(eq + 1), 10);
+            if (eq < 1 || !ringSegmentCount(pair.slice(0, eq))) return;
+            if (beats >= 1 && beats <= RING_MAX_BEATS && beats !== BAR_BEATS) nextLayers[lnWheel].lengths[pair.slice(0, eq)] = beats;
+          });
+        }
+      } else if (tag === 'MELODIC') {
+        var mlp = rest.split(/\s+/);
+        var mlWheel = parseInt(mlp[0], 10);
+        if (mlWheel >= 0 && mlWheel < MAX_CIRCLES) {
+          mlp.slice(1).forEach(function (id) {
+            if (ringSegmentCount(id)) nextLayers[mlWheel].melodic[id] = true;
+          });
+        }
+      } else if (tag === 'KEY') {
+        var kp = rest.split(/\s+/);
+        var kRoot = parseInt(kp[0], 10);
+        if (kRoot >= 0 && kRoot < 12) nextKey.root = kRoot;
+        if (Object.prototype.hasOwnProperty.call(SCALES, kp[1])) nextKey.scale = kp[1];
+      } else if (tag === 'AUTO') {
+        var al = parseAutoLine(rest);
+        if (al.layer >= 0 && al.layer < MAX_CIRCLES) nextLayers[al.layer].auto = al.auto;
       } else if (tag === 'WHEEL') {
         var wp = rest.split(/\s+/);
         curWheel = parseInt(wp[0], 10);
@@ -5926,8 +10741,7 @@
             var arr = Array(ring.segments).fill(null);
             var c;
             for (c = 0; c < ring.segments && c < cells.length; c++) {
-              var cell = cells[c];
-              arr[c] = (!cell || cell === '_') ? null : cell;
+              arr[c] = parseCellToken(cells[c]);
             }
             nextLayers[curWheel].pattern[rid] = arr;
           }
@@ -5938,20 +10752,29 @@
     if (playing) pause();
 
     layers = nextLayers;
+    scheduleAutoBanks();
     if (!layers.some(function (l) { return l.enabled; })) {
       layers[0].enabled = true;
     }
-
+    arrangement = nextArrange;
+    midiNoteMap = nextMidiMap;
+    mixer = nextMixer;
+    applyMixer();
+    inserts = nextInserts;
+    applyAllInserts();
+    masterFx = nextMaster;
+    applyMasterFx();
+    scaleLock = nextKey;
+    songBar = 0;
+    shownSongEntry = -1;
+    buildSongStrip();
+
+    sampleEdits = nextSampleEdits;
     SAMPLES.forEach(function (s) {
       if (s.type === 'text') {
         sayTexts[s.id] = nextSays[s.id] != null ? nextSays[s.id] : '';
         if (nextVoices[s.id]) {
-          sayVoiceParams[s.id] = {
-            engine: 'sam',
-            voiceSeed: nextVoices[s.id],
-            pitchVar: 0,
-            volVar: 0
-          };
+          sayVoiceParams[s.id] = Object.assign({ engine: 'sam', pitchVar: 0, volVar: 0 }, nextVoices[s.id]);
         }
         delete soundBank[s.id];
       }
@@ -5959,6 +10782,15 @@
         sampleNames[s.id] = nextFiles[s.id] != null ? nextFiles[s.id] : '';
         // Sample audio is not embedded in code — clear buffers so user can reload files.
         delete soundBank[s.id];
+        delete sampleRaw[s.id];
+      }
+      if (opts.buffers && opts.buffers[s.id]) {
+        if (s.type === 'sample') {
+          sampleRaw[s.id] = opts.buffers[s.id];
+          setSampleEditState(s.id, sampleEdits[s.id]);
+        } else {
+          soundBank[s.id] = opts.buffers[s.id];
+        }
       }
     });
 
@@ -6051,55 +10883,512 @@
       fileMenuSub.hidden = false;
       fileMenuSub.classList.add('open');
     } else {
-      fileMenuSub.classList.remove('open');
-      fileMenuSub.hidden = true;
+      fileMenuSub.classList.remove('open');
+      fileMenuSub.hidden = true;
+    }
+  }
+
+  function openCodeSheet(mode, presetText) {
+    codeSheetMode = mode === 'save' ? 'save' : 'load';
+    if (!codeSheet) return;
+    if (codeTitle) codeTitle.textContent = codeSheetMode === 'save' ? 'Save as code' : 'Load code';
+    if (codeHint) {
+      codeHint.textContent = codeSheetMode === 'save'
+        ? 'Copy or download this code. Sample audio is not embedded — only file names are stored.'
+        : 'Paste a Circle Beat code, then Load. Missing sample files will be listed.';
+    }
+    if (codeText) codeText.value = presetText || '';
+    if (codeCopyBtn) codeCopyBtn.hidden = codeSheetMode !== 'save';
+    if (codeActionBtn) {
+      codeActionBtn.textContent = codeSheetMode === 'save' ? 'Download' : 'Load';
+      codeActionBtn.classList.add('primary');
+    }
+    codeSheet.classList.add('open');
+    codeSheet.setAttribute('aria-hidden', 'false');
+    if (codeText && codeSheetMode === 'load') {
+      setTimeout(function () { try { codeText.focus(); } catch (e) { /* ignore */ } }, 0);
+    }
+  }
+
+  function closeCodeSheet() {
+    if (!codeSheet) return;
+    codeSheet.classList.remove('open');
+    codeSheet.setAttribute('aria-hidden', 'true');
+  }
+
+  function saveProjectCode() {
+    var code = encodeProjectCode();
+    openCodeSheet('save', code);
+  }
+
+  async function loadProjectCodeFromUi() {
+    try {
+      var snap = captureSnapshot();
+      var missing = await applyProjectCode(codeText ? codeText.value : '');
+      pushHistory('Load code', snap);
+      closeCodeSheet();
+      if (missing && missing.length) {
+        alert('Project loaded, but these sample files are missing:\n\n' + missing.join('\n') +
+          '\n\nUse Sample → Load to add each file.');
+      }
+    } catch (err) {
+      console.error(err);
+      alert(err && err.message ? err.message : 'Could not load code.');
+    }
+  }
+
+  /** Project library (IndexedDB): projects store holds code + thumb, audio store holds sample / word PCM. */
+  var LIBRARY_DB = 'circlebeat';
+  var LIBRARY_VERSION = 1;
+  var AUTOSAVE_MS = 4000;
+  var THUMB_PX = 96;
+  var libraryDb = null;
+  /** Current library entry ({ id, name, created }) or null until the first autosave. */
+  var currentProject = null;
+  var lastSavedCode = '';
+  /** sample id → soundBank buffer last written to the audio store. */
+  var savedAudioRefs = {};
+  var libraryBusy = false;
+
+  function idbRequest(req) {
+    return new Promise(function (resolve, reject) {
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error); };
+    });
+  }
+
+  function idbDone(tx) {
+    return new Promise(function (resolve, reject) {
+      tx.oncomplete = function () { resolve(); };
+      tx.onerror = function () { reject(tx.error); };
+      tx.onabort = function () { reject(tx.error); };
+    });
+  }
+
+  async function openLibrary() {
+    if (libraryDb) return libraryDb;
+    if (!window.indexedDB) return null;
+    var req = indexedDB.open(LIBRARY_DB, LIBRARY_VERSION);
+    req.onupgradeneeded = function () {
+      var db = req.result;
+      if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('audio')) {
+        var audio = db.createObjectStore('audio', { keyPath: 'key' });
+        audio.createIndex('project', 'project');
+      }
+    };
+    libraryDb = await idbRequest(req);
+    return libraryDb;
+  }
+
+  function newProjectId() {
+    return 'p' + Date.now().toString(36) + Math.floor(Math.random() * 1e6).toString(36);
+  }
+
+  function defaultProjectName() {
+    return 'Beat ' + new Date().toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  /** Loaded files and rendered words; maker drums re-render from their params. */
+  function storedAudioIds() {
+    return SAMPLES.filter(function (s) {
+      return (s.type === 'sample' || s.type === 'text') && storedAudioFor(s.id) &&
+        typeof storedAudioFor(s.id).getChannelData === 'function';
+    }).map(function (s) { return s.id; });
+  }
+
+  /** Audio a project keeps for a slot: the decoded file for samples (their edits live in the code). */
+  function storedAudioFor(sampleId) {
+    return sampleRaw[sampleId] || soundBank[sampleId];
+  }
+
+  function audioRecord(projectId, sampleId) {
+    var buf = storedAudioFor(sampleId);
+    var channels = [];
+    for (var ch = 0; ch < buf.numberOfChannels; ch++) channels.push(buf.getChannelData(ch).slice());
+    return {
+      key: projectId + '/' + sampleId,
+      project: projectId,
+      sample: sampleId,
+      text: sampleById(sampleId).type === 'text' ? String(sayTexts[sampleId] || '').trim() : null,
+      sampleRate: buf.sampleRate,
+      length: buf.length,
+      channels: channels,
+      parts: wordParts.get(buf) || null
+    };
+  }
+
+  function bufferFromRecord(rec) {
+    var buf = ctx.createBuffer(rec.channels.length, rec.length, rec.sampleRate);
+    rec.channels.forEach(function (data, ch) { buf.copyToChannel(data, ch, 0); });
+    if (rec.parts) wordParts.set(buf, rec.parts);
+    return buf;
+  }
+
+  /** SAY lines of a project code: word sample id → text. */
+  function codeSayTexts(code) {
+    var says = {};
+    String(code || '').split(/\r?\n/).forEach(function (line) {
+      var m = /^SAY (\S+?)\|(.*)$/.exec(line.trim());
+      if (m) says[m[1]] = unescapeCodeToken(m[2]).trim();
+    });
+    return says;
+  }
+
+  /** Small disc picture of the view wheel: one arc per painted segment. */
+  function renderDiscThumb() {
+    var canvas = document.createElement('canvas');
+    canvas.width = THUMB_PX;
+    canvas.height = THUMB_PX;
+    var g = canvas.getContext('2d');
+    var scale = THUMB_PX / (OUTER * 2 + 20);
+    var c = THUMB_PX / 2;
+    g.fillStyle = '#111116';
+    g.beginPath();
+    g.arc(c, c, OUTER * scale, 0, Math.PI * 2);
+    g.fill();
+    var pat = layers[viewLayer] && layers[viewLayer].pattern;
+    RINGS.forEach(function (ring, r) {
+      var radii = ringRadii(r);
+      var steps = (pat && pat[ring.id]) || [];
+      var span = (Math.PI * 2) / ring.segments;
+      for (var i = 0; i < ring.segments; i++) {
+        var s = sampleById(cellId(steps[i]));
+        if (!s) continue;
+        var a0 = START_ANGLE + i * span;
+        g.globalAlpha = cellOpacity(steps[i]);
+        g.fillStyle = s.color;
+        g.beginPath();
+        g.arc(c, c, radii.outer * scale, a0, a0 + span);
+        g.arc(c, c, radii.inner * scale, a0 + span, a0, true);
+        g.closePath();
+        g.fill();
+      }
+    });
+    return canvas.toDataURL('image/png');
+  }
+
+  /** Write the current state to its library entry; only changed audio is rewritten. */
+  async function saveCurrentProject(force) {
+    if (libraryBusy) return;
+    var db = await openLibrary();
+    if (!db) return;
+    var code = encodeProjectCode();
+    var ids = storedAudioIds();
+    var audioChanged = ids.some(function (id) { return savedAudioRefs[id] !== storedAudioFor(id); }) ||
+      Object.keys(savedAudioRefs).some(function (id) { return ids.indexOf(id) < 0; });
+    if (!force && currentProject && code === lastSavedCode && !audioChanged) return;
+    if (!currentProject) {
+      currentProject = { id: newProjectId(), name: defaultProjectName(), created: Date.now() };
+    }
+    var id = currentProject.id;
+    var tx = db.transaction(['projects', 'audio'], 'readwrite');
+    tx.objectStore('projects').put({
+      id: id,
+      name: currentProject.name,
+      code: code,
+      thumb: renderDiscThumb(),
+      created: currentProject.created,
+      updated: Date.now()
+    });
+    var audio = tx.objectStore('audio');
+    var nextRefs = {};
+    ids.forEach(function (sid) {
+      nextRefs[sid] = storedAudioFor(sid);
+      if (savedAudioRefs[sid] !== nextRefs[sid]) audio.put(audioRecord(id, sid));
+    });
+    Object.keys(savedAudioRefs).forEach(function (sid) {
+      if (!nextRefs[sid]) audio.delete(id + '/' + sid);
+    });
+    await idbDone(tx);
+    lastSavedCode = code;
+    savedAudioRefs = nextRefs;
+  }
+
+  function autosave() {
+    saveCurrentProject(false).catch(function (err) { console.error(err); });
+  }
+
+  async function listProjects() {
+    var db = await openLibrary();
+    if (!db) return [];
+    var all = await idbRequest(db.transaction('projects').objectStore('projects').getAll());
+    return all.sort(function (a, b) { return b.updated - a.updated; });
+  }
+
+  async function projectAudio(db, projectId) {
+    var index = db.transaction('audio').objectStore('audio').index('project');
+    return idbRequest(index.getAll(projectId));
+  }
+
+  /** Load a library entry (code + stored audio) and make it the autosave target. */
+  async function openProject(id) {
+    var db = await openLibrary();
+    if (!db) return;
+    var rec = await idbRequest(db.transaction('projects').objectStore('projects').get(id));
+    if (!rec) throw new Error('Project not found.');
+    var audio = await projectAudio(db, id);
+    await ensureAudio();
+    var buffers = {};
+    var says = codeSayTexts(rec.code);
+    audio.forEach(function (a) {
+      // Word audio only counts if it was rendered from the word now in the code.
+      if (a.text != null && says[a.sample] !== a.text) return;
+      buffers[a.sample] = bufferFromRecord(a);
+    });
+    libraryBusy = true;
+    try {
+      await applyProjectCode(rec.code, { buffers: buffers });
+    } finally {
+      libraryBusy = false;
+    }
+    currentProject = { id: rec.id, name: rec.name, created: rec.created };
+    // Undo steps belong to the project that was open before.
+    clearHistory();
+    lastSavedCode = encodeProjectCode();
+    savedAudioRefs = {};
+    Object.keys(buffers).forEach(function (sid) {
+      if (storedAudioFor(sid) === buffers[sid]) savedAudioRefs[sid] = buffers[sid];
+    });
+  }
+
+  async function duplicateProject(id) {
+    var db = await openLibrary();
+    var rec = await idbRequest(db.transaction('projects').objectStore('projects').get(id));
+    if (!rec) return;
+    var audio = await projectAudio(db, id);
+    var copyId = newProjectId();
+    var tx = db.transaction(['projects', 'audio'], 'readwrite');
+    tx.objectStore('projects').put(Object.assign({}, rec, {
+      id: copyId,
+      name: rec.name + ' copy',
+      created: Date.now(),
+      updated: Date.now()
+    }));
+    audio.forEach(function (a) {
+      tx.objectStore('audio').put(Object.assign({}, a, { key: copyId + '/' + a.sample, project: copyId }));
+    });
+    await idbDone(tx);
+  }
+
+  async function renameProject(id, name) {
+    var db = await openLibrary();
+    var rec = await idbRequest(db.transaction('projects').objectStore('projects').get(id));
+    if (!rec) return;
+    rec.name = name;
+    await idbRequest(db.transaction('projects', 'readwrite').objectStore('projects').put(rec));
+    if (currentProject && currentProject.id === id) currentProject.name = name;
+  }
+
+  async function deleteProject(id) {
+    var db = await openLibrary();
+    var audio = await projectAudio(db, id);
+    var tx = db.transaction(['projects', 'audio'], 'readwrite');
+    tx.objectStore('projects').delete(id);
+    audio.forEach(function (a) { tx.objectStore('audio').delete(a.key); });
+    await idbDone(tx);
+    if (currentProject && currentProject.id === id) {
+      // Keep working on the open state; the next autosave starts a new entry.
+      currentProject = null;
+      savedAudioRefs = {};
+    }
+  }
+
+  function libraryRow(rec) {
+    var row = document.createElement('div');
+    row.className = 'library-row' + (currentProject && currentProject.id === rec.id ? ' is-current' : '');
+    var img = document.createElement('img');
+    img.className = 'library-thumb';
+    img.alt = '';
+    img.width = 48;
+    img.height = 48;
+    if (rec.thumb) img.src = rec.thumb;
+    var info = document.createElement('div');
+    info.className = 'library-info';
+    var name = document.createElement('span');
+    name.className = 'library-name';
+    name.textContent = rec.name;
+    var when = document.createElement('span');
+    when.className = 'library-when';
+    when.textContent = new Date(rec.updated).toLocaleString();
+    info.appendChild(name);
+    info.appendChild(when);
+    var actions = document.createElement('div');
+    actions.className = 'param-actions';
+    function action(label, fn) {
+      var b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = label;
+      b.addEventListener('click', function () {
+        fn().then(buildLibraryList).catch(function (err) {
+          console.error(err);
+          alert('Could not ' + label.toLowerCase() + ' project.');
+        });
+      });
+      actions.appendChild(b);
+    }
+    action('Open', async function () {
+      await saveCurrentProject(false);
+      await openProject(rec.id);
+    });
+    action('Duplicate', function () { return duplicateProject(rec.id); });
+    action('Rename', async function () {
+      var next = prompt('Project name', rec.name);
+      if (next == null || !next.trim()) return;
+      await renameProject(rec.id, next.trim().slice(0, 60));
+    });
+    action('Delete', async function () {
+      if (!confirm('Delete "' + rec.name + '"?')) return;
+      await deleteProject(rec.id);
+    });
+    row.appendChild(img);
+    row.appendChild(info);
+    row.appendChild(actions);
+    return row;
+  }
+
+  async function buildLibraryList() {
+    if (!soundSheet.classList.contains('open') || soundSheetMode !== 'library') return;
+    var projects = await listProjects();
+    soundBody.innerHTML = '';
+    if (!projects.length) {
+      var empty = document.createElement('div');
+      empty.className = 'param';
+      empty.textContent = 'No saved projects yet — your work is saved here automatically.';
+      soundBody.appendChild(empty);
+      return;
+    }
+    projects.forEach(function (rec) { soundBody.appendChild(libraryRow(rec)); });
+  }
+
+  async function openLibrarySheet() {
+    openSheetFor('library', 'Projects');
+    try {
+      await saveCurrentProject(false);
+      await buildLibraryList();
+    } catch (err) {
+      console.error(err);
+      alert('Could not open the project library.');
+    }
+  }
+
+  /** On boot: reopen the most recently saved project, else seed the default words. */
+  async function restoreLastSession() {
+    var projects = [];
+    try {
+      projects = await listProjects();
+    } catch (err) {
+      console.error(err);
+    }
+    if (projects.length) {
+      try {
+        await openProject(projects[0].id);
+      } catch (err) {
+        console.error(err);
+        await seedWordBuffers();
+      }
+    } else {
+      await seedWordBuffers();
     }
+    setInterval(autosave, AUTOSAVE_MS);
   }
 
-  function openCodeSheet(mode, presetText) {
-    codeSheetMode = mode === 'save' ? 'save' : 'load';
-    if (!codeSheet) return;
-    if (codeTitle) codeTitle.textContent = codeSheetMode === 'save' ? 'Save as code' : 'Load code';
-    if (codeHint) {
-      codeHint.textContent = codeSheetMode === 'save'
-        ? 'Copy or download this code. Sample audio is not embedded — only file names are stored.'
-        : 'Paste a Circle Beat code, then Load. Missing sample files will be listed.';
-    }
-    if (codeText) codeText.value = presetText || '';
-    if (codeCopyBtn) codeCopyBtn.hidden = codeSheetMode !== 'save';
-    if (codeActionBtn) {
-      codeActionBtn.textContent = codeSheetMode === 'save' ? 'Download' : 'Load';
-      codeActionBtn.classList.add('primary');
-    }
-    codeSheet.classList.add('open');
-    codeSheet.setAttribute('aria-hidden', 'false');
-    if (codeText && codeSheetMode === 'load') {
-      setTimeout(function () { try { codeText.focus(); } catch (e) { /* ignore */ } }, 0);
+  /** Single-file project bundle: code plus base64 WAV for loaded samples (and optionally words). */
+  var BUNDLE_FORMAT = 'circlebeat-bundle';
+
+  function arrayBufferToBase64(ab) {
+    var bytes = new Uint8Array(ab);
+    var parts = [];
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
     }
+    return btoa(parts.join(''));
   }
 
-  function closeCodeSheet() {
-    if (!codeSheet) return;
-    codeSheet.classList.remove('open');
-    codeSheet.setAttribute('aria-hidden', 'true');
+  function base64ToArrayBuffer(b64) {
+    var bin = atob(b64);
+    var bytes = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes.buffer;
   }
 
-  function saveProjectCode() {
-    var code = encodeProjectCode();
-    openCodeSheet('save', code);
+  function isBundleFile(file) {
+    return !!file && /\.json$/i.test(file.name || '');
   }
 
-  async function loadProjectCodeFromUi() {
+  async function saveProjectBundle(withWords) {
     try {
-      var missing = await applyProjectCode(codeText ? codeText.value : '');
-      closeCodeSheet();
+      var audio = {};
+      var i;
+      for (i = 0; i < SAMPLES.length; i++) {
+        var s = SAMPLES[i];
+        var buf = storedAudioFor(s.id);
+        if (!buf || typeof buf.getChannelData !== 'function') continue;
+        var entry = null;
+        if (s.type === 'sample') entry = { name: sampleNames[s.id] || '' };
+        else if (s.type === 'text' && withWords && String(sayTexts[s.id] || '').trim()) {
+          entry = { text: String(sayTexts[s.id]).trim() };
+        }
+        if (!entry) continue;
+        entry.wav = arrayBufferToBase64(await encodeWavFromBuffer(buf).arrayBuffer());
+        if (wordParts.get(buf)) entry.parts = wordParts.get(buf);
+        audio[s.id] = entry;
+      }
+      var bundle = {
+        format: BUNDLE_FORMAT,
+        version: 1,
+        name: currentProject ? currentProject.name : exportBasename(),
+        code: encodeProjectCode(),
+        audio: audio
+      };
+      downloadBlob(new Blob([JSON.stringify(bundle)], { type: 'application/json' }), exportBasename() + '.circlebeat.json');
+    } catch (err) {
+      console.error(err);
+      alert('Could not save bundle.');
+    }
+  }
+
+  /** Restore a bundle: embedded audio is installed so no sample files are asked for. */
+  async function loadProjectBundle(file) {
+    try {
+      var data = JSON.parse(await file.text());
+      if (!data || data.format !== BUNDLE_FORMAT || typeof data.code !== 'string') {
+        throw new Error('Not a Circle Beat bundle.');
+      }
+      await ensureAudio();
+      var says = codeSayTexts(data.code);
+      var buffers = {};
+      var ids = Object.keys(data.audio || {});
+      var i;
+      for (i = 0; i < ids.length; i++) {
+        var entry = data.audio[ids[i]];
+        if (!sampleById(ids[i]) || !entry || !entry.wav) continue;
+        if (entry.text != null && says[ids[i]] !== entry.text) continue;
+        buffers[ids[i]] = await ctx.decodeAudioData(base64ToArrayBuffer(entry.wav));
+        if (entry.parts) wordParts.set(buffers[ids[i]], entry.parts);
+      }
+      await saveCurrentProject(false);
+      libraryBusy = true;
+      var missing;
+      try {
+        missing = await applyProjectCode(data.code, { buffers: buffers });
+      } finally {
+        libraryBusy = false;
+      }
+      // A bundle opens as a new library entry.
+      currentProject = {
+        id: newProjectId(),
+        name: String(data.name || defaultProjectName()).slice(0, 60),
+        created: Date.now()
+      };
+      savedAudioRefs = {};
+      clearHistory();
       if (missing && missing.length) {
-        alert('Project loaded, but these sample files are missing:\n\n' + missing.join('\n') +
-          '\n\nUse Sample → Load to add each file.');
+        alert('Bundle loaded, but these sample files were not included:\n\n' + missing.join('\n'));
       }
     } catch (err) {
       console.error(err);
-      alert(err && err.message ? err.message : 'Could not load code.');
+      alert(err && err.message ? err.message : 'Could not load bundle.');
     }
   }
 
@@ -6113,7 +11402,7 @@
       var steps = pat[ring.id];
       if (!steps) return;
       for (var i = 0; i < steps.length; i++) {
-        var id = steps[i];
+        var id = cellId(steps[i]);
         if (!id || soundBank[id]) continue;
         var s = sampleById(id);
         if (!s) continue;
@@ -6130,7 +11419,8 @@
     }
   }
 
-  function buildOfflineExportGraph(octx) {
+  async function buildOfflineExportGraph(octx) {
+    var worklet = await loadWorklets(octx);
     var oMaster = octx.createGain();
     oMaster.gain.value = MASTER_GAIN;
     var oPunch = octx.createGain();
@@ -6144,11 +11434,16 @@
     oMix.gain.value = 1;
     oMaster.connect(oMix);
 
+    var oReverbIn = octx.createGain();
+    oReverbIn.gain.value = MASTER_GAIN;
     var reverbSend = octx.createBiquadFilter();
     reverbSend.type = 'highpass';
     reverbSend.frequency.value = REVERB_HP_HZ;
     reverbSend.Q.value = 0.7;
-    oMaster.connect(reverbSend);
+    oReverbIn.connect(reverbSend);
+    var oDuckSend = octx.createGain();
+    oDuckSend.gain.value = 1;
+    oDuckSend.connect(oReverbIn);
 
     var oConvolver = octx.createConvolver();
     oConvolver.normalize = true;
@@ -6161,77 +11456,90 @@
     oConvolver.connect(oWet);
     oWet.connect(oMix);
 
-    oMix.connect(octx.destination);
-    return { punchBus: oPunch, duckGain: oDuck };
+    var buses = { punchBus: oPunch, duckGain: oDuck, duckSend: oDuckSend, reverbIn: oReverbIn, worklet: worklet, chokes: {} };
+    var oMasterChain = buildMasterChain(octx, { worklet: worklet });
+    oMasterChain.output.connect(octx.destination);
+    var oWidener = buildStereoWidener(octx);
+    oWidener.output.connect(oMasterChain.input);
+    buses.master = { from: oMix, to: oWidener.input, chain: null };
+    buses.auto = { reverb: oWet.gain, stereo: oWidener.midHigh.gain, cutoff: oMasterChain.sweep.frequency };
+    setInsertPoint(octx, buses.master, 'master', { worklet: worklet });
+    buses.strips = buildMixStrips(octx, buses);
+    return buses;
   }
 
-  function scheduleOfflineDuck(duckNode, when) {
-    var g = duckNode.gain;
+  function scheduleOfflineDuck(buses, when) {
     var t0 = Math.max(0, when);
-    try {
-      if (typeof g.cancelAndHoldAtTime === 'function') g.cancelAndHoldAtTime(t0);
-      else {
-        g.cancelScheduledValues(t0);
-        g.setValueAtTime(Math.min(g.value, 1), t0);
-      }
-    } catch (e) {
-      g.cancelScheduledValues(t0);
-      g.setValueAtTime(1, t0);
-    }
-    g.linearRampToValueAtTime(DUCK_DEPTH, t0 + DUCK_ATTACK);
-    g.linearRampToValueAtTime(DUCK_DEPTH, t0 + DUCK_ATTACK + DUCK_HOLD);
-    g.linearRampToValueAtTime(1, t0 + DUCK_ATTACK + DUCK_HOLD + DUCK_RELEASE);
+    rampDuck(buses.duckGain.gain, t0);
+    rampDuck(buses.duckSend.gain, t0);
   }
 
-  function scheduleOfflineLayerBar(octx, bank, buses, barStart, layerIdx) {
+  /**
+   * Schedule one wheel bar offline. opts: barDur, mute (song part groups),
+   * only(sampleId) — stem filter; ducking still follows every kick/snare.
+   */
+  function scheduleOfflineLayerBar(octx, bank, buses, barStart, layerIdx, opts) {
+    opts = opts || {};
     var pat = layers[layerIdx] && layers[layerIdx].pattern;
     if (!pat) return;
-    var barDur = getBarDur();
-    var human = getHumanize();
-    var swing = getSwing();
-    var swingDiv = getSwingNoteDiv();
-    var swingUnitDur = barDur / swingDiv;
-    var swingMaxDelay = swingUnitDur * SWING_MAX_DELAY_FRAC;
-
-    RINGS.forEach(function (ring) {
-      var steps = pat[ring.id];
-      if (!steps) return;
-      var n = ring.segments;
-      var stepDur = barDur / n;
-      var humanMaxDelay = stepDur * MAX_DELAY_FRAC;
-      for (var i = 0; i < n; i++) {
-        if (!steps[i]) continue;
-        var sampleId = steps[i];
-        var buf = bank[sampleId];
-        if (!buf) continue;
-        var offset = 0;
-        if (swing > 0 && stepIsSwingOffbeat(i, n, swingDiv)) offset += swing * swingMaxDelay;
-        if (human > 0) offset += human * humanMaxDelay * pseudo01(ring.id, i, layerIdx + 1);
-        var cap = swingMaxDelay + humanMaxDelay;
-        if (offset > cap) offset = cap;
-        var hitAt = barStart + i * stepDur + offset;
-
-        var src = octx.createBufferSource();
-        src.buffer = buf;
-        var g = octx.createGain();
-        var s = sampleById(sampleId);
-        if (s && s.type === 'text') {
-          var mods = randomSayPlayMods(sampleId);
-          src.playbackRate.value = mods.playbackRate;
-          g.gain.value = mods.gain;
-        } else {
-          g.gain.value = playGainForSample(sampleId);
-        }
-        src.connect(g);
-        g.connect(isSidechainKey(sampleId) ? buses.punchBus : buses.duckGain);
-        try {
-          src.start(Math.max(0, hitAt));
-        } catch (e) { /* skip */ }
-        if (isSidechainKey(sampleId)) scheduleOfflineDuck(buses.duckGain, hitAt);
-      }
+    var barDur = opts.barDur != null ? opts.barDur : getBarDur();
+    scheduleAutoParams(buses.auto, layerIdx, barStart, barDur);
+    retimeInsertDelays(buses.master, buses.strips, barDur, barStart);
+
+    barFiredSteps(layerIdx, barDur, opts.mute, opts.pass).forEach(function (step) {
+      var cell = step.cell;
+      var buf = offlineAutoBuffer(octx, bank, layerIdx, cell.id, step.frac) || bank[cell.id];
+      if (!buf) return;
+      var hitAt = barStart + step.at;
+      var shape = stepShape(step);
+      cellStrikes(cell, step.stepDur).forEach(function (st) {
+        scheduleOfflineHit(octx, buses, buf, cell.id, hitAt + st.dt, cellGain(cell) * st.scale, opts.only, shape);
+      });
     });
   }
 
+  /** One offline voice; stem renders skip other sounds but keep their ducking. shape: optional { rate, dur, part }. */
+  function scheduleOfflineHit(octx, buses, buf, sampleId, hitAt, gainMul, only, shape) {
+    if (only && !only(sampleId)) {
+      if (isSidechainKey(sampleId)) scheduleOfflineDuck(buses, hitAt);
+      if (sampleId === 'kick') triggerInsertEnv(buses.master, Math.max(0, hitAt));
+      return;
+    }
+    var src = octx.createBufferSource();
+    src.buffer = buf;
+    var g = octx.createGain();
+    var s = sampleById(sampleId);
+    var rateMul = shape ? shape.rate : 1;
+    if (s && s.type === 'text') {
+      var mods = randomSayPlayMods(sampleId);
+      src.playbackRate.value = mods.playbackRate * rateMul;
+      g.gain.value = mods.gain * gainMul;
+    } else {
+      src.playbackRate.value = rateMul;
+      g.gain.value = playGainForSample(sampleId) * gainMul;
+    }
+    src.connect(g);
+    g.connect(buses.strips[sampleId] ? buses.strips[sampleId].input : buses.duckGain);
+    var startAt = Math.max(0, hitAt);
+    var part = shape && shape.part;
+    try {
+      if (part) src.start(startAt, part.at, part.dur);
+      else src.start(startAt);
+      if (shape && shape.dur > 0) gateVoice(src, g.gain, startAt, shape.dur);
+    } catch (e) { /* skip */ }
+    var choke = sampleChoke(sampleId);
+    if (choke) {
+      chokeVoice(buses.chokes, choke, {
+        src: src,
+        gain: g.gain,
+        at: startAt,
+        cut: startAt + (shape && shape.dur > 0 ? shape.dur : (part ? part.dur : buf.duration) / src.playbackRate.value)
+      });
+    }
+    triggerHitEnvs(buses.strips, buses.master, sampleId, startAt);
+    if (isSidechainKey(sampleId)) scheduleOfflineDuck(buses, hitAt);
+  }
+
   var savingWav = false;
 
   async function saveViewWheelWav() {
@@ -6251,12 +11559,13 @@
       await ensureLayerSampleBuffers(viewLayer);
 
       var barDur = getBarDur();
+      var cycleBars = exportCycleBars(viewLayer);
       var tail = Math.min(1.6, getReverbDurationSec() + 0.35);
-      var durationSec = barDur + tail;
+      var durationSec = barDur * cycleBars + tail;
       var sampleRate = 44100;
       var numFrames = Math.ceil(durationSec * sampleRate);
       var octx = new OfflineCtx(2, numFrames, sampleRate);
-      var buses = buildOfflineExportGraph(octx);
+      var buses = await buildOfflineExportGraph(octx);
 
       var bank = {};
       Object.keys(soundBank).forEach(function (id) {
@@ -6265,8 +11574,11 @@
         bank[id] = copyBufferToContext(src, octx);
       });
 
-      scheduleOfflineLayerBar(octx, bank, buses, 0, viewLayer);
-      var rendered = await octx.startRendering();
+      var b;
+      for (b = 0; b < cycleBars; b++) {
+        scheduleOfflineLayerBar(octx, bank, buses, b * barDur, viewLayer, { pass: { pass: b, passes: 0, fill: false, entry: -1 } });
+      }
+      var rendered = normalizeExport(await octx.startRendering());
       var blob = encodeWavFromBuffer(rendered);
       downloadBlob(blob, wavFilenameForViewLayer());
     } catch (err) {
@@ -6277,6 +11589,230 @@
     }
   }
 
+  /** Longest full-song render we attempt (memory: ~21 MB per stereo minute). */
+  var SONG_EXPORT_MAX_SEC = 600;
+  /** Running song export: { cancelled, abort } — abort rejects the pending render. */
+  var exportJob = null;
+
+  /**
+   * One pass of the play order: the song arrangement, or the enabled wheel chain
+   * repeated until polymetric rings line up.
+   */
+  function songExportBars() {
+    if (arrangementActive()) {
+      return arrangementBars().map(function (slot, idx) {
+        return { layer: slot.layer, dur: slot.bpm ? (60 / slot.bpm) * 4 : getBarDur(), mute: slot.mute, pass: passForBarIndex(idx) };
+      });
+    }
+    var chain = [];
+    var start = resolveStart(0);
+    if (start < 0) return chain;
+    var cur = start;
+    do {
+      chain.push(cur);
+      cur = nextEnabled(cur);
+    } while (cur >= 0 && cur !== start && chain.length < MAX_CIRCLES);
+    // Repeat the chain until polymetric rings on every wheel line up again (within the length limit).
+    function gcd(a, b) { return b ? gcd(b, a % b) : a; }
+    var passes = 1;
+    chain.forEach(function (layerIdx) {
+      var c = wheelCycleBars(layerIdx);
+      passes = passes * c / gcd(passes, c);
+    });
+    passes = Math.max(1, Math.min(passes, Math.floor(SONG_EXPORT_MAX_SEC / (chain.length * getBarDur()))));
+    var bars = [];
+    var p;
+    for (p = 0; p < passes; p++) {
+      chain.forEach(function (layerIdx) {
+        bars.push({ layer: layerIdx, dur: getBarDur(), mute: null, pass: { pass: p, passes: 0, fill: false, entry: -1 } });
+      });
+    }
+    return bars;
+  }
+
+  /** Sample ids that actually sound across the bars (after song mutes). */
+  function sampleIdsInBars(bars) {
+    var seen = {};
+    var ids = [];
+    bars.forEach(function (bar) {
+      var pat = layers[bar.layer] && layers[bar.layer].pattern;
+      if (!pat) return;
+      RINGS.forEach(function (ring) {
+        var steps = pat[ring.id] || [];
+        for (var i = 0; i < steps.length; i++) {
+          var id = cellId(steps[i]);
+          if (!id || seen[id] || isMutedIn(bar.mute, id)) continue;
+          seen[id] = true;
+          ids.push(id);
+        }
+      });
+    });
+    return ids;
+  }
+
+  /** Render targets: one full mix, or one stem per group / per sample id. */
+  function songStemSpecs(mode, bars) {
+    var ids = sampleIdsInBars(bars);
+    if (mode === 'group') {
+      return SAMPLE_GROUPS.filter(function (g) {
+        return ids.some(function (id) { return sampleGroup(id) === g; });
+      }).map(function (g) {
+        return { name: g, only: function (id) { return sampleGroup(id) === g; } };
+      });
+    }
+    if (mode === 'sample') {
+      return ids.map(function (id) {
+        var word = sampleGroup(id) === 'words' ? sanitizeFilenamePart(sayTexts[id]) : '';
+        return {
+          name: sanitizeFilenamePart(id) + (word ? '-' + word : ''),
+          only: function (sid) { return sid === id; }
+        };
+      });
+    }
+    return [{ name: 'song', only: null }];
+  }
+
+  function setExportProgress(title, frac) {
+    if (!exportSheet) return;
+    if (exportTitle && title) exportTitle.textContent = title;
+    var pct = Math.round(Math.max(0, Math.min(1, frac || 0)) * 100);
+    if (exportBarFill) exportBarFill.style.width = pct + '%';
+    if (exportHint) exportHint.textContent = pct + '%';
+  }
+
+  function openExportSheet(title) {
+    if (!exportSheet) return;
+    setExportProgress(title, 0);
+    exportSheet.classList.add('open');
+    exportSheet.setAttribute('aria-hidden', 'false');
+  }
+
+  function closeExportSheet() {
+    if (!exportSheet) return;
+    exportSheet.classList.remove('open');
+    exportSheet.setAttribute('aria-hidden', 'true');
+  }
+
+  function cancelSongExport() {
+    if (!exportJob) return;
+    exportJob.cancelled = true;
+    if (exportJob.abort) exportJob.abort();
+  }
+
+  /**
+   * Offline render of the bars through the export graph (reverb tail + duck).
+   * Progress comes from render suspends; once this job is cancelled the render is
+   * never resumed and its context and sample copies are let go.
+   */
+  async function renderSongBars(OfflineCtx, bars, only, onProgress) {
+    var job = exportJob;
+    var musicSec = 0;
+    bars.forEach(function (bar) { musicSec += bar.dur; });
+    var durationSec = musicSec + getReverbDurationSec() + 0.35;
+    var sampleRate = 44100;
+    var octx = new OfflineCtx(2, Math.ceil(durationSec * sampleRate), sampleRate);
+    var buses = await buildOfflineExportGraph(octx);
+    if (job.cancelled) throw new Error('cancelled');
+
+    var bank = {};
+    Object.keys(soundBank).forEach(function (id) {
+      var src = soundBank[id];
+      if (!src || typeof src.getChannelData !== 'function') return;
+      bank[id] = copyBufferToContext(src, octx);
+    });
+
+    var t = 0;
+    bars.forEach(function (bar) {
+      scheduleOfflineLayerBar(octx, bank, buses, t, bar.layer, { barDur: bar.dur, mute: bar.mute, only: only, pass: bar.pass });
+      t += bar.dur;
+    });
+
+    if (typeof octx.suspend === 'function') {
+      var step = Math.max(0.5, durationSec / 40);
+      var at;
+      for (at = step; at < durationSec - 0.05; at += step) {
+        (function (when) {
+          octx.suspend(when).then(function () {
+            if (job.cancelled || !octx) return;
+            onProgress(when / durationSec);
+            octx.resume();
+          }).catch(function () { /* suspend time already rendered */ });
+        })(at);
+      }
+    }
+
+    var cancelled = new Promise(function (resolve, reject) {
+      job.abort = function () {
+        octx = null;
+        bank = null;
+        buses = null;
+        reject(new Error('cancelled'));
+      };
+    });
+    var rendered = await Promise.race([octx.startRendering(), cancelled]);
+    job.abort = null;
+    onProgress(1);
+    return rendered;
+  }
+
+  /** Full-song WAV (mode 'mix') or stems per sample group ('group') / sample id ('sample'). */
+  async function saveSongWav(mode) {
+    if (savingWav) return;
+    var bars = songExportBars();
+    if (!bars.length || !bars.some(function (bar) { return layerHasHits(bar.layer); })) {
+      alert('The song has no hits to save.');
+      return;
+    }
+    var OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) {
+      alert('WAV export is not supported in this browser.');
+      return;
+    }
+    var musicSec = 0;
+    bars.forEach(function (bar) { musicSec += bar.dur; });
+    if (musicSec > SONG_EXPORT_MAX_SEC) {
+      alert('The song is too long to render (' + Math.round(musicSec) + ' s, max ' + SONG_EXPORT_MAX_SEC + ' s).');
+      return;
+    }
+
+    savingWav = true;
+    exportJob = { cancelled: false, abort: null };
+    openExportSheet('Preparing sounds…');
+    try {
+      var done = {};
+      for (var b = 0; b < bars.length; b++) {
+        if (done[bars[b].layer]) continue;
+        done[bars[b].layer] = true;
+        await ensureLayerSampleBuffers(bars[b].layer);
+      }
+      var specs = songStemSpecs(mode, bars);
+      for (var k = 0; k < specs.length; k++) {
+        if (exportJob.cancelled) break;
+        var spec = specs[k];
+        var label = specs.length > 1
+          ? 'Rendering ' + spec.name + ' (' + (k + 1) + '/' + specs.length + ')…'
+          : 'Rendering song…';
+        setExportProgress(label, 0);
+        var rendered = await renderSongBars(OfflineCtx, bars, spec.only, function (frac) {
+          setExportProgress(null, (k + frac) / specs.length);
+        });
+        // Stems keep their relative levels; only the full mix is normalized.
+        if (mode === 'mix') normalizeExport(rendered);
+        var suffix = mode === 'mix' ? '_song' : '_' + spec.name;
+        downloadBlob(encodeWavFromBuffer(rendered), exportBasename() + suffix + '.wav');
+      }
+    } catch (err) {
+      if (!exportJob || !exportJob.cancelled) {
+        console.error(err);
+        alert('Could not save WAV.');
+      }
+    } finally {
+      exportJob = null;
+      savingWav = false;
+      closeExportSheet();
+    }
+  }
+
   function closePanelMenu() {
     if (!panelMenu) return;
     panelMenu.classList.remove('open');
@@ -6349,6 +11885,17 @@
         saveViewWheelWav().catch(function (err) { console.error(err); });
         return;
       }
+      if (btn.dataset.action === 'save-song-wav' || btn.dataset.action === 'save-stems') {
+        closePanelMenu();
+        saveSongWav(btn.dataset.action === 'save-song-wav' ? 'mix' : (btn.dataset.stems || 'group'))
+          .catch(function (err) { console.error(err); });
+        return;
+      }
+      if (btn.dataset.action === 'save-song-midi') {
+        closePanelMenu();
+        saveSongMidi();
+        return;
+      }
       if (btn.dataset.action === 'save-midi') {
         closePanelMenu();
         saveViewWheelMidi();
@@ -6359,16 +11906,49 @@
         saveProjectCode();
         return;
       }
+      if (btn.dataset.action === 'load-midi') {
+        closePanelMenu();
+        if (midiInput) {
+          midiInput.value = '';
+          midiInput.click();
+        }
+        return;
+      }
       if (btn.dataset.action === 'load-code') {
         closePanelMenu();
         openCodeSheet('load', '');
         return;
       }
+      if (btn.dataset.action === 'save-bundle') {
+        closePanelMenu();
+        saveProjectBundle(btn.dataset.words === '1').catch(function (err) { console.error(err); });
+        return;
+      }
+      if (btn.dataset.action === 'load-bundle') {
+        closePanelMenu();
+        if (bundleInput) {
+          bundleInput.value = '';
+          bundleInput.click();
+        }
+        return;
+      }
+      if (btn.dataset.action === 'library') {
+        closePanelMenu();
+        openLibrarySheet().catch(function (err) { console.error(err); });
+        return;
+      }
       if (!btn.dataset.panel) return;
       setPanel(btn.dataset.panel);
     });
   }
 
+  if (exportCancelBtn) {
+    exportCancelBtn.addEventListener('click', function (e) {
+      e.stopPropagation();
+      cancelSongExport();
+    });
+  }
+
   if (codeCancelBtn) {
     codeCancelBtn.addEventListener('click', function (e) {
       e.stopPropagation();
@@ -6471,6 +12051,93 @@
     if (file) loadWavFile(id, file).catch(function (err) { console.error(err); });
   });
 
+  if (midiConnectBtn) {
+    midiConnectBtn.addEventListener('click', function () {
+      ensureAudio().catch(function (err) { console.error(err); });
+      connectMidi().catch(function (err) { console.error(err); });
+    });
+  }
+
+  if (midiInSelectEl) {
+    midiInSelectEl.addEventListener('change', function () { syncMidiInputs(); });
+  }
+
+  if (midiOutSelectEl) {
+    midiOutSelectEl.addEventListener('change', function () { retargetClockOut(); });
+  }
+
+  if (midiClockModeEl) {
+    midiClockModeEl.addEventListener('change', function () {
+      clockIn.running = false;
+      clockIn.times = [];
+      sendClockStop();
+      if (midiClockModeEl.value === 'off') return;
+      connectMidi().then(function (access) {
+        if (!access) return;
+        setMidiStatus(midiClockModeEl.value === 'follow' ? 'Waiting for clock…' : 'Sending clock');
+        if (midiClockModeEl.value === 'send') retargetClockOut();
+      }).catch(function (err) { console.error(err); });
+    });
+  }
+
+  if (midiRecArmEl) {
+    midiRecArmEl.addEventListener('change', function () { midiRecTake = null; });
+  }
+
+  if (midiRecModeEl) {
+    midiRecModeEl.addEventListener('change', function () { midiRecTake = null; });
+  }
+
+  if (midiLearnBtn) {
+    midiLearnBtn.addEventListener('click', function () {
+      connectMidi().then(function (access) {
+        if (!access) return;
+        midiLearning = !midiLearning;
+        midiLearnBtn.classList.toggle('is-learning', midiLearning);
+        var s = sampleById(paintSample);
+        setMidiStatus(midiLearning ? 'Play a pad for ' + (s ? s.label : paintSample) + '…' : 'MIDI ready');
+      }).catch(function (err) { console.error(err); });
+    });
+  }
+
+  if (bundleInput) {
+    bundleInput.addEventListener('change', function () {
+      var file = bundleInput.files && bundleInput.files[0];
+      if (file) loadProjectBundle(file).catch(function (err) { console.error(err); });
+    });
+  }
+
+  if (midiInput) {
+    midiInput.addEventListener('change', function () {
+      var file = midiInput.files && midiInput.files[0];
+      if (file) loadMidiFile(file).catch(function (err) { console.error(err); });
+    });
+  }
+
+  function isMidiFile(file) {
+    return !!file && (/\.midi?$/i.test(file.name || '') || /midi/i.test(file.type || ''));
+  }
+
+  // Drop a .mid onto the wheel to import it from the viewed wheel onward; a bundle opens as a project.
+  if (stageEl) {
+    stageEl.addEventListener('dragover', function (e) {
+      if (!e.dataTransfer || Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') === -1) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    stageEl.addEventListener('drop', function (e) {
+      var file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+      if (isBundleFile(file)) {
+        e.preventDefault();
+        loadProjectBundle(file).catch(function (err) { console.error(err); });
+        return;
+      }
+      if (!isMidiFile(file)) return;
+      e.preventDefault();
+      loadMidiFile(file).catch(function (err) { console.error(err); });
+    });
+  }
+
   randBtn.addEventListener('click', function () {
     closeRandMenus();
     runRandomise().catch(function (err) { console.error(err); });
@@ -6523,6 +12190,17 @@
   if (nudgeOptsMenu) {
     nudgeOptsMenu.addEventListener('click', function (e) { e.stopPropagation(); });
   }
+  if (randPhraseBarsEl) {
+    randPhraseBarsEl.addEventListener('change', function () {
+      setLuckyPhraseBars(parseInt(randPhraseBarsEl.value, 10) || 0);
+    });
+  }
+  if (randPhraseShapeBtn) {
+    randPhraseShapeBtn.addEventListener('click', function () {
+      closeRandMenus();
+      openPhraseSheet();
+    });
+  }
   var randLayersAll = document.getElementById('randLayersAll');
   var randLayersThis = document.getElementById('randLayersThis');
   var randLayersNone = document.getElementById('randLayersNone');
@@ -6629,6 +12307,7 @@
   bpmEl.addEventListener('input', function () {
     bpmVal.textContent = String(getBpm());
     updateReverbIR();
+    syncInsertTempo();
   });
 
   humanEl.addEventListener('input', function () {
@@ -6646,6 +12325,48 @@
     });
   }
 
+  if (songModeEl) {
+    songModeEl.addEventListener('change', function () {
+      setArrangementOn(songModeEl.checked);
+    });
+  }
+
+  if (mixerBtn) mixerBtn.addEventListener('click', openMixerSheet);
+  if (fillBtn) {
+    fillBtn.addEventListener('click', function () {
+      fillHeld = !fillHeld;
+      fillBtn.classList.toggle('is-on', fillHeld);
+      fillBtn.setAttribute('aria-pressed', fillHeld ? 'true' : 'false');
+      clearScrubHitCache();
+    });
+  }
+  if (autoBtn) autoBtn.addEventListener('click', function () { openAutomationSheet(viewLayer); });
+  if (ringsBtn) ringsBtn.addEventListener('click', function () { openRingsSheet(viewLayer); });
+  if (masterBtn) masterBtn.addEventListener('click', openMasterSheet);
+
+  if (songAddBtn) {
+    songAddBtn.addEventListener('click', function () {
+      if (arrangement.entries.length >= ARRANGE_MAX_ENTRIES) return;
+      arrangement.entries.push(makeArrangeEntry(viewLayer, 1));
+      songChanged();
+      if (songEntriesEl) songEntriesEl.scrollLeft = songEntriesEl.scrollWidth;
+    });
+  }
+
+  if (undoBtn) undoBtn.addEventListener('click', undo);
+  if (redoBtn) redoBtn.addEventListener('click', redo);
+  if (historyBtn) historyBtn.addEventListener('click', openHistorySheet);
+  syncHistoryUi();
+
+  document.addEventListener('keydown', function (e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isTypingTarget(e.target)) return;
+    var key = String(e.key || '').toLowerCase();
+    if (key === 'z' && !e.shiftKey) undo();
+    else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+    else return;
+    e.preventDefault();
+  });
+
   reverbEl.addEventListener('input', function () {
     reverbVal.textContent = Math.round(getReverb() * 100) + '%';
     applySpaceSettings();
@@ -6675,6 +12396,7 @@
   bindLuckySlider(luckySpeedEl);
 
   buildLuckyProducerSelect();
+  buildLuckyStyleSelect();
   if (luckyProducerBtn) {
     luckyProducerBtn.addEventListener('click', function (e) {
       e.stopPropagation();
@@ -6725,6 +12447,7 @@
   syncPaintSwatch();
   buildSvg();
   syncLayerUi();
+  buildSongStrip();
   syncPanelMenuHighlight();
   syncLuckyRollUi({ skipMatch: true, producerId: bootProducerId });
   humanVal.textContent = Math.round(getHumanize() * 100) + '%';
@@ -6789,5 +12512,9 @@
     });
   }
 
-  seedWordBuffers().catch(function (err) { console.error(err); });
+  document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState === 'hidden') autosave();
+  });
+
+  restoreLastSession().catch(function (err) { console.error(err); });
 })();